@@ -0,0 +1,41 @@
+// /api/cron/chain-revocations.js
+// Scheduled run of the on-chain revocation queue (processChainRevocations in lib/ticket-revocation.js)
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authorizeCronRequest } from '../../lib/cron-auth.js';
+import { processChainRevocations } from '../../lib/ticket-revocation.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  console.log('⛓️ ============ CHAIN REVOCATIONS STARTED ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  const refusal = authorizeCronRequest(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ status: 'error', message: refusal.message });
+  }
+
+  try {
+    const summary = await processChainRevocations(supabase);
+    console.log('✅ Chain revocation run complete:', summary);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Chain revocation run completed',
+      data: { summary }
+    });
+
+  } catch (error) {
+    console.error('🔥 Chain revocation run failed:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Chain revocation run failed',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,41 @@
+// /api/cron/chain-transactions.js
+// Scheduled upkeep of admin wallet transactions: settle, gas-bump, re-broadcast, fill nonce gaps
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authorizeCronRequest } from '../../lib/cron-auth.js';
+import { maintainChainTransactions } from '../../lib/chain-transactions.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  console.log('⛓️ ============ TRANSACTION MAINTENANCE STARTED ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  const refusal = authorizeCronRequest(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ status: 'error', message: refusal.message });
+  }
+
+  try {
+    const summary = await maintainChainTransactions(supabase);
+    console.log('✅ Transaction maintenance complete:', summary);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Transaction maintenance completed',
+      data: { summary }
+    });
+
+  } catch (error) {
+    console.error('🔥 Transaction maintenance failed:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Transaction maintenance failed',
+      error: error.message
+    });
+  }
+}
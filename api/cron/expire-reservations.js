@@ -0,0 +1,179 @@
+// /api/cron/expire-reservations.js
+// Scheduled sweeper that returns seats held by abandoned checkouts
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authorizeCronRequest } from '../../lib/cron-auth.js';
+import { releaseReservation } from '../../lib/reservations.js';
+import { acquirePaymentLock, releasePaymentLock } from '../../lib/webhook-ledger.js';
+import { getProviderForPayment } from '../../lib/payments/providers/index.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+// Upper bound per run so a backlog can't push the function past its timeout
+const SWEEP_BATCH_SIZE = 50;
+
+export default async function handler(req, res) {
+  console.log('🧹 ============ RESERVATION SWEEP STARTED ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  const refusal = authorizeCronRequest(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ status: 'error', message: refusal.message });
+  }
+
+  try {
+    const { data: reservations, error: reservationsError } = await supabase
+      .from('ticket_reservations')
+      .select(`
+        reservation_id,
+        payment_id,
+        event_id,
+        quantity,
+        expires_at,
+        payments (
+          payment_id,
+          payment_status,
+          payment_method,
+          provider_order_id
+        )
+      `)
+      .eq('status', 'held')
+      .lt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true })
+      .limit(SWEEP_BATCH_SIZE);
+
+    if (reservationsError) {
+      throw new Error('Failed to load expired reservations: ' + reservationsError.message);
+    }
+
+    console.log(`🔍 Found ${reservations.length} expired reservations`);
+
+    const results = [];
+
+    for (const reservation of reservations) {
+      try {
+        results.push(await expireReservation(reservation));
+      } catch (error) {
+        console.error(`❌ Failed to expire reservation ${reservation.reservation_id}:`, error.message);
+        results.push({
+          payment_id: reservation.payment_id,
+          outcome: 'error',
+          error: error.message
+        });
+      }
+    }
+
+    const summary = {
+      scanned: reservations.length,
+      expired: results.filter(r => r.outcome === 'expired').length,
+      skipped: results.filter(r => r.outcome === 'skipped').length,
+      errors: results.filter(r => r.outcome === 'error').length,
+      seats_released: results.reduce((sum, r) => sum + (r.seats_released || 0), 0)
+    };
+
+    console.log('✅ Reservation sweep complete:', summary);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Reservation sweep completed',
+      data: {
+        summary,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('🔥 Reservation sweep failed:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Reservation sweep failed',
+      error: error.message
+    });
+  }
+}
+
+async function expireReservation(reservation) {
+  const payment = reservation.payments;
+  console.log(`⏳ Expiring reservation ${reservation.reservation_id} (payment ${reservation.payment_id})`);
+
+  // A payment that already settled keeps its seats; the webhook converts the hold
+  if (payment && payment.payment_status === 'confirmed') {
+    console.log('   ⏭️ Payment already confirmed, leaving reservation for the webhook');
+    return { payment_id: reservation.payment_id, outcome: 'skipped', reason: 'payment_confirmed' };
+  }
+
+  // Webhooks hold the payment lock while they capture and issue, so a payment is never expired
+  // between its capture and its tickets
+  const lockId = await acquirePaymentLock(supabase, reservation.payment_id);
+  if (!lockId) {
+    console.log('   ⏭️ Payment is being processed by a webhook, leaving reservation for the next run');
+    return { payment_id: reservation.payment_id, outcome: 'skipped', reason: 'payment_locked' };
+  }
+
+  try {
+    return await expireLockedReservation(reservation, payment);
+  } finally {
+    await releasePaymentLock(supabase, reservation.payment_id, lockId);
+  }
+}
+
+async function expireLockedReservation(reservation, payment) {
+  if (payment?.provider_order_id) {
+    const order = await lookupProviderOrder(payment);
+    if (order.captured) {
+      console.log('   ⏭️ Order already captured, leaving reservation for the webhook');
+      return { payment_id: reservation.payment_id, outcome: 'skipped', reason: 'order_captured' };
+    }
+  }
+
+  // Only the run that flips the payment out of 'pending' goes on to release seats
+  if (payment && payment.payment_status === 'pending') {
+    const { data: expiredPayments, error: expireError } = await supabase
+      .from('payments')
+      .update({ payment_status: 'expired' })
+      .eq('payment_id', reservation.payment_id)
+      .eq('payment_status', 'pending')
+      .select('payment_id');
+
+    if (expireError) {
+      throw new Error('Failed to mark payment expired: ' + expireError.message);
+    }
+
+    if (!expiredPayments || expiredPayments.length === 0) {
+      console.log('   ⏭️ Payment left pending state concurrently, skipping');
+      return { payment_id: reservation.payment_id, outcome: 'skipped', reason: 'payment_changed' };
+    }
+  }
+
+  // The release function is itself once-only, so overlapping runs cannot double-restore
+  const seatsReleased = await releaseReservation(supabase, reservation.payment_id, 'reservation_expired');
+
+  return {
+    payment_id: reservation.payment_id,
+    outcome: 'expired',
+    seats_released: seatsReleased
+  };
+}
+
+// PayPal orders created with intent CAPTURE have no void call in the Orders v2 API and lapse
+// on their own, so every provider's order is looked up and a capture that slipped in is never expired.
+async function lookupProviderOrder(payment) {
+  const provider = getProviderForPayment(payment);
+  const orderId = payment.provider_order_id;
+
+  try {
+    const order = await provider.getOrder(orderId);
+    console.log(`   📋 ${provider.name} order ${orderId} status:`, order.status);
+
+    // Unknown or already-lapsed orders cannot be captured any more. An approved order that
+    // already has a capture id is a delayed payment method still settling.
+    return { captured: order.status === 'captured' || (order.status === 'approved' && !!order.captureId) };
+  } catch (error) {
+    // Anything else is retried on the next run rather than guessed at
+    throw new Error(`${provider.name} order lookup failed: ` + error.message);
+  }
+}
@@ -0,0 +1,41 @@
+// /api/cron/index-chain.js
+// Scheduled pass of the contract log indexer (lib/chain-indexer.js)
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authorizeCronRequest } from '../../lib/cron-auth.js';
+import { runChainIndexer } from '../../lib/chain-indexer.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  console.log('⛓️ ============ CHAIN INDEXER STARTED ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  const refusal = authorizeCronRequest(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ status: 'error', message: refusal.message });
+  }
+
+  try {
+    const summary = await runChainIndexer(supabase);
+    console.log('✅ Chain indexer pass complete:', summary);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Chain indexer pass completed',
+      data: { summary }
+    });
+
+  } catch (error) {
+    console.error('🔥 Chain indexer failed:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Chain indexer failed',
+      error: error.message
+    });
+  }
+}
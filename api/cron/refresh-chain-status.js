@@ -0,0 +1,81 @@
+// /api/cron/refresh-chain-status.js
+// Scheduled poll that keeps the chain status cache warm for events about to open their doors
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authorizeCronRequest } from '../../lib/cron-auth.js';
+import { readTicketStatuses } from '../../lib/blockchain.js';
+import { recordChainStatuses } from '../../lib/chain-status-cache.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+// Events starting within this window (or started within the last day) are refreshed
+const LOOKAHEAD_MS = 48 * 60 * 60 * 1000;
+const LOOKBEHIND_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound per run, read in multicalls of this many tokens
+const REFRESH_BATCH_SIZE = 1000;
+const MULTICALL_CHUNK_SIZE = 200;
+
+export default async function handler(req, res) {
+  console.log('⛓️ ============ CHAIN STATUS REFRESH STARTED ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  const refusal = authorizeCronRequest(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ status: 'error', message: refusal.message });
+  }
+
+  try {
+    const now = Date.now();
+    const { data: tickets, error: ticketsError } = await supabase
+      .from('tickets')
+      .select('nft_token_id, events!inner (event_date)')
+      .eq('blockchain_registered', true)
+      .in('ticket_status', ['valid', 'used'])
+      .not('nft_token_id', 'is', null)
+      .gte('events.event_date', new Date(now - LOOKBEHIND_MS).toISOString())
+      .lte('events.event_date', new Date(now + LOOKAHEAD_MS).toISOString())
+      .limit(REFRESH_BATCH_SIZE);
+
+    if (ticketsError) {
+      throw new Error('Failed to load tickets to refresh: ' + ticketsError.message);
+    }
+
+    const tokenIds = [...new Set(tickets.map(ticket => String(ticket.nft_token_id)))];
+    console.log(`🔍 Refreshing chain status for ${tokenIds.length} tokens`);
+
+    let refreshed = 0;
+    let failed = 0;
+    for (let i = 0; i < tokenIds.length; i += MULTICALL_CHUNK_SIZE) {
+      const statuses = await readTicketStatuses(tokenIds.slice(i, i + MULTICALL_CHUNK_SIZE));
+      const verified = [...statuses.entries()]
+        .filter(([, status]) => status.contract_verified)
+        .map(([tokenId, status]) => ({ tokenId, contractStatus: status.contract_status, boundName: status.bound_name }));
+
+      await recordChainStatuses(supabase, verified, 'poll');
+      refreshed += verified.length;
+      failed += statuses.size - verified.length;
+    }
+
+    const summary = { tokens: tokenIds.length, refreshed, failed };
+    console.log('✅ Chain status refresh complete:', summary);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Chain status refresh completed',
+      data: { summary }
+    });
+
+  } catch (error) {
+    console.error('🔥 Chain status refresh failed:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Chain status refresh failed',
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,41 @@
+// /api/cron/register-tickets.js
+// Scheduled run of the blockchain registration retry queue (lib/registration-queue.js)
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authorizeCronRequest } from '../../lib/cron-auth.js';
+import { processRegistrationQueue } from '../../lib/registration-queue.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  console.log('⛓️ ============ REGISTRATION RETRY STARTED ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  const refusal = authorizeCronRequest(req);
+  if (refusal) {
+    return res.status(refusal.status).json({ status: 'error', message: refusal.message });
+  }
+
+  try {
+    const summary = await processRegistrationQueue(supabase);
+    console.log('✅ Registration retry run complete:', summary);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Registration retry run completed',
+      data: { summary }
+    });
+
+  } catch (error) {
+    console.error('🔥 Registration retry failed:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Registration retry failed',
+      error: error.message
+    });
+  }
+}
@@ -1,8 +1,9 @@
 import { createClient } from '@supabase/supabase-js'
+import { config } from '../../lib/config.js'
 
 const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY  // Using anon key for public access
+  config.supabase.url,
+  config.supabase.anonKey  // Using anon key for public access
 )
 
 export default async function handler(req, res) {
@@ -0,0 +1,11 @@
+// /api/payments/stripe-webhook.js
+// Stripe webhook endpoint; processing is shared with every provider in lib/payments/webhook-handler.js
+
+import { createPaymentWebhookHandler } from '../../lib/payments/webhook-handler.js';
+
+// Stripe signs the exact request bytes, so the runtime must not parse the body
+export const config = {
+  helpers: false
+};
+
+export default createPaymentWebhookHandler('stripe');
@@ -1,11 +1,14 @@
 // /api/payments/verify.js
-// Payment verification endpoint for mobile app after PayPal return
+// Payment verification endpoint for mobile app after returning from checkout
 
 import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { releaseReservation } from '../../lib/reservations.js';
+import { describeRegistrationProgress } from '../../lib/registration-queue.js';
 
 const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
+  config.supabase.url,
+  config.supabase.serviceKey
 );
 
 export default async function handler(req, res) {
@@ -56,7 +59,9 @@ export default async function handler(req, res) {
     const userId = userProfile.user_id;
 
     // Extract query parameters
-    const { payment_id, paypal_order_id } = req.query;
+    const { payment_id } = req.query;
+    // paypal_order_id is the name older app versions send
+    const orderId = req.query.order_id || req.query.paypal_order_id;
 
     if (!payment_id) {
       return res.status(400).json({
@@ -80,11 +85,11 @@ export default async function handler(req, res) {
       });
     }
 
-    // Verify PayPal order ID matches if provided
-    if (paypal_order_id && payment.paypal_order_id !== paypal_order_id) {
+    // Verify the provider order ID matches if provided
+    if (orderId && payment.provider_order_id !== orderId) {
       return res.status(400).json({
         status: 'error',
-        message: 'PayPal order ID mismatch'
+        message: 'Order ID mismatch'
       });
     }
 
@@ -95,8 +100,12 @@ export default async function handler(req, res) {
       total_amount: parseFloat(payment.amount),
       currency: 'USD',
       created_at: payment.created_at,
-      paypal_order_id: payment.paypal_order_id,
-      paypal_transaction_id: payment.paypal_transaction_id || null
+      provider: payment.payment_method,
+      order_id: payment.provider_order_id,
+      capture_id: payment.provider_capture_id || null,
+      // Kept for app versions that only know PayPal
+      paypal_order_id: payment.provider_order_id,
+      paypal_transaction_id: payment.provider_capture_id || null
     };
 
     if (payment.payment_status === 'confirmed') {
@@ -129,6 +138,17 @@ export default async function handler(req, res) {
         });
       }
 
+      // Tickets are usable right away; on-chain registration follows in the background
+      const { data: registrationJobs, error: jobsError } = await supabase
+        .from('nft_registration_jobs')
+        .select('ticket_id, status, attempts, next_attempt_at')
+        .in('ticket_id', (tickets || []).map(ticket => ticket.ticket_id));
+
+      if (jobsError) {
+        console.error('Error fetching registration progress:', jobsError);
+      }
+      const registration = describeRegistrationProgress(tickets || [], registrationJobs || []);
+
       // Generate QR codes (base64) for mobile app
       const ticketsWithQR = (tickets || []).map(ticket => ({
         ticket_id: ticket.ticket_id,
@@ -140,7 +160,8 @@ export default async function handler(req, res) {
         nft_token_id: ticket.nft_token_id,
         nft_status: ticket.nft_mint_status || 'pending',
         blockchain_registered: ticket.blockchain_registered || false,
-        download_url: `${req.headers.origin || process.env.API_BASE_URL || ''}/api/tickets/download/${ticket.ticket_id}`,
+        registration_status: registration.tickets[ticket.ticket_id],
+        download_url: `${req.headers.origin || config.app.apiBaseUrl}/api/tickets/download/${ticket.ticket_id}`,
         event: ticket.events
       }));
 
@@ -152,12 +173,16 @@ export default async function handler(req, res) {
         event_info: ticketsWithQR.length > 0 ? ticketsWithQR[0].event : null,
         receipt: {
           receipt_id: payment.payment_id,
-          download_url: `${req.headers.origin || process.env.API_BASE_URL || ''}/api/receipts/${payment.payment_id}.pdf`
+          download_url: `${req.headers.origin || config.app.apiBaseUrl}/api/receipts/${payment.payment_id}.pdf`
         },
         blockchain_info: {
           total_tickets: ticketsWithQR.length,
           registered_on_blockchain: ticketsWithQR.filter(t => t.blockchain_registered).length,
-          pending_registration: ticketsWithQR.filter(t => !t.blockchain_registered).length
+          pending_registration: ticketsWithQR.filter(t => !t.blockchain_registered).length,
+          registration_stage: registration.stage,
+          next_attempt_at: registration.next_attempt_at,
+          // Poll again while registration is still in progress
+          retry_after: registration.stage === 'registering' ? 30 : null
         },
         push_notification: {
           title: '🎫 Tickets Ready!',
@@ -178,7 +203,7 @@ export default async function handler(req, res) {
         estimated_completion: new Date(Date.now() + 5 * 60 * 1000).toISOString(), // 5 minutes
         retry_after: 30, // seconds
         instructions: [
-          'Your payment is being processed by PayPal',
+          'Your payment is being processed by the payment provider',
           'Tickets will be generated automatically once confirmed',
           'You will receive a notification when ready'
         ]
@@ -192,10 +217,10 @@ export default async function handler(req, res) {
         ...responseData,
         tickets_ready: false,
         message: 'Payment failed or was canceled',
-        error_details: 'Payment could not be processed by PayPal',
+        error_details: 'Payment could not be processed by the payment provider',
         next_steps: [
           'Try purchasing tickets again',
-          'Check your PayPal account for any issues',
+          'Check your payment method for any issues',
           'Ensure sufficient funds are available',
           'Contact support if the issue persists'
         ]
@@ -233,36 +258,9 @@ function generateQRCode(qrData) {
 // Restore ticket availability if payment failed
 async function restoreTicketAvailability(payment) {
   try {
-    if (!payment.event_id) {
-      console.log('No event_id found for payment, skipping ticket restoration');
-      return;
-    }
-
-    // Calculate quantity from payment amount and event price
-    const { data: event } = await supabase
-      .from('events')
-      .select('ticket_price, available_tickets')
-      .eq('event_id', payment.event_id)
-      .single();
-
-    if (event) {
-      const quantity = Math.round(parseFloat(payment.amount) / parseFloat(event.ticket_price));
-      
-      // Restore availability
-      const { error: updateError } = await supabase
-        .from('events')
-        .update({
-          available_tickets: event.available_tickets + quantity
-        })
-        .eq('event_id', payment.event_id);
-
-      if (updateError) {
-        console.error('Failed to update event availability:', updateError);
-      } else {
-        console.log(`✅ Restored ${quantity} tickets for failed payment ${payment.payment_id}`);
-      }
-    }
+    // Releases exactly the seats held for this payment, at most once
+    await releaseReservation(supabase, payment.payment_id, 'payment_failed');
   } catch (error) {
     console.error('Failed to restore ticket availability:', error);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,78 @@
+// /api/scanner/bundle.js
+// Signed manifest of an event's admissible tickets, for scanners that must work offline
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+import { authenticateScannerDevice, findDeviceAssignment } from '../../lib/scanner-devices.js';
+import { buildScannerBundle, loadScannerEvent } from '../../lib/scanner-sync.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+
+    const scanner = await authenticateScannerDevice(supabase, req);
+    if (!scanner.device) {
+      return res.status(scanner.status).json({ status: 'error', message: scanner.message });
+    }
+
+    const { event_id } = req.query;
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'event_id is required'
+      });
+    }
+
+    if (!findDeviceAssignment(scanner.device, event_id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Scanner device is not assigned to this event'
+      });
+    }
+
+    const event = await loadScannerEvent(supabase, event_id);
+    if (!event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    const { token, manifest } = await buildScannerBundle(supabase, event);
+    console.log(`📦 Scanner bundle for event ${event_id}: ${manifest.tickets.length} tickets, requested by ${auth.profile.user_id}`);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        bundle: token,
+        event_id: event.event_id,
+        ticket_count: manifest.tickets.length,
+        cursor: manifest.cursor,
+        expires_at: new Date(manifest.exp * 1000).toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to build scanner bundle:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to build scanner bundle',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,104 @@
+// /api/scanner/conflicts.js
+// Offline scan conflicts for staff: GET lists them for an event, POST marks one resolved
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+const CONFLICT_STATUSES = ['open', 'resolved'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+
+    if (req.method === 'GET') {
+      const { event_id, status = 'open' } = req.query;
+      if (!event_id) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'event_id is required'
+        });
+      }
+      if (!CONFLICT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `status must be one of: ${CONFLICT_STATUSES.join(', ')}`
+        });
+      }
+
+      const { data: conflicts, error } = await supabase
+        .from('scan_conflicts')
+        .select('*, tickets (ticket_number, bound_name, ticket_status)')
+        .eq('event_id', event_id)
+        .eq('status', status)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw new Error('Failed to load scan conflicts: ' + error.message);
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: { conflicts }
+      });
+    }
+
+    const { conflict_id, resolution_note } = req.body || {};
+    if (!conflict_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'conflict_id is required'
+      });
+    }
+
+    const { data: resolved, error: updateError } = await supabase
+      .from('scan_conflicts')
+      .update({
+        status: 'resolved',
+        resolved_by: String(auth.profile.user_id),
+        resolution_note: resolution_note || null,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('conflict_id', conflict_id)
+      .eq('status', 'open')
+      .select();
+
+    if (updateError) {
+      throw new Error('Failed to resolve scan conflict: ' + updateError.message);
+    }
+    if (!resolved || resolved.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Open conflict not found'
+      });
+    }
+
+    console.log(`✅ Scan conflict ${conflict_id} resolved by ${auth.profile.user_id}`);
+    return res.status(200).json({
+      status: 'success',
+      data: { conflict: resolved[0] }
+    });
+  } catch (error) {
+    console.error('❌ Scan conflict request failed:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to process scan conflicts',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
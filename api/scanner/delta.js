@@ -0,0 +1,80 @@
+// /api/scanner/delta.js
+// Tickets of an event changed since a previous bundle's cursor, signed like the full bundle
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+import { authenticateScannerDevice, findDeviceAssignment } from '../../lib/scanner-devices.js';
+import { buildScannerBundle, loadScannerEvent } from '../../lib/scanner-sync.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+
+    const scanner = await authenticateScannerDevice(supabase, req);
+    if (!scanner.device) {
+      return res.status(scanner.status).json({ status: 'error', message: scanner.message });
+    }
+
+    const { event_id, since } = req.query;
+    const sinceDate = new Date(since);
+    if (!event_id || !since || Number.isNaN(sinceDate.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'event_id and since (the cursor of the previous bundle) are required'
+      });
+    }
+
+    if (!findDeviceAssignment(scanner.device, event_id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Scanner device is not assigned to this event'
+      });
+    }
+
+    const event = await loadScannerEvent(supabase, event_id);
+    if (!event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    // Entries with a status other than valid/used tell the scanner to drop that ticket
+    const { token, manifest } = await buildScannerBundle(supabase, event, { since: sinceDate });
+    console.log(`📦 Scanner delta for event ${event_id} since ${manifest.since}: ${manifest.tickets.length} tickets`);
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        bundle: token,
+        event_id: event.event_id,
+        ticket_count: manifest.tickets.length,
+        cursor: manifest.cursor,
+        expires_at: new Date(manifest.exp * 1000).toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to build scanner delta:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to build scanner delta',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,186 @@
+// /api/scanner/devices.js
+// Scanner device enrollment (admin only): GET lists devices, POST enrolls one and returns its
+// key once, PUT replaces its event/gate assignments, DELETE revokes its credential
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+import { createScannerCredential, SCANNER_KEY_HEADER } from '../../lib/scanner-devices.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+    const adminId = String(auth.profile.user_id);
+
+    if (req.method === 'GET') {
+      const { data: devices, error } = await supabase
+        .from('scanner_devices')
+        .select('device_id, name, enrolled_by, enrolled_at, revoked_at, revoked_by, last_seen_at, scanner_device_events (event_id, gates)')
+        .order('enrolled_at', { ascending: false });
+
+      if (error) {
+        throw new Error('Failed to load scanner devices: ' + error.message);
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: { devices }
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const deviceId = req.query.device_id;
+      if (!deviceId) {
+        return res.status(400).json({ status: 'error', message: 'device_id is required' });
+      }
+
+      const { data: revoked, error } = await supabase
+        .from('scanner_devices')
+        .update({ revoked_at: new Date().toISOString(), revoked_by: adminId })
+        .eq('device_id', deviceId)
+        .is('revoked_at', null)
+        .select('device_id, name, revoked_at');
+
+      if (error) {
+        throw new Error('Failed to revoke scanner device: ' + error.message);
+      }
+      if (!revoked || revoked.length === 0) {
+        return res.status(404).json({ status: 'error', message: 'Active scanner device not found' });
+      }
+
+      console.log(`🔒 Scanner device ${deviceId} revoked by ${adminId}`);
+      return res.status(200).json({
+        status: 'success',
+        data: { device: revoked[0] }
+      });
+    }
+
+    const { device_id, name, assignments } = req.body || {};
+    const assignmentProblem = validateAssignments(assignments);
+    if (assignmentProblem) {
+      return res.status(400).json({ status: 'error', message: assignmentProblem });
+    }
+
+    if (req.method === 'PUT') {
+      if (!device_id) {
+        return res.status(400).json({ status: 'error', message: 'device_id is required' });
+      }
+
+      const { data: device, error } = await supabase
+        .from('scanner_devices')
+        .select('device_id, revoked_at')
+        .eq('device_id', device_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error('Failed to load scanner device: ' + error.message);
+      }
+      if (!device || device.revoked_at) {
+        return res.status(404).json({ status: 'error', message: 'Active scanner device not found' });
+      }
+
+      await replaceAssignments(device_id, assignments);
+      console.log(`🔧 Scanner device ${device_id} assignments updated by ${adminId}`);
+      return res.status(200).json({
+        status: 'success',
+        data: { device_id, assignments }
+      });
+    }
+
+    if (!name) {
+      return res.status(400).json({ status: 'error', message: 'name is required' });
+    }
+
+    const deviceId = crypto.randomUUID();
+    const credential = createScannerCredential(deviceId);
+    const { error: insertError } = await supabase
+      .from('scanner_devices')
+      .insert({
+        device_id: deviceId,
+        name,
+        credential_hash: credential.credentialHash,
+        enrolled_by: adminId
+      });
+
+    if (insertError) {
+      throw new Error('Failed to enroll scanner device: ' + insertError.message);
+    }
+
+    await replaceAssignments(deviceId, assignments);
+    console.log(`📲 Scanner device ${deviceId} (${name}) enrolled by ${adminId}`);
+
+    return res.status(201).json({
+      status: 'success',
+      message: `Store the key on the device now; it is not shown again. Send it as the ${SCANNER_KEY_HEADER} header.`,
+      data: {
+        device_id: deviceId,
+        name,
+        scanner_key: credential.key,
+        assignments
+      }
+    });
+  } catch (error) {
+    console.error('❌ Scanner device request failed:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to process scanner device request',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
+
+// [{ event_id, gates? }]; gates omitted or empty means every gate
+function validateAssignments(assignments) {
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    return 'assignments must list at least one { event_id, gates? }';
+  }
+  for (const assignment of assignments) {
+    if (!assignment?.event_id) {
+      return 'every assignment needs an event_id';
+    }
+    if (assignment.gates !== undefined && assignment.gates !== null
+      && (!Array.isArray(assignment.gates) || assignment.gates.some(gate => typeof gate !== 'string' || !gate))) {
+      return 'assignment gates must be a list of gate names';
+    }
+  }
+  return null;
+}
+
+async function replaceAssignments(deviceId, assignments) {
+  const { error: deleteError } = await supabase
+    .from('scanner_device_events')
+    .delete()
+    .eq('device_id', deviceId);
+
+  if (deleteError) {
+    throw new Error('Failed to clear scanner device assignments: ' + deleteError.message);
+  }
+
+  const { error: insertError } = await supabase
+    .from('scanner_device_events')
+    .insert(assignments.map(assignment => ({
+      device_id: deviceId,
+      event_id: assignment.event_id,
+      gates: assignment.gates && assignment.gates.length > 0 ? assignment.gates : null
+    })));
+
+  if (insertError) {
+    throw new Error('Failed to save scanner device assignments: ' + insertError.message);
+  }
+}
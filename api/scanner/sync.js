@@ -0,0 +1,130 @@
+// /api/scanner/sync.js
+// Upload of scans a gate made while offline. Scans are deduplicated by their scan_id, and a
+// ticket admitted at two gates is flagged in scan_conflicts for staff to follow up.
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+import { authenticateScannerDevice, findDeviceAssignment } from '../../lib/scanner-devices.js';
+import { applyOfflineScans, validateOfflineScan, MAX_SYNC_SCANS } from '../../lib/scanner-sync.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+
+    const scanner = await authenticateScannerDevice(supabase, req);
+    if (!scanner.device) {
+      return res.status(scanner.status).json({ status: 'error', message: scanner.message });
+    }
+    const deviceId = scanner.device.device_id;
+
+    const { gate, scans } = req.body || {};
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'scans must be a non-empty array'
+      });
+    }
+    if (scans.length > MAX_SYNC_SCANS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Upload at most ${MAX_SYNC_SCANS} scans per request`
+      });
+    }
+
+    // Malformed scans are reported back rather than failing the whole upload
+    const rejected = [];
+    const accepted = [];
+    scans.forEach((scan, index) => {
+      const problem = validateOfflineScan(scan);
+      if (problem) {
+        rejected.push({ index, scan_id: scan?.scan_id || null, outcome: 'rejected', error: problem });
+      } else {
+        accepted.push(scan);
+      }
+    });
+
+    // Scans for tickets of events the device is not assigned to are refused like malformed ones
+    const ticketEvents = await loadTicketEvents(accepted.map(scan => scan.ticket_id));
+    const assigned = accepted.filter(scan => {
+      const eventId = ticketEvents.get(scan.ticket_id.toLowerCase());
+      if (eventId && findDeviceAssignment(scanner.device, eventId)) return true;
+      rejected.push({
+        index: scans.indexOf(scan),
+        scan_id: scan.scan_id,
+        outcome: 'rejected',
+        error: eventId ? 'Scanner device is not assigned to this event' : 'Ticket not found'
+      });
+      return false;
+    });
+
+    const results = await applyOfflineScans(supabase, {
+      deviceId,
+      gate,
+      scannedBy: auth.profile.user_id,
+      scans: assigned
+    });
+
+    const conflicts = results.filter(result => result.conflict_id);
+    const failed = results.filter(result => result.outcome === 'error');
+    console.log(`🔄 Offline sync from ${deviceId}: ${results.length} applied, ${rejected.length} rejected, ${conflicts.length} conflicts`);
+    if (conflicts.length > 0) {
+      console.warn('🚨 Offline scan conflicts flagged for staff:', conflicts.map(c => c.conflict_id).join(', '));
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        results: [...results, ...rejected],
+        summary: {
+          received: scans.length,
+          applied: results.filter(result => result.outcome !== 'error' && result.outcome !== 'duplicate').length,
+          duplicates: results.filter(result => result.outcome === 'duplicate').length,
+          conflicts: conflicts.length,
+          rejected: rejected.length,
+          failed: failed.length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Offline scan sync failed:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to sync offline scans',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
+
+// ticket_id -> event_id for the uploaded scans
+async function loadTicketEvents(ticketIds) {
+  const ticketEvents = new Map();
+  if (ticketIds.length === 0) return ticketEvents;
+
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select('ticket_id, event_id')
+    .in('ticket_id', [...new Set(ticketIds.map(id => id.toLowerCase()))]);
+
+  if (error) {
+    throw new Error('Failed to load tickets for offline scans: ' + error.message);
+  }
+
+  tickets.forEach(ticket => ticketEvents.set(ticket.ticket_id, ticket.event_id));
+  return ticketEvents;
+}
@@ -2,13 +2,23 @@
 // Updated ticket purchase with bound names support
 
 import { createClient } from '@supabase/supabase-js';
+import { config, describeConfig } from '../../lib/config.js';
 import crypto from 'crypto';
+import { reserveTickets, releaseReservation } from '../../lib/reservations.js';
+import { buildTicketLineItem, calculateLineItemsTotal } from '../../lib/line-items.js';
+import { getPaymentProvider, resolveProviderName } from '../../lib/payments/providers/index.js';
 
 const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
+  config.supabase.url,
+  config.supabase.serviceKey
 );
 
+// Once per instance rather than per request; secrets are reported as SET / MISSING only
+console.log('Payment configuration:', describeConfig());
+
+// Tries at recording the provider's order id before the purchase is abandoned
+const ORDER_ID_UPDATE_ATTEMPTS = 3;
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({
@@ -18,30 +28,6 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Import PayPal SDK using dynamic import
-    const paypalModule = await import('@paypal/checkout-server-sdk');
-    const paypal = paypalModule.default || paypalModule;
-
-    // Debug logging for PayPal environment variables
-    console.log('PayPal Environment Debug:', {
-      NODE_ENV: process.env.NODE_ENV,
-      PAYPAL_CLIENT_ID: process.env.PAYPAL_CLIENT_ID || 'NOT_SET',
-      PAYPAL_CLIENT_SECRET: process.env.PAYPAL_CLIENT_SECRET || 'NOT_SET',
-      PAYPAL_WEBHOOK_ID: process.env.PAYPAL_WEBHOOK_ID || 'NOT_SET',
-      APP_SCHEME: process.env.APP_SCHEME || 'NOT_SET',
-      VERCEL_ENV: process.env.VERCEL_ENV || 'NOT_SET'
-    });
-
-    // Force Sandbox environment for testing
-    const environment = new paypal.core.SandboxEnvironment(
-      process.env.PAYPAL_CLIENT_ID, 
-      process.env.PAYPAL_CLIENT_SECRET
-    );
-    
-    console.log('Using PayPal Sandbox Environment for testing');
-
-    const client = new paypal.core.PayPalHttpClient(environment);
-
     // Supabase Auth verification
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) {
@@ -209,7 +195,7 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check availability
+    // Quick availability check - the reservation below is the authoritative one
     if (event.available_tickets < quantity) {
       return res.status(400).json({
         status: 'error',
@@ -221,17 +207,22 @@ export default async function handler(req, res) {
       });
     }
 
-    // Calculate total amount
-    const unitPrice = parseFloat(event.ticket_price || 0);
-    const totalAmount = unitPrice * quantity;
+    // Record exactly what is being bought so later stages never re-derive it from the amount
+    const lineItems = [buildTicketLineItem(event, quantity)];
+    const unitPrice = lineItems[0].unit_price;
+    const totalAmount = calculateLineItemsTotal(lineItems);
 
     console.log('Purchase calculation:', {
       unit_price: unitPrice,
       quantity: quantity,
+      fees: lineItems[0].fees,
       total_amount: totalAmount,
       event_name: event.event_name
     });
 
+    // The event may pin a provider; otherwise the deployment default is used
+    const provider = getPaymentProvider(resolveProviderName(event));
+
     // Create payment record with metadata containing bound names
     const paymentId = crypto.randomUUID();
     
@@ -262,7 +253,8 @@ export default async function handler(req, res) {
         event_id: event_id,
         amount: totalAmount,
         payment_status: 'pending',
-        payment_method: 'paypal',
+        payment_method: provider.name,
+        line_items: lineItems,
         metadata: metadata, // NEW: Store bound names and purchase details
         created_at: new Date().toISOString()
       })
@@ -280,106 +272,110 @@ export default async function handler(req, res) {
       bound_names_in_metadata: payment.metadata?.bound_names?.length || 0
     });
 
-    // Temporarily reserve tickets (reduce available_tickets)
-    const { error: reserveError } = await supabase
-      .from('events')
-      .update({
-        available_tickets: event.available_tickets - quantity
-      })
-      .eq('event_id', event_id);
-
-    if (reserveError) {
+    // Reserve tickets with a conditional decrement so concurrent buyers cannot oversell
+    let reservation;
+    try {
+      reservation = await reserveTickets(supabase, {
+        eventId: event_id,
+        paymentId: paymentId,
+        userId: userProfile.user_id,
+        quantity: quantity
+      });
+    } catch (reserveError) {
       // Cleanup payment record if reservation fails
       await supabase
         .from('payments')
         .delete()
         .eq('payment_id', paymentId);
-      
-      throw new Error('Failed to reserve tickets: ' + reserveError.message);
+
+      throw reserveError;
     }
 
-    console.log(`✅ Reserved ${quantity} tickets for event ${event.event_name}`);
+    if (!reservation) {
+      await supabase
+        .from('payments')
+        .delete()
+        .eq('payment_id', paymentId);
 
-    // Create PayPal order with proper request body structure
-    const orderPayload = {
-      intent: 'CAPTURE',
-      purchase_units: [
-        {
-          reference_id: paymentId,
-          amount: {
-            currency_code: 'USD',
-            value: totalAmount.toFixed(2)
-          },
-          description: `${quantity} ticket(s) for ${event.event_name}`,
-          custom_id: userProfile.user_id.toString()
+      return res.status(409).json({
+        status: 'error',
+        message: 'Not enough tickets available',
+        data: {
+          requested: quantity
         }
-      ],
-      application_context: {
-        brand_name: 'Ticketing System',
-        user_action: 'PAY_NOW',
-        return_url: `${process.env.APP_SCHEME || 'ticketapp'}://payment-success?payment_id=${paymentId}`,
-        cancel_url: `${process.env.APP_SCHEME || 'ticketapp'}://payment-cancel?payment_id=${paymentId}`
-      }
-    };
+      });
+    }
 
-    console.log('PayPal order payload created for amount:', totalAmount);
+    console.log(`✅ Reserved ${quantity} tickets for event ${event.event_name}`);
 
-    const request = new paypal.orders.OrdersCreateRequest();
-    request.prefer('return=representation');
-    request.requestBody(orderPayload);
+    const returnUrls = {
+      success: `${config.app.scheme}://payment-success?payment_id=${paymentId}`,
+      cancel: `${config.app.scheme}://payment-cancel?payment_id=${paymentId}`
+    };
 
-    let paypalOrder;
+    let providerOrder;
     try {
-      console.log('Creating PayPal order...');
-      const response = await client.execute(request);
-      paypalOrder = response.result;
-      console.log('✅ PayPal order created successfully:', paypalOrder.id);
-    } catch (paypalError) {
-      console.error('PayPal error details:', {
-        message: paypalError.message,
-        statusCode: paypalError.statusCode,
-        details: paypalError.details
+      console.log(`Creating ${provider.name} order for amount:`, totalAmount);
+      providerOrder = await provider.createOrder({
+        paymentId: paymentId,
+        amount: totalAmount,
+        currency: 'USD',
+        description: `${quantity} ticket(s) for ${event.event_name}`,
+        customerReference: userProfile.user_id.toString(),
+        returnUrl: returnUrls.success,
+        cancelUrl: returnUrls.cancel
+      });
+      console.log(`✅ ${provider.name} order created successfully:`, providerOrder.orderId);
+    } catch (providerError) {
+      console.error('Payment provider error details:', {
+        provider: provider.name,
+        message: providerError.message,
+        statusCode: providerError.statusCode,
+        details: providerError.details
       });
       
-      // Cleanup on PayPal error
-      await supabase
-        .from('events')
-        .update({
-          available_tickets: event.available_tickets // Restore original count
-        })
-        .eq('event_id', event_id);
+      // Cleanup on provider error - release only this purchase's seats
+      await releaseReservation(supabase, paymentId, 'provider_order_failed');
 
       await supabase
         .from('payments')
         .delete()
         .eq('payment_id', paymentId);
 
-      throw new Error('Failed to create PayPal order: ' + paypalError.message);
+      throw new Error('Failed to create payment order: ' + providerError.message);
     }
 
-    // Update payment record with PayPal order ID
-    const { error: updateError } = await supabase
-      .from('payments')
-      .update({
-        paypal_order_id: paypalOrder.id
-      })
-      .eq('payment_id', paymentId);
+    // Update payment record with the provider's order ID. Capture and the reservation sweep find
+    // the order through it, so a purchase without it cannot complete: retry, then give the seats
+    // back before the buyer is sent to checkout.
+    let updateError = null;
+    for (let attempt = 1; attempt <= ORDER_ID_UPDATE_ATTEMPTS; attempt++) {
+      ({ error: updateError } = await supabase
+        .from('payments')
+        .update({
+          provider_order_id: providerOrder.orderId
+        })
+        .eq('payment_id', paymentId));
 
-    if (updateError) {
-      console.error('Failed to update payment with PayPal order ID:', updateError);
+      if (!updateError) break;
+      console.error(`Failed to update payment with provider order ID (attempt ${attempt}):`, updateError);
     }
 
-    // Find approval URL
-    const approvalUrl = paypalOrder.links.find(link => link.rel === 'approve')?.href;
+    if (updateError) {
+      await releaseReservation(supabase, paymentId, 'provider_order_unrecorded');
 
-    // Set reservation expiry (15 minutes)
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
+      await supabase
+        .from('payments')
+        .delete()
+        .eq('payment_id', paymentId);
+
+      throw new Error('Failed to record payment order: ' + updateError.message);
+    }
 
     // Prepare mobile-friendly response
     const mobileDeepLinks = {
-      ios: `paypal://checkout?token=${paypalOrder.id}`,
-      android: `intent://checkout?token=${paypalOrder.id}#Intent;scheme=paypal;package=com.paypal.android;end;`,
-      fallback: approvalUrl
+      ...providerOrder.mobileDeepLinks,
+      fallback: providerOrder.approvalUrl
     };
 
     // Prepare bound names summary for response
@@ -401,23 +397,25 @@ export default async function handler(req, res) {
           venue: event.venue,
           quantity: quantity,
           unit_price: unitPrice,
+          fees: lineItems[0].fees,
           total_amount: totalAmount,
           currency: 'USD',
+          line_items: lineItems,
           bound_names: boundNamesSummary // NEW: Show bound names in response
         },
         payment: {
-          paypal_order_id: paypalOrder.id,
-          checkout_url: approvalUrl,
+          provider: provider.name,
+          order_id: providerOrder.orderId,
+          // Kept for app versions that only know PayPal
+          paypal_order_id: providerOrder.orderId,
+          checkout_url: providerOrder.approvalUrl,
           mobile_deep_links: mobileDeepLinks,
-          return_urls: {
-            success: `${process.env.APP_SCHEME || 'ticketapp'}://payment-success?payment_id=${paymentId}`,
-            cancel: `${process.env.APP_SCHEME || 'ticketapp'}://payment-cancel?payment_id=${paymentId}`
-          }
+          return_urls: returnUrls
         },
         reservation: {
-          expires_at: expiresAt.toISOString(),
-          reservation_id: `temp-${paymentId}`,
-          tickets_reserved: quantity
+          expires_at: reservation.expires_at,
+          reservation_id: reservation.reservation_id,
+          tickets_reserved: reservation.quantity
         },
         tickets_preview: {
           // NEW: Show what the tickets will look like
@@ -428,7 +426,7 @@ export default async function handler(req, res) {
           }))
         },
         next_steps: [
-          'Complete payment through PayPal',
+          'Complete payment at checkout',
           'Return to app after payment',
           `${quantity} personalized tickets will be generated automatically`,
           'Each ticket will be bound to the specified name on blockchain'
@@ -0,0 +1,25 @@
+// /api/tickets/qr-keys.js
+// Public key set (JWKS) scanner apps use to verify signed ticket QR tokens offline
+
+import { getQrPublicKeys } from '../../lib/ticket-qr.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Scanners refresh their cached copy periodically; retired keys stay listed until removed
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(getQrPublicKeys());
+  } catch (error) {
+    console.error('❌ Failed to build QR key set:', error.message);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to load QR verification keys'
+    });
+  }
+}
@@ -0,0 +1,88 @@
+// /api/tickets/reconcile.js
+// Database vs contract reconciliation for staff: GET reports an event's drift (JSON or CSV),
+// POST reports it and repairs what can be repaired (lib/chain-reconciliation.js)
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+import { reconcileEvent, repairDrift, driftToCsv, REPAIR_ACTIONS } from '../../lib/chain-reconciliation.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const { event_id, format = 'json' } = params;
+    if (!event_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'event_id is required'
+      });
+    }
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'format must be json or csv'
+      });
+    }
+
+    // actions: which repairs to run, all of them by default
+    const actions = params.actions || REPAIR_ACTIONS;
+    if (req.method === 'POST' && (!Array.isArray(actions) || actions.some(action => !REPAIR_ACTIONS.includes(action)))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `actions must be a list of: ${REPAIR_ACTIONS.join(', ')}`
+      });
+    }
+
+    const report = await reconcileEvent(supabase, event_id);
+    if (!report) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    if (req.method === 'GET') {
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="reconciliation-${report.event_id}.csv"`);
+        return res.status(200).send(driftToCsv(report));
+      }
+      return res.status(200).json({
+        status: 'success',
+        data: { report }
+      });
+    }
+
+    console.log(`🛠️ Reconciliation repair of ${event_id} requested by ${auth.profile.user_id}:`, actions);
+    const repairs = await repairDrift(supabase, report, { actions });
+
+    return res.status(200).json({
+      status: 'success',
+      data: { report, repairs }
+    });
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to reconcile tickets',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
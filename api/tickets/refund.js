@@ -0,0 +1,321 @@
+// /api/tickets/refund.js
+// Customer refund for some or all tickets of a purchase, within the event's refund window
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import crypto from 'crypto';
+import { getTicketLineItem } from '../../lib/line-items.js';
+import { checkRefundWindow, calculateRefundAmount } from '../../lib/refund-policy.js';
+import { revokeTickets } from '../../lib/ticket-revocation.js';
+import { acquirePaymentLock, releasePaymentLock } from '../../lib/webhook-ledger.js';
+import { getProviderForPayment } from '../../lib/payments/providers/index.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+// Payment states that still have money left to refund
+const REFUNDABLE_PAYMENT_STATUSES = ['confirmed', 'partially_refunded'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Supabase Auth verification
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication token required'
+      });
+    }
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    const { data: userProfile, error: profileError } = await supabase
+      .from('users')
+      .select('user_id, auth_id')
+      .eq('auth_id', user.id)
+      .single();
+
+    if (profileError || !userProfile) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User profile not found'
+      });
+    }
+
+    const { ticket_ids, reason = 'customer_request' } = req.body;
+
+    if (!Array.isArray(ticket_ids) || ticket_ids.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'ticket_ids must be a non-empty array'
+      });
+    }
+
+    const ticketIds = [...new Set(ticket_ids)];
+
+    const { data: tickets, error: ticketsError } = await supabase
+      .from('tickets')
+      .select('ticket_id, user_id, event_id, payment_id, ticket_status')
+      .in('ticket_id', ticketIds);
+
+    if (ticketsError) {
+      throw new Error('Failed to load tickets: ' + ticketsError.message);
+    }
+
+    // Unknown and foreign tickets get the same answer so ownership can't be probed
+    if (tickets.length !== ticketIds.length || tickets.some(t => t.user_id !== userProfile.user_id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'One or more tickets not found'
+      });
+    }
+
+    const paymentIds = [...new Set(tickets.map(t => t.payment_id))];
+    if (paymentIds.length !== 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Tickets from different purchases must be refunded separately'
+      });
+    }
+
+    const notValid = tickets.filter(t => t.ticket_status !== 'valid');
+    if (notValid.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only valid tickets can be refunded',
+        data: {
+          tickets: notValid.map(t => ({ ticket_id: t.ticket_id, status: t.ticket_status }))
+        }
+      });
+    }
+
+    const paymentId = paymentIds[0];
+
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('payment_id', paymentId)
+      .single();
+
+    if (paymentError || !payment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Payment not found'
+      });
+    }
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.payment_status) || !payment.provider_capture_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Payment is ${payment.payment_status} and cannot be refunded`
+      });
+    }
+
+    const lineItem = getTicketLineItem(payment);
+
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('*')
+      .eq('event_id', lineItem.event_id)
+      .single();
+
+    if (eventError || !event) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Event not found'
+      });
+    }
+
+    const refundWindow = checkRefundWindow(event);
+    if (!refundWindow.eligible) {
+      return res.status(400).json({
+        status: 'error',
+        message: refundWindow.reason,
+        data: {
+          refund_deadline: refundWindow.refund_deadline
+        }
+      });
+    }
+
+    // One refund per purchase at a time, shared with the payment webhook
+    const lockId = await acquirePaymentLock(supabase, paymentId);
+    if (!lockId) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This purchase is being updated, please try again shortly'
+      });
+    }
+
+    try {
+      const result = await refundTickets({
+        payment,
+        event,
+        lineItem,
+        ticketIds,
+        reason,
+        requestedBy: userProfile.user_id
+      });
+
+      if (result.error) {
+        return res.status(result.statusCode).json({
+          status: 'error',
+          message: result.error,
+          data: result.data
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: `Refunded ${ticketIds.length} ticket(s)`,
+        data: result.data
+      });
+    } finally {
+      await releasePaymentLock(supabase, paymentId, lockId);
+    }
+
+  } catch (error) {
+    console.error('Error processing refund:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while processing the refund',
+      error: error.message
+    });
+  }
+}
+
+async function refundTickets({ payment, event, lineItem, ticketIds, reason, requestedBy }) {
+  // Re-check under the lock: a concurrent refund may have taken some of these tickets
+  const { data: stillValid, error: recheckError } = await supabase
+    .from('tickets')
+    .select('ticket_id')
+    .in('ticket_id', ticketIds)
+    .eq('ticket_status', 'valid');
+
+  if (recheckError) {
+    throw new Error('Failed to re-check tickets: ' + recheckError.message);
+  }
+
+  if (stillValid.length !== ticketIds.length) {
+    return { statusCode: 409, error: 'Some tickets were refunded or revoked in the meantime' };
+  }
+
+  const refund = calculateRefundAmount(lineItem, ticketIds.length, event);
+  const refundId = crypto.randomUUID();
+
+  console.log('Refund calculation:', {
+    payment_id: payment.payment_id,
+    tickets: ticketIds.length,
+    gross: refund.gross,
+    fee: refund.fee,
+    amount: refund.amount
+  });
+
+  // Audit record first, so an interrupted refund is still visible
+  const { error: recordError } = await supabase
+    .from('refunds')
+    .insert({
+      refund_id: refundId,
+      payment_id: payment.payment_id,
+      event_id: event.event_id,
+      ticket_ids: ticketIds,
+      gross_amount: refund.gross,
+      fee_amount: refund.fee,
+      amount: refund.amount,
+      currency: 'USD',
+      reason: reason,
+      requested_by: requestedBy,
+      status: 'pending',
+      created_at: new Date().toISOString()
+    });
+
+  if (recordError) {
+    throw new Error('Failed to create refund record: ' + recordError.message);
+  }
+
+  let providerRefund = null;
+  if (refund.amount > 0) {
+    try {
+      // The refund id doubles as the provider's idempotency key
+      providerRefund = await getProviderForPayment(payment).refund({
+        captureId: payment.provider_capture_id,
+        amount: refund.amount,
+        currency: 'USD',
+        idempotencyKey: refundId,
+        note: 'Ticket refund'
+      });
+    } catch (providerError) {
+      console.error('Provider refund failed:', providerError.message);
+
+      await supabase
+        .from('refunds')
+        .update({ status: 'failed', error: providerError.message })
+        .eq('refund_id', refundId);
+
+      return { statusCode: 502, error: 'Payment provider refund failed', data: { refund_id: refundId } };
+    }
+  }
+
+  // The contract revocation is left to the chain-revocations cron rather than waited for here
+  const revocation = await revokeTickets(supabase, {
+    ticketIds,
+    reason: 'customer_refund'
+  });
+
+  // The purchase is fully refunded once none of its tickets remain valid
+  const { count: remainingValid } = await supabase
+    .from('tickets')
+    .select('ticket_id', { count: 'exact', head: true })
+    .eq('payment_id', payment.payment_id)
+    .eq('ticket_status', 'valid');
+
+  const paymentStatus = remainingValid > 0 ? 'partially_refunded' : 'refunded';
+
+  await supabase
+    .from('payments')
+    .update({
+      payment_status: paymentStatus,
+      status_reason: 'customer_refund'
+    })
+    .eq('payment_id', payment.payment_id);
+
+  await supabase
+    .from('refunds')
+    .update({
+      status: 'completed',
+      provider_refund_id: providerRefund?.refundId || null,
+      completed_at: new Date().toISOString()
+    })
+    .eq('refund_id', refundId);
+
+  return {
+    data: {
+      refund_id: refundId,
+      payment_id: payment.payment_id,
+      payment_status: paymentStatus,
+      refunded_tickets: ticketIds,
+      amount: refund.amount,
+      fee: refund.fee,
+      currency: 'USD',
+      provider: payment.payment_method,
+      provider_refund_id: providerRefund?.refundId || null,
+      tickets_restocked: revocation.restocked,
+      blockchain_revocation: revocation.queued.length > 0 ? 'pending' : 'not_registered'
+    }
+  };
+}
@@ -0,0 +1,84 @@
+// /api/tickets/registration-queue.js
+// Blockchain registration retry queue for staff: GET lists jobs (dead-lettered ones by default),
+// POST requeues dead jobs with a fresh set of attempts
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+import { REGISTRATION_JOB_STATUSES, requeueDeadRegistrations } from '../../lib/registration-queue.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+const MAX_LISTED_JOBS = 500;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+
+    if (req.method === 'GET') {
+      const { status = 'dead', event_id } = req.query;
+      if (!REGISTRATION_JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `status must be one of: ${REGISTRATION_JOB_STATUSES.join(', ')}`
+        });
+      }
+
+      let query = supabase
+        .from('nft_registration_jobs')
+        .select('*, tickets!inner (event_id, ticket_number, ticket_status, payment_id)')
+        .eq('status', status)
+        .order('updated_at', { ascending: false })
+        .limit(MAX_LISTED_JOBS);
+      if (event_id) {
+        query = query.eq('tickets.event_id', event_id);
+      }
+
+      const { data: jobs, error } = await query;
+      if (error) {
+        throw new Error('Failed to load registration jobs: ' + error.message);
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: { jobs }
+      });
+    }
+
+    const { ticket_ids } = req.body || {};
+    if (!Array.isArray(ticket_ids) || ticket_ids.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'ticket_ids must be a non-empty array'
+      });
+    }
+
+    const requeued = await requeueDeadRegistrations(supabase, ticket_ids);
+    console.log(`🔁 ${requeued.length} dead registrations requeued by ${auth.profile.user_id}`);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { requeued }
+    });
+  } catch (error) {
+    console.error('❌ Registration queue request failed:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to process registration queue request',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
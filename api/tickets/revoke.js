@@ -0,0 +1,132 @@
+// /api/tickets/revoke.js
+// Staff revocation: POST revokes tickets (by id or a whole purchase) in the database and queues their
+// contract revocation for the chain-revocations cron, requeueing tickets whose earlier on-chain
+// revocation failed. GET lists those failures.
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+import {
+  loadRevocationTargets,
+  revokeTickets,
+  queueChainRevocations,
+  listFailedChainRevocations
+} from '../../lib/ticket-revocation.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+const MAX_TICKETS_PER_REQUEST = 200;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+
+    if (req.method === 'GET') {
+      const tickets = await listFailedChainRevocations(supabase, { eventId: req.query.event_id });
+      return res.status(200).json({
+        status: 'success',
+        data: { tickets }
+      });
+    }
+
+    const { ticket_ids, payment_id, reason, restock = true } = req.body || {};
+
+    if (!payment_id && (!Array.isArray(ticket_ids) || ticket_ids.length === 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'ticket_ids (a non-empty array) or payment_id is required'
+      });
+    }
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'reason is required'
+      });
+    }
+
+    const tickets = await loadRevocationTargets(supabase, {
+      ticketIds: payment_id ? null : [...new Set(ticket_ids)],
+      paymentId: payment_id
+    });
+    if (!tickets) {
+      return res.status(404).json({
+        status: 'error',
+        message: payment_id ? 'No tickets found for this purchase' : 'One or more tickets not found'
+      });
+    }
+    if (tickets.length > MAX_TICKETS_PER_REQUEST) {
+      return res.status(400).json({
+        status: 'error',
+        message: `At most ${MAX_TICKETS_PER_REQUEST} tickets can be revoked per request`
+      });
+    }
+
+    console.log(`🚫 Staff revocation of ${tickets.length} tickets requested by ${auth.profile.user_id}: ${reason}`);
+
+    const valid = tickets.filter(t => t.ticket_status === 'valid');
+    const revocation = await revokeTickets(supabase, {
+      ticketIds: valid.map(t => t.ticket_id),
+      reason: reason.trim(),
+      restock: restock !== false,
+      revokedBy: auth.profile.user_id
+    });
+
+    // Tickets revoked earlier whose contract revocation failed go back in the queue
+    const requeued = await queueChainRevocations(
+      supabase,
+      tickets.filter(t => t.ticket_status === 'revoked').map(t => t.ticket_id)
+    );
+
+    const revokedIds = new Set(revocation.revoked.map(t => t.ticket_id));
+    const pendingIds = new Set([...revocation.queued, ...requeued]);
+
+    // Per-ticket outcome, so a partly applied request can be followed up ticket by ticket
+    const results = tickets.map(ticket => {
+      let database;
+      let chain;
+      if (revokedIds.has(ticket.ticket_id)) {
+        database = 'revoked';
+        chain = pendingIds.has(ticket.ticket_id) ? 'pending' : 'not_registered';
+      } else if (ticket.ticket_status === 'revoked') {
+        database = 'already_revoked';
+        chain = pendingIds.has(ticket.ticket_id) ? 'pending' : ticket.revocation_chain_status || 'unchanged';
+      } else {
+        // Used or cancelled
+        database = `skipped_${ticket.ticket_status}`;
+        chain = 'unchanged';
+      }
+      return { ticket_id: ticket.ticket_id, database, chain };
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Revoked ${revokedIds.size} ticket(s), ${pendingIds.size} on-chain revocation(s) queued`,
+      data: {
+        tickets: results,
+        revoked: revokedIds.size,
+        restocked: revocation.restocked,
+        chain_pending: [...pendingIds]
+      }
+    });
+  } catch (error) {
+    console.error('❌ Ticket revocation failed:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke tickets',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
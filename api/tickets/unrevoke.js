@@ -0,0 +1,75 @@
+// /api/tickets/unrevoke.js
+// Staff un-revoke: restore revoked tickets (by id or a whole purchase) whose revocation never took
+// effect on the contract. The contract cannot reinstate a revoked token, so those are refused.
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { authenticateStaff } from '../../lib/staff-auth.js';
+import { loadRevocationTargets, restoreTickets } from '../../lib/ticket-revocation.js';
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    const auth = await authenticateStaff(supabase, req);
+    if (!auth.profile) {
+      return res.status(auth.status).json({ status: 'error', message: auth.message });
+    }
+
+    const { ticket_ids, payment_id } = req.body || {};
+    if (!payment_id && (!Array.isArray(ticket_ids) || ticket_ids.length === 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'ticket_ids (a non-empty array) or payment_id is required'
+      });
+    }
+
+    const tickets = await loadRevocationTargets(supabase, {
+      ticketIds: payment_id ? null : [...new Set(ticket_ids)],
+      paymentId: payment_id
+    });
+    if (!tickets) {
+      return res.status(404).json({
+        status: 'error',
+        message: payment_id ? 'No tickets found for this purchase' : 'One or more tickets not found'
+      });
+    }
+
+    // A purchase restores only what is revoked; explicit ids report the rest as refused
+    const ticketIds = (payment_id ? tickets.filter(t => t.ticket_status === 'revoked') : tickets).map(t => t.ticket_id);
+
+    console.log(`↩️ Restore of ${ticketIds.length} tickets requested by ${auth.profile.user_id}`);
+    const { restored, refused } = await restoreTickets(supabase, { ticketIds });
+
+    if (restored.length === 0 && refused.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'No tickets could be restored',
+        data: { restored, refused }
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Restored ${restored.length} ticket(s)`,
+      data: { restored, refused }
+    });
+  } catch (error) {
+    console.error('❌ Ticket restore failed:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to restore tickets',
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
+    });
+  }
+}
@@ -2,10 +2,13 @@
 // Enhanced user ticket wallet for mobile app with Supabase Auth and FIXED QR CODE
 
 import { createClient } from '@supabase/supabase-js';
+import { config } from '../../lib/config.js';
+import { checkRefundWindow } from '../../lib/refund-policy.js';
+import { signTicketToken, isTicketToken, createDynamicQrSeed, describeDynamicQr } from '../../lib/ticket-qr.js';
 
 const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
+  config.supabase.url,
+  config.supabase.serviceKey
 );
 
 export default async function handler(req, res) {
@@ -80,14 +83,18 @@ export default async function handler(req, res) {
         purchase_date,
         ticket_status,
         blockchain_ticket_id,
+        bound_name,
         qr_code_hash,
         qr_code_base64,
         qr_code_data,
+        dynamic_qr_seed,
         ticket_number,
         total_tickets_in_group,
         is_parent_ticket,
         parent_ticket_id,
         nft_token_id,
+        used_at,
+        used_gate,
         events (
           event_id,
           event_name,
@@ -96,7 +103,12 @@ export default async function handler(req, res) {
           event_description,
           event_image_url,
           category,
-          ticket_price
+          ticket_price,
+          refunds_enabled,
+          refund_window_days,
+          refund_fee_per_ticket,
+          dynamic_qr,
+          dynamic_qr_period_seconds
         ),
         payments (
           payment_id,
@@ -143,10 +155,17 @@ export default async function handler(req, res) {
       const eventDate = new Date(event.event_date);
       const isUpcoming = eventDate > new Date();
       const daysTillEvent = Math.ceil((eventDate - new Date()) / (1000 * 60 * 60 * 24));
+      const refundWindow = checkRefundWindow(event);
 
-      // Generate QR code properly
+      // Dynamic QR events get a seed for the app to render rotating codes, never a static image
       let qrCode = null;
-      if (include_qr === 'true') {
+      let dynamicQr = null;
+      if (event.dynamic_qr) {
+        if (ticket.ticket_status === 'valid' || ticket.ticket_status === 'used') {
+          const seed = await getDynamicQrSeed(ticket);
+          dynamicQr = describeDynamicQr(ticket.ticket_id, seed, event.dynamic_qr_period_seconds);
+        }
+      } else if (include_qr === 'true') {
         qrCode = await generateQRCode(ticket);
       }
 
@@ -181,19 +200,23 @@ export default async function handler(req, res) {
           payment_status: payment?.payment_status
         },
         qr_code: qrCode,
-        qr_data: ticket.qr_code_hash,
+        qr_data: event.dynamic_qr ? null : ticket.qr_code_hash,
+        dynamic_qr: dynamicQr,
         status: ticket.ticket_status,
         validity: {
           is_valid: ticket.ticket_status === 'valid',
           is_upcoming: isUpcoming,
           days_till_event: isUpcoming ? daysTillEvent : null,
           can_be_used: ticket.ticket_status === 'valid' && isUpcoming,
+          used_at: ticket.used_at || null,
+          used_gate: ticket.used_gate || null,
           last_checked: new Date().toISOString(),
           blockchain_verified: true // Placeholder - implement actual blockchain check
         },
         actions: {
           can_transfer: ticket.ticket_status === 'valid' && isUpcoming,
-          can_refund: ticket.ticket_status === 'valid' && daysTillEvent > 7,
+          can_refund: ticket.ticket_status === 'valid' && refundWindow.eligible,
+          refund_deadline: refundWindow.refund_deadline,
           can_download: true,
           can_share: true
         },
@@ -301,7 +324,7 @@ export default async function handler(req, res) {
     return res.status(500).json({
       status: 'error',
       message: 'An error occurred while retrieving tickets',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      error: config.env.isDevelopment ? error.message : 'Internal server error'
     });
   }
 }
@@ -309,8 +332,8 @@ export default async function handler(req, res) {
 // 🔧 FIXED: Generate QR code with proper dynamic import and fallback
 async function generateQRCode(ticket) {
   try {
-    // Method 1: Use pre-generated QR code if available
-    if (ticket.qr_code_base64) {
+    // Method 1: Use pre-generated QR code if it already carries a signed token
+    if (ticket.qr_code_base64 && isTicketToken(ticket.qr_code_data)) {
       console.log('✅ Using pre-generated QR code for ticket:', ticket.ticket_id);
       return ticket.qr_code_base64;
     }
@@ -322,18 +345,11 @@ async function generateQRCode(ticket) {
     const QRCodeModule = await import('qrcode');
     const QRCode = QRCodeModule.default || QRCodeModule;
 
-    // Create QR data structure
-    const qrData = {
-      ticket_id: ticket.ticket_id,
-      blockchain_token_id: ticket.nft_token_id || ticket.blockchain_ticket_id,
-      event_id: ticket.event_id,
-      validation_hash: ticket.qr_code_hash,
-      issued_at: ticket.purchase_date || new Date().toISOString(),
-      validation_url: `${process.env.API_BASE_URL || 'https://ticketingdb.vercel.app'}/api/tickets/validate`
-    };
+    // Same signed token as issuance so the scanner can verify it offline
+    const qrToken = getTicketQrToken(ticket);
 
     // Generate QR code as data URL
-    const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
+    const qrCodeDataURL = await QRCode.toDataURL(qrToken, {
       width: 300,
       margin: 2,
       color: {
@@ -353,12 +369,61 @@ async function generateQRCode(ticket) {
   }
 }
 
+// Stored token from issuance, or a fresh one for tickets issued with the legacy JSON payload
+function getTicketQrToken(ticket) {
+  if (isTicketToken(ticket.qr_code_data)) {
+    return ticket.qr_code_data;
+  }
+
+  return signTicketToken({
+    ticketId: ticket.ticket_id,
+    tokenId: ticket.nft_token_id,
+    boundName: ticket.bound_name,
+    eventId: ticket.event_id,
+    eventDate: ticket.events?.event_date,
+    issuedAt: ticket.purchase_date
+  });
+}
+
+// Ticket's dynamic QR seed, created on first use. The conditional update keeps the first seed
+// if two wallet requests race, so the app never holds a seed the scanner does not know.
+async function getDynamicQrSeed(ticket) {
+  if (ticket.dynamic_qr_seed) {
+    return ticket.dynamic_qr_seed;
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('tickets')
+    .update({ dynamic_qr_seed: createDynamicQrSeed() })
+    .eq('ticket_id', ticket.ticket_id)
+    .is('dynamic_qr_seed', null)
+    .select('dynamic_qr_seed');
+
+  if (updateError) {
+    throw new Error('Failed to create dynamic QR seed: ' + updateError.message);
+  }
+  if (updated && updated.length > 0) {
+    return updated[0].dynamic_qr_seed;
+  }
+
+  const { data: existing, error: readError } = await supabase
+    .from('tickets')
+    .select('dynamic_qr_seed')
+    .eq('ticket_id', ticket.ticket_id)
+    .single();
+
+  if (readError) {
+    throw new Error('Failed to read dynamic QR seed: ' + readError.message);
+  }
+  return existing.dynamic_qr_seed;
+}
+
 // Fallback QR code generation without external dependencies
 function generateFallbackQR(ticket) {
   console.log('🆘 Using fallback QR generation for ticket:', ticket.ticket_id);
   
-  // Create simple data structure
-  const qrData = `TICKET:${ticket.ticket_id}:${ticket.qr_code_hash}:${ticket.nft_token_id || 'N/A'}`;
+  // The token is already plain text, so it is handed over as-is
+  const qrData = getTicketQrToken(ticket);
   
   // Return as a simple data URL (you can replace this with actual QR generation later)
   const base64Data = Buffer.from(qrData).toString('base64');
@@ -0,0 +1,7 @@
+// /api/tickets/validate-batch.js
+// Validate many QR codes in one request for turnstile lanes and queued scans; processing lives in
+// lib/batch-validation.js
+
+import { createBatchValidationHandler } from '../../lib/batch-validation.js';
+
+export default createBatchValidationHandler();
@@ -1,8 +1,9 @@
 import { createClient } from '@supabase/supabase-js'
+import { config } from '../../lib/config.js'
 
 const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
+  config.supabase.url,
+  config.supabase.serviceKey
 )
 
 export default async function handler(req, res) {
@@ -0,0 +1,116 @@
+// /lib/admissions.js
+// Entry and exit scans backed by the scan_ticket function in supabase/migrations
+
+export const SCAN_DIRECTIONS = ['in', 'out'];
+
+// Scanner-facing result and feedback for each scan_ticket outcome
+const OUTCOMES = {
+  admitted: {
+    validation_result: 'valid',
+    message: 'Ticket is valid for entry',
+    ui_feedback: { color: 'green', message: '✅ VALID - ALLOW ENTRY', sound: 'success_beep' }
+  },
+  readmitted: {
+    validation_result: 'valid',
+    message: 'Re-entry allowed',
+    ui_feedback: { color: 'green', message: '✅ RE-ENTRY - ALLOW ENTRY', sound: 'success_beep' }
+  },
+  already_used: {
+    validation_result: 'already_used',
+    message: 'Ticket has already been used',
+    ui_feedback: { color: 'red', message: '🚫 ALREADY USED', sound: 'error_beep' }
+  },
+  already_inside: {
+    validation_result: 'already_used',
+    message: 'Ticket holder is already inside (no scan out recorded)',
+    ui_feedback: { color: 'red', message: '🚫 ALREADY INSIDE', sound: 'error_beep' }
+  },
+  exited: {
+    validation_result: 'exited',
+    message: 'Exit recorded, re-entry allowed',
+    ui_feedback: { color: 'blue', message: '↩️ EXIT RECORDED', sound: 'success_beep' }
+  },
+  exit_not_allowed: {
+    validation_result: 'exit_not_allowed',
+    message: 'Scan out is not available for this ticket',
+    ui_feedback: { color: 'orange', message: '⚠️ EXIT NOT RECORDED', sound: 'error_beep' }
+  },
+  not_admissible: {
+    validation_result: 'invalid',
+    message: 'Ticket is not valid for entry',
+    ui_feedback: { color: 'red', message: '🚫 INVALID STATUS', sound: 'error_beep' }
+  }
+};
+
+// Apply one scan atomically. Only one concurrent entry scan of a valid ticket is 'admitted';
+// every other one sees 'already_used' with the first admission's time, gate and device.
+export async function scanTicket(supabase, { ticketId, direction = 'in', gate, deviceId, scannedBy }) {
+  if (!SCAN_DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid scan direction: ${direction}`);
+  }
+
+  const { data, error } = await supabase.rpc('scan_ticket', {
+    p_ticket_id: ticketId,
+    p_direction: direction,
+    p_gate: gate || null,
+    p_device_id: deviceId || null,
+    p_scanned_by: scannedBy ? String(scannedBy) : null
+  });
+
+  if (error) {
+    throw new Error('Failed to record ticket scan: ' + error.message);
+  }
+
+  const scan = Array.isArray(data) ? data[0] : data;
+  console.log(`🚪 Scan ${direction} for ticket ${ticketId}: ${scan.outcome}`);
+  return scan;
+}
+
+// Validation result, message and UI feedback for a scan outcome
+export function describeScanOutcome(scan) {
+  return OUTCOMES[scan.outcome] || OUTCOMES.not_admissible;
+}
+
+// First-admission details shown to the scanner
+export function getAdmissionInfo(scan) {
+  return {
+    first_admitted_at: scan.used_at,
+    gate: scan.used_gate,
+    device_id: scan.used_device_id,
+    admission_count: scan.admission_count,
+    is_inside: scan.is_inside,
+    reentry_allowed: scan.reentry_allowed
+  };
+}
+
+// Apply many scans in one round trip (scan_tickets). Each scan is atomic on its own ticket;
+// a failing one comes back with outcome 'error' and does not affect the others.
+// Returns one result per scan, in input order.
+export async function scanTickets(supabase, scans) {
+  if (scans.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase.rpc('scan_tickets', {
+    p_scans: scans.map(({ ticketId, direction = 'in', gate, deviceId, scannedBy }) => {
+      if (!SCAN_DIRECTIONS.includes(direction)) {
+        throw new Error(`Invalid scan direction: ${direction}`);
+      }
+      return {
+        ticket_id: ticketId,
+        direction,
+        gate: gate || null,
+        device_id: deviceId || null,
+        scanned_by: scannedBy ? String(scannedBy) : null
+      };
+    })
+  });
+
+  if (error) {
+    throw new Error('Failed to record ticket scans: ' + error.message);
+  }
+
+  const results = [...data].sort((a, b) => a.position - b.position);
+  console.log(`🚪 Batch of ${scans.length} scans: ${results.filter(scan => scan.outcome === 'admitted').length} admitted`);
+  return results;
+}
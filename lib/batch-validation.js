@@ -0,0 +1,280 @@
+// /lib/batch-validation.js
+// Validate many QR codes in one request for turnstile lanes and queued scans: one ticket query,
+// cached chain status with one multicall for stale entries, one admissions round trip.
+// Each item gets the same validation_result / ui_feedback shape as /api/tickets/validate.
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from './config.js';
+import { scanTickets, describeScanOutcome, getAdmissionInfo, SCAN_DIRECTIONS } from './admissions.js';
+import { authenticateStaff } from './staff-auth.js';
+import { authenticateScannerDevice } from './scanner-devices.js';
+import { getTicketChainStatuses } from './chain-status-cache.js';
+import {
+  VALIDATION_TICKET_SELECT,
+  parseQrData,
+  checkScanAgainstTicket,
+  verifyBoundNames,
+  decideEntry,
+  isEntryAllowed,
+  applyAdmission,
+  buildValidationLogEntry
+} from './ticket-validation.js';
+
+const defaultSupabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+const MAX_BATCH_ITEMS = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Vercel route handler for /api/tickets/validate-batch. Tests pass their own database client.
+export function createBatchValidationHandler({ supabase = defaultSupabase } = {}) {
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        status: 'error',
+        message: 'Method not allowed'
+      });
+    }
+
+    try {
+      const staff = await authenticateStaff(supabase, req);
+      if (!staff.profile) {
+        return res.status(staff.status).json({ status: 'error', message: staff.message });
+      }
+
+      const scanner = await authenticateScannerDevice(supabase, req);
+      if (!scanner.device) {
+        return res.status(scanner.status).json({ status: 'error', message: scanner.message });
+      }
+
+      // items: QR payload strings, or { qr_data, direction, ref } to scan out or tag a result
+      const { items, scanner_info: requestedScannerInfo } = req.body || {};
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'items must be a non-empty array of QR payloads'
+        });
+      }
+      if (items.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Validate at most ${MAX_BATCH_ITEMS} items per request`
+        });
+      }
+
+      const baseScannerInfo = {
+        ...requestedScannerInfo,
+        admin_id: staff.profile.user_id,
+        device_id: scanner.device.device_id,
+        device_name: scanner.device.name
+      };
+
+      // 1. Parse every payload; anything unreadable is settled here
+      const entries = items.map((item, index) => {
+        const qrData = typeof item === 'string' ? item : item?.qr_data;
+        const direction = (typeof item === 'object' && item?.direction) || baseScannerInfo.direction || 'in';
+        const entry = {
+          index,
+          ref: typeof item === 'object' ? item?.ref ?? null : null,
+          scannerInfo: { ...baseScannerInfo, direction },
+          result: null
+        };
+
+        if (!SCAN_DIRECTIONS.includes(direction)) {
+          entry.result = errorResult('error', `direction must be one of: ${SCAN_DIRECTIONS.join(', ')}`);
+          return entry;
+        }
+
+        entry.parsed = parseQrData(qrData);
+        if (entry.parsed.rejection) {
+          entry.result = rejectionResult(entry.parsed.rejection);
+          entry.logged = entry.parsed.rejection.log ? entry.parsed.rejection : null;
+        }
+        return entry;
+      });
+
+      // 2. One query for every ticket in the batch
+      const ticketIds = [...new Set(entries
+        .filter(entry => !entry.result)
+        .map(entry => String(entry.parsed.ticketData.ticket_id).toLowerCase())
+        .filter(id => UUID_PATTERN.test(id)))];
+
+      const tickets = new Map();
+      if (ticketIds.length > 0) {
+        const { data, error } = await supabase
+          .from('tickets')
+          .select(VALIDATION_TICKET_SELECT)
+          .in('ticket_id', ticketIds);
+
+        if (error) {
+          throw new Error('Failed to load tickets: ' + error.message);
+        }
+        data.forEach(ticket => tickets.set(ticket.ticket_id, ticket));
+      }
+
+      // 3. Per-item checks against the stored ticket and this device
+      entries.filter(entry => !entry.result).forEach(entry => {
+        const ticketId = String(entry.parsed.ticketData.ticket_id).toLowerCase();
+        entry.ticket = tickets.get(ticketId);
+        if (!entry.ticket) {
+          entry.result = errorResult('invalid', 'Ticket not found in database', '🚫 TICKET NOT FOUND');
+          entry.logged = { ticket_id: UUID_PATTERN.test(ticketId) ? ticketId : null, validation_result: 'invalid', log_message: 'Ticket not found' };
+          return;
+        }
+
+        const problem = checkScanAgainstTicket(entry.ticket, entry.parsed, { device: scanner.device, gate: entry.scannerInfo.gate });
+        if (problem) {
+          entry.result = rejectionResult(problem);
+          entry.logged = problem;
+        }
+      });
+
+      // 4. Chain status of every entry scan still in play: cached while fresh, the rest in one multicall
+      const entryScans = entries.filter(entry => !entry.result && entry.scannerInfo.direction === 'in');
+      const tokenIdOf = entry => entry.parsed.ticketData.blockchain_token_id || entry.ticket.nft_token_id;
+      const chainStatuses = await getTicketChainStatuses(supabase, entryScans.map(tokenIdOf));
+
+      entryScans.forEach(entry => {
+        const tokenId = tokenIdOf(entry);
+        entry.blockchainStatus = (tokenId && chainStatuses.get(String(tokenId))) || {
+          is_revoked: false,
+          is_valid: false,
+          contract_status: 0,
+          bound_name: null,
+          last_checked: new Date().toISOString(),
+          contract_verified: false,
+          error: null
+        };
+        entry.boundNameVerification = verifyBoundNames(entry.ticket, entry.blockchainStatus, entry.parsed.ticketData.bound_name);
+        entry.decision = decideEntry(entry.ticket, entry.blockchainStatus, entry.boundNameVerification);
+      });
+
+      // 5. Admissions: allowed entries and every scan out, in request order, atomic per ticket
+      const toScan = entries.filter(entry => !entry.result
+        && (entry.scannerInfo.direction === 'out' || isEntryAllowed(entry.decision)));
+      const scans = await scanTickets(supabase, toScan.map(entry => ({
+        ticketId: entry.ticket.ticket_id,
+        direction: entry.scannerInfo.direction,
+        gate: entry.scannerInfo.gate || entry.scannerInfo.location,
+        deviceId: entry.scannerInfo.device_id,
+        scannedBy: entry.scannerInfo.admin_id
+      })));
+      toScan.forEach((entry, position) => {
+        entry.scan = scans[position];
+      });
+
+      // 6. Results in the single-endpoint shape
+      entries.filter(entry => !entry.result).forEach(entry => {
+        const { ticket, scan } = entry;
+        if (scan?.outcome === 'error') {
+          entry.result = errorResult('error', 'Failed to record admission', '⚠️ SYSTEM ERROR');
+          entry.logged = { ticket_id: ticket.ticket_id, validation_result: 'error', log_message: `Admission failed: ${scan.error}` };
+          return;
+        }
+
+        if (entry.scannerInfo.direction === 'out') {
+          const outcome = describeScanOutcome(scan);
+          entry.result = {
+            status: 'success',
+            validation_result: outcome.validation_result,
+            message: outcome.message,
+            ticket_info: ticketInfo(ticket),
+            admission: getAdmissionInfo(scan),
+            ui_feedback: outcome.ui_feedback
+          };
+        } else {
+          const decision = scan ? applyAdmission(entry.decision, scan) : entry.decision;
+          entry.result = {
+            status: 'success',
+            validation_result: decision.validationResult,
+            message: decision.statusMessage,
+            ticket_info: ticketInfo(ticket, entry.boundNameVerification),
+            admission: scan ? getAdmissionInfo(scan) : null,
+            bound_name_verification: entry.boundNameVerification,
+            blockchain_status: entry.blockchainStatus,
+            ui_feedback: decision.uiFeedback
+          };
+        }
+        entry.logged = { ticket_id: ticket.ticket_id, validation_result: entry.result.validation_result, log_message: entry.result.message };
+      });
+
+      // 7. One insert for the whole validation log
+      await logValidationAttempts(supabase, entries.filter(entry => entry.logged));
+
+      const results = entries.map(entry => ({ index: entry.index, ref: entry.ref, ...entry.result }));
+      const admitted = results.filter(result => result.validation_result === 'valid' || result.validation_result === 'valid_with_warning').length;
+      console.log(`🎫 Batch validation by ${scanner.device.device_id}: ${results.length} items, ${admitted} admitted`);
+
+      return res.status(200).json({
+        status: 'success',
+        results,
+        summary: {
+          total: results.length,
+          admitted,
+          rejected: results.length - admitted
+        }
+      });
+    } catch (error) {
+      console.error('❌ Batch validation failed:', error);
+      return res.status(500).json({
+        status: 'error',
+        validation_result: 'error',
+        message: 'Validation service error',
+        error: config.env.isDevelopment ? error.message : 'Internal server error'
+      });
+    }
+  };
+}
+
+function ticketInfo(ticket, boundNameVerification) {
+  return {
+    ticket_id: ticket.ticket_id,
+    ticket_number: ticket.ticket_number,
+    event_name: ticket.events?.event_name || 'Unknown Event',
+    holder_name: ticket.users?.id_name || 'Unknown',
+    bound_name: boundNameVerification
+      ? boundNameVerification.database_bound_name || boundNameVerification.blockchain_bound_name
+      : ticket.bound_name,
+    event_date: ticket.events?.event_date,
+    venue: ticket.events?.venue
+  };
+}
+
+function rejectionResult(rejection) {
+  return {
+    status: 'error',
+    validation_result: rejection.validation_result,
+    message: rejection.message,
+    ui_feedback: rejection.ui_feedback
+  };
+}
+
+function errorResult(validationResult, message, uiMessage = '🚫 INVALID REQUEST') {
+  return {
+    status: 'error',
+    validation_result: validationResult,
+    message,
+    ui_feedback: { color: validationResult === 'error' ? 'gray' : 'red', message: uiMessage, sound: 'error_beep' }
+  };
+}
+
+// Logging failure shouldn't fail the batch; the admissions are already recorded
+async function logValidationAttempts(supabase, entries) {
+  if (entries.length === 0) return;
+
+  const { error } = await supabase
+    .from('ticket_validation_log')
+    .insert(entries.map(entry => buildValidationLogEntry(
+      entry.logged.ticket_id,
+      entry.scannerInfo,
+      entry.logged.validation_result,
+      entry.logged.log_message
+    )));
+
+  if (error) {
+    console.error('❌ Failed to log batch validation:', error.message);
+  }
+}
@@ -0,0 +1,298 @@
+// /lib/blockchain.js
+// Shared access to the ticket revocation contract
+
+import { config, redactUrl } from './config.js';
+import { loadEthers, getProvider } from './ethereum.js';
+import { sendContractTransaction, getSignerAddress } from './chain-transactions.js';
+
+export { loadEthers, getProvider };
+
+// Blockchain configuration
+export const BLOCKCHAIN_CONFIG = config.blockchain;
+
+// Revocation methods of the ticket contract
+export const REVOCATION_ABI = [
+  "function revokeTicket(uint256 tokenId) external",
+  "function batchRevokeTickets(uint256[] calldata tokenIds) external",
+  "function getTicketStatus(uint256 tokenId) external view returns (uint8)",
+  "function isRevoked(uint256 tokenId) external view returns (bool)"
+];
+
+// Registration methods of the ticket contract
+export const REGISTRATION_ABI = [
+  "function registerTicket(uint256 tokenId, string calldata boundName) external",
+  "function batchRegisterTickets(uint256[] calldata tokenIds, string[] calldata boundNames) external",
+  "function getTicketStatus(uint256 tokenId) external view returns (uint8)",
+  "function getBoundName(uint256 tokenId) external view returns (string memory)",
+  "function owner() external view returns (address)"
+];
+
+// Read-only ticket status methods used when validating scans
+export const TICKET_STATUS_ABI = [
+  "function getTicketStatus(uint256 tokenId) external view returns (uint8)",
+  "function getBoundName(uint256 tokenId) external view returns (string memory)"
+];
+
+// Logs the indexer follows; batch registration and revocation emit one log per token
+export const TICKET_EVENTS_ABI = [
+  "event TicketRegistered(uint256 indexed tokenId, string boundName)",
+  "event TicketRevoked(uint256 indexed tokenId)"
+];
+
+const MULTICALL_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+// One multicall for a whole batch of scans, so a slow RPC costs the batch this at most
+const BATCH_READ_TIMEOUT_MS = 10 * 1000;
+
+// How long to wait for a revocation to be mined before giving up on this request
+const REVOCATION_TIMEOUT_MS = 60 * 1000;
+
+// Revoke tokens on the contract. Never throws; returns { success, transactionHash } or { success: false, error }.
+export async function revokeTokensOnChain(supabase, tokenIds) {
+  let transaction = null;
+  try {
+    if (tokenIds.length === 0) {
+      return { success: true, transactionHash: null };
+    }
+
+    console.log(`⛓️ Revoking ${tokenIds.length} tokens on blockchain:`, tokenIds);
+    transaction = await sendContractTransaction(supabase, {
+      abi: REVOCATION_ABI,
+      method: tokenIds.length === 1 ? 'revokeTicket' : 'batchRevokeTickets',
+      args: tokenIds.length === 1 ? [tokenIds[0]] : [tokenIds],
+      purpose: 'revocation'
+    });
+
+    console.log(`⏳ Revocation transaction sent: ${transaction.hash}`);
+
+    // Throws if the transaction reverted or is still unconfirmed at the timeout
+    const receipt = await transaction.wait(1, REVOCATION_TIMEOUT_MS);
+
+    console.log('✅ Revocation confirmed in block', receipt.blockNumber);
+    return {
+      success: true,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+
+  } catch (error) {
+    console.error('❌ Blockchain revocation failed:', error.message);
+    return {
+      success: false,
+      // A timed-out transaction may still be mined; keep its hash for follow-up
+      transactionHash: transaction?.hash || null,
+      error: error.message
+    };
+  }
+}
+
+// UPDATED: Register tickets in blockchain with bound names support
+// Used by the registration queue worker and the reconciliation repair. The transaction goes out
+// through lib/chain-transactions.js (shared nonce counter, tracked and gas-bumped while pending);
+// a timed-out transaction's hash is returned so the queue can tell it apart from one never sent.
+export async function registerTicketsInBlockchain(supabase, tokenIds, boundNames, { confirmations = 2, timeoutMs = 120000 } = {}) {
+  let transaction;
+  try {
+    console.log('🔗 ============ BLOCKCHAIN REGISTRATION WITH BOUND NAMES ============');
+    
+    const ethers = await loadEthers();
+
+    if (!BLOCKCHAIN_CONFIG.rpcUrl) {
+      console.error('❌ Blockchain configuration missing:');
+      console.error('   🌐 RPC URL: MISSING');
+      throw new Error('Blockchain configuration missing');
+    }
+
+    console.log('🔧 Blockchain Configuration:');
+    console.log('   🌐 RPC URL:', redactUrl(BLOCKCHAIN_CONFIG.rpcUrl));
+    console.log('   📋 Contract Address:', BLOCKCHAIN_CONFIG.contractAddress);
+    console.log('   🌊 Network:', BLOCKCHAIN_CONFIG.network);
+    console.log(`   🎫 Registering ${tokenIds.length} tokens:`, tokenIds);
+    console.log(`   📝 With bound names:`, boundNames);
+    
+    // Validate arrays match
+    if (tokenIds.length !== boundNames.length) {
+      console.error('❌ Token IDs and bound names array length mismatch');
+      console.error('   🎫 Token IDs:', tokenIds.length);
+      console.error('   📝 Bound Names:', boundNames.length);
+      throw new Error(`Array length mismatch: ${tokenIds.length} tokens vs ${boundNames.length} names`);
+    }
+    
+    // Initialize blockchain provider and contract (reads only; writes go through the signer)
+    console.log('🔄 Initializing blockchain connection...');
+    const blockchainProvider = await getProvider();
+    const contract = new ethers.Contract(BLOCKCHAIN_CONFIG.contractAddress, REGISTRATION_ABI, blockchainProvider);
+    const walletAddress = await getSignerAddress();
+    
+    console.log('👛 Wallet Address:', walletAddress);
+
+    // Check if we have gas
+    console.log('⛽ Checking wallet balance...');
+    const balance = await blockchainProvider.getBalance(walletAddress);
+    const balanceEth = ethers.utils.formatEther(balance);
+    console.log(`💰 Wallet balance: ${balanceEth} ETH`);
+
+    if (balance.lt(ethers.utils.parseEther('0.001'))) {
+      console.error('❌ Insufficient gas for blockchain transaction');
+      console.error(`   💰 Current: ${balanceEth} ETH`);
+      console.error('   🎯 Required: 0.001 ETH minimum');
+      throw new Error('Insufficient gas for blockchain transaction');
+    }
+    console.log('✅ Sufficient gas available');
+
+    // UPDATED: Use new contract methods with bound names
+    console.log('📝 Preparing blockchain transaction with bound names...');
+    
+    if (tokenIds.length === 1) {
+      console.log(`📝 Using single ticket registration for token: ${tokenIds[0]} with bound name: "${boundNames[0]}"`);
+      transaction = await sendContractTransaction(supabase, {
+        abi: REGISTRATION_ABI,
+        method: 'registerTicket',
+        args: [tokenIds[0], boundNames[0]],
+        purpose: 'registration'
+      });
+    } else {
+      console.log(`📝 Using batch registration for ${tokenIds.length} tokens with bound names`);
+      transaction = await sendContractTransaction(supabase, {
+        abi: REGISTRATION_ABI,
+        method: 'batchRegisterTickets',
+        args: [tokenIds, boundNames],
+        purpose: 'registration'
+      });
+    }
+
+    console.log(`⏳ Transaction sent to blockchain: ${transaction.hash}`);
+    console.log(`⏱️ Waiting for ${confirmations} confirmation(s) (max ${timeoutMs / 1000} seconds)...`);
+    
+    // Wait for confirmation with timeout (follows gas-bumped replacements of the same nonce)
+    const receipt = await transaction.wait(confirmations, timeoutMs);
+
+    console.log('✅ ============ BLOCKCHAIN TRANSACTION CONFIRMED ============');
+    console.log('🔗 Transaction Hash:', receipt.transactionHash);
+    console.log('📦 Block Number:', receipt.blockNumber);
+    console.log('⛽ Gas Used:', receipt.gasUsed.toString());
+    console.log('🔴 Status:', receipt.status === 1 ? 'SUCCESS' : 'FAILED');
+
+    // Verify registration and bound name for first ticket
+    console.log('🔍 Verifying ticket registration and bound name...');
+    const firstTokenStatus = await contract.getTicketStatus(tokenIds[0]);
+    const firstTokenBoundName = await contract.getBoundName(tokenIds[0]);
+    
+    console.log('📊 First token status:', firstTokenStatus.toString());
+    console.log('📝 First token bound name:', firstTokenBoundName);
+    
+    if (firstTokenStatus.toString() !== '1') {
+      console.error('❌ Ticket registration verification failed');
+      console.error('   📊 Expected status: 1 (registered)');
+      console.error('   📊 Actual status:', firstTokenStatus.toString());
+      throw new Error('Ticket registration verification failed');
+    }
+    
+    if (firstTokenBoundName !== boundNames[0]) {
+      console.error('❌ Bound name verification failed');
+      console.error('   📝 Expected bound name:', boundNames[0]);
+      console.error('   📝 Actual bound name:', firstTokenBoundName);
+      throw new Error('Bound name verification failed');
+    }
+    
+    console.log('✅ Ticket registration and bound name verified successfully');
+
+    return {
+      success: true,
+      transactionHash: receipt.transactionHash,
+      gasUsed: receipt.gasUsed.toString(),
+      blockNumber: receipt.blockNumber
+    };
+
+  } catch (error) {
+    console.error('🔥 ============ BLOCKCHAIN REGISTRATION FAILED ============');
+    console.error('❌ Error message:', error.message);
+    console.error('📊 Error details:', error);
+    
+    return {
+      success: false,
+      transactionHash: transaction?.hash || null,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Status and bound name of many tokens in one eth_call through Multicall3. Never throws: if the
+// read fails every token gets contract_verified false with the error, as a single failed read
+// does in validate. Returns Map tokenId (string) -> status in validate's blockchain_status shape.
+export async function readTicketStatuses(tokenIds) {
+  const uniqueIds = [...new Set(tokenIds.map(String))];
+  const statuses = new Map();
+  const lastChecked = new Date().toISOString();
+  const unverified = error => ({
+    is_revoked: false,
+    is_valid: false,
+    contract_status: 0,
+    bound_name: null,
+    last_checked: lastChecked,
+    contract_verified: false,
+    error
+  });
+
+  if (uniqueIds.length === 0) {
+    return statuses;
+  }
+
+  try {
+    if (!BLOCKCHAIN_CONFIG.rpcUrl || !BLOCKCHAIN_CONFIG.contractAddress) {
+      throw new Error('Blockchain configuration missing');
+    }
+
+    const ethers = await loadEthers();
+    const provider = new ethers.providers.JsonRpcProvider(BLOCKCHAIN_CONFIG.rpcUrl);
+    const ticketInterface = new ethers.utils.Interface(TICKET_STATUS_ABI);
+    const multicall = new ethers.Contract(BLOCKCHAIN_CONFIG.multicallAddress, MULTICALL_ABI, provider);
+
+    const calls = uniqueIds.flatMap(tokenId => [
+      { target: BLOCKCHAIN_CONFIG.contractAddress, allowFailure: true, callData: ticketInterface.encodeFunctionData('getTicketStatus', [tokenId]) },
+      { target: BLOCKCHAIN_CONFIG.contractAddress, allowFailure: true, callData: ticketInterface.encodeFunctionData('getBoundName', [tokenId]) }
+    ]);
+
+    const results = await Promise.race([
+      multicall.callStatic.aggregate3(calls),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Blockchain batch read timeout')), BATCH_READ_TIMEOUT_MS)
+      )
+    ]);
+
+    uniqueIds.forEach((tokenId, index) => {
+      const statusResult = results[index * 2];
+      const nameResult = results[index * 2 + 1];
+      if (!statusResult.success) {
+        statuses.set(tokenId, unverified('getTicketStatus reverted'));
+        return;
+      }
+
+      const statusNumber = Number(ticketInterface.decodeFunctionResult('getTicketStatus', statusResult.returnData)[0]);
+      let boundName = null;
+      if (nameResult.success && (statusNumber === 1 || statusNumber === 2)) {
+        boundName = ticketInterface.decodeFunctionResult('getBoundName', nameResult.returnData)[0] || null;
+      }
+
+      statuses.set(tokenId, {
+        is_revoked: statusNumber === 2,
+        is_valid: statusNumber === 1,
+        contract_status: statusNumber,
+        bound_name: boundName,
+        last_checked: lastChecked,
+        contract_verified: true,
+        error: null
+      });
+    });
+
+    console.log(`⛓️ Read ${uniqueIds.length} ticket statuses in one multicall`);
+  } catch (error) {
+    console.error('❌ Blockchain batch read failed:', error.message);
+    uniqueIds.forEach(tokenId => statuses.set(tokenId, unverified(error.message)));
+  }
+
+  return statuses;
+}
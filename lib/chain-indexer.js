@@ -0,0 +1,259 @@
+// /lib/chain-indexer.js
+// Follows the revocation contract's TicketRegistered / TicketRevoked logs into Supabase:
+// ticket_chain_events keeps every log, ticket_chain_status the resulting per-token status, and
+// tickets revoked directly on-chain are flipped to 'revoked'. One pass indexes from the stored
+// cursor up to the head minus INDEXER_CONFIRMATIONS.
+//
+// Reorgs: each pass first checks that the cursor block's hash is still canonical. If not, logs
+// above a rewind point are deleted, the tokens they touched are re-read live, and indexing
+// resumes from the rewind point.
+
+import { config } from './config.js';
+import { BLOCKCHAIN_CONFIG, TICKET_EVENTS_ABI, loadEthers, getProvider, readTicketStatuses } from './blockchain.js';
+import { recordChainStatuses } from './chain-status-cache.js';
+
+// eth_getLogs range per request; public RPC endpoints commonly cap ranges around here
+const MAX_BLOCK_RANGE = 2000;
+
+// Ranges per pass, so one invocation stays inside the function timeout
+const MAX_RANGES_PER_PASS = 10;
+
+// How far back to rewind when the cursor block was reorged away
+const REORG_REWIND_BLOCKS = 64;
+
+// Why a ticket was revoked by the indexer rather than through our own endpoints
+export const ON_CHAIN_REVOCATION_REASON = 'on_chain_revocation';
+
+// Run one indexing pass. `provider` defaults to the configured RPC endpoint; pass another
+// (e.g. a local Anvil or Hardhat node) to test against a throwaway chain.
+// Returns { from_block, to_block, head, logs, reorg, tokens_updated, tickets_revoked }.
+export async function runChainIndexer(supabase, { provider, maxRanges = MAX_RANGES_PER_PASS } = {}) {
+  const ethers = await loadEthers();
+  const chain = provider || await getProvider();
+  const contractAddress = BLOCKCHAIN_CONFIG.contractAddress.toLowerCase();
+  const eventsInterface = new ethers.utils.Interface(TICKET_EVENTS_ABI);
+  const { confirmations, startBlock } = config.blockchain.indexer;
+
+  const head = await chain.getBlockNumber();
+  const safeHead = head - confirmations;
+  let cursor = await loadCursor(supabase, contractAddress);
+
+  if (!cursor) {
+    const initialBlock = (startBlock ?? Math.max(safeHead, 0)) - 1;
+    cursor = { last_block: initialBlock, last_block_hash: null };
+    console.log(`🧭 No indexer cursor for ${contractAddress}, starting after block ${initialBlock}`);
+  }
+
+  const summary = { from_block: cursor.last_block + 1, to_block: cursor.last_block, head, logs: 0, reorg: null, tokens_updated: 0, tickets_revoked: 0 };
+
+  // Reorg check against the block the cursor was saved at
+  if (cursor.last_block_hash) {
+    const block = await chain.getBlock(cursor.last_block);
+    if (!block || block.hash !== cursor.last_block_hash) {
+      const rewindTo = Math.max(cursor.last_block - REORG_REWIND_BLOCKS, (startBlock ?? 0) - 1);
+      console.warn(`⚠️ Reorg detected at block ${cursor.last_block}, rewinding to ${rewindTo}`);
+      summary.reorg = { detected_at: cursor.last_block, rewound_to: rewindTo };
+      summary.tokens_updated += await undoLogsAfter(supabase, rewindTo);
+      cursor = { last_block: rewindTo, last_block_hash: null };
+      summary.from_block = rewindTo + 1;
+      summary.to_block = rewindTo;
+    }
+  }
+
+  for (let range = 0; range < maxRanges && cursor.last_block < safeHead; range++) {
+    const fromBlock = cursor.last_block + 1;
+    const toBlock = Math.min(safeHead, fromBlock + MAX_BLOCK_RANGE - 1);
+
+    const rawLogs = await chain.getLogs({
+      address: BLOCKCHAIN_CONFIG.contractAddress,
+      fromBlock,
+      toBlock,
+      topics: [[eventsInterface.getEventTopic('TicketRegistered'), eventsInterface.getEventTopic('TicketRevoked')]]
+    });
+
+    const logs = rawLogs
+      .filter(log => !log.removed)
+      .map(log => {
+        const parsed = eventsInterface.parseLog(log);
+        return {
+          transaction_hash: log.transactionHash,
+          log_index: log.logIndex,
+          block_number: log.blockNumber,
+          block_hash: log.blockHash,
+          event_name: parsed.name,
+          token_id: parsed.args.tokenId.toString(),
+          bound_name: parsed.name === 'TicketRegistered' ? parsed.args.boundName : null
+        };
+      })
+      .sort((a, b) => a.block_number - b.block_number || a.log_index - b.log_index);
+
+    if (logs.length > 0) {
+      await storeLogs(supabase, logs);
+      const applied = await applyLogs(supabase, logs);
+      summary.tokens_updated += applied.tokensUpdated;
+      summary.tickets_revoked += applied.ticketsRevoked;
+      summary.logs += logs.length;
+    }
+
+    const block = await chain.getBlock(toBlock);
+    cursor = { last_block: toBlock, last_block_hash: block.hash };
+    await saveCursor(supabase, contractAddress, cursor);
+    summary.to_block = toBlock;
+    console.log(`⛓️ Indexed blocks ${fromBlock}-${toBlock}: ${logs.length} logs`);
+  }
+
+  // A rewind with nothing new to index still has to be persisted
+  if (summary.reorg && summary.to_block === summary.reorg.rewound_to) {
+    await saveCursor(supabase, contractAddress, cursor);
+  }
+
+  return summary;
+}
+
+async function loadCursor(supabase, contractAddress) {
+  const { data, error } = await supabase
+    .from('chain_indexer_cursors')
+    .select('last_block, last_block_hash')
+    .eq('contract_address', contractAddress)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to load indexer cursor: ' + error.message);
+  }
+  return data ? { last_block: Number(data.last_block), last_block_hash: data.last_block_hash } : null;
+}
+
+async function saveCursor(supabase, contractAddress, cursor) {
+  const { error } = await supabase
+    .from('chain_indexer_cursors')
+    .upsert({
+      contract_address: contractAddress,
+      last_block: cursor.last_block,
+      last_block_hash: cursor.last_block_hash,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'contract_address' });
+
+  if (error) {
+    throw new Error('Failed to save indexer cursor: ' + error.message);
+  }
+}
+
+// Re-indexing a range after a crash inserts the same logs again; they are ignored
+async function storeLogs(supabase, logs) {
+  const { error } = await supabase
+    .from('ticket_chain_events')
+    .upsert(logs, { onConflict: 'transaction_hash,log_index', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error('Failed to store contract logs: ' + error.message);
+  }
+}
+
+// Fold logs (in chain order) into per-token status, and flip tickets revoked on-chain
+async function applyLogs(supabase, logs) {
+  const latest = new Map();
+  logs.forEach(log => {
+    const previous = latest.get(log.token_id);
+    latest.set(log.token_id, {
+      tokenId: log.token_id,
+      contractStatus: log.event_name === 'TicketRevoked' ? 2 : 1,
+      // A revocation keeps the bound name registered before it
+      boundName: log.event_name === 'TicketRegistered' ? log.bound_name : previous?.boundName,
+      blockNumber: log.block_number,
+      transactionHash: log.transaction_hash
+    });
+  });
+
+  const statuses = [...latest.values()];
+  const withName = statuses.filter(status => status.boundName !== undefined);
+  const withoutName = statuses.filter(status => status.boundName === undefined);
+  await recordChainStatuses(supabase, withName, 'event');
+  await recordChainStatuses(supabase, withoutName, 'event');
+
+  const registered = statuses.filter(status => status.contractStatus === 1).map(status => status.tokenId);
+  if (registered.length > 0) {
+    const { error } = await supabase
+      .from('tickets')
+      .update({ blockchain_registered: true, nft_mint_status: 'minted' })
+      .in('nft_token_id', registered)
+      .eq('blockchain_registered', false);
+
+    if (error) {
+      console.error('❌ Failed to mark tickets registered from chain logs:', error.message);
+    }
+  }
+
+  let ticketsRevoked = 0;
+  for (const status of statuses.filter(s => s.contractStatus === 2)) {
+    const { data: flipped, error } = await supabase
+      .from('tickets')
+      .update({
+        ticket_status: 'revoked',
+        revoked_at: new Date().toISOString(),
+        revocation_reason: ON_CHAIN_REVOCATION_REASON,
+        revocation_chain_status: 'revoked',
+        revocation_tx_hash: status.transactionHash
+      })
+      .eq('nft_token_id', status.tokenId)
+      .eq('ticket_status', 'valid')
+      .select('ticket_id');
+
+    if (error) {
+      console.error(`❌ Failed to revoke ticket for token ${status.tokenId}:`, error.message);
+      continue;
+    }
+    if (flipped.length > 0) {
+      console.log(`🚫 Token ${status.tokenId} revoked on-chain, ticket ${flipped[0].ticket_id} revoked`);
+      ticketsRevoked += flipped.length;
+    }
+  }
+
+  return { tokensUpdated: statuses.length, ticketsRevoked };
+}
+
+// Undo a reorg: drop logs above the rewind point and re-read the tokens they touched from the
+// chain head. Tickets the indexer revoked whose token is valid again are restored.
+// Returns the number of tokens re-read.
+async function undoLogsAfter(supabase, rewindTo) {
+  const { data: removed, error } = await supabase
+    .from('ticket_chain_events')
+    .delete()
+    .gt('block_number', rewindTo)
+    .select('token_id');
+
+  if (error) {
+    throw new Error('Failed to remove reorged contract logs: ' + error.message);
+  }
+
+  const tokenIds = [...new Set(removed.map(log => log.token_id))];
+  if (tokenIds.length === 0) {
+    return 0;
+  }
+
+  const statuses = await readTicketStatuses(tokenIds);
+  const verified = [...statuses.entries()].filter(([, status]) => status.contract_verified);
+  await recordChainStatuses(supabase, verified.map(([tokenId, status]) => ({
+    tokenId,
+    contractStatus: status.contract_status,
+    boundName: status.bound_name
+  })), 'live');
+
+  const validAgain = verified.filter(([, status]) => status.contract_status === 1).map(([tokenId]) => tokenId);
+  if (validAgain.length > 0) {
+    const { data: restored, error: restoreError } = await supabase
+      .from('tickets')
+      .update({ ticket_status: 'valid', revoked_at: null, revocation_reason: null, revocation_chain_status: null, revocation_tx_hash: null })
+      .in('nft_token_id', validAgain)
+      .eq('ticket_status', 'revoked')
+      .eq('revocation_reason', ON_CHAIN_REVOCATION_REASON)
+      .select('ticket_id');
+
+    if (restoreError) {
+      console.error('❌ Failed to restore tickets after reorg:', restoreError.message);
+    } else if (restored.length > 0) {
+      console.warn(`↩️ Restored ${restored.length} tickets whose on-chain revocation was reorged away`);
+    }
+  }
+
+  return tokenIds.length;
+}
@@ -0,0 +1,371 @@
+// /lib/chain-reconciliation.js
+// Compare every ticket of an event with the revocation contract and optionally repair the drift.
+// The contract is authoritative for what is on-chain; the database for what should be there:
+// live tickets missing on-chain are registered, tickets revoked only in the database are revoked
+// on-chain, tokens revoked only on-chain revoke their ticket, and registration / revocation
+// flags that disagree with the chain are corrected. Bound name mismatches are reported only,
+// since neither side can be rewritten safely without a person looking at the purchase.
+
+import { readTicketStatuses, revokeTokensOnChain, registerTicketsInBlockchain } from './blockchain.js';
+import { recordChainStatuses } from './chain-status-cache.js';
+import { ON_CHAIN_REVOCATION_REASON } from './chain-indexer.js';
+
+// Drift kinds, each with the repair it gets (null: report only)
+export const DRIFT_REPAIRS = {
+  missing_on_chain: 'register',
+  revoked_in_db_only: 'revoke_on_chain',
+  revoked_on_chain_only: 'revoke_in_db',
+  registration_unrecorded: 'correct_record',
+  registration_flag_stale: 'correct_record',
+  revocation_unrecorded: 'correct_record',
+  bound_name_mismatch: null
+};
+
+export const REPAIR_ACTIONS = ['register', 'revoke_on_chain', 'revoke_in_db', 'correct_record'];
+
+const LIVE_STATUSES = ['valid', 'used'];
+
+// Tickets whose registration was sent this recently may still be in flight and are skipped
+const REGISTRATION_GRACE_MS = 15 * 60 * 1000;
+
+const TICKET_PAGE_SIZE = 1000;
+const MULTICALL_CHUNK_SIZE = 200;
+
+// Tokens per registration transaction
+const REGISTRATION_CHUNK_SIZE = 50;
+
+const RECONCILIATION_SELECT = 'ticket_id, ticket_number, ticket_status, bound_name, nft_token_id, nft_mint_status, blockchain_registered, revocation_chain_status, purchase_date';
+
+// Build the drift report for one event.
+// Returns { event_id, checked_at, summary, drift, unverified } or null when the event does not exist.
+export async function reconcileEvent(supabase, eventId) {
+  const { data: event, error: eventError } = await supabase
+    .from('events')
+    .select('event_id, event_name')
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (eventError) {
+    throw new Error('Failed to load event: ' + eventError.message);
+  }
+  if (!event) {
+    return null;
+  }
+
+  const tickets = await loadEventTickets(supabase, eventId);
+  const withToken = tickets.filter(ticket => ticket.nft_token_id);
+  console.log(`🔍 Reconciling ${withToken.length} tickets of ${event.event_name} against the contract`);
+
+  const chainStatuses = new Map();
+  const tokenIds = [...new Set(withToken.map(ticket => String(ticket.nft_token_id)))];
+  for (let i = 0; i < tokenIds.length; i += MULTICALL_CHUNK_SIZE) {
+    const statuses = await readTicketStatuses(tokenIds.slice(i, i + MULTICALL_CHUNK_SIZE));
+    statuses.forEach((status, tokenId) => chainStatuses.set(tokenId, status));
+  }
+
+  // Fresh reads are as good as a poll; keep the scan-time cache warm with them
+  const verified = [...chainStatuses.entries()].filter(([, status]) => status.contract_verified);
+  await recordChainStatuses(supabase, verified.map(([tokenId, status]) => ({
+    tokenId,
+    contractStatus: status.contract_status,
+    boundName: status.bound_name
+  })), 'live');
+
+  const now = Date.now();
+  const drift = [];
+  const unverified = [];
+  let inFlight = 0;
+
+  withToken.forEach(ticket => {
+    const chain = chainStatuses.get(String(ticket.nft_token_id));
+    if (!chain?.contract_verified) {
+      unverified.push({ ticket_id: ticket.ticket_id, token_id: String(ticket.nft_token_id), error: chain?.error || null });
+      return;
+    }
+    if (ticket.nft_mint_status === 'pending' && chain.contract_status === 0
+      && now - new Date(ticket.purchase_date).getTime() < REGISTRATION_GRACE_MS) {
+      inFlight++;
+      return;
+    }
+    drift.push(...findTicketDrift(ticket, chain));
+  });
+
+  const byKind = {};
+  drift.forEach(item => {
+    byKind[item.kind] = (byKind[item.kind] || 0) + 1;
+  });
+
+  const summary = {
+    tickets: tickets.length,
+    without_token: tickets.length - withToken.length,
+    checked: withToken.length - unverified.length - inFlight,
+    in_flight: inFlight,
+    unverified: unverified.length,
+    drifted_tickets: new Set(drift.map(item => item.ticket_id)).size,
+    by_kind: byKind
+  };
+  console.log(`📋 Reconciliation of ${eventId}:`, summary);
+
+  return {
+    event_id: event.event_id,
+    event_name: event.event_name,
+    checked_at: new Date(now).toISOString(),
+    summary,
+    drift,
+    unverified
+  };
+}
+
+// Every way one ticket disagrees with its token on-chain
+function findTicketDrift(ticket, chain) {
+  const drift = [];
+  const live = LIVE_STATUSES.includes(ticket.ticket_status);
+  const recordedRegistered = ticket.blockchain_registered === true && ticket.nft_mint_status === 'minted';
+  const item = (kind, correction = null) => ({
+    ticket_id: ticket.ticket_id,
+    ticket_number: ticket.ticket_number,
+    token_id: String(ticket.nft_token_id),
+    kind,
+    repair: DRIFT_REPAIRS[kind],
+    database: {
+      ticket_status: ticket.ticket_status,
+      blockchain_registered: ticket.blockchain_registered,
+      nft_mint_status: ticket.nft_mint_status,
+      revocation_chain_status: ticket.revocation_chain_status,
+      bound_name: ticket.bound_name || null
+    },
+    chain: {
+      contract_status: chain.contract_status,
+      bound_name: chain.bound_name
+    },
+    correction
+  });
+
+  if (chain.contract_status === 0) {
+    if (live) {
+      drift.push(item('missing_on_chain'));
+    } else if (ticket.blockchain_registered) {
+      drift.push(item('registration_flag_stale', { blockchain_registered: false, nft_mint_status: 'failed' }));
+    }
+    return drift;
+  }
+
+  if (!recordedRegistered) {
+    drift.push(item('registration_unrecorded', { blockchain_registered: true, nft_mint_status: 'minted' }));
+  }
+
+  if (chain.contract_status === 1 && ticket.ticket_status === 'revoked') {
+    drift.push(item('revoked_in_db_only'));
+  }
+  if (chain.contract_status === 2 && live) {
+    drift.push(item('revoked_on_chain_only'));
+  }
+  if (chain.contract_status === 2 && ticket.ticket_status === 'revoked' && ticket.revocation_chain_status !== 'revoked') {
+    // e.g. a revocation that timed out here but was mined afterwards
+    drift.push(item('revocation_unrecorded', { revocation_chain_status: 'revoked', blockchain_error: null }));
+  }
+
+  if ((ticket.bound_name || null) !== (chain.bound_name || null)) {
+    drift.push(item('bound_name_mismatch'));
+  }
+  return drift;
+}
+
+async function loadEventTickets(supabase, eventId) {
+  const tickets = [];
+  for (let from = 0; ; from += TICKET_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('tickets')
+      .select(RECONCILIATION_SELECT)
+      .eq('event_id', eventId)
+      .order('ticket_id')
+      .range(from, from + TICKET_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error('Failed to load event tickets: ' + error.message);
+    }
+    tickets.push(...data);
+    if (data.length < TICKET_PAGE_SIZE) {
+      return tickets;
+    }
+  }
+}
+
+// Apply the repairs of a report. `actions` limits which repair actions run (default: all).
+// Returns one result per action taken: { action, ticket_ids, success, transaction_hash, error }.
+export async function repairDrift(supabase, report, { actions = REPAIR_ACTIONS } = {}) {
+  const results = [];
+  const itemsFor = action => report.drift.filter(item => item.repair === action && actions.includes(action));
+
+  const toRegister = itemsFor('register');
+  for (let i = 0; i < toRegister.length; i += REGISTRATION_CHUNK_SIZE) {
+    results.push(await registerMissing(supabase, toRegister.slice(i, i + REGISTRATION_CHUNK_SIZE)));
+  }
+
+  const toRevokeOnChain = itemsFor('revoke_on_chain');
+  if (toRevokeOnChain.length > 0) {
+    results.push(await revokeOnChain(supabase, toRevokeOnChain));
+  }
+
+  const toRevokeInDb = itemsFor('revoke_in_db');
+  if (toRevokeInDb.length > 0) {
+    results.push(await revokeInDatabase(supabase, toRevokeInDb));
+  }
+
+  // Identical corrections go out as one update
+  const corrections = new Map();
+  itemsFor('correct_record').forEach(item => {
+    const key = JSON.stringify(item.correction);
+    corrections.set(key, [...(corrections.get(key) || []), item]);
+  });
+  for (const [key, items] of corrections) {
+    results.push(await correctRecords(supabase, items, JSON.parse(key)));
+  }
+
+  const failed = results.filter(result => !result.success).length;
+  console.log(`🛠️ Reconciliation repairs for ${report.event_id}: ${results.length} actions, ${failed} failed`);
+  return results;
+}
+
+async function registerMissing(supabase, items) {
+  const ticketIds = items.map(item => item.ticket_id);
+  const registration = await registerTicketsInBlockchain(
+    supabase,
+    items.map(item => item.token_id),
+    items.map(item => item.database.bound_name || '')
+  );
+
+  if (!registration.success) {
+    return { action: 'register', ticket_ids: ticketIds, success: false, transaction_hash: null, error: registration.error };
+  }
+
+  const { error } = await supabase
+    .from('tickets')
+    .update({
+      nft_mint_status: 'minted',
+      blockchain_registered: true,
+      blockchain_tx_hash: registration.transactionHash,
+      blockchain_error: null
+    })
+    .in('ticket_id', ticketIds);
+
+  if (error) {
+    console.error('❌ Registered on-chain but failed to record it:', error.message);
+  }
+
+  await recordChainStatuses(supabase, items.map(item => ({
+    tokenId: item.token_id,
+    contractStatus: 1,
+    boundName: item.database.bound_name || null,
+    blockNumber: registration.blockNumber
+  })), 'registration');
+
+  return {
+    action: 'register',
+    ticket_ids: ticketIds,
+    success: !error,
+    transaction_hash: registration.transactionHash,
+    error: error?.message || null
+  };
+}
+
+async function revokeOnChain(supabase, items) {
+  const ticketIds = items.map(item => item.ticket_id);
+  const chain = await revokeTokensOnChain(supabase, items.map(item => item.token_id));
+
+  const { error } = await supabase
+    .from('tickets')
+    .update({
+      revocation_chain_status: chain.success ? 'revoked' : 'failed',
+      revocation_tx_hash: chain.transactionHash,
+      blockchain_error: chain.success ? null : chain.error
+    })
+    .in('ticket_id', ticketIds);
+
+  if (error) {
+    console.error('❌ Failed to record revocation transaction:', error.message);
+  }
+
+  if (chain.success) {
+    await recordChainStatuses(supabase, items.map(item => ({
+      tokenId: item.token_id,
+      contractStatus: 2,
+      blockNumber: chain.blockNumber
+    })), 'revocation');
+  }
+
+  return {
+    action: 'revoke_on_chain',
+    ticket_ids: ticketIds,
+    success: chain.success && !error,
+    transaction_hash: chain.transactionHash,
+    error: chain.error || error?.message || null
+  };
+}
+
+// Same record the indexer leaves for a token revoked directly on the contract
+async function revokeInDatabase(supabase, items) {
+  const { data: revoked, error } = await supabase
+    .from('tickets')
+    .update({
+      ticket_status: 'revoked',
+      revoked_at: new Date().toISOString(),
+      revocation_reason: ON_CHAIN_REVOCATION_REASON,
+      revocation_chain_status: 'revoked'
+    })
+    .in('ticket_id', items.map(item => item.ticket_id))
+    .in('ticket_status', LIVE_STATUSES)
+    .select('ticket_id');
+
+  return {
+    action: 'revoke_in_db',
+    ticket_ids: (revoked || []).map(ticket => ticket.ticket_id),
+    success: !error,
+    transaction_hash: null,
+    error: error?.message || null
+  };
+}
+
+async function correctRecords(supabase, items, correction) {
+  const ticketIds = items.map(item => item.ticket_id);
+  const { error } = await supabase
+    .from('tickets')
+    .update(correction)
+    .in('ticket_id', ticketIds);
+
+  return {
+    action: 'correct_record',
+    ticket_ids: ticketIds,
+    success: !error,
+    transaction_hash: null,
+    error: error?.message || null
+  };
+}
+
+const CSV_COLUMNS = [
+  ['ticket_id', item => item.ticket_id],
+  ['ticket_number', item => item.ticket_number],
+  ['token_id', item => item.token_id],
+  ['kind', item => item.kind],
+  ['repair', item => item.repair || 'manual'],
+  ['db_ticket_status', item => item.database.ticket_status],
+  ['db_blockchain_registered', item => item.database.blockchain_registered],
+  ['db_nft_mint_status', item => item.database.nft_mint_status],
+  ['db_bound_name', item => item.database.bound_name],
+  ['chain_status', item => item.chain.contract_status],
+  ['chain_bound_name', item => item.chain.bound_name]
+];
+
+// One row per drift item
+export function driftToCsv(report) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...report.drift.map(item => CSV_COLUMNS.map(([, value]) => escape(value(item))).join(','))
+  ];
+  return rows.join('\n') + '\n';
+}
@@ -0,0 +1,115 @@
+// /lib/chain-status-cache.js
+// Cached contract status per token (ticket_chain_status). Reads come from the cache while it is
+// fresh; stale or missing tokens are read live in one multicall and written back. When the chain
+// cannot be reached, a stale entry is served (marked as such) rather than nothing.
+
+import { config } from './config.js';
+import { readTicketStatuses } from './blockchain.js';
+
+// Map tokenId -> blockchain status in validate's shape, plus `source` ('cache', 'live' or
+// 'stale_cache') and `cache_age_seconds`
+export async function getTicketChainStatuses(supabase, tokenIds, { maxAgeSeconds = config.blockchain.statusTtlSeconds } = {}) {
+  const uniqueIds = [...new Set(tokenIds.filter(Boolean).map(String))];
+  const statuses = new Map();
+  if (uniqueIds.length === 0) {
+    return statuses;
+  }
+
+  const cached = await readCachedStatuses(supabase, uniqueIds);
+  const now = Date.now();
+  const stale = [];
+
+  uniqueIds.forEach(tokenId => {
+    const row = cached.get(tokenId);
+    const ageSeconds = row ? Math.max(0, Math.floor((now - new Date(row.checked_at).getTime()) / 1000)) : null;
+    if (row && ageSeconds <= maxAgeSeconds) {
+      statuses.set(tokenId, fromCacheRow(row, 'cache', ageSeconds));
+    } else {
+      stale.push(tokenId);
+    }
+  });
+
+  if (stale.length === 0) {
+    return statuses;
+  }
+
+  console.log(`⛓️ Chain status cache miss for ${stale.length} of ${uniqueIds.length} tokens, reading live`);
+  const live = await readTicketStatuses(stale);
+  const verified = [];
+
+  stale.forEach(tokenId => {
+    const status = live.get(tokenId);
+    const row = cached.get(tokenId);
+    if (status?.contract_verified) {
+      statuses.set(tokenId, { ...status, source: 'live', cache_age_seconds: 0 });
+      verified.push({ tokenId, contractStatus: status.contract_status, boundName: status.bound_name });
+    } else if (row) {
+      // RPC outage: an old answer beats none, and the response says how old it is
+      const ageSeconds = Math.floor((now - new Date(row.checked_at).getTime()) / 1000);
+      statuses.set(tokenId, { ...fromCacheRow(row, 'stale_cache', ageSeconds), error: status?.error || null });
+    } else {
+      statuses.set(tokenId, { ...status, source: 'live', cache_age_seconds: null });
+    }
+  });
+
+  await recordChainStatuses(supabase, verified, 'live');
+  return statuses;
+}
+
+// Upsert known statuses: [{ tokenId, contractStatus, boundName?, blockNumber? }]. A boundName
+// left undefined keeps the cached one; entries in one call should all set it or all leave it out,
+// since a bulk upsert writes the same columns for every row. Never throws; the cache is an optimisation.
+export async function recordChainStatuses(supabase, entries, source) {
+  if (entries.length === 0) return;
+
+  const checkedAt = new Date().toISOString();
+  const rows = entries.map(({ tokenId, contractStatus, boundName, blockNumber }) => {
+    const row = {
+      token_id: String(tokenId),
+      contract_status: contractStatus,
+      source,
+      block_number: blockNumber ?? null,
+      checked_at: checkedAt
+    };
+    if (boundName !== undefined) row.bound_name = boundName;
+    return row;
+  });
+
+  const { error } = await supabase
+    .from('ticket_chain_status')
+    .upsert(rows, { onConflict: 'token_id' });
+
+  if (error) {
+    console.error('❌ Failed to update chain status cache:', error.message);
+  }
+}
+
+async function readCachedStatuses(supabase, tokenIds) {
+  const cached = new Map();
+  const { data, error } = await supabase
+    .from('ticket_chain_status')
+    .select('token_id, contract_status, bound_name, checked_at')
+    .in('token_id', tokenIds);
+
+  if (error) {
+    console.error('❌ Failed to read chain status cache:', error.message);
+    return cached;
+  }
+
+  data.forEach(row => cached.set(row.token_id, row));
+  return cached;
+}
+
+function fromCacheRow(row, source, ageSeconds) {
+  return {
+    is_revoked: row.contract_status === 2,
+    is_valid: row.contract_status === 1,
+    contract_status: row.contract_status,
+    bound_name: row.bound_name || null,
+    last_checked: row.checked_at,
+    contract_verified: true,
+    error: null,
+    source,
+    cache_age_seconds: ageSeconds
+  };
+}
@@ -0,0 +1,370 @@
+// /lib/chain-transactions.js
+// Transactions from the admin wallet. Nonces come from a DB-backed counter (allocate_signer_nonce)
+// so concurrent webhooks, crons and admin requests never reuse one; signing goes through the
+// configured signer (lib/signers); every transaction is recorded in chain_transactions before it
+// is broadcast, with each hash it was sent under. maintainChainTransactions settles, re-broadcasts
+// and gas-bumps pending transactions and fills nonce gaps left by sends that never went out.
+
+import { config } from './config.js';
+import { loadEthers, getProvider } from './ethereum.js';
+import { getSigner } from './signers/index.js';
+
+// Estimated gas plus this margin, in percent
+const GAS_LIMIT_MARGIN_PERCENT = 120;
+
+// A pending transaction older than this is re-sent with fees raised by BUMP_PERCENT (nodes
+// require at least +10% to replace one), at most MAX_GAS_BUMPS times
+const STUCK_AFTER_MS = 3 * 60 * 1000;
+const BUMP_PERCENT = 125;
+const MAX_GAS_BUMPS = 5;
+
+// Nonce gaps are only filled once nobody has allocated a nonce for this long, so a sender that
+// is between allocating and recording its transaction is not mistaken for a gap
+const GAP_GRACE_MS = 60 * 1000;
+
+const RECEIPT_POLL_MS = 3 * 1000;
+
+// Errors after which the transaction may or may not have reached the node
+const AMBIGUOUS_SEND_ERRORS = ['TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR'];
+
+// Call `method` on a contract from the admin wallet.
+// Returns { txId, hash, nonce, wait(confirmations, timeoutMs) -> receipt }.
+export async function sendContractTransaction(supabase, { abi, method, args, purpose, to = config.blockchain.contractAddress }) {
+  const ethers = await loadEthers();
+  const data = new ethers.utils.Interface(abi).encodeFunctionData(method, args);
+  return sendTransaction(supabase, { to, data, purpose });
+}
+
+// Address of the admin wallet, for balance checks and logging
+export async function getSignerAddress() {
+  return getSigner().getAddress();
+}
+
+async function sendTransaction(supabase, { to, data, purpose, gasLimit = null, nonce: fixedNonce = null }) {
+  const ethers = await loadEthers();
+  const provider = await getProvider();
+  const signer = getSigner();
+  const address = await signer.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  // A call that would revert fails here, before it takes a nonce
+  const limit = gasLimit
+    ? ethers.BigNumber.from(gasLimit)
+    : (await provider.estimateGas({ from: address, to, data })).mul(GAS_LIMIT_MARGIN_PERCENT).div(100);
+  const fees = await currentFees(provider);
+  const nonce = fixedNonce ?? await allocateNonce(supabase, provider, address);
+  const releaseIfOurs = () => (fixedNonce === null ? releaseNonce(supabase, address, nonce) : null);
+
+  const tx = { chainId, nonce, to, data, value: 0, gasLimit: limit, ...fees };
+  let signed;
+  try {
+    signed = await signer.signTransaction(tx);
+  } catch (error) {
+    await releaseIfOurs();
+    throw new Error('Signing failed: ' + error.message);
+  }
+  const hash = ethers.utils.keccak256(signed);
+
+  // Recorded before broadcasting, so a crash right after sending still leaves a trace
+  const { data: row, error: insertError } = await supabase
+    .from('chain_transactions')
+    .insert({
+      address: address.toLowerCase(),
+      nonce,
+      purpose,
+      to_address: to,
+      data,
+      gas_limit: limit.toString(),
+      ...feeColumns(fees),
+      tx_hash: hash,
+      tx_hashes: [hash],
+      raw_transaction: signed
+    })
+    .select('tx_id')
+    .single();
+
+  if (insertError) {
+    await releaseIfOurs();
+    throw new Error('Failed to record transaction: ' + insertError.message);
+  }
+
+  try {
+    await provider.sendTransaction(signed);
+  } catch (error) {
+    if (/already known/i.test(error.message)) {
+      // The node had it already, e.g. from an earlier attempt that timed out
+    } else if (AMBIGUOUS_SEND_ERRORS.includes(error.code)) {
+      console.warn(`⚠️ Broadcast of ${hash} (nonce ${nonce}) may not have arrived; left pending for the maintenance cron:`, error.message);
+    } else {
+      await supabase
+        .from('chain_transactions')
+        .update({ status: 'failed', error: error.message, updated_at: new Date().toISOString() })
+        .eq('tx_id', row.tx_id);
+      await releaseIfOurs();
+      throw error;
+    }
+  }
+
+  console.log(`📤 ${purpose} transaction ${hash} sent from ${address} with nonce ${nonce}`);
+  return {
+    txId: row.tx_id,
+    hash,
+    nonce,
+    wait: (confirmations = 1, timeoutMs = 60 * 1000) => waitForChainTransaction(supabase, row.tx_id, { confirmations, timeoutMs })
+  };
+}
+
+async function allocateNonce(supabase, provider, address) {
+  // The chain's pending count catches up with transactions sent outside this service
+  const chainNonce = await provider.getTransactionCount(address, 'pending');
+  const { data: nonce, error } = await supabase.rpc('allocate_signer_nonce', {
+    p_address: address,
+    p_chain_nonce: chainNonce
+  });
+
+  if (error) {
+    throw new Error('Failed to allocate nonce: ' + error.message);
+  }
+  return Number(nonce);
+}
+
+async function releaseNonce(supabase, address, nonce) {
+  const { data: released, error } = await supabase.rpc('release_signer_nonce', {
+    p_address: address,
+    p_nonce: nonce
+  });
+
+  if (error || !released) {
+    console.warn(`⚠️ Nonce ${nonce} not released${error ? ': ' + error.message : ''}; the maintenance cron fills the gap`);
+  }
+}
+
+// EIP-1559 fees where the network has them, a legacy gas price otherwise
+async function currentFees(provider) {
+  const feeData = await provider.getFeeData();
+  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+    return { type: 2, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+  }
+  return { type: 0, gasPrice: feeData.gasPrice };
+}
+
+function feeColumns(fees) {
+  return {
+    max_fee_per_gas: fees.maxFeePerGas?.toString() || null,
+    max_priority_fee_per_gas: fees.maxPriorityFeePerGas?.toString() || null,
+    gas_price: fees.gasPrice?.toString() || null
+  };
+}
+
+// Wait until one of the transaction's hashes (the original or a gas bump) has `confirmations`.
+// Throws when it reverted or on timeout; the transaction stays tracked either way.
+export async function waitForChainTransaction(supabase, txId, { confirmations = 1, timeoutMs = 60 * 1000 } = {}) {
+  const provider = await getProvider();
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const { data: row, error } = await supabase
+      .from('chain_transactions')
+      .select('tx_id, tx_hashes')
+      .eq('tx_id', txId)
+      .single();
+
+    if (error) {
+      throw new Error('Failed to load transaction: ' + error.message);
+    }
+
+    const receipt = await findReceipt(provider, row.tx_hashes);
+    if (receipt && receipt.confirmations >= confirmations) {
+      await settleTransaction(supabase, row, receipt);
+      if (receipt.status !== 1) {
+        throw new Error(`Transaction ${receipt.transactionHash} reverted`);
+      }
+      return receipt;
+    }
+
+    if (Date.now() + RECEIPT_POLL_MS > deadline) {
+      throw new Error(`Transaction timeout after ${timeoutMs / 1000} seconds`);
+    }
+    await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+  }
+}
+
+// Newest hash first: after a bump the replacement is the likely one to be mined
+async function findReceipt(provider, hashes) {
+  for (const hash of [...hashes].reverse()) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+async function settleTransaction(supabase, row, receipt) {
+  const { error } = await supabase
+    .from('chain_transactions')
+    .update({
+      status: receipt.status === 1 ? 'mined' : 'reverted',
+      mined_hash: receipt.transactionHash,
+      block_number: receipt.blockNumber,
+      updated_at: new Date().toISOString()
+    })
+    .eq('tx_id', row.tx_id)
+    .eq('status', 'pending');
+
+  if (error) {
+    console.error(`❌ Failed to record receipt of ${receipt.transactionHash}:`, error.message);
+  }
+}
+
+// One maintenance pass over the admin wallet's pending transactions.
+// Returns { pending, mined, reverted, replaced, rebroadcast, bumped, gaps_filled }.
+export async function maintainChainTransactions(supabase) {
+  const provider = await getProvider();
+  const signer = getSigner();
+  const address = await signer.getAddress();
+  const summary = { pending: 0, mined: 0, reverted: 0, replaced: 0, rebroadcast: 0, bumped: 0, gaps_filled: 0 };
+
+  const latestNonce = await provider.getTransactionCount(address, 'latest');
+  const { data: pending, error } = await supabase
+    .from('chain_transactions')
+    .select('*')
+    .eq('address', address.toLowerCase())
+    .eq('status', 'pending')
+    .order('nonce');
+
+  if (error) {
+    throw new Error('Failed to load pending transactions: ' + error.message);
+  }
+
+  const stillPending = new Set();
+  for (const row of pending) {
+    const receipt = await findReceipt(provider, row.tx_hashes);
+    if (receipt) {
+      await settleTransaction(supabase, row, receipt);
+      summary[receipt.status === 1 ? 'mined' : 'reverted']++;
+      continue;
+    }
+
+    if (row.nonce < latestNonce) {
+      // Something else was mined with this nonce (e.g. a gap fill or a manual send)
+      await supabase
+        .from('chain_transactions')
+        .update({ status: 'replaced', error: 'Nonce was used by another transaction', updated_at: new Date().toISOString() })
+        .eq('tx_id', row.tx_id);
+      summary.replaced++;
+      continue;
+    }
+
+    stillPending.add(Number(row.nonce));
+    const age = Date.now() - new Date(row.last_sent_at).getTime();
+    if (age >= STUCK_AFTER_MS && row.bump_count < MAX_GAS_BUMPS) {
+      if (await bumpTransaction(supabase, provider, signer, row)) summary.bumped++;
+    } else if (age >= STUCK_AFTER_MS) {
+      console.warn(`⚠️ Transaction ${row.tx_hash} (nonce ${row.nonce}) still pending after ${MAX_GAS_BUMPS} gas bumps`);
+    } else if (!(await provider.getTransaction(row.tx_hash))) {
+      // Dropped by the node (or never arrived): send the same signed transaction again
+      try {
+        await provider.sendTransaction(row.raw_transaction);
+        summary.rebroadcast++;
+      } catch (sendError) {
+        console.warn(`⚠️ Re-broadcast of ${row.tx_hash} failed:`, sendError.message);
+      }
+    }
+  }
+  summary.pending = stillPending.size;
+
+  summary.gaps_filled = await fillNonceGaps(supabase, address, latestNonce, stillPending);
+  console.log(`⛽ Signer ${address} maintenance:`, summary);
+  return summary;
+}
+
+// Re-sign the same nonce with higher fees. The new hash is recorded before it is broadcast.
+async function bumpTransaction(supabase, provider, signer, row) {
+  const ethers = await loadEthers();
+  const { BigNumber } = ethers;
+  const current = await currentFees(provider);
+  const raise = (previous, now) => {
+    const bumped = BigNumber.from(previous).mul(BUMP_PERCENT).div(100);
+    return now && BigNumber.from(now).gt(bumped) ? BigNumber.from(now) : bumped;
+  };
+
+  const fees = row.gas_price
+    ? { type: 0, gasPrice: raise(row.gas_price, current.gasPrice) }
+    : {
+      type: 2,
+      maxFeePerGas: raise(row.max_fee_per_gas, current.maxFeePerGas),
+      maxPriorityFeePerGas: raise(row.max_priority_fee_per_gas, current.maxPriorityFeePerGas)
+    };
+
+  const { chainId } = await provider.getNetwork();
+  let signed;
+  try {
+    signed = await signer.signTransaction({
+      chainId,
+      nonce: Number(row.nonce),
+      to: row.to_address,
+      data: row.data,
+      value: 0,
+      gasLimit: BigNumber.from(row.gas_limit),
+      ...fees
+    });
+  } catch (error) {
+    console.error(`❌ Signing gas bump for ${row.tx_hash} failed:`, error.message);
+    return false;
+  }
+  const hash = ethers.utils.keccak256(signed);
+
+  const { error } = await supabase
+    .from('chain_transactions')
+    .update({
+      tx_hash: hash,
+      tx_hashes: [...row.tx_hashes, hash],
+      raw_transaction: signed,
+      ...feeColumns(fees),
+      bump_count: row.bump_count + 1,
+      last_sent_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('tx_id', row.tx_id)
+    .eq('status', 'pending');
+
+  if (error) {
+    console.error(`❌ Failed to record gas bump for ${row.tx_hash}:`, error.message);
+    return false;
+  }
+
+  try {
+    await provider.sendTransaction(signed);
+  } catch (sendError) {
+    console.warn(`⚠️ Gas bump ${hash} of nonce ${row.nonce} was not accepted:`, sendError.message);
+    return false;
+  }
+  console.log(`⛽ Bumped nonce ${row.nonce}: ${row.tx_hash} -> ${hash}`);
+  return true;
+}
+
+// Nonces below the stored counter that no pending transaction holds block every later
+// transaction; a zero-value transfer to ourselves uses them up
+async function fillNonceGaps(supabase, address, latestNonce, pendingNonces) {
+  const { data: counter, error } = await supabase
+    .from('chain_signer_nonces')
+    .select('next_nonce, updated_at')
+    .eq('address', address.toLowerCase())
+    .maybeSingle();
+
+  if (error || !counter || Date.now() - new Date(counter.updated_at).getTime() < GAP_GRACE_MS) {
+    return 0;
+  }
+
+  let filled = 0;
+  for (let nonce = latestNonce; nonce < Number(counter.next_nonce); nonce++) {
+    if (pendingNonces.has(nonce)) continue;
+    try {
+      console.warn(`🕳️ Filling nonce gap ${nonce} for ${address}`);
+      await sendTransaction(supabase, { to: address, data: '0x', purpose: 'gap_fill', gasLimit: 21000, nonce });
+      filled++;
+    } catch (fillError) {
+      console.error(`❌ Failed to fill nonce gap ${nonce}:`, fillError.message);
+    }
+  }
+  return filled;
+}
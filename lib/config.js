@@ -0,0 +1,286 @@
+// /lib/config.js
+// Central configuration, read from the environment once per cold start.
+// Handlers import `config` from here instead of reading process.env themselves.
+
+import crypto from 'crypto';
+
+const DEFAULT_CONTRACT_ADDRESS = '0x8d968bCA279E3d981A072e8E72591bf8424DbC1f';
+const DEFAULT_MULTICALL_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const PAYMENT_PROVIDERS = ['paypal', 'stripe', 'fake'];
+const PAYPAL_ENVIRONMENTS = ['live', 'sandbox'];
+const SIGNER_PROVIDERS = ['local', 'remote'];
+
+// Build and validate the configuration. Throws one error naming every missing or invalid
+// variable, so a misconfigured deployment fails on its first request with a clear message.
+export function loadConfig(env = process.env) {
+  const deployment = env.VERCEL_ENV || env.NODE_ENV || 'development';
+  const isProduction = env.VERCEL_ENV === 'production' || env.NODE_ENV === 'production';
+  const paymentProvider = env.PAYMENT_PROVIDER || 'paypal';
+
+  const config = {
+    env: {
+      name: deployment,
+      isProduction,
+      isDevelopment: env.NODE_ENV === 'development'
+    },
+    supabase: {
+      url: env.SUPABASE_URL,
+      serviceKey: env.SUPABASE_SERVICE_KEY,
+      anonKey: env.SUPABASE_ANON_KEY
+    },
+    payments: {
+      defaultProvider: paymentProvider
+    },
+    paypal: {
+      // Live money only when asked for, or by default in production
+      environment: env.PAYPAL_ENVIRONMENT || (isProduction ? 'live' : 'sandbox'),
+      clientId: env.PAYPAL_CLIENT_ID,
+      clientSecret: env.PAYPAL_CLIENT_SECRET,
+      webhookId: env.PAYPAL_WEBHOOK_ID,
+      certFingerprints: parseList(env.PAYPAL_CERT_FINGERPRINTS)
+        .map(f => f.replace(/:/g, '').toLowerCase()),
+      // Unsigned webhooks are a local-development escape hatch only; never honoured in production
+      allowUnsignedWebhooks: env.PAYPAL_WEBHOOK_ALLOW_UNSIGNED === 'true' && !isProduction
+    },
+    stripe: {
+      secretKey: env.STRIPE_SECRET_KEY,
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET
+    },
+    blockchain: {
+      rpcUrl: env.ETHEREUM_RPC_URL || (env.INFURA_PROJECT_ID ? 'https://sepolia.infura.io/v3/' + env.INFURA_PROJECT_ID : undefined),
+      contractAddress: env.REVOCATION_CONTRACT_ADDRESS || DEFAULT_CONTRACT_ADDRESS,
+      privateKey: env.ADMIN_PRIVATE_KEY,
+      network: env.BLOCKCHAIN_NETWORK || 'sepolia',
+      // Multicall3 has the same address on every EVM network it is deployed to
+      multicallAddress: env.MULTICALL_ADDRESS || DEFAULT_MULTICALL_ADDRESS,
+      // Cached chain status younger than this is trusted by validate without an RPC call
+      statusTtlSeconds: env.CHAIN_STATUS_TTL_SECONDS === undefined ? 300 : Number(env.CHAIN_STATUS_TTL_SECONDS),
+      indexer: {
+        // First block to index when no cursor is stored; unset means "from the current head"
+        startBlock: env.INDEXER_START_BLOCK === undefined ? null : Number(env.INDEXER_START_BLOCK),
+        // Blocks kept between the head and what is indexed; 0 suits a local Anvil/Hardhat node
+        confirmations: env.INDEXER_CONFIRMATIONS === undefined ? 5 : Number(env.INDEXER_CONFIRMATIONS)
+      },
+      registration: {
+        // Failed attempts before a queued registration is dead-lettered for an admin
+        maxAttempts: env.REGISTRATION_MAX_ATTEMPTS === undefined ? 8 : Number(env.REGISTRATION_MAX_ATTEMPTS),
+        // Tokens the retry worker registers per run (one transaction)
+        batchSize: env.REGISTRATION_BATCH_SIZE === undefined ? 25 : Number(env.REGISTRATION_BATCH_SIZE)
+      },
+      // Who signs the admin wallet's transactions: ADMIN_PRIVATE_KEY (or an encrypted keystore)
+      // in-process, or a remote KMS-style signing service that never hands out the key
+      signer: {
+        provider: env.SIGNER_PROVIDER || 'local',
+        keystoreJson: env.SIGNER_KEYSTORE_JSON,
+        keystorePassword: env.SIGNER_KEYSTORE_PASSWORD,
+        remoteUrl: env.SIGNER_REMOTE_URL,
+        remoteToken: env.SIGNER_REMOTE_TOKEN,
+        address: env.SIGNER_ADDRESS
+      }
+    },
+    qr: {
+      // Active signing key for new QR codes; retired keys keep validating until removed
+      secret: env.QR_SECRET,
+      keyId: env.QR_KEY_ID || 'v1',
+      keys: buildQrKeyring(env),
+      // Ed25519 key that signs QR tokens; scanners verify with the published public keys
+      signingKey: env.QR_SIGNING_KEY ? env.QR_SIGNING_KEY.replace(/\\n/g, '\n') : undefined,
+      signingKeyId: env.QR_SIGNING_KEY_ID || 'ed1',
+      // Public keys of retired signing keys, still published and accepted ("kid:x,kid:x")
+      verificationKeys: parsePairs(env.QR_VERIFICATION_KEYS),
+      // Rotating codes accepted this many periods either side of the scanner's clock
+      dynamicSkewSteps: env.QR_DYNAMIC_SKEW_STEPS === undefined ? 1 : Number(env.QR_DYNAMIC_SKEW_STEPS),
+      // Scanner bundles carry dynamic QR seeds only when this is "true": anyone holding such a
+      // bundle can generate valid rotating codes, so it is an explicit trade for offline checks
+      bundleDynamicSeeds: env.SCANNER_BUNDLE_DYNAMIC_QR_SEEDS === 'true'
+    },
+    cron: {
+      secret: env.CRON_SECRET
+    },
+    app: {
+      scheme: env.APP_SCHEME || 'ticketapp',
+      apiBaseUrl: env.API_BASE_URL || 'https://ticketingdb.vercel.app'
+    }
+  };
+
+  const problems = [];
+  const requireValue = (value, name) => {
+    if (!value) problems.push(`${name} is not set`);
+  };
+
+  requireValue(config.supabase.url, 'SUPABASE_URL');
+  requireValue(config.supabase.serviceKey, 'SUPABASE_SERVICE_KEY');
+  requireValue(config.supabase.anonKey, 'SUPABASE_ANON_KEY');
+  requireValue(config.blockchain.rpcUrl, 'ETHEREUM_RPC_URL (or INFURA_PROJECT_ID)');
+  const { signer } = config.blockchain;
+  if (!SIGNER_PROVIDERS.includes(signer.provider)) {
+    problems.push(`SIGNER_PROVIDER must be one of ${SIGNER_PROVIDERS.join(', ')} (got "${signer.provider}")`);
+  }
+  if (signer.provider === 'local' && !signer.keystoreJson) {
+    requireValue(config.blockchain.privateKey, 'ADMIN_PRIVATE_KEY (or SIGNER_KEYSTORE_JSON)');
+  }
+  if (signer.provider === 'local' && signer.keystoreJson) {
+    requireValue(signer.keystorePassword, 'SIGNER_KEYSTORE_PASSWORD');
+  }
+  if (signer.provider === 'remote') {
+    requireValue(signer.remoteUrl, 'SIGNER_REMOTE_URL');
+    if (!/^0x[0-9a-fA-F]{40}$/.test(signer.address || '')) {
+      problems.push(`SIGNER_ADDRESS must be the remote signer's 0x address (got "${signer.address || ''}")`);
+    }
+  }
+  requireValue(config.qr.secret, 'QR_SECRET');
+  if (parseList(env.QR_PREVIOUS_SECRETS).some(entry => entry.indexOf(':') <= 0)) {
+    problems.push('QR_PREVIOUS_SECRETS entries must look like "kid:secret"');
+  }
+  requireValue(config.qr.signingKey, 'QR_SIGNING_KEY');
+  if (config.qr.signingKey && !isEd25519PrivateKey(config.qr.signingKey)) {
+    problems.push('QR_SIGNING_KEY must be an Ed25519 private key in PKCS#8 PEM format');
+  }
+  if (parseList(env.QR_VERIFICATION_KEYS).some(entry => entry.indexOf(':') <= 0)
+    || Object.values(config.qr.verificationKeys).some(x => !isEd25519PublicKey(x))) {
+    problems.push('QR_VERIFICATION_KEYS entries must look like "kid:base64url_public_key" with an Ed25519 public key');
+  }
+  if (!Number.isInteger(config.qr.dynamicSkewSteps) || config.qr.dynamicSkewSteps < 0 || config.qr.dynamicSkewSteps > 5) {
+    problems.push(`QR_DYNAMIC_SKEW_STEPS must be a whole number from 0 to 5 (got "${env.QR_DYNAMIC_SKEW_STEPS}")`);
+  }
+
+  if (!Number.isInteger(config.blockchain.statusTtlSeconds) || config.blockchain.statusTtlSeconds < 0) {
+    problems.push(`CHAIN_STATUS_TTL_SECONDS must be a whole number of seconds (got "${env.CHAIN_STATUS_TTL_SECONDS}")`);
+  }
+
+  if (config.blockchain.indexer.startBlock !== null
+    && (!Number.isInteger(config.blockchain.indexer.startBlock) || config.blockchain.indexer.startBlock < 0)) {
+    problems.push(`INDEXER_START_BLOCK must be a block number (got "${env.INDEXER_START_BLOCK}")`);
+  }
+  if (!Number.isInteger(config.blockchain.indexer.confirmations) || config.blockchain.indexer.confirmations < 0) {
+    problems.push(`INDEXER_CONFIRMATIONS must be a whole number of blocks (got "${env.INDEXER_CONFIRMATIONS}")`);
+  }
+
+  if (!Number.isInteger(config.blockchain.registration.maxAttempts) || config.blockchain.registration.maxAttempts < 1) {
+    problems.push(`REGISTRATION_MAX_ATTEMPTS must be a whole number of at least 1 (got "${env.REGISTRATION_MAX_ATTEMPTS}")`);
+  }
+  const { batchSize } = config.blockchain.registration;
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 100) {
+    problems.push(`REGISTRATION_BATCH_SIZE must be a whole number from 1 to 100 (got "${env.REGISTRATION_BATCH_SIZE}")`);
+  }
+
+  if (!PAYMENT_PROVIDERS.includes(paymentProvider)) {
+    problems.push(`PAYMENT_PROVIDER must be one of ${PAYMENT_PROVIDERS.join(', ')} (got "${paymentProvider}")`);
+  }
+  if (paymentProvider === 'fake' && isProduction) {
+    problems.push('PAYMENT_PROVIDER=fake is not allowed in production');
+  }
+
+  // PayPal is the default provider and the fallback for payments made before providers existed
+  requireValue(config.paypal.clientId, 'PAYPAL_CLIENT_ID');
+  requireValue(config.paypal.clientSecret, 'PAYPAL_CLIENT_SECRET');
+  if (!PAYPAL_ENVIRONMENTS.includes(config.paypal.environment)) {
+    problems.push(`PAYPAL_ENVIRONMENT must be "live" or "sandbox" (got "${config.paypal.environment}")`);
+  }
+  if (isProduction) {
+    requireValue(config.paypal.webhookId, 'PAYPAL_WEBHOOK_ID');
+  }
+
+  // Without it every api/cron function refuses its scheduled runs
+  if (isProduction) {
+    requireValue(config.cron.secret, 'CRON_SECRET');
+  }
+
+  if (paymentProvider === 'stripe') {
+    requireValue(config.stripe.secretKey, 'STRIPE_SECRET_KEY');
+    requireValue(config.stripe.webhookSecret, 'STRIPE_WEBHOOK_SECRET');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration (${deployment}):\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return deepFreeze(config);
+}
+
+// Safe-to-log view of the configuration: secrets are reduced to SET / MISSING
+export function describeConfig(cfg = config) {
+  const mark = value => (value ? 'SET' : 'MISSING');
+  return {
+    environment: cfg.env.name,
+    payment_provider: cfg.payments.defaultProvider,
+    paypal_environment: cfg.paypal.environment,
+    paypal_client_id: mark(cfg.paypal.clientId),
+    paypal_client_secret: mark(cfg.paypal.clientSecret),
+    paypal_webhook_id: mark(cfg.paypal.webhookId),
+    stripe_secret_key: mark(cfg.stripe.secretKey),
+    stripe_webhook_secret: mark(cfg.stripe.webhookSecret),
+    supabase_url: cfg.supabase.url,
+    blockchain_rpc: redactUrl(cfg.blockchain.rpcUrl),
+    blockchain_network: cfg.blockchain.network,
+    contract_address: cfg.blockchain.contractAddress,
+    admin_private_key: mark(cfg.blockchain.privateKey),
+    signer_provider: cfg.blockchain.signer.provider,
+    qr_secret: mark(cfg.qr.secret),
+    qr_key_ids: Object.keys(cfg.qr.keys),
+    qr_signing_key: mark(cfg.qr.signingKey),
+    qr_signing_key_id: cfg.qr.signingKeyId
+  };
+}
+
+// RPC URLs often embed an API key in the path; only the host is safe to log
+export function redactUrl(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return url ? 'SET' : 'MISSING';
+  }
+}
+
+// kid -> secret for the active key plus QR_PREVIOUS_SECRETS ("kid:secret,kid:secret")
+function buildQrKeyring(env) {
+  const keys = parsePairs(env.QR_PREVIOUS_SECRETS);
+  if (env.QR_SECRET) {
+    keys[env.QR_KEY_ID || 'v1'] = env.QR_SECRET;
+  }
+  return keys;
+}
+
+function isEd25519PrivateKey(pem) {
+  try {
+    return crypto.createPrivateKey(pem).asymmetricKeyType === 'ed25519';
+  } catch {
+    return false;
+  }
+}
+
+// Raw 32-byte key, base64url encoded as in a JWK "x" member
+function isEd25519PublicKey(x) {
+  try {
+    crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x }, format: 'jwk' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "key:value,key:value" -> { key: value }; entries without a key are reported by loadConfig
+function parsePairs(value) {
+  const pairs = {};
+  parseList(value).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      pairs[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+  });
+  return pairs;
+}
+
+function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+export const config = loadConfig();
@@ -0,0 +1,27 @@
+// /lib/cron-auth.js
+// Request check shared by the scheduled functions in api/cron
+
+import crypto from 'crypto';
+import { config } from './config.js';
+
+const CRON_METHODS = ['GET', 'POST'];
+
+// Vercel Cron sends the project's CRON_SECRET as a bearer token. Returns null for an authorized
+// cron request, otherwise { status, message } to send back.
+export function authorizeCronRequest(req) {
+  if (!CRON_METHODS.includes(req.method)) {
+    return { status: 405, message: 'Method not allowed' };
+  }
+
+  const token = req.headers.authorization?.replace('Bearer ', '') || '';
+  if (!config.cron.secret || !secretsMatch(token, config.cron.secret)) {
+    return { status: 401, message: 'Unauthorized' };
+  }
+  return null;
+}
+
+// Compared as hashes so the check takes the same time whatever the token's length
+function secretsMatch(presented, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
@@ -0,0 +1,19 @@
+// /lib/ethereum.js
+// ethers loader and RPC provider shared by the contract helpers and the transaction manager
+
+import { config } from './config.js';
+
+export async function loadEthers() {
+  const ethersModule = await import('ethers');
+  return ethersModule.default || ethersModule;
+}
+
+// Read-only provider for the configured RPC endpoint
+export async function getProvider() {
+  if (!config.blockchain.rpcUrl) {
+    throw new Error('Blockchain configuration missing');
+  }
+
+  const ethers = await loadEthers();
+  return new ethers.providers.JsonRpcProvider(config.blockchain.rpcUrl);
+}
@@ -0,0 +1,72 @@
+// /lib/line-items.js
+// Explicit purchase line items stored on payments.line_items at purchase time.
+// Restore, refund and ticket generation read quantities from here instead of dividing amounts.
+
+export const DEFAULT_TIER = 'general_admission';
+
+// Money is handled in integer cents so totals never drift
+function toCents(value) {
+  return Math.round(parseFloat(value || 0) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// Build the line item for `quantity` tickets of an event at its current price
+export function buildTicketLineItem(event, quantity, { tier = DEFAULT_TIER, feePerTicket = 0 } = {}) {
+  const unitPriceCents = toCents(event.ticket_price);
+  const feeCents = toCents(feePerTicket) * quantity;
+
+  return {
+    type: 'ticket',
+    event_id: event.event_id,
+    tier: tier,
+    quantity: quantity,
+    unit_price: fromCents(unitPriceCents),
+    fees: fromCents(feeCents),
+    line_total: fromCents(unitPriceCents * quantity + feeCents)
+  };
+}
+
+export function calculateLineItemsTotal(lineItems) {
+  return fromCents(lineItems.reduce((sum, item) => sum + toCents(item.line_total), 0));
+}
+
+// Line items for a payment. Payments created before line items existed fall back to the
+// quantity buy.js recorded in metadata.purchase_details; nothing is derived from amounts.
+export function getPaymentLineItems(payment) {
+  if (Array.isArray(payment.line_items) && payment.line_items.length > 0) {
+    return payment.line_items;
+  }
+
+  const details = payment.metadata?.purchase_details;
+  if (payment.event_id && Number.isInteger(details?.quantity) && details.quantity > 0) {
+    const unitPrice = parseFloat(details.unit_price || 0);
+    return [{
+      type: 'ticket',
+      event_id: payment.event_id,
+      tier: DEFAULT_TIER,
+      quantity: details.quantity,
+      unit_price: unitPrice,
+      fees: 0,
+      line_total: fromCents(toCents(unitPrice) * details.quantity),
+      legacy: true
+    }];
+  }
+
+  return [];
+}
+
+// The single ticket line item of a payment; purchases are one event per payment
+export function getTicketLineItem(payment) {
+  const ticketItems = getPaymentLineItems(payment).filter(item => item.type === 'ticket');
+
+  if (ticketItems.length === 0) {
+    throw new Error(`Payment ${payment.payment_id} has no ticket line items`);
+  }
+  if (ticketItems.length > 1) {
+    throw new Error(`Payment ${payment.payment_id} has ${ticketItems.length} ticket line items, expected 1`);
+  }
+  return ticketItems[0];
+}
@@ -0,0 +1,212 @@
+// /lib/payments/paypal-webhook-signature.js
+// PayPal webhook signature verification (SHA256withRSA over transmission headers + CRC32 of body)
+
+import crypto from 'crypto';
+import { readRawBody } from '../raw-body.js';
+import { config } from '../config.js';
+
+// Only certificates served from these hosts are trusted
+const PAYPAL_CERT_HOSTS = [
+  'api.paypal.com',
+  'api-m.paypal.com',
+  'api.sandbox.paypal.com',
+  'api-m.sandbox.paypal.com'
+];
+
+// Subject CN of the certificate PayPal signs webhook transmissions with
+const PAYPAL_CERT_COMMON_NAME = 'messageverificationcerts.paypal.com';
+
+const SUPPORTED_AUTH_ALGORITHMS = ['SHA256withRSA'];
+
+// Reject transmissions older (or further in the future) than this
+const MAX_TRANSMISSION_AGE_MS = 5 * 60 * 1000;
+
+// Downloaded certificates are kept for an hour per cold start
+const CERT_CACHE_TTL_MS = 60 * 60 * 1000;
+const certCache = new Map();
+
+let crcTable = null;
+
+// Verify a PayPal webhook request. Resolves to { valid, reason } and never throws.
+// Options exist so the verifier can be exercised offline with a locally generated cert/key pair.
+export async function verifyPayPalWebhookSignature(req, options = {}) {
+  const {
+    webhookId = config.paypal.webhookId,
+    allowUnsigned = isUnsignedWebhookAllowed(),
+    fetchCertificate = downloadCertificate,
+    allowedCertHosts = PAYPAL_CERT_HOSTS,
+    expectedCommonName = PAYPAL_CERT_COMMON_NAME,
+    pinnedFingerprints = config.paypal.certFingerprints,
+    maxAgeMs = MAX_TRANSMISSION_AGE_MS,
+    now = Date.now()
+  } = options;
+
+  try {
+    const headers = normalizeHeaders(req.headers);
+    const transmissionId = headers['paypal-transmission-id'];
+    const transmissionTime = headers['paypal-transmission-time'];
+    const transmissionSig = headers['paypal-transmission-sig'];
+    const certUrl = headers['paypal-cert-url'];
+    const authAlgo = headers['paypal-auth-algo'];
+
+    if (!transmissionSig) {
+      if (allowUnsigned) {
+        console.log('⚠️ Unsigned webhook accepted (PAYPAL_WEBHOOK_ALLOW_UNSIGNED is enabled)');
+        return { valid: true, reason: 'unsigned_allowed' };
+      }
+      return { valid: false, reason: 'Missing paypal-transmission-sig header' };
+    }
+
+    if (!webhookId) {
+      return { valid: false, reason: 'PAYPAL_WEBHOOK_ID is not configured' };
+    }
+
+    if (!transmissionId || !transmissionTime || !certUrl || !authAlgo) {
+      return { valid: false, reason: 'Missing PayPal transmission headers' };
+    }
+
+    if (!SUPPORTED_AUTH_ALGORITHMS.includes(authAlgo)) {
+      return { valid: false, reason: `Unsupported auth algorithm: ${authAlgo}` };
+    }
+
+    const transmittedAt = Date.parse(transmissionTime);
+    if (Number.isNaN(transmittedAt)) {
+      return { valid: false, reason: 'Invalid paypal-transmission-time header' };
+    }
+    if (Math.abs(now - transmittedAt) > maxAgeMs) {
+      return { valid: false, reason: 'Stale webhook transmission' };
+    }
+
+    if (!isAllowedCertUrl(certUrl, allowedCertHosts)) {
+      return { valid: false, reason: 'Certificate URL is not a PayPal host' };
+    }
+
+    const certificate = await getCertificate(certUrl, fetchCertificate, now);
+    const certError = checkCertificate(certificate, { expectedCommonName, pinnedFingerprints, now });
+    if (certError) {
+      return { valid: false, reason: certError };
+    }
+
+    const rawBody = await readRawBody(req);
+    const message = `${transmissionId}|${transmissionTime}|${webhookId}|${crc32(rawBody)}`;
+
+    const signatureValid = crypto.verify(
+      'sha256',
+      Buffer.from(message),
+      certificate.leaf.publicKey,
+      Buffer.from(transmissionSig, 'base64')
+    );
+
+    return signatureValid
+      ? { valid: true, reason: 'signature_verified' }
+      : { valid: false, reason: 'Signature mismatch' };
+
+  } catch (error) {
+    console.error('❌ Webhook signature verification error:', error.message);
+    return { valid: false, reason: error.message };
+  }
+}
+
+// Unsigned webhooks are a local-development escape hatch only; never honoured in production
+export function isUnsignedWebhookAllowed() {
+  return config.paypal.allowUnsignedWebhooks;
+}
+
+// CRC32 (IEEE) as an unsigned decimal, the format PayPal uses in the signed message
+export function crc32(input) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  const bytes = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export function clearCertificateCache() {
+  certCache.clear();
+}
+
+function normalizeHeaders(headers = {}) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(headers)) {
+    normalized[key.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+  }
+  return normalized;
+}
+
+function isAllowedCertUrl(certUrl, allowedHosts) {
+  try {
+    const url = new URL(certUrl);
+    return url.protocol === 'https:' && allowedHosts.includes(url.hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+async function getCertificate(certUrl, fetchCertificate, now) {
+  const cached = certCache.get(certUrl);
+  if (cached && cached.expiresAt > now) {
+    return cached.certificate;
+  }
+
+  const pem = await fetchCertificate(certUrl);
+  const chain = splitPemChain(pem).map(block => new crypto.X509Certificate(block));
+  if (chain.length === 0) {
+    throw new Error('No certificate found at PayPal cert URL');
+  }
+
+  const certificate = { leaf: chain[0], chain };
+  certCache.set(certUrl, { certificate, expiresAt: now + CERT_CACHE_TTL_MS });
+  return certificate;
+}
+
+async function downloadCertificate(certUrl) {
+  const response = await fetch(certUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download PayPal certificate (HTTP ${response.status})`);
+  }
+  return response.text();
+}
+
+function splitPemChain(pem) {
+  return pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+}
+
+// Returns an error message, or null when the certificate is acceptable
+function checkCertificate({ leaf, chain }, { expectedCommonName, pinnedFingerprints, now }) {
+  if (now < Date.parse(leaf.validFrom) || now > Date.parse(leaf.validTo)) {
+    return 'PayPal certificate is expired or not yet valid';
+  }
+
+  const commonName = /(?:^|\n)CN=([^\n]+)/.exec(leaf.subject)?.[1];
+  if (expectedCommonName && commonName !== expectedCommonName) {
+    return `Unexpected certificate subject: ${commonName || 'unknown'}`;
+  }
+
+  // Each certificate in the served chain must be signed by the next one
+  for (let i = 0; i < chain.length - 1; i++) {
+    if (!chain[i].verify(chain[i + 1].publicKey)) {
+      return 'PayPal certificate chain is broken';
+    }
+  }
+
+  if (pinnedFingerprints.length > 0) {
+    const fingerprint = leaf.fingerprint256.replace(/:/g, '').toLowerCase();
+    if (!pinnedFingerprints.includes(fingerprint)) {
+      return 'PayPal certificate does not match a pinned fingerprint';
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,144 @@
+// /lib/payments/providers/fake.js
+// In-memory payment provider for exercising purchase flows without network access
+
+import crypto from 'crypto';
+
+// Orders move created -> approved -> captured (or voided); nothing leaves the process.
+// The test helpers (approveOrder, declineOrder, buildWebhookEvent) stand in for the buyer and the provider.
+export function createFakeProvider() {
+  const orders = new Map();
+  const refunds = new Map();
+
+  function getOrderOrThrow(orderId) {
+    const order = orders.get(orderId);
+    if (!order) {
+      const error = new Error(`Fake order ${orderId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return order;
+  }
+
+  return {
+    name: 'fake',
+    orders,
+    refunds,
+
+    async createOrder({ paymentId, amount, currency, description }) {
+      const orderId = `FAKE-ORDER-${crypto.randomUUID()}`;
+      orders.set(orderId, {
+        orderId,
+        paymentId,
+        amount,
+        currency,
+        description,
+        status: 'created',
+        captureId: null,
+        refunded: 0
+      });
+
+      return {
+        orderId,
+        approvalUrl: `https://payments.invalid/fake/approve/${orderId}`,
+        mobileDeepLinks: null
+      };
+    },
+
+    async getOrder(orderId) {
+      const order = orders.get(orderId);
+      if (!order) {
+        return { orderId, status: 'not_found', captureId: null };
+      }
+      return { orderId, status: order.status, captureId: order.captureId };
+    },
+
+    async captureOrder(orderId) {
+      const order = orders.get(orderId);
+      if (!order) {
+        return { success: false, error: `Fake order ${orderId} not found` };
+      }
+      if (order.status === 'captured') {
+        return { success: true, captureId: order.captureId, captureStatus: 'completed' };
+      }
+      if (order.status !== 'approved') {
+        return { success: false, error: `Capture failed with status: ${order.status}` };
+      }
+      if (order.declined) {
+        order.captureId = order.captureId || `FAKE-CAPTURE-${crypto.randomUUID()}`;
+        return { success: true, captureId: order.captureId, captureStatus: 'declined' };
+      }
+
+      order.status = 'captured';
+      order.captureId = `FAKE-CAPTURE-${crypto.randomUUID()}`;
+      return { success: true, captureId: order.captureId, captureStatus: 'completed' };
+    },
+
+    async refund({ captureId, amount, currency, idempotencyKey }) {
+      if (refunds.has(idempotencyKey)) {
+        return refunds.get(idempotencyKey);
+      }
+
+      const order = [...orders.values()].find(o => o.captureId === captureId);
+      if (!order) {
+        throw new Error(`Fake capture ${captureId} not found`);
+      }
+      if (order.refunded + amount > order.amount + 0.001) {
+        throw new Error('Refund exceeds captured amount');
+      }
+
+      order.refunded += amount;
+      const refund = { refundId: `FAKE-REFUND-${crypto.randomUUID()}`, status: 'completed', amount, currency };
+      refunds.set(idempotencyKey, refund);
+      return refund;
+    },
+
+    async verifyWebhook() {
+      return { valid: true, reason: 'fake_provider' };
+    },
+
+    // Fake webhook bodies are already in the normalized event shape
+    parseEvent(body) {
+      return {
+        id: body.id,
+        providerType: body.type,
+        type: body.type || null,
+        resourceId: body.captureId || body.orderId || null,
+        orderId: body.orderId || null,
+        captureId: body.captureId || null,
+        refundId: body.refundId || null,
+        refundReference: body.refundReference || null,
+        paymentReference: body.paymentReference || null,
+        amount: body.amount ?? null,
+        refundedTotal: body.refundedTotal ?? null
+      };
+    },
+
+    approveOrder(orderId) {
+      getOrderOrThrow(orderId).status = 'approved';
+    },
+
+    declineOrder(orderId) {
+      const order = getOrderOrThrow(orderId);
+      order.status = 'approved';
+      order.declined = true;
+    },
+
+    voidOrder(orderId) {
+      getOrderOrThrow(orderId).status = 'voided';
+    },
+
+    // Webhook body the provider would send for `type` on this order
+    buildWebhookEvent(type, orderId, fields = {}) {
+      const order = getOrderOrThrow(orderId);
+      return {
+        id: `FAKE-EVENT-${crypto.randomUUID()}`,
+        type,
+        orderId: order.orderId,
+        captureId: order.captureId,
+        paymentReference: order.paymentId,
+        amount: order.amount,
+        ...fields
+      };
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// /lib/payments/providers/index.js
+// Payment provider registry. Every provider implements the same interface:
+//
+//   createOrder({ paymentId, amount, currency, description, customerReference, returnUrl, cancelUrl })
+//     -> { orderId, approvalUrl, mobileDeepLinks }
+//   getOrder(orderId)          -> { orderId, status: created|approved|captured|voided|not_found|unknown, captureId }
+//   captureOrder(orderId)      -> { success, captureId, captureStatus, error, retryable } (never throws)
+//   refund({ captureId, amount, currency, idempotencyKey, note }) -> { refundId, status }
+//   verifyWebhook(req)         -> { valid, reason } (never throws)
+//   parseEvent(body)           -> normalized event, `type` is one of EVENT_TYPES or null
+
+import { createPayPalProvider } from './paypal.js';
+import { createStripeProvider } from './stripe.js';
+import { createFakeProvider } from './fake.js';
+import { config } from '../../config.js';
+
+export const DEFAULT_PAYMENT_PROVIDER = 'paypal';
+
+export const EVENT_TYPES = {
+  ORDER_APPROVED: 'order.approved',
+  PAYMENT_CAPTURED: 'payment.captured',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  PAYMENT_REVERSED: 'payment.reversed',
+  PAYMENT_DENIED: 'payment.denied',
+  ORDER_VOIDED: 'order.voided'
+};
+
+const FACTORIES = {
+  paypal: createPayPalProvider,
+  stripe: createStripeProvider,
+  fake: createFakeProvider
+};
+
+// One instance per provider per cold start
+const instances = new Map();
+
+export function getPaymentProvider(name = DEFAULT_PAYMENT_PROVIDER) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (name === 'fake' && config.env.isProduction) {
+    throw new Error('The fake payment provider is not available in production');
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+// Swap in a provider instance, e.g. a preconfigured fake in tests
+export function setPaymentProvider(name, provider) {
+  instances.set(name, provider);
+}
+
+// The event's own choice wins, then the deployment default
+export function resolveProviderName(event) {
+  return event?.payment_provider || config.payments.defaultProvider;
+}
+
+// Provider that handled an existing payment. Rows from before providers existed are PayPal.
+export function getProviderForPayment(payment) {
+  return getPaymentProvider(payment.payment_method || DEFAULT_PAYMENT_PROVIDER);
+}
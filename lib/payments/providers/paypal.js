@@ -0,0 +1,242 @@
+// /lib/payments/providers/paypal.js
+// PayPal Orders v2 adapter for the payment provider interface
+
+import { verifyPayPalWebhookSignature } from '../paypal-webhook-signature.js';
+import { config } from '../../config.js';
+
+// PayPal webhook event types mapped onto provider-neutral event types
+const EVENT_TYPES = {
+  'CHECKOUT.ORDER.APPROVED': 'order.approved',
+  'PAYMENT.CAPTURE.COMPLETED': 'payment.captured',
+  'PAYMENT.CAPTURE.REFUNDED': 'payment.refunded',
+  'PAYMENT.CAPTURE.REVERSED': 'payment.reversed',
+  'PAYMENT.CAPTURE.DENIED': 'payment.denied',
+  'CHECKOUT.ORDER.VOIDED': 'order.voided'
+};
+
+const ORDER_STATUSES = {
+  CREATED: 'created',
+  SAVED: 'created',
+  PAYER_ACTION_REQUIRED: 'created',
+  APPROVED: 'approved',
+  COMPLETED: 'captured',
+  VOIDED: 'voided'
+};
+
+// webhookVerification is passed to verifyPayPalWebhookSignature, e.g. a local certificate in tests
+export function createPayPalProvider({
+  clientId = config.paypal.clientId,
+  clientSecret = config.paypal.clientSecret,
+  environment = config.paypal.environment,
+  webhookVerification = {}
+} = {}) {
+  let sdkPromise = null;
+
+  // Import PayPal SDK dynamically (fixes ES modules issue)
+  async function getClient() {
+    if (!sdkPromise) {
+      sdkPromise = import('@paypal/checkout-server-sdk').then(paypalModule => {
+        const paypal = paypalModule.default || paypalModule;
+        const Environment = environment === 'live'
+          ? paypal.core.LiveEnvironment
+          : paypal.core.SandboxEnvironment;
+        console.log(`💳 Using PayPal ${environment} environment`);
+        return { paypal, client: new paypal.core.PayPalHttpClient(new Environment(clientId, clientSecret)) };
+      });
+    }
+    return sdkPromise;
+  }
+
+  return {
+    name: 'paypal',
+
+    async createOrder({ paymentId, amount, currency, description, customerReference, returnUrl, cancelUrl }) {
+      const { paypal, client } = await getClient();
+
+      const request = new paypal.orders.OrdersCreateRequest();
+      request.prefer('return=representation');
+      request.requestBody({
+        intent: 'CAPTURE',
+        purchase_units: [
+          {
+            reference_id: paymentId,
+            amount: {
+              currency_code: currency,
+              value: amount.toFixed(2)
+            },
+            description: description,
+            custom_id: customerReference
+          }
+        ],
+        application_context: {
+          brand_name: 'Ticketing System',
+          user_action: 'PAY_NOW',
+          return_url: returnUrl,
+          cancel_url: cancelUrl
+        }
+      });
+
+      const response = await client.execute(request);
+      const order = response.result;
+
+      return {
+        orderId: order.id,
+        approvalUrl: order.links.find(link => link.rel === 'approve')?.href,
+        // Native app hand-off straight into the PayPal app
+        mobileDeepLinks: {
+          ios: `paypal://checkout?token=${order.id}`,
+          android: `intent://checkout?token=${order.id}#Intent;scheme=paypal;package=com.paypal.android;end;`
+        }
+      };
+    },
+
+    async getOrder(orderId) {
+      const { paypal, client } = await getClient();
+      try {
+        const response = await client.execute(new paypal.orders.OrdersGetRequest(orderId));
+        const order = response.result;
+        return {
+          orderId: order.id,
+          status: ORDER_STATUSES[order.status] || 'unknown',
+          captureId: order.purchase_units?.[0]?.payments?.captures?.[0]?.id || null
+        };
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return { orderId, status: 'not_found', captureId: null };
+        }
+        throw error;
+      }
+    },
+
+    // Capture an approved order. Never throws; declines come back as success: false.
+    async captureOrder(orderId) {
+      try {
+        console.log('🔄 ============ CAPTURING PAYPAL ORDER ============');
+        console.log('   📋 Order ID to capture:', orderId);
+
+        const { paypal, client } = await getClient();
+        const request = new paypal.orders.OrdersCaptureRequest(orderId);
+        request.requestBody({});
+
+        let captureResponse;
+        try {
+          const response = await client.execute(request);
+          captureResponse = response.result;
+        } catch (captureError) {
+          // Captured elsewhere already (e.g. by the app) - read the existing capture instead
+          if (!captureError.message?.includes('ORDER_ALREADY_CAPTURED')) {
+            throw captureError;
+          }
+          console.log('⚠️ Order already captured, fetching existing capture');
+          const response = await client.execute(new paypal.orders.OrdersGetRequest(orderId));
+          captureResponse = response.result;
+        }
+
+        console.log('✅ PayPal capture response received');
+        console.log('   📊 Status:', captureResponse.status);
+
+        const capture = captureResponse.purchase_units?.[0]?.payments?.captures?.[0];
+
+        if (captureResponse.status === 'COMPLETED' && capture) {
+          console.log('✅ Payment captured');
+          console.log('   🆔 Capture ID:', capture.id);
+          console.log('   📊 Capture Status:', capture.status);
+
+          return {
+            success: true,
+            captureId: capture.id,
+            captureStatus: capture.status.toLowerCase()
+          };
+        }
+
+        return {
+          success: false,
+          error: `Capture failed with status: ${captureResponse.status}`
+        };
+
+      } catch (error) {
+        console.error('❌ PayPal capture error:', error.message);
+        return {
+          success: false,
+          error: error.message,
+          // Declines come back as 4xx; network and PayPal-side errors are worth a retry
+          retryable: !error.statusCode || error.statusCode >= 500
+        };
+      }
+    },
+
+    // Full or partial refund of a capture; the idempotency key is sent as PayPal-Request-Id
+    async refund({ captureId, amount, currency, idempotencyKey, note }) {
+      const { paypal, client } = await getClient();
+
+      const request = new paypal.payments.CapturesRefundRequest(captureId);
+      request.headers['PayPal-Request-Id'] = idempotencyKey;
+      request.requestBody({
+        amount: {
+          currency_code: currency,
+          value: amount.toFixed(2)
+        },
+        invoice_id: idempotencyKey,
+        note_to_payer: note
+      });
+
+      const response = await client.execute(request);
+      console.log('✅ PayPal refund created:', response.result.id, response.result.status);
+      return {
+        refundId: response.result.id,
+        status: response.result.status.toLowerCase()
+      };
+    },
+
+    async verifyWebhook(req) {
+      return verifyPayPalWebhookSignature(req, webhookVerification);
+    },
+
+    // Normalize a PayPal webhook body into { id, type, orderId, captureId, ... }
+    parseEvent(body) {
+      const resource = body.resource || {};
+      const type = EVENT_TYPES[body.event_type] || null;
+
+      const event = {
+        id: body.id,
+        providerType: body.event_type,
+        type: type,
+        resourceId: resource.id || null,
+        orderId: null,
+        captureId: null,
+        refundId: null,
+        refundReference: null,
+        paymentReference: null,
+        amount: null,
+        refundedTotal: null
+      };
+
+      if (type === 'order.approved' || type === 'order.voided') {
+        // For order events the resource IS the order
+        event.orderId = resource.id;
+        event.paymentReference = resource.purchase_units?.[0]?.reference_id || null;
+        event.amount = parseAmount(resource.purchase_units?.[0]?.amount);
+      } else if (type === 'payment.refunded') {
+        // Refund resources point back to their capture through the "up" link
+        event.refundId = resource.id;
+        event.captureId = resource.links?.find(link => link.rel === 'up')?.href?.split('/').pop() || null;
+        event.orderId = resource.supplementary_data?.related_ids?.order_id || null;
+        // Refunds issued by the app carry our refund id as invoice_id
+        event.refundReference = resource.invoice_id || null;
+        event.amount = parseAmount(resource.amount);
+        event.refundedTotal = parseAmount(resource.seller_payable_breakdown?.total_refunded_amount) ?? event.amount;
+      } else if (type) {
+        // Capture events: the resource is the capture
+        event.captureId = resource.id;
+        event.orderId = resource.supplementary_data?.related_ids?.order_id || null;
+        event.amount = parseAmount(resource.amount);
+      }
+
+      return event;
+    }
+  };
+}
+
+function parseAmount(amount) {
+  return amount?.value ? parseFloat(amount.value) : null;
+}
@@ -0,0 +1,203 @@
+// /lib/payments/providers/stripe.js
+// Stripe Checkout adapter for the payment provider interface
+
+import Stripe from 'stripe';
+import { readRawBody } from '../../raw-body.js';
+import { config } from '../../config.js';
+
+// Stripe requires Checkout Sessions to stay open for at least 30 minutes
+const CHECKOUT_SESSION_TTL_SECONDS = 30 * 60;
+
+const SESSION_EVENT_TYPES = {
+  'checkout.session.async_payment_succeeded': 'payment.captured',
+  'checkout.session.async_payment_failed': 'payment.denied',
+  'checkout.session.expired': 'order.voided'
+};
+
+export function createStripeProvider({
+  secretKey = config.stripe.secretKey,
+  webhookSecret = config.stripe.webhookSecret
+} = {}) {
+  let client = null;
+
+  function getClient() {
+    if (!secretKey) {
+      throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+    if (!client) {
+      client = new Stripe(secretKey);
+    }
+    return client;
+  }
+
+  // Checkout Sessions capture automatically; a paid session is a completed capture
+  function describeSession(session) {
+    const captureId = typeof session.payment_intent === 'string'
+      ? session.payment_intent
+      : session.payment_intent?.id || null;
+
+    let status = 'unknown';
+    if (session.status === 'open') status = 'created';
+    else if (session.status === 'expired') status = 'voided';
+    else if (session.status === 'complete') status = session.payment_status === 'unpaid' ? 'approved' : 'captured';
+
+    return { orderId: session.id, status, captureId };
+  }
+
+  return {
+    name: 'stripe',
+
+    async createOrder({ paymentId, amount, currency, description, customerReference, returnUrl, cancelUrl }) {
+      const session = await getClient().checkout.sessions.create({
+        mode: 'payment',
+        client_reference_id: paymentId,
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency: currency.toLowerCase(),
+              unit_amount: Math.round(amount * 100),
+              product_data: { name: description }
+            }
+          }
+        ],
+        metadata: { payment_id: paymentId, customer_reference: customerReference },
+        payment_intent_data: {
+          metadata: { payment_id: paymentId }
+        },
+        success_url: returnUrl,
+        cancel_url: cancelUrl,
+        expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_TTL_SECONDS
+      }, {
+        idempotencyKey: `checkout-${paymentId}`
+      });
+
+      return {
+        orderId: session.id,
+        approvalUrl: session.url,
+        mobileDeepLinks: null
+      };
+    },
+
+    async getOrder(orderId) {
+      try {
+        const session = await getClient().checkout.sessions.retrieve(orderId);
+        return describeSession(session);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return { orderId, status: 'not_found', captureId: null };
+        }
+        throw error;
+      }
+    },
+
+    // Nothing to capture explicitly: report what Checkout already did. Never throws.
+    async captureOrder(orderId) {
+      try {
+        const session = await getClient().checkout.sessions.retrieve(orderId);
+        const order = describeSession(session);
+
+        if (order.status === 'captured') {
+          return { success: true, captureId: order.captureId, captureStatus: 'completed' };
+        }
+        if (order.status === 'approved') {
+          // Delayed payment methods (bank debits) settle later via async_payment_succeeded
+          return { success: true, captureId: order.captureId, captureStatus: 'pending' };
+        }
+        return { success: false, error: `Checkout session is ${order.status}` };
+
+      } catch (error) {
+        console.error('❌ Stripe session lookup error:', error.message);
+        return {
+          success: false,
+          error: error.message,
+          retryable: !error.statusCode || error.statusCode >= 500
+        };
+      }
+    },
+
+    async refund({ captureId, amount, idempotencyKey, note }) {
+      const refund = await getClient().refunds.create({
+        payment_intent: captureId,
+        amount: Math.round(amount * 100),
+        metadata: { refund_id: idempotencyKey, note: note }
+      }, {
+        idempotencyKey: idempotencyKey
+      });
+
+      console.log('✅ Stripe refund created:', refund.id, refund.status);
+      return {
+        refundId: refund.id,
+        status: refund.status
+      };
+    },
+
+    // Stripe signs the raw payload; the parsed event replaces req.body on success
+    async verifyWebhook(req) {
+      try {
+        if (!webhookSecret) {
+          return { valid: false, reason: 'STRIPE_WEBHOOK_SECRET is not configured' };
+        }
+        const signature = req.headers['stripe-signature'];
+        if (!signature) {
+          return { valid: false, reason: 'Missing stripe-signature header' };
+        }
+
+        const rawBody = await readRawBody(req);
+        req.body = getClient().webhooks.constructEvent(rawBody, signature, webhookSecret);
+        return { valid: true, reason: 'signature_verified' };
+
+      } catch (error) {
+        return { valid: false, reason: error.message };
+      }
+    },
+
+    parseEvent(body) {
+      const object = body.data?.object || {};
+
+      const event = {
+        id: body.id,
+        providerType: body.type,
+        type: null,
+        resourceId: object.id || null,
+        orderId: null,
+        captureId: null,
+        refundId: null,
+        refundReference: null,
+        paymentReference: null,
+        amount: null,
+        refundedTotal: null
+      };
+
+      if (body.type === 'checkout.session.completed' || SESSION_EVENT_TYPES[body.type]) {
+        const order = describeSession(object);
+        event.type = body.type === 'checkout.session.completed'
+          ? (order.status === 'captured' ? 'payment.captured' : 'order.approved')
+          : SESSION_EVENT_TYPES[body.type];
+        event.orderId = order.orderId;
+        event.captureId = order.captureId;
+        event.paymentReference = object.client_reference_id || object.metadata?.payment_id || null;
+        event.amount = toAmount(object.amount_total);
+      } else if (body.type === 'charge.refunded') {
+        // The newest refund is listed first when the charge includes its refunds
+        const latestRefund = object.refunds?.data?.[0];
+        event.type = 'payment.refunded';
+        event.captureId = object.payment_intent || null;
+        event.refundId = latestRefund?.id || null;
+        event.refundReference = latestRefund?.metadata?.refund_id || null;
+        event.amount = toAmount(latestRefund?.amount);
+        event.refundedTotal = toAmount(object.amount_refunded);
+      } else if (body.type === 'charge.dispute.created') {
+        event.type = 'payment.reversed';
+        event.captureId = object.payment_intent || null;
+        event.amount = toAmount(object.amount);
+      }
+
+      return event;
+    }
+  };
+}
+
+function toAmount(cents) {
+  return Number.isInteger(cents) ? cents / 100 : null;
+}
@@ -0,0 +1,690 @@
+// /lib/payments/webhook-handler.js
+// Provider-agnostic payment webhook processing: verify, dedupe, then issue or reverse tickets
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../config.js';
+import { getPaymentProvider, EVENT_TYPES } from './providers/index.js';
+import { readJsonBody, withJsonHelpers } from '../raw-body.js';
+import { releaseReservation } from '../reservations.js';
+import { getTicketLineItem } from '../line-items.js';
+import {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  acquirePaymentLock,
+  releasePaymentLock,
+  createRecordedResponse
+} from '../webhook-ledger.js';
+import { revokeTickets } from '../ticket-revocation.js';
+import { issueTickets, getBoundNames, sendPaymentSuccessNotification } from '../ticket-issuance.js';
+
+const defaultSupabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+// Events that undo or cancel money we were (or would have been) paid
+const PAYMENT_REVERSAL_EVENTS = {
+  [EVENT_TYPES.PAYMENT_REFUNDED]: { status: 'refunded', reason: 'refunded' },
+  [EVENT_TYPES.PAYMENT_REVERSED]: { status: 'reversed', reason: 'chargeback' },
+  [EVENT_TYPES.PAYMENT_DENIED]: { status: 'denied', reason: 'capture_denied' },
+  [EVENT_TYPES.ORDER_VOIDED]: { status: 'voided', reason: 'order_voided' }
+};
+
+// Payments that gave their seats back without issuing anything; money captured for one is refunded
+const UNFULFILLABLE_STATUSES = ['expired', 'failed'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Vercel route handler for one provider's webhook endpoint. Tests pass their own database client.
+export function createPaymentWebhookHandler(providerName, { supabase = defaultSupabase } = {}) {
+  return async function handler(req, res) {
+    res = withJsonHelpers(res);
+    console.log(`🚀 ============ ${providerName.toUpperCase()} WEBHOOK HANDLER STARTED ============`);
+    console.log('⏰ Timestamp:', new Date().toISOString());
+
+    if (req.method !== 'POST') {
+      console.log('❌ Invalid method:', req.method);
+      return res.status(405).json({
+        status: 'error',
+        message: 'Method not allowed'
+      });
+    }
+
+    try {
+      const provider = getPaymentProvider(providerName);
+
+      // Verify the webhook signature before touching the payload
+      console.log('🔐 ============ WEBHOOK VERIFICATION ============');
+      const verification = await provider.verifyWebhook(req);
+      if (!verification.valid) {
+        console.error('❌ Invalid webhook signature - REJECTING REQUEST:', verification.reason);
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid webhook signature'
+        });
+      }
+      console.log('✅ Webhook signature verified:', verification.reason);
+
+      const body = await readJsonBody(req);
+      const event = provider.parseEvent(body);
+
+      console.log('🔍 ============ WEBHOOK PAYLOAD ANALYSIS ============');
+      console.log('🎣 Event type received:', event.providerType, '→', event.type || 'not handled');
+      console.log('🆔 Event ID received:', event.id);
+
+      if (!event.id) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Webhook event id is required'
+        });
+      }
+
+      // Each provider event id is processed once; retries and replays get the stored outcome
+      console.log('📒 ============ WEBHOOK EVENT LEDGER ============');
+      const claim = await claimWebhookEvent(supabase, {
+        provider: provider.name,
+        eventId: event.id,
+        eventType: event.providerType,
+        resourceId: event.resourceId
+      });
+
+      if (!claim.claimed) {
+        if (claim.entry.status === 'processed') {
+          console.log('♻️ Event already processed, replaying original outcome');
+          return res.status(claim.entry.response_status).json(claim.entry.response_body);
+        }
+        console.log('⏳ Event is being processed by another invocation');
+        return res.status(409).json({
+          status: 'error',
+          message: 'Webhook event is already being processed'
+        });
+      }
+
+      const outcome = createRecordedResponse();
+      try {
+        await processWebhookEvent(supabase, provider, event, outcome, claim.entry);
+      } catch (error) {
+        logCriticalError(error);
+        outcome.status(500).json({
+          status: 'error',
+          message: 'Webhook processing failed',
+          error: error.message
+        });
+      }
+
+      await completeWebhookEvent(supabase, claim.entry, {
+        statusCode: outcome.statusCode,
+        body: outcome.body,
+        paymentId: claim.entry.payment_id
+      });
+
+      return res.status(outcome.statusCode).json(outcome.body);
+
+    } catch (error) {
+      logCriticalError(error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Webhook processing failed',
+        error: error.message
+      });
+    }
+  };
+}
+
+function logCriticalError(error) {
+  console.error('🔥 ============ CRITICAL WEBHOOK ERROR ============');
+  console.error('❌ Error message:', error.message);
+  console.error('📊 Error stack:', error.stack);
+  console.error('⏰ Error timestamp:', new Date().toISOString());
+}
+
+// Process one claimed webhook event. Writes its outcome to `res` (a recorded response).
+async function processWebhookEvent(supabase, provider, event, res, ledgerEntry) {
+  // Refunds, chargebacks, denials and voids change the state of an existing payment
+  if (PAYMENT_REVERSAL_EVENTS[event.type]) {
+    return handlePaymentReversal(supabase, provider, event, res, ledgerEntry);
+  }
+
+  if (event.type !== EVENT_TYPES.PAYMENT_CAPTURED && event.type !== EVENT_TYPES.ORDER_APPROVED) {
+    console.log('⏭️ Skipping event type:', event.providerType);
+    return res.status(200).json({
+      status: 'success',
+      message: 'Event type not handled'
+    });
+  }
+
+  console.log('🎯 ============ PAYMENT PROCESSING STARTED ============');
+  console.log('   📋 Order ID:', event.orderId || 'N/A');
+  console.log('   🆔 Capture ID:', event.captureId || 'N/A');
+  console.log('   💵 Amount:', event.amount ?? 'N/A');
+
+  const payment = await findPayment(supabase, provider.name, event);
+  if (!payment) {
+    console.error('❌ CRITICAL ERROR: Payment not found in database');
+    return res.status(404).json({
+      status: 'error',
+      message: 'Payment record not found',
+      debug: {
+        searchedOrderId: event.orderId,
+        searchedCaptureId: event.captureId
+      }
+    });
+  }
+
+  ledgerEntry.payment_id = payment.payment_id;
+
+  console.log('✅ Payment record found in database:');
+  console.log('   🆔 Payment ID:', payment.payment_id);
+  console.log('   👤 User ID:', payment.user_id);
+  console.log('   💰 Database Amount:', payment.amount);
+  console.log('   📊 Current Status:', payment.payment_status);
+
+  if (payment.payment_status === 'confirmed') {
+    console.log('⚠️ Payment already processed, skipping duplicate processing');
+    return res.status(200).json({
+      status: 'success',
+      message: 'Payment already processed (duplicate webhook)'
+    });
+  }
+
+  // Failed or expired payments have released their seats and are not revived here. A capture
+  // that still went through for one is refunded below, under the lock.
+  const capturedUnfulfillable = event.type === EVENT_TYPES.PAYMENT_CAPTURED
+    && UNFULFILLABLE_STATUSES.includes(payment.payment_status);
+  if (payment.payment_status !== 'pending' && !capturedUnfulfillable) {
+    console.error(`❌ Payment is ${payment.payment_status}, not issuing tickets`);
+    return res.status(200).json({
+      status: 'success',
+      message: `Payment is ${payment.payment_status}, event not processed`
+    });
+  }
+
+  // Expected quantity comes from the line item recorded at purchase time
+  let ticketLineItem;
+  try {
+    ticketLineItem = getTicketLineItem(payment);
+  } catch (lineItemError) {
+    console.error('❌ CRITICAL ERROR:', lineItemError.message);
+    return res.status(400).json({
+      status: 'error',
+      message: 'Payment has no valid ticket line item'
+    });
+  }
+  const expectedQuantity = ticketLineItem.quantity;
+
+  console.log('📝 ============ BOUND NAMES EXTRACTION ============');
+  let boundNames = getBoundNames(payment);
+
+  if (boundNames.length === 0) {
+    console.error('❌ No bound names provided for tickets, using placeholders');
+    boundNames = Array.from({ length: expectedQuantity }, (_, i) => `Ticket-${i + 1}`);
+  } else if (boundNames.length !== expectedQuantity) {
+    console.error('❌ CRITICAL ERROR: Bound names count mismatch');
+    console.error('   📊 Expected quantity:', expectedQuantity);
+    console.error('   📝 Bound names provided:', boundNames.length);
+
+    return res.status(400).json({
+      status: 'error',
+      message: `Bound names count mismatch. Expected ${expectedQuantity}, got ${boundNames.length}`,
+      debug: {
+        expectedQuantity,
+        boundNamesCount: boundNames.length,
+        boundNames
+      }
+    });
+  }
+
+  // Verify amount matches (only if the provider reported one)
+  if (event.amount > 0) {
+    console.log('🔍 ============ AMOUNT VERIFICATION ============');
+    const amountDifference = Math.abs(event.amount - parseFloat(payment.amount));
+
+    if (amountDifference > 0.01) {
+      console.error('❌ CRITICAL ERROR: Amount mismatch detected');
+      console.error('   💵 Provider:', event.amount);
+      console.error('   💾 Database:', payment.amount);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Payment amount mismatch'
+      });
+    }
+    console.log('✅ Amount verification passed');
+  } else {
+    console.log('⚠️ Skipping amount verification (amount not found in webhook)');
+  }
+
+  // Only one invocation may issue tickets for a payment, whichever event triggered it
+  console.log('🔒 ============ PAYMENT PROCESSING LOCK ============');
+  const lockId = await acquirePaymentLock(supabase, payment.payment_id);
+  if (!lockId) {
+    console.log('⏳ Payment is locked by another invocation');
+    return res.status(409).json({
+      status: 'error',
+      message: 'Payment is already being processed'
+    });
+  }
+
+  try {
+    // Re-check under the lock: a concurrent event may have finished, or the reservation sweeper
+    // expired the payment, in the meantime
+    const current = await loadPaymentState(supabase, payment.payment_id);
+    if (current.fulfilled) {
+      console.log('⚠️ Payment already fulfilled, skipping duplicate processing');
+      return res.status(200).json({
+        status: 'success',
+        message: 'Payment already processed (duplicate webhook)'
+      });
+    }
+
+    if (current.status !== 'pending' || current.reservationReleased) {
+      const capturedId = event.type === EVENT_TYPES.PAYMENT_CAPTURED ? event.captureId : null;
+      return settleUnfulfillablePayment(supabase, provider, payment, current, capturedId, res);
+    }
+
+    let captureId = event.captureId;
+
+    // An approval only means the buyer agreed to pay; capture the money before issuing tickets
+    if (event.type === EVENT_TYPES.ORDER_APPROVED) {
+      console.log('💳 ============ ORDER CAPTURE ============');
+      const capture = await provider.captureOrder(event.orderId || payment.provider_order_id);
+
+      if (!capture.success && capture.retryable) {
+        throw new Error('Capture temporarily failed: ' + capture.error);
+      }
+
+      if (!capture.success || ['declined', 'failed'].includes(capture.captureStatus)) {
+        await failPayment(supabase, payment, 'capture_failed', capture.error || `Capture ${capture.captureStatus}`);
+        return res.status(200).json({
+          status: 'error',
+          message: 'Order capture failed, payment marked as failed',
+          error: capture.error
+        });
+      }
+
+      // Record the capture id either way so the capture webhook can find this payment
+      await supabase
+        .from('payments')
+        .update({ provider_capture_id: capture.captureId })
+        .eq('payment_id', payment.payment_id);
+
+      if (capture.captureStatus !== 'completed') {
+        console.log(`⏳ Capture is ${capture.captureStatus}, tickets will be issued once it completes`);
+        return res.status(200).json({
+          status: 'success',
+          message: `Order captured with status ${capture.captureStatus}, awaiting completion`
+        });
+      }
+
+      captureId = capture.captureId;
+
+      // The capture is a round trip to the provider: make sure the payment is still pending and its
+      // seats still held before issuing, and hand the money back if not
+      const afterCapture = await loadPaymentState(supabase, payment.payment_id);
+      if (!afterCapture.fulfilled && (afterCapture.status !== 'pending' || afterCapture.reservationReleased)) {
+        return settleUnfulfillablePayment(supabase, provider, payment, afterCapture, captureId, res);
+      }
+    }
+
+    console.log('🎫 ============ TICKET CREATION PROCESS ============');
+    const issued = await issueTickets(supabase, payment, captureId, boundNames, ticketLineItem);
+
+    if (issued === 'already_fulfilled') {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Payment already processed (duplicate webhook)'
+      });
+    }
+    if (issued === 'not_pending' || issued === 'reservation_released') {
+      const latest = await loadPaymentState(supabase, payment.payment_id);
+      return settleUnfulfillablePayment(supabase, provider, payment, latest, captureId, res);
+    }
+  } finally {
+    await releasePaymentLock(supabase, payment.payment_id, lockId);
+  }
+
+  await sendPaymentSuccessNotification(supabase, payment.user_id, payment.payment_id);
+
+  console.log('🎉 ============ WEBHOOK PROCESSING COMPLETE ============');
+  return res.status(200).json({
+    status: 'success',
+    message: 'Payment processed successfully'
+  });
+}
+
+// Apply a refund, chargeback, denial or void to the payment it belongs to
+async function handlePaymentReversal(supabase, provider, event, res, ledgerEntry) {
+  const mapping = PAYMENT_REVERSAL_EVENTS[event.type];
+  console.log(`↩️ ============ PAYMENT REVERSAL: ${event.providerType} ============`);
+  console.log('   🆔 Capture ID:', event.captureId || 'N/A');
+  console.log('   📋 Order ID:', event.orderId || 'N/A');
+
+  const payment = await findPayment(supabase, provider.name, event);
+  if (!payment) {
+    console.error('❌ No payment found for reversal event');
+    return res.status(404).json({
+      status: 'error',
+      message: 'Payment record not found'
+    });
+  }
+
+  ledgerEntry.payment_id = payment.payment_id;
+  console.log(`✅ Payment ${payment.payment_id} found (status: ${payment.payment_status})`);
+
+  const lockId = await acquirePaymentLock(supabase, payment.payment_id);
+  if (!lockId) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'Payment is already being processed'
+    });
+  }
+
+  try {
+    // Refunds started from /api/tickets/refund have already been applied to their tickets
+    if (event.type === EVENT_TYPES.PAYMENT_REFUNDED) {
+      const appliedRefund = await findAppliedRefund(supabase, event);
+      if (appliedRefund) {
+        console.log(`✅ Refund ${appliedRefund.refund_id} was issued by the app, nothing to apply`);
+        return res.status(200).json({
+          status: 'success',
+          message: 'Refund already applied'
+        });
+      }
+    }
+
+    // Nothing was issued yet: the checkout simply failed, so give the held seats back
+    if (payment.payment_status === 'pending') {
+      await failPayment(supabase, payment, mapping.reason);
+      return res.status(200).json({
+        status: 'success',
+        message: `Pending payment marked as failed (${mapping.reason})`
+      });
+    }
+
+    let newStatus = mapping.status;
+    let ticketsToRevoke = [];
+    let statusReason = mapping.reason;
+
+    const { data: tickets, error: ticketsError } = await supabase
+      .from('tickets')
+      .select('ticket_id')
+      .eq('payment_id', payment.payment_id)
+      .eq('ticket_status', 'valid');
+
+    if (ticketsError) {
+      throw new Error('Failed to load tickets for payment: ' + ticketsError.message);
+    }
+
+    if (event.type === EVENT_TYPES.PAYMENT_REFUNDED) {
+      // Providers report the cumulative refunded amount alongside the refund
+      const refundedTotal = event.refundedTotal ?? event.amount ?? 0;
+      const isFullRefund = refundedTotal >= parseFloat(payment.amount) - 0.01;
+      console.log(`💸 Refunded ${refundedTotal} of ${payment.amount} (${isFullRefund ? 'full' : 'partial'})`);
+
+      if (isFullRefund) {
+        ticketsToRevoke = tickets.map(t => t.ticket_id);
+      } else {
+        // A partial refund made outside the app doesn't say which tickets it covers
+        newStatus = 'partially_refunded';
+        statusReason = `partial refund of ${refundedTotal} issued outside the app, needs staff review`;
+      }
+    } else {
+      ticketsToRevoke = tickets.map(t => t.ticket_id);
+    }
+
+    // The contract revocation is left to the chain-revocations cron, so the provider's
+    // delivery (and the payment lock) never waits on a block
+    const revocation = await revokeTickets(supabase, {
+      ticketIds: ticketsToRevoke,
+      reason: statusReason
+    });
+
+    const { error: updateError } = await supabase
+      .from('payments')
+      .update({
+        payment_status: newStatus,
+        status_reason: statusReason
+      })
+      .eq('payment_id', payment.payment_id);
+
+    if (updateError) {
+      throw new Error('Failed to update payment status: ' + updateError.message);
+    }
+
+    console.log(`✅ Payment ${payment.payment_id} marked as ${newStatus}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Payment marked as ${newStatus}`,
+      data: {
+        payment_id: payment.payment_id,
+        tickets_revoked: revocation.revoked.length,
+        tickets_restocked: revocation.restocked,
+        blockchain_revocation: revocation.queued.length > 0 ? 'pending' : 'not_registered'
+      }
+    });
+  } finally {
+    await releasePaymentLock(supabase, payment.payment_id, lockId);
+  }
+}
+
+// Our refunds carry their refund_id as the provider-side reference (PayPal invoice_id, Stripe metadata)
+async function findAppliedRefund(supabase, event) {
+  const filters = [];
+  if (event.refundId) filters.push(`provider_refund_id.eq.${event.refundId}`);
+  if (UUID_PATTERN.test(event.refundReference || '')) filters.push(`refund_id.eq.${event.refundReference}`);
+
+  if (filters.length === 0) {
+    return null;
+  }
+
+  const { data } = await supabase
+    .from('refunds')
+    .select('refund_id, status')
+    .or(filters.join(','))
+    .limit(1);
+
+  return data?.[0] || null;
+}
+
+// Look the payment up by capture, then order, then our own payment id, scoped to the provider
+async function findPayment(supabase, providerName, event) {
+  const lookups = [
+    ['provider_capture_id', event.captureId],
+    ['provider_order_id', event.orderId],
+    ['payment_id', UUID_PATTERN.test(event.paymentReference || '') ? event.paymentReference : null]
+  ];
+
+  for (const [column, value] of lookups) {
+    if (!value) continue;
+
+    const { data, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('payment_method', providerName)
+      .eq(column, value)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error('Failed to look up payment: ' + error.message);
+    }
+    if (data) {
+      console.log(`✅ Payment found by ${column}`);
+      return data;
+    }
+  }
+
+  return null;
+}
+
+// Mark a pending payment failed and give its reserved seats back
+async function failPayment(supabase, payment, reason, details) {
+  console.error(`❌ Failing payment ${payment.payment_id}: ${reason}`, details || '');
+
+  const { error: updateError } = await supabase
+    .from('payments')
+    .update({
+      payment_status: 'failed',
+      failure_reason: details ? `${reason}: ${details}` : reason
+    })
+    .eq('payment_id', payment.payment_id)
+    .eq('payment_status', 'pending');
+
+  if (updateError) {
+    throw new Error('Failed to mark payment as failed: ' + updateError.message);
+  }
+
+  await releaseReservation(supabase, payment.payment_id, reason);
+}
+
+// A payment that can no longer be fulfilled (`state` from loadPaymentState): anything captured for
+// it goes back to the buyer
+async function settleUnfulfillablePayment(supabase, provider, payment, state, captureId, res) {
+  // Pending, but its seats went back on sale: they may already belong to someone else
+  const seatsGone = state.status === 'pending' && state.reservationReleased;
+
+  if (seatsGone && !captureId) {
+    await failPayment(supabase, payment, 'reservation_released');
+    return res.status(200).json({
+      status: 'success',
+      message: 'Reservation was released, payment marked as failed'
+    });
+  }
+
+  if (!captureId || !(seatsGone || UNFULFILLABLE_STATUSES.includes(state.status))) {
+    console.error(`❌ Payment is ${state.status}, not issuing tickets`);
+    return res.status(200).json({
+      status: 'success',
+      message: `Payment is ${state.status}, event not processed`
+    });
+  }
+
+  const reason = seatsGone ? 'reservation_released' : `capture_after_${state.status}`;
+  const refundId = await refundCapture(supabase, provider, payment, captureId, reason);
+  return res.status(200).json({
+    status: 'success',
+    message: seatsGone
+      ? 'Reservation was released, captured amount refunded'
+      : `Payment is ${state.status}, captured amount refunded`,
+    data: {
+      payment_id: payment.payment_id,
+      refund_id: refundId
+    }
+  });
+}
+
+// Refund a whole capture that issued no tickets. Recorded in refunds like an app refund, so the
+// provider's refund webhook is recognised as already applied. Throws if the provider refund fails,
+// leaving the payment as it was so the capture webhook's retry tries again.
+async function refundCapture(supabase, provider, payment, captureId, reason) {
+  const refundId = crypto.randomUUID();
+  const amount = parseFloat(payment.amount);
+  console.log(`💸 Refunding capture ${captureId} of payment ${payment.payment_id} (${reason})`);
+
+  const { error: recordError } = await supabase
+    .from('refunds')
+    .insert({
+      refund_id: refundId,
+      payment_id: payment.payment_id,
+      event_id: payment.event_id,
+      ticket_ids: [],
+      gross_amount: amount,
+      fee_amount: 0,
+      amount: amount,
+      currency: 'USD',
+      reason: reason,
+      status: 'pending',
+      created_at: new Date().toISOString()
+    });
+
+  if (recordError) {
+    throw new Error('Failed to create refund record: ' + recordError.message);
+  }
+
+  let providerRefund;
+  try {
+    providerRefund = await provider.refund({
+      captureId,
+      amount,
+      currency: 'USD',
+      idempotencyKey: refundId,
+      note: 'Your tickets could not be issued'
+    });
+  } catch (providerError) {
+    await supabase
+      .from('refunds')
+      .update({ status: 'failed', error: providerError.message })
+      .eq('refund_id', refundId);
+
+    throw new Error('Failed to refund capture: ' + providerError.message);
+  }
+
+  await supabase
+    .from('refunds')
+    .update({
+      status: 'completed',
+      provider_refund_id: providerRefund?.refundId || null,
+      completed_at: new Date().toISOString()
+    })
+    .eq('refund_id', refundId);
+
+  const { error: updateError } = await supabase
+    .from('payments')
+    .update({
+      payment_status: 'refunded',
+      status_reason: reason,
+      provider_capture_id: captureId
+    })
+    .eq('payment_id', payment.payment_id);
+
+  if (updateError) {
+    throw new Error('Failed to mark payment refunded: ' + updateError.message);
+  }
+
+  console.log(`✅ Capture refunded (refund ${refundId}), payment ${payment.payment_id} marked as refunded`);
+  return refundId;
+}
+
+// Current status of a payment, whether it is fulfilled (confirmed or with tickets issued) and
+// whether its reserved seats were given back
+async function loadPaymentState(supabase, paymentId) {
+  const { data: current, error: paymentError } = await supabase
+    .from('payments')
+    .select('payment_status')
+    .eq('payment_id', paymentId)
+    .single();
+
+  if (paymentError) {
+    throw new Error('Failed to re-read payment: ' + paymentError.message);
+  }
+
+  if (current.payment_status === 'confirmed') {
+    return { status: current.payment_status, fulfilled: true, reservationReleased: false };
+  }
+
+  const { count, error: ticketsError } = await supabase
+    .from('tickets')
+    .select('ticket_id', { count: 'exact', head: true })
+    .eq('payment_id', paymentId);
+
+  if (ticketsError) {
+    throw new Error('Failed to check existing tickets: ' + ticketsError.message);
+  }
+
+  // Payments from before reservations have no row and are not held back by this
+  const { data: reservation, error: reservationError } = await supabase
+    .from('ticket_reservations')
+    .select('status')
+    .eq('payment_id', paymentId)
+    .maybeSingle();
+
+  if (reservationError) {
+    throw new Error('Failed to check reservation: ' + reservationError.message);
+  }
+
+  return {
+    status: current.payment_status,
+    fulfilled: count > 0,
+    reservationReleased: reservation?.status === 'released'
+  };
+}
@@ -0,0 +1,71 @@
+// /lib/raw-body.js
+// Raw request bytes for webhook signature checks, and the response helpers those endpoints lose by
+// opting out of the Vercel runtime's body parsing (`export const config = { helpers: false }`)
+
+// Signatures cover the exact bytes the provider sent, so they are read from the request stream.
+// req.body is never read for them: with the runtime's helpers on it is a lazy getter that parses the
+// body, and re-serializing what it returns does not reproduce the signed bytes.
+export async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody) || typeof req.rawBody === 'string') {
+    return req.rawBody;
+  }
+
+  const body = assignedBody(req);
+  if (Buffer.isBuffer(body) || typeof body === 'string') {
+    return body;
+  }
+
+  if (typeof req.on === 'function') {
+    req.rawBody = await readStream(req);
+    return req.rawBody;
+  }
+
+  console.log('⚠️ Raw request body unavailable, using re-serialized JSON');
+  return JSON.stringify(body);
+}
+
+// Parsed JSON body. A body already assigned as an object (e.g. the event a provider verified) is
+// used as is; otherwise the raw bytes are parsed here rather than by the runtime.
+export async function readJsonBody(req) {
+  const body = assignedBody(req);
+  if (body !== undefined && !Buffer.isBuffer(body) && typeof body !== 'string') {
+    return body;
+  }
+  const raw = await readRawBody(req);
+  return JSON.parse(raw.toString());
+}
+
+// res.status(code).json(body) whether or not the runtime added its helpers
+export function withJsonHelpers(res) {
+  if (typeof res.status === 'function' && typeof res.json === 'function') {
+    return res;
+  }
+
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.setHeader('content-type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  return res;
+}
+
+// req.body only when it was assigned a value; the runtime's lazy parser is left untouched
+function assignedBody(req) {
+  const descriptor = Object.getOwnPropertyDescriptor(req, 'body');
+  return descriptor && 'value' in descriptor ? descriptor.value : undefined;
+}
+
+// 'data'/'end' listeners rather than async iteration: with the helpers on, the runtime has already
+// consumed the stream and replays the bytes to these two events only
+function readStream(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
@@ -0,0 +1,48 @@
+// /lib/refund-policy.js
+// Per-event refund rules shared by the refund endpoint and the ticket wallet
+
+// Used when an event does not configure its own policy
+export const DEFAULT_REFUND_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getRefundPolicy(event) {
+  return {
+    refunds_enabled: event.refunds_enabled !== false,
+    window_days: Number.isInteger(event.refund_window_days) ? event.refund_window_days : DEFAULT_REFUND_WINDOW_DAYS,
+    fee_per_ticket: parseFloat(event.refund_fee_per_ticket || 0)
+  };
+}
+
+// Whether tickets for this event can still be refunded. Returns { eligible, reason, refund_deadline }.
+export function checkRefundWindow(event, now = new Date()) {
+  const policy = getRefundPolicy(event);
+  const eventDate = new Date(event.event_date);
+  const deadline = new Date(eventDate.getTime() - policy.window_days * DAY_MS);
+
+  if (!policy.refunds_enabled) {
+    return { eligible: false, reason: 'Refunds are disabled for this event', refund_deadline: null };
+  }
+  if (now >= deadline) {
+    return {
+      eligible: false,
+      reason: `Refunds close ${policy.window_days} days before the event`,
+      refund_deadline: deadline.toISOString()
+    };
+  }
+  return { eligible: true, reason: null, refund_deadline: deadline.toISOString() };
+}
+
+// Refund for `ticketCount` tickets of a purchase line item: the ticket price minus the
+// event's per-ticket refund fee. Purchase fees are not refunded. Amounts are in cents-safe decimals.
+export function calculateRefundAmount(lineItem, ticketCount, event) {
+  const policy = getRefundPolicy(event);
+  const unitCents = Math.round(parseFloat(lineItem.unit_price) * 100);
+  const feeCents = Math.min(Math.round(policy.fee_per_ticket * 100), unitCents);
+
+  return {
+    gross: (unitCents * ticketCount) / 100,
+    fee: (feeCents * ticketCount) / 100,
+    amount: ((unitCents - feeCents) * ticketCount) / 100
+  };
+}
@@ -0,0 +1,293 @@
+// /lib/registration-queue.js
+// Durable retry queue for on-chain ticket registration (nft_registration_jobs). Jobs are claimed
+// in batches, tokens that are already on-chain are settled without a transaction, the rest are
+// registered together, and failures back off exponentially until they are dead-lettered.
+
+import { config } from './config.js';
+import { readTicketStatuses, registerTicketsInBlockchain } from './blockchain.js';
+import { recordChainStatuses } from './chain-status-cache.js';
+
+export const REGISTRATION_JOB_STATUSES = ['queued', 'processing', 'done', 'dead', 'cancelled'];
+
+// Backoff after the nth failed attempt: 2, 4, 8, ... minutes, at most 6 hours. The first retry is
+// late enough for a transaction that merely timed out to be mined and picked up by the pre-check.
+// Fresh jobs (queued by the tickets insert trigger) are due immediately.
+const BACKOFF_BASE_MS = 2 * 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// A claimed job is reclaimable after this long, in case its worker died mid-run
+const CLAIM_LOCK_SECONDS = 5 * 60;
+
+// The worker runs inside a serverless function, so it waits for one confirmation and not for long
+const WORKER_CONFIRMATIONS = 1;
+const WORKER_TIMEOUT_MS = 45 * 1000;
+
+function registrationBackoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+// Where a purchase's tickets are in the registration stage, for /api/payments/verify.
+// `jobs` are the tickets' nft_registration_jobs rows. Returns { stage, tickets, next_attempt_at }:
+// tickets maps ticket_id -> registered, queued, registering, retrying, failed or cancelled; stage is
+// 'registered' once every live ticket is, 'failed' if one was dead-lettered, else 'registering'.
+export function describeRegistrationProgress(tickets, jobs) {
+  const jobByTicket = new Map(jobs.map(job => [job.ticket_id, job]));
+  const perTicket = {};
+
+  tickets.forEach(ticket => {
+    const job = jobByTicket.get(ticket.ticket_id);
+    if (ticket.blockchain_registered) {
+      perTicket[ticket.ticket_id] = 'registered';
+    } else if (job?.status === 'dead') {
+      perTicket[ticket.ticket_id] = 'failed';
+    } else if (job?.status === 'cancelled') {
+      // Revoked or refunded before it was registered
+      perTicket[ticket.ticket_id] = 'cancelled';
+    } else if (job?.status === 'processing') {
+      perTicket[ticket.ticket_id] = 'registering';
+    } else if (job?.attempts > 0) {
+      perTicket[ticket.ticket_id] = 'retrying';
+    } else {
+      perTicket[ticket.ticket_id] = 'queued';
+    }
+  });
+
+  const statuses = Object.values(perTicket).filter(status => status !== 'cancelled');
+  const queuedJobs = jobs.filter(job => job.status === 'queued');
+  return {
+    stage: statuses.every(status => status === 'registered')
+      ? 'registered'
+      : statuses.includes('failed') ? 'failed' : 'registering',
+    tickets: perTicket,
+    next_attempt_at: queuedJobs.map(job => job.next_attempt_at).sort()[0] || null
+  };
+}
+
+// One worker run. Returns { claimed, registered, already_registered, cancelled, retried, dead, transaction_hash }.
+export async function processRegistrationQueue(supabase, {
+  batchSize = config.blockchain.registration.batchSize,
+  maxAttempts = config.blockchain.registration.maxAttempts
+} = {}) {
+  const summary = { claimed: 0, registered: 0, already_registered: 0, cancelled: 0, retried: 0, dead: 0, transaction_hash: null };
+
+  const { data: jobs, error: claimError } = await supabase.rpc('claim_nft_registration_jobs', {
+    p_limit: batchSize,
+    p_lock_seconds: CLAIM_LOCK_SECONDS
+  });
+
+  if (claimError) {
+    throw new Error('Failed to claim registration jobs: ' + claimError.message);
+  }
+  summary.claimed = jobs.length;
+  if (jobs.length === 0) {
+    return summary;
+  }
+  console.log(`⛓️ Claimed ${jobs.length} registration jobs`);
+
+  // Tickets revoked or refunded since they were queued have nothing to register
+  const { data: tickets, error: ticketsError } = await supabase
+    .from('tickets')
+    .select('ticket_id, ticket_status')
+    .in('ticket_id', jobs.map(job => job.ticket_id));
+
+  if (ticketsError) {
+    await rescheduleJobs(supabase, jobs, 'Failed to load tickets: ' + ticketsError.message, null, maxAttempts, summary);
+    return summary;
+  }
+
+  const ticketStatus = new Map(tickets.map(ticket => [ticket.ticket_id, ticket.ticket_status]));
+  const live = jobs.filter(job => ['valid', 'used'].includes(ticketStatus.get(job.ticket_id)));
+  const cancelled = jobs.filter(job => !live.includes(job));
+  if (cancelled.length > 0) {
+    await finishJobs(supabase, cancelled, 'cancelled');
+    summary.cancelled = cancelled.length;
+  }
+  if (live.length === 0) {
+    return summary;
+  }
+
+  // Tokens already on-chain (a timed-out transaction that was mined after all, or another
+  // worker's) are settled without sending anything
+  const chainStatuses = await readTicketStatuses(live.map(job => job.token_id));
+  const unreadable = live.filter(job => !chainStatuses.get(job.token_id)?.contract_verified);
+  const registeredOnChain = live.filter(job => [1, 2].includes(chainStatuses.get(job.token_id)?.contract_status));
+
+  // A token on-chain under another bound name belongs to some other ticket: retrying cannot help
+  const collided = registeredOnChain.filter(job =>
+    (chainStatuses.get(job.token_id).bound_name || '') !== (job.bound_name || ''));
+  const onChain = registeredOnChain.filter(job => !collided.includes(job));
+  const toRegister = live.filter(job => chainStatuses.get(job.token_id)?.contract_verified
+    && chainStatuses.get(job.token_id).contract_status === 0);
+
+  if (unreadable.length > 0) {
+    const readError = chainStatuses.get(unreadable[0].token_id)?.error || 'Blockchain status unavailable';
+    await rescheduleJobs(supabase, unreadable, readError, null, maxAttempts, summary);
+  }
+
+  if (collided.length > 0) {
+    console.error(`❌ ${collided.length} token ids are already registered on-chain for other bound names`);
+    // No attempts left: dead-lettered straight away for staff to look at
+    await rescheduleJobs(supabase, collided, 'Token id already registered on-chain for another bound name', null, 0, summary);
+  }
+
+  if (onChain.length > 0) {
+    await markRegistered(supabase, onChain, null);
+    await recordChainStatuses(supabase, onChain.map(job => ({
+      tokenId: job.token_id,
+      contractStatus: chainStatuses.get(job.token_id).contract_status,
+      boundName: chainStatuses.get(job.token_id).bound_name
+    })), 'live');
+    summary.already_registered = onChain.length;
+  }
+
+  if (toRegister.length > 0) {
+    const registration = await registerTicketsInBlockchain(
+      supabase,
+      toRegister.map(job => job.token_id),
+      toRegister.map(job => job.bound_name || ''),
+      { confirmations: WORKER_CONFIRMATIONS, timeoutMs: WORKER_TIMEOUT_MS }
+    );
+    summary.transaction_hash = registration.transactionHash || null;
+
+    if (registration.success) {
+      await markRegistered(supabase, toRegister, registration.transactionHash);
+      await recordChainStatuses(supabase, toRegister.map(job => ({
+        tokenId: job.token_id,
+        contractStatus: 1,
+        boundName: job.bound_name,
+        blockNumber: registration.blockNumber
+      })), 'registration');
+      summary.registered = toRegister.length;
+    } else {
+      await rescheduleJobs(supabase, toRegister, registration.error, registration.transactionHash, maxAttempts, summary);
+    }
+  }
+
+  console.log('✅ Registration queue run complete:', summary);
+  return summary;
+}
+
+async function markRegistered(supabase, jobs, transactionHash) {
+  const update = { nft_mint_status: 'minted', blockchain_registered: true, blockchain_error: null };
+  if (transactionHash) {
+    update.blockchain_tx_hash = transactionHash;
+  }
+
+  const { error } = await supabase
+    .from('tickets')
+    .update(update)
+    .in('ticket_id', jobs.map(job => job.ticket_id));
+
+  if (error) {
+    // Leave the jobs claimed; the lock expires and the next run settles them from the chain
+    console.error('❌ Failed to mark tickets registered:', error.message);
+    return;
+  }
+  await finishJobs(supabase, jobs, 'done', transactionHash);
+}
+
+async function finishJobs(supabase, jobs, status, transactionHash = null) {
+  const update = { status, locked_until: null, completed_at: new Date().toISOString(), updated_at: new Date().toISOString() };
+  if (transactionHash) {
+    update.last_tx_hash = transactionHash;
+  }
+
+  const { error } = await supabase
+    .from('nft_registration_jobs')
+    .update(update)
+    .in('ticket_id', jobs.map(job => job.ticket_id));
+
+  if (error) {
+    console.error(`❌ Failed to mark registration jobs ${status}:`, error.message);
+  }
+}
+
+// Back off failed jobs, or dead-letter them once they have used up their attempts
+async function rescheduleJobs(supabase, jobs, errorMessage, transactionHash, maxAttempts, summary) {
+  const now = Date.now();
+  const exhausted = jobs.filter(job => job.attempts >= maxAttempts);
+  const retrying = jobs.filter(job => job.attempts < maxAttempts);
+
+  // Jobs with the same attempt count share a retry time
+  const byAttempts = new Map();
+  retrying.forEach(job => byAttempts.set(job.attempts, [...(byAttempts.get(job.attempts) || []), job]));
+
+  for (const [attempts, group] of byAttempts) {
+    const { error } = await supabase
+      .from('nft_registration_jobs')
+      .update({
+        status: 'queued',
+        locked_until: null,
+        next_attempt_at: new Date(now + registrationBackoffMs(attempts)).toISOString(),
+        last_error: errorMessage,
+        last_tx_hash: transactionHash,
+        updated_at: new Date().toISOString()
+      })
+      .in('ticket_id', group.map(job => job.ticket_id));
+
+    if (error) {
+      console.error('❌ Failed to reschedule registration jobs:', error.message);
+    }
+  }
+  summary.retried += retrying.length;
+
+  if (exhausted.length > 0) {
+    console.error(`💀 ${exhausted.length} registrations dead-lettered after ${maxAttempts} attempts:`, errorMessage);
+    const { error } = await supabase
+      .from('nft_registration_jobs')
+      .update({
+        status: 'dead',
+        locked_until: null,
+        last_error: errorMessage,
+        last_tx_hash: transactionHash,
+        updated_at: new Date().toISOString()
+      })
+      .in('ticket_id', exhausted.map(job => job.ticket_id));
+
+    if (error) {
+      console.error('❌ Failed to dead-letter registration jobs:', error.message);
+    }
+    summary.dead += exhausted.length;
+  }
+
+  const { error: ticketError } = await supabase
+    .from('tickets')
+    .update({ nft_mint_status: 'failed', blockchain_registered: false, blockchain_error: errorMessage })
+    .in('ticket_id', jobs.map(job => job.ticket_id));
+
+  if (ticketError) {
+    console.error('❌ Failed to record registration failure on tickets:', ticketError.message);
+  }
+}
+
+// Put dead-lettered jobs back in the queue with a fresh set of attempts.
+// Returns the ticket ids requeued.
+export async function requeueDeadRegistrations(supabase, ticketIds) {
+  return requeueJobs(supabase, ticketIds, 'dead');
+}
+
+// Resume jobs the worker cancelled because their ticket was revoked, once the ticket is
+// restored. Returns the ticket ids requeued.
+export async function requeueCancelledRegistrations(supabase, ticketIds) {
+  return requeueJobs(supabase, ticketIds, 'cancelled');
+}
+
+async function requeueJobs(supabase, ticketIds, fromStatus) {
+  const { data, error } = await supabase
+    .from('nft_registration_jobs')
+    .update({
+      status: 'queued',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      completed_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .in('ticket_id', ticketIds)
+    .eq('status', fromStatus)
+    .select('ticket_id');
+
+  if (error) {
+    throw new Error('Failed to requeue registrations: ' + error.message);
+  }
+  return data.map(job => job.ticket_id);
+}
@@ -0,0 +1,64 @@
+// /lib/reservations.js
+// Seat reservations backed by the reserve/release/convert functions in supabase/migrations
+
+// How long a checkout may hold seats before the reservation is considered abandoned
+export const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+// Atomically hold `quantity` seats for a pending payment.
+// Returns the reservation row, or null when the event no longer has enough seats.
+export async function reserveTickets(supabase, { eventId, paymentId, userId, quantity }) {
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MS);
+
+  const { data, error } = await supabase.rpc('reserve_event_tickets', {
+    p_event_id: eventId,
+    p_payment_id: paymentId,
+    p_user_id: userId,
+    p_quantity: quantity,
+    p_expires_at: expiresAt.toISOString()
+  });
+
+  if (error) {
+    throw new Error('Failed to reserve tickets: ' + error.message);
+  }
+
+  const reservation = Array.isArray(data) ? data[0] : data;
+  if (!reservation) {
+    console.log(`⚠️ Not enough tickets left to reserve ${quantity} for event ${eventId}`);
+    return null;
+  }
+
+  console.log(`✅ Reserved ${quantity} tickets for event ${eventId} (reservation ${reservation.reservation_id})`);
+  return reservation;
+}
+
+// Give a payment's held seats back to the event. Safe to call repeatedly:
+// returns the number of seats actually released, 0 if the hold was already settled.
+export async function releaseReservation(supabase, paymentId, reason) {
+  const { data: released, error } = await supabase.rpc('release_ticket_reservation', {
+    p_payment_id: paymentId,
+    p_reason: reason
+  });
+
+  if (error) {
+    throw new Error('Failed to release reservation: ' + error.message);
+  }
+
+  if (released > 0) {
+    console.log(`✅ Released ${released} reserved tickets for payment ${paymentId} (${reason})`);
+  } else {
+    console.log(`ℹ️ No held reservation to release for payment ${paymentId}`);
+  }
+  return released || 0;
+}
+
+// Mark a payment's held seats as sold so they can no longer be released.
+export async function convertReservation(supabase, paymentId) {
+  const { data: converted, error } = await supabase.rpc('convert_ticket_reservation', {
+    p_payment_id: paymentId
+  });
+
+  if (error) {
+    throw new Error('Failed to convert reservation: ' + error.message);
+  }
+  return converted || 0;
+}
@@ -0,0 +1,91 @@
+// /lib/scanner-devices.js
+// Enrolled scanner devices: credentials, authentication and event/gate assignments.
+// A device sends `X-Scanner-Key: <device_id>.<secret>`; only sha256(secret) is stored.
+
+import crypto from 'crypto';
+
+export const SCANNER_KEY_HEADER = 'x-scanner-key';
+
+// Only update last_seen_at this often, so busy lanes don't write on every scan
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// New credential for a device. The plain key is returned to the admin once and never stored.
+export function createScannerCredential(deviceId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return {
+    key: `${deviceId}.${secret}`,
+    credentialHash: hashSecret(secret)
+  };
+}
+
+// Returns { device } with its assignments for an enrolled, unrevoked device, otherwise
+// { status, message } to send back
+export async function authenticateScannerDevice(supabase, req) {
+  const presented = req.headers[SCANNER_KEY_HEADER];
+  if (!presented) {
+    return { status: 401, message: 'Scanner device key required' };
+  }
+
+  const separator = presented.indexOf('.');
+  const deviceId = separator > 0 ? presented.slice(0, separator) : null;
+  const secret = separator > 0 ? presented.slice(separator + 1) : null;
+  if (!deviceId || !secret || !/^[0-9a-f-]{36}$/i.test(deviceId)) {
+    return { status: 401, message: 'Malformed scanner device key' };
+  }
+
+  const { data: device, error } = await supabase
+    .from('scanner_devices')
+    .select('device_id, name, credential_hash, revoked_at, last_seen_at, scanner_device_events (event_id, gates)')
+    .eq('device_id', deviceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error('Failed to load scanner device: ' + error.message);
+  }
+
+  const expected = Buffer.from(device?.credential_hash || '', 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  if (!device || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { status: 401, message: 'Invalid scanner device key' };
+  }
+  if (device.revoked_at) {
+    return { status: 403, message: 'Scanner device has been revoked' };
+  }
+
+  if (!device.last_seen_at || Date.now() - new Date(device.last_seen_at).getTime() > LAST_SEEN_INTERVAL_MS) {
+    await supabase
+      .from('scanner_devices')
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq('device_id', device.device_id);
+  }
+
+  return {
+    device: {
+      device_id: device.device_id,
+      name: device.name,
+      assignments: device.scanner_device_events || []
+    }
+  };
+}
+
+// Whether a device may scan for an event, and at a gate when the assignment names gates.
+// Returns null when allowed, otherwise the reason.
+export function checkDeviceAssignment(device, eventId, gate) {
+  const assignment = findDeviceAssignment(device, eventId);
+  if (!assignment) {
+    return 'Scanner device is not assigned to this event';
+  }
+  if (Array.isArray(assignment.gates) && assignment.gates.length > 0 && !assignment.gates.includes(gate)) {
+    return `Scanner device is not assigned to gate ${gate || '(none)'} for this event`;
+  }
+  return null;
+}
+
+// The device's assignment for an event, or undefined
+export function findDeviceAssignment(device, eventId) {
+  return device.assignments.find(assignment => assignment.event_id === eventId);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
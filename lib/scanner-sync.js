@@ -0,0 +1,170 @@
+// /lib/scanner-sync.js
+// Offline scanning: signed ticket bundles for gates without a connection, and the upload of
+// the scans they made while offline (apply_offline_scan in supabase/migrations)
+
+import crypto from 'crypto';
+import { config } from './config.js';
+import { computeValidationHash, signJws } from './ticket-qr.js';
+import { SCAN_DIRECTIONS } from './admissions.js';
+
+// Tickets a full bundle lists; deltas also carry every other status so scanners drop them
+const ADMISSIBLE_STATUSES = ['valid', 'used'];
+
+// Supabase caps a select at 1000 rows, so bundles are read in pages
+const BUNDLE_PAGE_SIZE = 1000;
+
+// Deltas re-send changes this far before the cursor, so a ticket updated by a transaction that
+// committed after the previous bundle was read is not missed. Scanners upsert by ticket id.
+const DELTA_OVERLAP_MS = 2 * 60 * 1000;
+
+// A bundle older than this should be refreshed before the scanner trusts it
+const BUNDLE_TTL_SECONDS = 12 * 60 * 60;
+
+export const MAX_SYNC_SCANS = 500;
+
+// Phones and scanners drift; scans stamped further ahead than this are refused
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Event fields a scanner needs to apply its admission rules offline; null when it does not exist
+export async function loadScannerEvent(supabase, eventId) {
+  const { data: event, error } = await supabase
+    .from('events')
+    .select('event_id, event_name, event_date, reentry_allowed, dynamic_qr, dynamic_qr_period_seconds')
+    .eq('event_id', eventId)
+    .single();
+
+  if (error || !event) {
+    return null;
+  }
+  return event;
+}
+
+// Build the signed manifest for one event: every admissible ticket, or with `since` every
+// ticket changed after that cursor. Returns { token, manifest }; `token` is a compact JWS that
+// verifies against GET /api/tickets/qr-keys, `manifest` its payload. Dynamic QR seeds are only
+// included when SCANNER_BUNDLE_DYNAMIC_QR_SEEDS accepts that a bundle can then mint valid codes.
+export async function buildScannerBundle(supabase, event, { since, includeSeeds = config.qr.bundleDynamicSeeds } = {}) {
+  const generatedAt = new Date();
+  const tickets = [];
+
+  for (let from = 0; ; from += BUNDLE_PAGE_SIZE) {
+    let query = supabase
+      .from('tickets')
+      .select('ticket_id, ticket_status, bound_name, nft_token_id, used_at, is_inside, dynamic_qr_seed, updated_at')
+      .eq('event_id', event.event_id)
+      .order('ticket_id', { ascending: true })
+      .range(from, from + BUNDLE_PAGE_SIZE - 1);
+
+    query = since
+      ? query.gte('updated_at', new Date(since.getTime() - DELTA_OVERLAP_MS).toISOString())
+      : query.in('ticket_status', ADMISSIBLE_STATUSES);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error('Failed to load tickets for scanner bundle: ' + error.message);
+    }
+
+    tickets.push(...data);
+    if (data.length < BUNDLE_PAGE_SIZE) break;
+  }
+
+  const iat = Math.floor(generatedAt.getTime() / 1000);
+  const manifest = {
+    typ: 'scanner-bundle',
+    evt: event.event_id,
+    event: {
+      name: event.event_name,
+      date: event.event_date,
+      reentry_allowed: Boolean(event.reentry_allowed),
+      dynamic_qr: Boolean(event.dynamic_qr),
+      dynamic_qr_period_seconds: event.dynamic_qr ? event.dynamic_qr_period_seconds : null,
+      dynamic_qr_seeds: Boolean(event.dynamic_qr && includeSeeds)
+    },
+    full: !since,
+    since: since ? since.toISOString() : null,
+    cursor: generatedAt.toISOString(),
+    iat,
+    exp: iat + BUNDLE_TTL_SECONDS,
+    hash_kid: config.qr.keyId,
+    tickets: tickets.map(ticket => toBundleEntry(ticket, event, includeSeeds))
+  };
+
+  return { token: signJws(manifest, 'scanner-bundle+jwt'), manifest };
+}
+
+// Compact per-ticket entry. A legacy JSON code's validation_hash is its bearer credential, so the
+// bundle carries only `hd`, its SHA-256: scanners compare it with the SHA-256 of the presented
+// hash, and a lost bundle yields nothing that can be printed as a code. Signed tokens verify on
+// their own.
+function toBundleEntry(ticket, event, includeSeeds) {
+  const entry = {
+    id: ticket.ticket_id,
+    s: ticket.ticket_status,
+    n: ticket.bound_name || null,
+    nft: ticket.nft_token_id == null ? null : String(ticket.nft_token_id),
+    hd: digestValidationHash(computeValidationHash(ticket.ticket_id, ticket.nft_token_id, ticket.bound_name, config.qr.secret)),
+    u: ticket.used_at || null,
+    in: Boolean(ticket.is_inside)
+  };
+  if (event.dynamic_qr && includeSeeds && ticket.dynamic_qr_seed) {
+    entry.seed = ticket.dynamic_qr_seed;
+  }
+  return entry;
+}
+
+// What a scanner computes from a presented legacy code to look it up against `hd`
+export function digestValidationHash(validationHash) {
+  return crypto.createHash('sha256').update(String(validationHash).toLowerCase()).digest('hex');
+}
+
+// Check one uploaded scan. Returns null when it can be applied, otherwise the reason it cannot.
+export function validateOfflineScan(scan) {
+  if (!scan || typeof scan !== 'object') return 'scan must be an object';
+  if (!UUID_PATTERN.test(scan.scan_id || '')) return 'scan_id must be a UUID generated by the scanner';
+  if (!UUID_PATTERN.test(scan.ticket_id || '')) return 'ticket_id must be a UUID';
+  if (!SCAN_DIRECTIONS.includes(scan.direction || 'in')) return `direction must be one of: ${SCAN_DIRECTIONS.join(', ')}`;
+  if (typeof scan.offline_result !== 'string' || !scan.offline_result) return 'offline_result is required';
+
+  const scannedAt = new Date(scan.scanned_at);
+  if (Number.isNaN(scannedAt.getTime())) return 'scanned_at must be an ISO timestamp';
+  if (scannedAt.getTime() > Date.now() + MAX_FUTURE_SKEW_MS) return 'scanned_at is in the future';
+  return null;
+}
+
+// Apply uploaded scans oldest first, so the earliest admission of a ticket wins even within one
+// upload. Scans already synced come back as 'duplicate'. Returns one result per scan.
+export async function applyOfflineScans(supabase, { deviceId, gate, scannedBy, scans }) {
+  const ordered = [...scans].sort((a, b) => new Date(a.scanned_at) - new Date(b.scanned_at));
+  const results = [];
+
+  for (const scan of ordered) {
+    const { data, error } = await supabase.rpc('apply_offline_scan', {
+      p_scan_id: scan.scan_id,
+      p_ticket_id: scan.ticket_id,
+      p_direction: scan.direction || 'in',
+      p_gate: scan.gate || gate || null,
+      p_device_id: deviceId,
+      p_scanned_by: scannedBy ? String(scannedBy) : null,
+      p_scanned_at: new Date(scan.scanned_at).toISOString(),
+      p_offline_result: scan.offline_result
+    });
+
+    if (error) {
+      console.error('❌ Failed to apply offline scan:', scan.scan_id, error.message);
+      results.push({ scan_id: scan.scan_id, ticket_id: scan.ticket_id, outcome: 'error', error: error.message });
+      continue;
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    results.push({
+      scan_id: scan.scan_id,
+      ticket_id: scan.ticket_id,
+      outcome: row.outcome,
+      conflict_id: row.conflict_id || null
+    });
+  }
+
+  return results;
+}
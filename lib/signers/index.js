@@ -0,0 +1,36 @@
+// /lib/signers/index.js
+// Signer registry for the admin wallet. Every signer implements the same interface:
+//
+//   getAddress()           -> checksummed 0x address the signer signs for
+//   signTransaction(tx)    -> signed raw transaction (0x hex); `tx` is a complete ethers
+//                             TransactionRequest with nonce, chainId, gas and fee fields set
+//
+// Signers never pick nonces or send anything; lib/chain-transactions.js does both.
+
+import { createLocalSigner } from './local.js';
+import { createRemoteSigner } from './remote.js';
+import { config } from '../config.js';
+
+const FACTORIES = {
+  local: createLocalSigner,
+  remote: createRemoteSigner
+};
+
+// One instance per cold start (a keystore is decrypted once)
+let instance = null;
+
+export function getSigner() {
+  if (!instance) {
+    const factory = FACTORIES[config.blockchain.signer.provider];
+    if (!factory) {
+      throw new Error(`Unknown signer: ${config.blockchain.signer.provider}`);
+    }
+    instance = factory();
+  }
+  return instance;
+}
+
+// Swap in a signer instance, e.g. a local signer with a throwaway key in tests
+export function setSigner(signer) {
+  instance = signer;
+}
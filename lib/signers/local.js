@@ -0,0 +1,37 @@
+// /lib/signers/local.js
+// In-process signer: ADMIN_PRIVATE_KEY, or an encrypted JSON keystore (SIGNER_KEYSTORE_JSON with
+// SIGNER_KEYSTORE_PASSWORD) so the raw key does not have to sit in the environment
+
+import { config } from '../config.js';
+import { loadEthers } from '../ethereum.js';
+
+// Options override the configuration, e.g. a throwaway key for a local node
+export function createLocalSigner({
+  privateKey = config.blockchain.privateKey,
+  keystoreJson = config.blockchain.signer.keystoreJson,
+  keystorePassword = config.blockchain.signer.keystorePassword
+} = {}) {
+  let walletPromise = null;
+
+  // Keystore decryption is deliberately slow (scrypt), so it happens once, on first use
+  function getWallet() {
+    if (!walletPromise) {
+      walletPromise = loadEthers().then(ethers => (keystoreJson
+        ? ethers.Wallet.fromEncryptedJson(keystoreJson, keystorePassword)
+        : new ethers.Wallet(privateKey)));
+    }
+    return walletPromise;
+  }
+
+  return {
+    name: 'local',
+
+    async getAddress() {
+      return (await getWallet()).address;
+    },
+
+    async signTransaction(tx) {
+      return (await getWallet()).signTransaction(tx);
+    }
+  };
+}
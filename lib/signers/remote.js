@@ -0,0 +1,84 @@
+// /lib/signers/remote.js
+// KMS-style remote signer: the key lives in a signing service and only signed transactions come
+// back. Protocol: POST SIGNER_REMOTE_URL with a bearer SIGNER_REMOTE_TOKEN and
+//   { "address": "0x...", "transaction": { type, chainId, nonce, to, data, value, gasLimit,
+//     maxFeePerGas, maxPriorityFeePerGas | gasPrice } }   (quantities as 0x hex)
+// answered by { "signed_transaction": "0x..." }. The answer is checked before it is used.
+
+import { config } from '../config.js';
+import { loadEthers } from '../ethereum.js';
+
+const SIGN_TIMEOUT_MS = 10 * 1000;
+
+const QUANTITY_FIELDS = ['nonce', 'value', 'gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice'];
+
+// Fields of the signed transaction that differ from the request. Fee and gas fields are compared
+// only when the request set them (a legacy request has no EIP-1559 fees and vice versa).
+function mismatchedFields(ethers, parsed, tx) {
+  const { BigNumber } = ethers;
+  const mismatched = [];
+  const sameQuantity = (a, b) => BigNumber.from(a ?? 0).eq(BigNumber.from(b ?? 0));
+
+  if (parsed.to?.toLowerCase() !== tx.to?.toLowerCase()) mismatched.push('to');
+  if ((parsed.data || '0x').toLowerCase() !== (tx.data || '0x').toLowerCase()) mismatched.push('data');
+  if (!sameQuantity(parsed.value, tx.value)) mismatched.push('value');
+  if (Number(parsed.chainId) !== Number(tx.chainId)) mismatched.push('chainId');
+  if (parsed.nonce !== Number(tx.nonce)) mismatched.push('nonce');
+  ['gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice'].forEach(field => {
+    if (tx[field] !== undefined && tx[field] !== null && !sameQuantity(parsed[field], tx[field])) {
+      mismatched.push(field);
+    }
+  });
+  return mismatched;
+}
+
+export function createRemoteSigner({
+  url = config.blockchain.signer.remoteUrl,
+  token = config.blockchain.signer.remoteToken,
+  address = config.blockchain.signer.address
+} = {}) {
+  return {
+    name: 'remote',
+
+    async getAddress() {
+      const ethers = await loadEthers();
+      return ethers.utils.getAddress(address);
+    },
+
+    async signTransaction(tx) {
+      const ethers = await loadEthers();
+      const transaction = { ...tx };
+      QUANTITY_FIELDS.forEach(field => {
+        if (transaction[field] !== undefined && transaction[field] !== null) {
+          transaction[field] = ethers.BigNumber.from(transaction[field]).toHexString();
+        }
+      });
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ address, transaction }),
+        signal: AbortSignal.timeout(SIGN_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Remote signer responded with HTTP ${response.status}`);
+      }
+      const { signed_transaction: signed } = await response.json();
+
+      // A signer that signs something else (or for another key) must not get a transaction out
+      const parsed = ethers.utils.parseTransaction(signed);
+      if (parsed.from?.toLowerCase() !== address.toLowerCase()) {
+        throw new Error('Remote signer returned a transaction signed by another key');
+      }
+      const mismatched = mismatchedFields(ethers, parsed, tx);
+      if (mismatched.length > 0) {
+        throw new Error(`Remote signer returned a transaction that does not match the request (${mismatched.join(', ')})`);
+      }
+      return signed;
+    }
+  };
+}
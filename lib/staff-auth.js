@@ -0,0 +1,32 @@
+// /lib/staff-auth.js
+// Supabase Auth bearer-token check for staff-only endpoints (admin and super_admin roles)
+
+export const STAFF_ROLES = ['admin', 'super_admin'];
+
+// Returns { profile } for an authenticated staff member, otherwise { status, message } to send back
+export async function authenticateStaff(supabase, req) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) {
+    return { status: 401, message: 'Authentication token required' };
+  }
+
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !user) {
+    return { status: 401, message: 'Invalid or expired token' };
+  }
+
+  const { data: profile, error: profileError } = await supabase
+    .from('users')
+    .select('user_id, auth_id, id_name, role')
+    .eq('auth_id', user.id)
+    .single();
+
+  if (profileError || !profile) {
+    return { status: 404, message: 'User profile not found' };
+  }
+  if (!STAFF_ROLES.includes(profile.role)) {
+    return { status: 403, message: 'Staff access required' };
+  }
+
+  return { profile };
+}
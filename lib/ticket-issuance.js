@@ -0,0 +1,298 @@
+// /lib/ticket-issuance.js
+// Ticket issuance for confirmed payments, shared by every payment provider's webhook
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { config } from './config.js';
+import { BLOCKCHAIN_CONFIG } from './blockchain.js';
+import { signTicketToken } from './ticket-qr.js';
+import { assignTokenIds } from './token-ids.js';
+
+// Issue a captured payment's tickets and confirm it, in one transaction (fulfill_payment); they are
+// registered on-chain with their bound names afterwards by the registration queue
+// (lib/registration-queue.js). Returns 'issued', or 'already_fulfilled' / 'not_pending' /
+// 'reservation_released' when the payment or its seats were settled first; nothing is written then.
+export async function issueTickets(supabase, payment, captureId, boundNames, ticketLineItem) {
+  try {
+    console.log(`🎫 ============ PAYMENT PROCESSING: ${payment.payment_id} ============`);
+    console.log('📝 Bound names to use:', boundNames);
+    console.log('🧾 Line item:', JSON.stringify(ticketLineItem));
+    
+    // Get event details to create tickets
+    console.log('🎪 ============ EVENT LOOKUP ============');
+    const { data: event, error: eventError } = await supabase
+      .from('events')
+      .select('*')
+      .eq('event_id', ticketLineItem.event_id)
+      .single();
+      
+    if (eventError || !event) {
+      console.error('❌ Event lookup failed:', eventError);
+      throw new Error('Event not found for payment line item: ' + ticketLineItem.event_id);
+    }
+    
+    console.log('✅ Event found:');
+    console.log('   🎭 Event Name:', event.event_name);
+    console.log('   📅 Event Date:', event.event_date);
+    console.log('   📍 Venue:', event.venue);
+
+    // Quantity is whatever was bought, never re-derived from the amount or current price
+    console.log('📊 ============ QUANTITY CHECK ============');
+    const quantity = ticketLineItem.quantity;
+    
+    console.log('🧾 Line Item Quantity:', quantity);
+    console.log('💰 Line Item Unit Price:', ticketLineItem.unit_price);
+    console.log('📝 Bound Names Quantity:', boundNames.length);
+    
+    if (boundNames.length !== quantity) {
+      console.error('❌ Quantity mismatch between line item and bound names');
+      throw new Error(`Quantity mismatch: line item has ${quantity} tickets, but ${boundNames.length} bound names provided`);
+    }
+    
+    console.log(`🎯 Creating ${quantity} tickets for event: ${event.event_name}`);
+
+    // Create tickets with blockchain token IDs and bound names
+    console.log('🎫 ============ TICKET GENERATION ============');
+    const tickets = [];
+    const tokenIds = [];
+    
+    console.log(`🔄 Generating ${quantity} individual tickets with bound names...`);
+
+    // Token ids are checked against the database and the contract before anything is stored
+    const ticketIds = Array.from({ length: quantity }, () => crypto.randomUUID());
+    const assignedTokenIds = await assignTokenIds(supabase, ticketIds);
+    
+    for (let i = 1; i <= quantity; i++) {
+      console.log(`🎫 ---- Generating Ticket ${i}/${quantity} ----`);
+      
+      const ticketId = ticketIds[i - 1];
+      console.log('   🆔 Ticket ID:', ticketId);
+      
+      const tokenId = assignedTokenIds.get(ticketId);
+      console.log('   🔗 Blockchain Token ID:', tokenId);
+      
+      const blockchainTicketId = `TOKEN-${tokenId}`;
+      console.log('   🏷️ Blockchain Ticket ID:', blockchainTicketId);
+      
+      const boundName = boundNames[i - 1]; // Get corresponding bound name
+      console.log('   📝 Bound Name:', boundName);
+      
+      // Signed token the scanner can verify offline, valid until shortly after the event
+      const qrToken = signTicketToken({
+        ticketId,
+        tokenId,
+        boundName,
+        eventId: event.event_id,
+        eventDate: event.event_date
+      });
+
+      const qrCodeDataURL = await QRCode.toDataURL(qrToken);
+      const qrCodeHash = crypto.createHash('sha256')
+        .update(`${ticketId}-${payment.payment_id}-${Date.now()}`)
+        .digest('hex');
+      console.log('   📱 QR Code Hash:', qrCodeHash);
+
+      const ticket = {
+        ticket_id: ticketId,
+        user_id: payment.user_id,
+        event_id: event.event_id,
+        payment_id: payment.payment_id,
+        purchase_date: new Date().toISOString(),
+        ticket_status: 'valid',
+        blockchain_ticket_id: blockchainTicketId,
+        bound_name: boundName, // NEW: Store bound name in ticket
+        qr_code_data: qrToken,
+        qr_code_base64: qrCodeDataURL,
+        qr_code_hash: qrCodeHash,
+        ticket_number: i,
+        total_tickets_in_group: quantity,
+        is_parent_ticket: i === 1,
+        parent_ticket_id: i === 1 ? null : tickets[0]?.ticket_id || null,
+        nft_contract_address: BLOCKCHAIN_CONFIG.contractAddress,
+        nft_token_id: tokenId,
+        nft_mint_status: 'pending',
+        nft_metadata: {
+          name: `${event.event_name} Ticket #${i} - ${boundName}`, // Include bound name in metadata
+          description: `Ticket for ${event.event_name} at ${event.venue} - Bound to: ${boundName}`,
+          image: `https://via.placeholder.com/400x600/007bff/ffffff?text=Ticket+${i}`,
+          attributes: [
+            { trait_type: 'Event', value: event.event_name },
+            { trait_type: 'Venue', value: event.venue },
+            { trait_type: 'Ticket Number', value: i },
+            { trait_type: 'Total in Group', value: quantity },
+            { trait_type: 'Bound Name', value: boundName }, // NEW: Bound name attribute
+            { trait_type: 'Network', value: BLOCKCHAIN_CONFIG.network }
+          ]
+        }
+      };
+
+      console.log('   👥 Parent/Child Info:');
+      console.log('      🎫 Is Parent:', ticket.is_parent_ticket);
+      console.log('      👪 Parent ID:', ticket.parent_ticket_id || 'N/A (this is parent)');
+      console.log('      📝 Bound Name:', boundName);
+
+      tickets.push(ticket);
+      tokenIds.push(tokenId);
+      
+      console.log(`   ✅ Ticket ${i} prepared successfully with bound name: ${boundName}`);
+    }
+
+    // Insert the tickets, convert the held seats and confirm the payment in one transaction
+    console.log('💾 ============ DATABASE INSERTION ============');
+    console.log(`📝 Inserting ${tickets.length} tickets and confirming payment...`);
+
+    const { data: outcome, error: fulfillError } = await supabase.rpc('fulfill_payment', {
+      p_payment_id: payment.payment_id,
+      p_capture_id: captureId,
+      p_tickets: tickets
+    });
+
+    if (fulfillError) {
+      console.error('❌ CRITICAL ERROR: Failed to insert tickets into database');
+      console.error('📄 Database error:', fulfillError);
+      throw new Error('Failed to create tickets: ' + fulfillError.message);
+    }
+
+    // Expired, failed, fulfilled or its seats released meanwhile: nothing was written
+    if (outcome !== 'issued') {
+      console.error(`❌ Payment ${payment.payment_id} not fulfilled: ${outcome}`);
+      return outcome;
+    }
+
+    console.log('✅ Payment status updated to "confirmed"');
+    console.log('✅ Provider capture ID saved:', captureId);
+    console.log('✅ All tickets successfully inserted into database');
+    tickets.forEach((ticket, index) => {
+      console.log(`   🎫 Ticket ${index + 1}: ${ticket.ticket_id} → ${ticket.bound_name}`);
+    });
+
+    console.log('📝 ============ PURCHASE HISTORY LOGGING ============');
+    console.log('📋 Logging purchase activity for bot detection...');
+    
+    try {
+      const { data: purchaseLog, error: logError } = await supabase
+        .from('purchase_history')
+        .insert({
+          user_id: payment.user_id,
+          event_id: event.event_id,
+          payment_id: payment.payment_id,
+          purchase_timestamp: new Date().toISOString(),
+          quantity: quantity,
+          status: 'normal',
+          flag: 'none'
+        })
+        .select()
+        .single();
+
+      if (logError) {
+        console.error('❌ Failed to log purchase history:', logError);
+        console.error('   📄 Error message:', logError.message);
+        // Don't throw error - the tickets are already issued
+        console.log('⚠️ Continuing with issuance despite logging failure');
+      } else {
+        console.log('✅ Purchase history logged successfully:');
+        console.log('   🆔 Log ID:', purchaseLog.id);
+        console.log('   👤 User ID:', purchaseLog.user_id);
+        console.log('   🎭 Event ID:', purchaseLog.event_id);
+        console.log('   💳 Payment ID:', purchaseLog.payment_id);
+        console.log('   📊 Quantity:', purchaseLog.quantity);
+        console.log('   📋 Status:', purchaseLog.status);
+        console.log('   🏷️ Flag:', purchaseLog.flag);
+      }
+    } catch (logError) {
+      console.error('❌ Exception during purchase logging:', logError);
+      console.log('⚠️ Continuing with issuance despite logging exception');
+    }
+
+    // On-chain registration is a separate stage: inserting the tickets queued a registration job
+    // for each (see the nft_registration_jobs trigger), and the register-tickets cron sends them
+    console.log('🔗 ============ BLOCKCHAIN REGISTRATION ============');
+    console.log(`📥 ${tokenIds.length} tickets queued for blockchain registration`);
+
+    console.log('🎉 ============ PAYMENT PROCESSING COMPLETE ============');
+    console.log(`✅ Successfully processed payment: ${payment.payment_id}`);
+    console.log(`🎫 Created ${quantity} tickets for user: ${payment.user_id}`);
+    console.log(`🎭 Event: ${event.event_name}`);
+    console.log(`💰 Amount: ${payment.amount}`);
+    console.log(`📝 Purchase logged for bot detection monitoring`);
+    console.log(`📝 Bound names used:`, boundNames);
+    return 'issued';
+
+  } catch (error) {
+    console.error('❌ ============ PAYMENT PROCESSING FAILED ============');
+    console.error('🔥 Error in issueTickets:', error.message);
+    console.error('📊 Error stack:', error.stack);
+    throw error;
+  }
+}
+
+// Send push notification with logging
+export async function sendPaymentSuccessNotification(supabase, userId, paymentId) {
+  try {
+    console.log('📱 ============ PUSH NOTIFICATION PROCESS ============');
+    console.log('👤 Looking up user for push notification...');
+    console.log('   🆔 User ID:', userId);
+    
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('push_token, id_name')
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !user?.push_token) {
+      console.log('⚠️ No push token found for user:', userId);
+      console.log('   📄 Database error:', error?.message || 'None');
+      console.log('   🔑 Push token available:', !!user?.push_token);
+      return;
+    }
+
+    console.log('✅ User found for push notification:');
+    console.log('   👤 Name:', user.id_name);
+    console.log('   📱 Has push token:', !!user.push_token);
+
+    const notificationPayload = {
+      title: '🎫 Payment Successful!',
+      body: `Your tickets are ready to view`,
+      data: {
+        type: 'payment_success',
+        payment_id: paymentId,
+        deep_link: `ticketapp://tickets/${paymentId}`
+      }
+    };
+
+    console.log('📬 Push notification payload prepared:');
+    console.log('   📝 Title:', notificationPayload.title);
+    console.log('   📝 Body:', notificationPayload.body);
+    console.log('   🔗 Deep link:', notificationPayload.data.deep_link);
+    console.log('⚠️ Push notification simulation (not actually sent)');
+
+  } catch (error) {
+    console.error('❌ Failed to send push notification:', error);
+  }
+}
+
+// Bound names recorded on the payment at purchase time (metadata may be stored as a JSON string)
+export function getBoundNames(payment) {
+  let metadata = payment.metadata;
+
+  if (typeof metadata === 'string') {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (parseError) {
+      console.error('❌ Failed to parse payment metadata as JSON:', parseError.message);
+      return [];
+    }
+  }
+
+  if (!metadata || typeof metadata !== 'object') {
+    console.log('⚠️ No payment metadata found');
+    return [];
+  }
+
+  const boundNames = metadata.bound_names || metadata.boundNames;
+  if (!Array.isArray(boundNames)) {
+    console.log('⚠️ Payment metadata exists but no bound_names array found');
+    return [];
+  }
+  return boundNames;
+}
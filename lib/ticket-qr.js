@@ -0,0 +1,255 @@
+// /lib/ticket-qr.js
+// Ticket QR payloads: Ed25519-signed tokens for new codes, and the legacy JSON payload with its
+// validation_hash (sha256 of `ticketId-tokenId-boundName-secret`) that older codes still carry
+
+import crypto from 'crypto';
+import { config } from './config.js';
+
+export function computeValidationHash(ticketId, tokenId, boundName, secret) {
+  return crypto.createHash('sha256')
+    .update(`${ticketId}-${tokenId}-${boundName}-${secret}`)
+    .digest('hex');
+}
+
+// Check a scanned validation_hash against the ticket as stored in the database, so a QR with
+// an edited token id or bound name fails too. Codes carrying a kid are checked with that key
+// only; codes issued before key ids existed are tried against every key still in the keyring.
+// Returns { valid, reason, kid }.
+export function verifyValidationHash(ticket, qrData, keys = config.qr.keys) {
+  const presented = qrData.validation_hash;
+  if (typeof presented !== 'string' || !/^[0-9a-f]{64}$/i.test(presented)) {
+    return { valid: false, reason: 'missing_or_malformed_hash', kid: qrData.kid || null };
+  }
+
+  let candidates;
+  if (qrData.kid) {
+    if (!keys[qrData.kid]) {
+      return { valid: false, reason: 'unknown_key_id', kid: qrData.kid };
+    }
+    candidates = [[qrData.kid, keys[qrData.kid]]];
+  } else {
+    candidates = Object.entries(keys);
+  }
+
+  const presentedBuffer = Buffer.from(presented.toLowerCase(), 'hex');
+  for (const [kid, secret] of candidates) {
+    const expected = computeValidationHash(ticket.ticket_id, ticket.nft_token_id, ticket.bound_name, secret);
+    if (crypto.timingSafeEqual(Buffer.from(expected, 'hex'), presentedBuffer)) {
+      return { valid: true, reason: 'hash_verified', kid };
+    }
+  }
+
+  return { valid: false, reason: 'hash_mismatch', kid: qrData.kid || null };
+}
+
+// Signed QR tokens: a compact JWS (header.payload.signature, base64url) signed with Ed25519, so a
+// scanner holding the published public keys can check a code without calling the server.
+// Claims: sub = ticket id, evt = event id, nft = blockchain token id, name = bound name,
+// iat / nbf / exp = issue time and validity window in seconds.
+
+// Codes stay valid until this long after the event starts, for late arrivals and re-entry
+export const TICKET_TOKEN_GRACE_SECONDS = 24 * 60 * 60;
+const TICKET_TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+export function isTicketToken(value) {
+  return typeof value === 'string' && TICKET_TOKEN_PATTERN.test(value.trim());
+}
+
+// Sign a token for a ticket with the active QR signing key. eventDate bounds the validity window.
+export function signTicketToken({ ticketId, tokenId, boundName, eventId, eventDate, issuedAt }) {
+  const iat = toEpochSeconds(issuedAt || new Date());
+  const payload = {
+    sub: ticketId,
+    evt: eventId,
+    nft: tokenId == null ? null : String(tokenId),
+    name: boundName || null,
+    iat,
+    nbf: iat
+  };
+  if (eventDate) {
+    payload.exp = toEpochSeconds(eventDate) + TICKET_TOKEN_GRACE_SECONDS;
+  }
+
+  return signJws(payload);
+}
+
+// Compact JWS over any JSON payload with the active QR signing key. Also used for scanner
+// bundles, so scanners check everything they receive against the one published key set.
+export function signJws(payload, typ = 'JWT') {
+  const header = { alg: 'EdDSA', typ, kid: config.qr.signingKeyId };
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), getSigningKey());
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// Check a token's signature and validity window. Tokens are only accepted for a kid in the
+// published key set. Returns { valid, reason, kid, claims }.
+export function verifyTicketToken(token, { publicKeys = getQrPublicKeys(), now = new Date() } = {}) {
+  if (!isTicketToken(token)) {
+    return { valid: false, reason: 'malformed_token', kid: null, claims: null };
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = token.trim().split('.');
+  const header = decodeSegment(headerSegment);
+  const claims = decodeSegment(payloadSegment);
+  // typ keeps a scanner bundle, signed with the same key, from passing as a ticket
+  if (!header || !claims || header.alg !== 'EdDSA' || header.typ !== 'JWT') {
+    return { valid: false, reason: 'malformed_token', kid: header?.kid || null, claims: null };
+  }
+
+  const jwk = publicKeys.keys.find(key => key.kid === header.kid);
+  if (!jwk) {
+    return { valid: false, reason: 'unknown_key_id', kid: header.kid || null, claims: null };
+  }
+
+  const signatureValid = crypto.verify(
+    null,
+    Buffer.from(`${headerSegment}.${payloadSegment}`),
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    Buffer.from(signatureSegment, 'base64url')
+  );
+  if (!signatureValid) {
+    return { valid: false, reason: 'bad_signature', kid: header.kid, claims: null };
+  }
+
+  const nowSeconds = toEpochSeconds(now);
+  if (typeof claims.nbf === 'number' && nowSeconds < claims.nbf) {
+    return { valid: false, reason: 'not_yet_valid', kid: header.kid, claims };
+  }
+  if (typeof claims.exp === 'number' && nowSeconds >= claims.exp) {
+    return { valid: false, reason: 'expired', kid: header.kid, claims };
+  }
+
+  return { valid: true, reason: 'signature_verified', kid: header.kid, claims };
+}
+
+// A verified token must still describe the ticket as stored, so a correctly signed code for a
+// ticket whose bound name or token id has since changed is refused. Returns the mismatched field.
+export function findTicketTokenMismatch(ticket, claims) {
+  if (claims.sub !== ticket.ticket_id) return 'ticket_id';
+  if (claims.evt !== ticket.event_id) return 'event_id';
+  if ((claims.nft || null) !== (ticket.nft_token_id == null ? null : String(ticket.nft_token_id))) return 'nft_token_id';
+  if ((claims.name || null) !== (ticket.bound_name || null)) return 'bound_name';
+  return null;
+}
+
+// JWK set scanners verify against: the active signing key plus QR_VERIFICATION_KEYS
+export function getQrPublicKeys(qr = config.qr) {
+  const keys = Object.entries(qr.verificationKeys).map(([kid, x]) => toPublicJwk(kid, x));
+  if (qr.signingKey) {
+    const { x } = crypto.createPublicKey(qr.signingKey).export({ format: 'jwk' });
+    keys.unshift(toPublicJwk(qr.signingKeyId, x));
+  }
+  return { keys };
+}
+
+let signingKey;
+function getSigningKey() {
+  if (!signingKey) {
+    signingKey = crypto.createPrivateKey(config.qr.signingKey);
+  }
+  return signingKey;
+}
+
+function toPublicJwk(kid, x) {
+  return { kty: 'OKP', crv: 'Ed25519', x, kid, use: 'sig', alg: 'EdDSA' };
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+function toEpochSeconds(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+// Dynamic QR codes (events with dynamic_qr): the app renders `DQR:<ticket_id>:<code>`, where the
+// code is a TOTP (RFC 6238, HMAC-SHA256, 8 digits) over the ticket's own seed and the event's period.
+// Standard TOTP libraries can produce it from the base32 seed the wallet endpoint hands out.
+
+export const DYNAMIC_QR_PREFIX = 'DQR';
+const DYNAMIC_QR_DIGITS = 8;
+const DYNAMIC_QR_PATTERN = new RegExp(`^${DYNAMIC_QR_PREFIX}:([0-9a-f-]{36}):(\\d{${DYNAMIC_QR_DIGITS}})$`, 'i');
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function createDynamicQrSeed() {
+  return toBase32(crypto.randomBytes(20));
+}
+
+// { ticket_id, dynamic_code } for a rotating code, or null for any other format
+export function parseDynamicQr(value) {
+  const match = typeof value === 'string' ? value.trim().match(DYNAMIC_QR_PATTERN) : null;
+  return match ? { ticket_id: match[1].toLowerCase(), dynamic_code: match[2] } : null;
+}
+
+export function computeDynamicQrCode(seed, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha256', fromBase32(seed)).update(counterBuffer).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DYNAMIC_QR_DIGITS).padStart(DYNAMIC_QR_DIGITS, '0');
+}
+
+// Accept the code for the current period or up to skewSteps periods either side of it, to
+// absorb clock drift between the phone and the scanner. Returns { valid, reason, drift }.
+export function verifyDynamicQrCode(seed, code, { period, now = new Date(), skewSteps = config.qr.dynamicSkewSteps }) {
+  if (!seed) {
+    return { valid: false, reason: 'no_dynamic_seed', drift: null };
+  }
+
+  const presented = Buffer.from(String(code));
+  const current = Math.floor(new Date(now).getTime() / 1000 / period);
+  for (let drift = 0 - skewSteps; drift <= skewSteps; drift++) {
+    const expected = Buffer.from(computeDynamicQrCode(seed, current + drift));
+    if (expected.length === presented.length && crypto.timingSafeEqual(expected, presented)) {
+      return { valid: true, reason: 'dynamic_code_verified', drift };
+    }
+  }
+
+  return { valid: false, reason: 'dynamic_code_mismatch', drift: null };
+}
+
+// What the app needs to render the rotating code for one ticket
+export function describeDynamicQr(ticketId, seed, period) {
+  return {
+    seed,
+    algorithm: 'SHA256',
+    digits: DYNAMIC_QR_DIGITS,
+    period,
+    payload_template: `${DYNAMIC_QR_PREFIX}:${ticketId}:{code}`
+  };
+}
+
+function toBase32(buffer) {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function fromBase32(value) {
+  let bits = '';
+  value.replace(/=+$/, '').toUpperCase().split('').forEach(char => {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) throw new Error('Invalid base32 seed');
+    bits += index.toString(2).padStart(5, '0');
+  });
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
@@ -0,0 +1,435 @@
+// /lib/ticket-revocation.js
+// Revoke tickets in the database, returning seats where appropriate, and queue their contract
+// revocation for the chain-revocations cron (processChainRevocations). Restore tickets whose
+// revocation never reached the contract.
+
+import { revokeTokensOnChain, readTicketStatuses } from './blockchain.js';
+import { recordChainStatuses } from './chain-status-cache.js';
+import { requeueCancelledRegistrations } from './registration-queue.js';
+
+// Queued revocations one cron run sends, as one batch transaction
+const REVOCATION_BATCH_SIZE = 100;
+
+// A claimed revocation is reclaimable after this long, in case its worker died mid-run
+const CLAIM_LOCK_SECONDS = 5 * 60;
+
+// Columns the revocation endpoints report per ticket
+const REVOCATION_COLUMNS = 'ticket_id, event_id, payment_id, nft_token_id, blockchain_registered, ticket_status, '
+  + 'revoked_at, revoked_by, revocation_reason, revocation_chain_status, revocation_tx_hash, revocation_restocked';
+
+// Tickets named by a staff request: explicit ticket ids or every ticket of a purchase.
+// Returns the ticket rows, or null when an id or the purchase is unknown.
+export async function loadRevocationTargets(supabase, { ticketIds, paymentId }) {
+  let query = supabase.from('tickets').select(REVOCATION_COLUMNS);
+  query = paymentId ? query.eq('payment_id', paymentId) : query.in('ticket_id', ticketIds);
+
+  const { data: tickets, error } = await query;
+  if (error) {
+    throw new Error('Failed to load tickets: ' + error.message);
+  }
+
+  const missing = paymentId ? tickets.length === 0 : tickets.length !== new Set(ticketIds).size;
+  return missing ? null : tickets;
+}
+
+// Revoke the given tickets. Only tickets that are still valid are touched, so repeating a
+// call revokes (and restocks) nothing twice.
+// Returns { revoked, restocked, queued } where `revoked` lists the tickets flipped by this call and
+// `queued` the ones among them waiting for the contract revocation.
+export async function revokeTickets(supabase, { ticketIds, reason, restock = true, revokedBy = null }) {
+  if (!ticketIds || ticketIds.length === 0) {
+    return { revoked: [], restocked: 0, queued: [] };
+  }
+
+  console.log(`🚫 Revoking ${ticketIds.length} tickets (${reason})`);
+
+  const { data: revoked, error: revokeError } = await supabase
+    .from('tickets')
+    .update({
+      ticket_status: 'revoked',
+      revoked_at: new Date().toISOString(),
+      revocation_reason: reason,
+      revoked_by: revokedBy
+    })
+    .in('ticket_id', ticketIds)
+    .eq('ticket_status', 'valid')
+    .select('ticket_id, event_id, nft_token_id, blockchain_registered');
+
+  if (revokeError) {
+    throw new Error('Failed to revoke tickets: ' + revokeError.message);
+  }
+
+  console.log(`✅ ${revoked.length} tickets revoked in database`);
+
+  const restocked = restock ? await restockRevokedTickets(supabase, revoked) : 0;
+
+  // Tokens that never made it on-chain have nothing to revoke there
+  const onChain = revoked.filter(t => t.blockchain_registered && t.nft_token_id);
+  const queued = await queueChainRevocations(supabase, onChain.map(t => t.ticket_id));
+
+  return { revoked, restocked, queued };
+}
+
+// Queue the contract revocation of revoked, registered tickets for the chain-revocations cron:
+// new revocations, and ones that failed or were never sent. Returns the ticket ids queued.
+export async function queueChainRevocations(supabase, ticketIds) {
+  if (ticketIds.length === 0) {
+    return [];
+  }
+
+  const { data: queued, error } = await supabase
+    .from('tickets')
+    .update({ revocation_chain_status: 'pending', blockchain_error: null })
+    .in('ticket_id', ticketIds)
+    .eq('ticket_status', 'revoked')
+    .eq('blockchain_registered', true)
+    .not('nft_token_id', 'is', null)
+    .or('revocation_chain_status.is.null,revocation_chain_status.eq.failed')
+    .select('ticket_id');
+
+  if (error) {
+    // Left without a chain status, so they are listed as failed revocations for staff
+    console.error('❌ Failed to queue on-chain revocations:', error.message);
+    return [];
+  }
+
+  console.log(`📥 ${queued.length} on-chain revocations queued`);
+  return queued.map(t => t.ticket_id);
+}
+
+// One chain-revocations cron run: claim queued revocations, record tokens the contract already
+// shows revoked, leave tokens whose earlier transaction is still pending (or whose status cannot be
+// read) queued, and revoke the rest in one transaction.
+// Returns { claimed, revoked, already_revoked, requeued, failed, transaction_hash }.
+export async function processChainRevocations(supabase, { batchSize = REVOCATION_BATCH_SIZE } = {}) {
+  const summary = { claimed: 0, revoked: 0, already_revoked: 0, requeued: 0, failed: 0, transaction_hash: null };
+
+  const { data: tickets, error: claimError } = await supabase.rpc('claim_chain_revocations', {
+    p_limit: batchSize,
+    p_lock_seconds: CLAIM_LOCK_SECONDS
+  });
+
+  if (claimError) {
+    throw new Error('Failed to claim queued revocations: ' + claimError.message);
+  }
+  summary.claimed = tickets.length;
+  if (tickets.length === 0) {
+    return summary;
+  }
+
+  const statuses = await readTicketStatuses(tickets.map(t => t.nft_token_id));
+  const pendingHashes = await pendingTransactionHashes(supabase, tickets.map(t => t.revocation_tx_hash));
+  const statusOf = ticket => statuses.get(String(ticket.nft_token_id));
+
+  const revokedOnChain = tickets.filter(t => statusOf(t)?.contract_status === 2);
+  const waiting = tickets.filter(t => !revokedOnChain.includes(t)
+    && (pendingHashes.has(t.revocation_tx_hash) || !statusOf(t)?.contract_verified));
+  const toRevoke = tickets.filter(t => !revokedOnChain.includes(t) && !waiting.includes(t));
+
+  if (revokedOnChain.length > 0) {
+    await updateClaimed(supabase, revokedOnChain, { revocation_chain_status: 'revoked', blockchain_error: null });
+    summary.already_revoked = revokedOnChain.length;
+  }
+  if (waiting.length > 0) {
+    await updateClaimed(supabase, waiting, { revocation_chain_status: 'pending' });
+    summary.requeued = waiting.length;
+  }
+
+  if (toRevoke.length > 0) {
+    const chain = await revokeOnChain(supabase, toRevoke);
+    summary[chain.success ? 'revoked' : 'failed'] = toRevoke.length;
+    summary.transaction_hash = chain.transactionHash;
+  }
+
+  console.log('⛓️ Chain revocation run:', summary);
+  return summary;
+}
+
+async function updateClaimed(supabase, tickets, values) {
+  const { error } = await supabase
+    .from('tickets')
+    .update({ ...values, revocation_locked_until: null })
+    .in('ticket_id', tickets.map(t => t.ticket_id))
+    .eq('revocation_chain_status', 'sending');
+
+  if (error) {
+    console.error('❌ Failed to record claimed revocations:', error.message);
+  }
+}
+
+// Send the contract revocation for tickets already revoked in the database and record the outcome
+// on them. A failure leaves revocation_chain_status 'failed' until staff retry it.
+async function revokeOnChain(supabase, tickets) {
+  const chain = await revokeTokensOnChain(supabase, tickets.map(t => t.nft_token_id));
+
+  if (tickets.length > 0) {
+    const { error: chainUpdateError } = await supabase
+      .from('tickets')
+      .update({
+        revocation_chain_status: chain.success ? 'revoked' : 'failed',
+        revocation_tx_hash: chain.transactionHash,
+        revocation_locked_until: null,
+        blockchain_error: chain.success ? null : chain.error
+      })
+      .in('ticket_id', tickets.map(t => t.ticket_id));
+
+    if (chainUpdateError) {
+      console.error('❌ Failed to record revocation transaction:', chainUpdateError.message);
+    }
+
+    // Scanners reading the status cache see the revocation without waiting for its TTL
+    if (chain.success) {
+      await recordChainStatuses(supabase, tickets.map(t => ({
+        tokenId: t.nft_token_id,
+        contractStatus: 2,
+        blockNumber: chain.blockNumber
+      })), 'revocation');
+    }
+  }
+
+  return chain;
+}
+
+// Revoked tickets whose on-chain revocation failed (or was never sent), for staff to follow up
+export async function listFailedChainRevocations(supabase, { eventId, limit = 500 } = {}) {
+  let query = supabase
+    .from('tickets')
+    .select(REVOCATION_COLUMNS + ', blockchain_error')
+    .eq('ticket_status', 'revoked')
+    .eq('blockchain_registered', true)
+    .or('revocation_chain_status.is.null,revocation_chain_status.eq.failed')
+    .order('revoked_at', { ascending: false })
+    .limit(limit);
+  if (eventId) {
+    query = query.eq('event_id', eventId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error('Failed to load failed revocations: ' + error.message);
+  }
+  return data;
+}
+
+// Undo staff revocations that never took effect on the contract. The contract has no way to reinstate a
+// revoked token, so tickets revoked on-chain (or with a revocation being sent or still pending) are
+// refused; a revocation still waiting in the queue is cancelled. Seats that were put back on sale are taken again; if the event has sold them, those
+// tickets are refused too. Returns { restored, refused: [{ ticket_id, reason }] }.
+export async function restoreTickets(supabase, { ticketIds }) {
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select(REVOCATION_COLUMNS)
+    .in('ticket_id', ticketIds);
+
+  if (error) {
+    throw new Error('Failed to load tickets: ' + error.message);
+  }
+
+  const refused = [];
+  const refuse = (ticket, reason) => refused.push({ ticket_id: ticket.ticket_id, reason });
+
+  const found = new Set(tickets.map(t => t.ticket_id));
+  ticketIds.filter(id => !found.has(id)).forEach(id => refused.push({ ticket_id: id, reason: 'not_found' }));
+
+  let candidates = [];
+  tickets.forEach(ticket => {
+    if (ticket.ticket_status !== 'revoked') {
+      refuse(ticket, 'not_revoked');
+    } else if (!ticket.revoked_by) {
+      // Refunds, payment reversals and on-chain revocations are not undone from here
+      refuse(ticket, 'not_staff_revocation');
+    } else if (ticket.revocation_chain_status === 'revoked') {
+      refuse(ticket, 'revoked_on_chain');
+    } else if (ticket.revocation_chain_status === 'sending') {
+      // Claimed by the chain-revocations cron, its transaction may already be out
+      refuse(ticket, 'revocation_pending');
+    } else {
+      candidates.push(ticket);
+    }
+  });
+
+  // A revocation transaction that timed out may still be mined
+  const pendingHashes = await pendingTransactionHashes(supabase, candidates.map(t => t.revocation_tx_hash));
+  candidates = candidates.filter(ticket => {
+    if (pendingHashes.has(ticket.revocation_tx_hash)) {
+      refuse(ticket, 'revocation_pending');
+      return false;
+    }
+    return true;
+  });
+
+  // Believe the contract rather than our record of it
+  const withToken = candidates.filter(t => t.nft_token_id);
+  if (withToken.length > 0) {
+    const statuses = await readTicketStatuses(withToken.map(t => t.nft_token_id));
+    candidates = candidates.filter(ticket => {
+      if (!ticket.nft_token_id) {
+        return true;
+      }
+      const status = statuses.get(String(ticket.nft_token_id));
+      if (status?.contract_status === 2) {
+        refuse(ticket, 'revoked_on_chain');
+        return false;
+      }
+      if (ticket.blockchain_registered && !status?.contract_verified) {
+        refuse(ticket, 'chain_unavailable');
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Take back the seats these tickets gave up, per event
+  const withdrawn = new Map();
+  const perEvent = {};
+  candidates.filter(t => t.revocation_restocked).forEach(ticket => {
+    (perEvent[ticket.event_id] = perEvent[ticket.event_id] || []).push(ticket);
+  });
+  for (const [eventId, eventTickets] of Object.entries(perEvent)) {
+    const { data: available, error: withdrawError } = await supabase.rpc('withdraw_event_tickets', {
+      p_event_id: eventId,
+      p_quantity: eventTickets.length
+    });
+
+    if (withdrawError || available === null) {
+      if (withdrawError) {
+        console.error(`❌ Failed to withdraw seats from event ${eventId}:`, withdrawError.message);
+      }
+      eventTickets.forEach(ticket => refuse(ticket, withdrawError ? 'seat_withdraw_failed' : 'sold_out'));
+      candidates = candidates.filter(ticket => !eventTickets.includes(ticket));
+      continue;
+    }
+    withdrawn.set(eventId, eventTickets.length);
+  }
+
+  if (candidates.length === 0) {
+    return { restored: [], refused };
+  }
+
+  const { data: restored, error: restoreError } = await supabase
+    .from('tickets')
+    .update({
+      ticket_status: 'valid',
+      revoked_at: null,
+      revoked_by: null,
+      revocation_reason: null,
+      revocation_chain_status: null,
+      revocation_tx_hash: null,
+      revocation_restocked: false,
+      blockchain_error: null
+    })
+    .in('ticket_id', candidates.map(t => t.ticket_id))
+    .eq('ticket_status', 'revoked')
+    .or('revocation_chain_status.is.null,revocation_chain_status.in.(pending,failed)')
+    .select('ticket_id, event_id, blockchain_registered');
+
+  if (restoreError) {
+    await returnWithdrawnSeats(supabase, withdrawn);
+    throw new Error('Failed to restore tickets: ' + restoreError.message);
+  }
+
+  // Tickets restored by a concurrent call keep their seats from that call
+  const restoredIds = new Set(restored.map(t => t.ticket_id));
+  const lost = candidates.filter(t => t.revocation_restocked && !restoredIds.has(t.ticket_id));
+  if (lost.length > 0) {
+    const surplus = new Map();
+    lost.forEach(ticket => surplus.set(ticket.event_id, (surplus.get(ticket.event_id) || 0) + 1));
+    await returnWithdrawnSeats(supabase, surplus);
+  }
+  // Restored by a concurrent call, or claimed by the cron in the meantime
+  const unrestored = candidates.filter(t => !restoredIds.has(t.ticket_id));
+  if (unrestored.length > 0) {
+    const { data: current } = await supabase
+      .from('tickets')
+      .select('ticket_id, ticket_status')
+      .in('ticket_id', unrestored.map(t => t.ticket_id));
+    const stillRevoked = new Set((current || []).filter(t => t.ticket_status === 'revoked').map(t => t.ticket_id));
+    unrestored.forEach(ticket => refuse(ticket, stillRevoked.has(ticket.ticket_id) ? 'revocation_pending' : 'not_revoked'));
+  }
+
+  // Registration jobs the worker cancelled while these were revoked
+  const unregistered = restored.filter(t => !t.blockchain_registered).map(t => t.ticket_id);
+  if (unregistered.length > 0) {
+    await requeueCancelledRegistrations(supabase, unregistered);
+  }
+
+  console.log(`↩️ ${restored.length} tickets restored, ${refused.length} refused`);
+  return { restored: [...restoredIds], refused };
+}
+
+// Hashes among `hashes` whose transaction is still waiting to be mined (lib/chain-transactions.js)
+async function pendingTransactionHashes(supabase, hashes) {
+  const txHashes = [...new Set(hashes.filter(Boolean))];
+  if (txHashes.length === 0) {
+    return new Set();
+  }
+
+  const { data: pending, error } = await supabase
+    .from('chain_transactions')
+    .select('tx_hashes')
+    .eq('status', 'pending')
+    .overlaps('tx_hashes', txHashes);
+
+  if (error) {
+    throw new Error('Failed to check pending transactions: ' + error.message);
+  }
+  return new Set(pending.flatMap(tx => tx.tx_hashes));
+}
+
+async function returnWithdrawnSeats(supabase, perEvent) {
+  for (const [eventId, quantity] of perEvent) {
+    const { error } = await supabase.rpc('restock_event_tickets', {
+      p_event_id: eventId,
+      p_quantity: quantity
+    });
+    if (error) {
+      console.error(`❌ Failed to return ${quantity} seats to event ${eventId}:`, error.message);
+    }
+  }
+}
+
+// Put revoked seats back on sale, but only for events that have not started yet
+async function restockRevokedTickets(supabase, revokedTickets) {
+  const perEvent = {};
+  revokedTickets.forEach(ticket => {
+    perEvent[ticket.event_id] = (perEvent[ticket.event_id] || 0) + 1;
+  });
+
+  let restocked = 0;
+  for (const [eventId, quantity] of Object.entries(perEvent)) {
+    const { data: event } = await supabase
+      .from('events')
+      .select('event_date')
+      .eq('event_id', eventId)
+      .single();
+
+    if (!event || new Date(event.event_date) <= new Date()) {
+      console.log(`⏭️ Not restocking ${quantity} tickets for past or missing event ${eventId}`);
+      continue;
+    }
+
+    const { error } = await supabase.rpc('restock_event_tickets', {
+      p_event_id: eventId,
+      p_quantity: quantity
+    });
+
+    if (error) {
+      console.error(`❌ Failed to restock event ${eventId}:`, error.message);
+      continue;
+    }
+
+    console.log(`✅ Returned ${quantity} tickets to event ${eventId}`);
+    restocked += quantity;
+
+    // Restoring these tickets later takes the seats back
+    const { error: markError } = await supabase
+      .from('tickets')
+      .update({ revocation_restocked: true })
+      .in('ticket_id', revokedTickets.filter(t => t.event_id === eventId).map(t => t.ticket_id));
+
+    if (markError) {
+      console.error(`❌ Failed to mark restocked tickets for event ${eventId}:`, markError.message);
+    }
+  }
+  return restocked;
+}
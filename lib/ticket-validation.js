@@ -0,0 +1,262 @@
+// /lib/ticket-validation.js
+// Scan decision steps shared by /api/tickets/validate and /api/tickets/validate-batch:
+// QR parsing, checks of the code against the stored ticket, bound name comparison and the
+// final entry decision. Nothing here touches the database or the chain.
+
+import {
+  verifyValidationHash,
+  isTicketToken,
+  verifyTicketToken,
+  findTicketTokenMismatch,
+  parseDynamicQr,
+  verifyDynamicQrCode
+} from './ticket-qr.js';
+import { checkDeviceAssignment } from './scanner-devices.js';
+import { describeScanOutcome } from './admissions.js';
+
+// Ticket columns a scan decision needs
+export const VALIDATION_TICKET_SELECT = `
+  *,
+  events (
+    event_id,
+    event_name,
+    event_date,
+    venue,
+    dynamic_qr,
+    dynamic_qr_period_seconds
+  ),
+  users (
+    user_id,
+    id_name,
+    verification_status
+  )
+`;
+
+// Entry is still allowed this long after the event starts
+const EVENT_ENTRY_GRACE_MS = 60 * 60 * 1000;
+
+// A scan that stops before the entry decision. `httpStatus` is what the single validate
+// endpoint answers with; `log` is false for requests too malformed to log against a ticket.
+function rejection(httpStatus, validationResult, message, uiMessage, { ticketId = null, logMessage = message, log = true } = {}) {
+  return {
+    httpStatus,
+    validation_result: validationResult,
+    message,
+    ui_feedback: { color: 'red', message: uiMessage, sound: 'error_beep' },
+    ticket_id: ticketId,
+    log,
+    log_message: logMessage
+  };
+}
+
+// Read a scanned QR payload: a rotating dynamic code, a signed token, the legacy JSON payload
+// or the legacy `TICKET:uuid:hash:token_id:bound_name` text.
+// Returns { ticketData, tokenCheck, dynamicQr } or { rejection }.
+export function parseQrData(qrData) {
+  if (typeof qrData !== 'string' || !qrData) {
+    return { rejection: rejection(400, 'invalid', 'QR data is required', '🚫 INVALID QR CODE', { log: false }) };
+  }
+
+  const dynamicQr = parseDynamicQr(qrData);
+  if (dynamicQr) {
+    // Only the ticket id is readable; the code is checked once the ticket's seed is loaded
+    return { ticketData: dynamicQr, tokenCheck: null, dynamicQr };
+  }
+
+  if (isTicketToken(qrData)) {
+    // Signature and validity window are checked before touching the database
+    const tokenCheck = verifyTicketToken(qrData);
+    if (!tokenCheck.valid) {
+      const expired = tokenCheck.reason === 'expired' || tokenCheck.reason === 'not_yet_valid';
+      return {
+        rejection: rejection(
+          403,
+          expired ? 'expired' : 'forged',
+          expired ? 'QR code is outside its validity window' : 'QR code failed verification',
+          expired ? '⏰ QR CODE NOT VALID NOW' : '🚫 FORGED QR CODE',
+          { ticketId: tokenCheck.claims?.sub || null, logMessage: `QR token rejected: ${tokenCheck.reason}` }
+        )
+      };
+    }
+
+    const ticketData = {
+      ticket_id: tokenCheck.claims.sub,
+      blockchain_token_id: tokenCheck.claims.nft,
+      bound_name: tokenCheck.claims.name,
+      event_id: tokenCheck.claims.evt
+    };
+    return { ticketData, tokenCheck, dynamicQr: null };
+  }
+
+  let ticketData = null;
+  try {
+    // Legacy JSON payload with a validation_hash (codes issued before signed tokens)
+    const parsed = JSON.parse(qrData);
+    ticketData = parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    const parts = qrData.split(':');
+    if (parts.length >= 3 && parts[0] === 'TICKET') {
+      ticketData = {
+        ticket_id: parts[1],
+        validation_hash: parts[2],
+        blockchain_token_id: parts[3] || null,
+        bound_name: parts[4] || null
+      };
+    }
+  }
+
+  if (!ticketData) {
+    return { rejection: rejection(400, 'invalid', 'Invalid QR code format', '🚫 INVALID QR CODE', { log: false }) };
+  }
+  if (!ticketData.ticket_id) {
+    return { rejection: rejection(400, 'invalid', 'Ticket ID not found in QR code', '🚫 INVALID QR CODE', { log: false }) };
+  }
+  return { ticketData, tokenCheck: null, dynamicQr: null };
+}
+
+// Checks of the scanned code against the stored ticket and the scanning device, in order:
+// device assignment, dynamic QR mode, then the code's own signature, hash or rotating code.
+// Returns a rejection or null.
+export function checkScanAgainstTicket(ticket, { ticketData, tokenCheck, dynamicQr }, { device, gate }) {
+  const ticketId = ticket.ticket_id;
+
+  const assignmentProblem = checkDeviceAssignment(device, ticket.event_id, gate);
+  if (assignmentProblem) {
+    return rejection(403, 'unassigned_device', assignmentProblem, '🚫 WRONG EVENT OR GATE', { ticketId });
+  }
+
+  // Events in dynamic QR mode refuse static codes, which may be screenshots or resold copies
+  if (ticket.events?.dynamic_qr && !dynamicQr) {
+    return rejection(403, 'static_code', 'This event only accepts the live QR code from the ticket app', '📵 SHOW LIVE QR FROM APP', {
+      ticketId,
+      logMessage: 'Static QR code rejected: event requires dynamic QR'
+    });
+  }
+
+  // Dynamic codes must be current for the ticket's seed; signed tokens must still match the
+  // stored ticket; legacy codes have their hash recomputed from it, so a code copied from
+  // another ticket or edited by hand does not match
+  let signatureProblem = null;
+  if (dynamicQr) {
+    const dynamicCheck = ticket.events?.dynamic_qr
+      ? verifyDynamicQrCode(ticket.dynamic_qr_seed, dynamicQr.dynamic_code, { period: ticket.events.dynamic_qr_period_seconds })
+      : { valid: false, reason: 'dynamic_qr_not_enabled' };
+    if (!dynamicCheck.valid) signatureProblem = `Dynamic QR code rejected: ${dynamicCheck.reason}`;
+  } else if (tokenCheck) {
+    const mismatch = findTicketTokenMismatch(ticket, tokenCheck.claims);
+    if (mismatch) signatureProblem = `QR token ${mismatch} does not match ticket`;
+  } else {
+    const hashCheck = verifyValidationHash(ticket, ticketData);
+    if (!hashCheck.valid) signatureProblem = `QR validation hash rejected: ${hashCheck.reason}`;
+  }
+
+  if (signatureProblem) {
+    return rejection(403, 'forged', 'QR code failed verification', '🚫 FORGED QR CODE', { ticketId, logMessage: signatureProblem });
+  }
+  return null;
+}
+
+// Compare the bound name held by the database, the chain and the QR code
+export function verifyBoundNames(ticket, blockchainStatus, qrBoundName) {
+  const verification = {
+    database_bound_name: ticket.bound_name || null,
+    blockchain_bound_name: blockchainStatus.bound_name || null,
+    qr_bound_name: qrBoundName || null,
+    names_match: false,
+    verification_status: 'unknown'
+  };
+
+  const dbName = verification.database_bound_name;
+  const bcName = verification.blockchain_bound_name;
+
+  if (dbName && bcName) {
+    verification.names_match = dbName === bcName;
+    verification.verification_status = verification.names_match ? 'verified' : 'mismatch';
+  } else if (dbName) {
+    // Blockchain verification failed or the ticket is not registered yet
+    verification.verification_status = 'database_only';
+  } else if (!bcName) {
+    // Tickets issued before bound names existed
+    verification.verification_status = 'legacy_ticket';
+  } else {
+    verification.verification_status = 'blockchain_only';
+  }
+
+  return verification;
+}
+
+// Entry decision before admission, most authoritative check first.
+// Returns { validationResult, statusMessage, uiFeedback }.
+export function decideEntry(ticket, blockchainStatus, boundNameVerification, now = new Date()) {
+  const decision = (validationResult, statusMessage, color, message, sound = 'error_beep') => ({
+    validationResult,
+    statusMessage,
+    uiFeedback: { color, message, sound }
+  });
+
+  const eventDate = new Date(ticket.events?.event_date);
+
+  if (blockchainStatus.contract_verified && blockchainStatus.is_revoked) {
+    return decision('revoked', 'Ticket revoked on blockchain', 'red', '🚫 REVOKED (BLOCKCHAIN)');
+  }
+  if (ticket.ticket_status === 'revoked') {
+    return decision('revoked', 'Ticket revoked in database', 'red', '🚫 REVOKED (DATABASE)');
+  }
+  if (blockchainStatus.contract_verified && !blockchainStatus.is_valid && blockchainStatus.contract_status === 0) {
+    return decision('invalid', 'Ticket not found on blockchain', 'orange', '⚠️ NOT ON BLOCKCHAIN');
+  }
+  // 'used' tickets are settled by the admission step
+  if (ticket.ticket_status !== 'valid' && ticket.ticket_status !== 'used') {
+    return decision('invalid', `Ticket status: ${ticket.ticket_status}`, 'red', '🚫 INVALID STATUS');
+  }
+  if (now.getTime() - eventDate.getTime() > EVENT_ENTRY_GRACE_MS) {
+    return decision('invalid', 'Event has already ended', 'orange', '⏰ EVENT ENDED');
+  }
+  if (boundNameVerification.verification_status === 'mismatch') {
+    return decision('valid_with_warning', 'Valid ticket - but bound name mismatch detected', 'yellow', '✅ VALID ⚠️ NAME MISMATCH', 'warning_beep');
+  }
+
+  // Warn if blockchain verification failed but the database says the ticket is registered
+  const warningMessage = !blockchainStatus.contract_verified && ticket.blockchain_registered
+    ? ' (⚠️ Blockchain verification failed)'
+    : '';
+  return decision('valid', 'Ticket is valid for entry' + warningMessage, 'green', '✅ VALID - ALLOW ENTRY', 'success_beep');
+}
+
+export function isEntryAllowed(decision) {
+  return decision.validationResult === 'valid' || decision.validationResult === 'valid_with_warning';
+}
+
+// Fold the admission outcome into an allowed decision: a re-entry keeps the result with its own
+// message, anything other than a first admission replaces it (already used, already inside, ...)
+export function applyAdmission(decision, scan) {
+  const outcome = describeScanOutcome(scan);
+  if (scan.outcome === 'admitted') {
+    return decision;
+  }
+  if (scan.outcome === 'readmitted') {
+    return { ...decision, statusMessage: outcome.message, uiFeedback: outcome.ui_feedback };
+  }
+  return {
+    validationResult: outcome.validation_result,
+    statusMessage: outcome.message,
+    uiFeedback: outcome.ui_feedback
+  };
+}
+
+// Row for ticket_validation_log
+export function buildValidationLogEntry(ticketId, scannerInfo, result, message) {
+  return {
+    ticket_id: ticketId,
+    admin_id: scannerInfo.admin_id,
+    validation_status: result,
+    validation_method: 'qr_code',
+    validated_at: new Date().toISOString(),
+    location: scannerInfo.location,
+    gate: scannerInfo.gate || null,
+    direction: scannerInfo.direction || 'in',
+    device_info: scannerInfo.device_name || scannerInfo.device_id,
+    scanner_device_id: scannerInfo.device_id,
+    notes: message
+  };
+}
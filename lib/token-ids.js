@@ -0,0 +1,81 @@
+// /lib/token-ids.js
+// Blockchain token ids: the full uint256 SHA-256 of the ticket id, as a decimal string.
+// Tickets issued before this scheme carry 40-bit ids (the first 10 hex digits of the same hash);
+// they stay valid as-is, and new ids are kept above that range so the two can never collide.
+
+import crypto from 'crypto';
+import { loadEthers, readTicketStatuses } from './blockchain.js';
+
+// Every legacy id is below 2^40
+export const LEGACY_TOKEN_ID_LIMIT = '1099511627776';
+
+// Regenerations per ticket before issuance gives up
+const MAX_TOKEN_ID_ATTEMPTS = 5;
+
+export async function isLegacyTokenId(tokenId) {
+  const ethers = await loadEthers();
+  return ethers.BigNumber.from(tokenId).lt(LEGACY_TOKEN_ID_LIMIT);
+}
+
+// Deterministic per ticket id and attempt, so a retried issuance derives the same ids
+export async function generateTokenId(ticketUuid, attempt = 0) {
+  const ethers = await loadEthers();
+  const input = attempt === 0 ? ticketUuid : `${ticketUuid}:${attempt}`;
+  const hash = crypto.createHash('sha256').update(input).digest('hex');
+  return ethers.BigNumber.from('0x' + hash).toString();
+}
+
+// Token ids for new tickets, each checked against the ids already in the database and against the
+// contract. A colliding id is re-derived with the next attempt number. If the contract cannot be
+// read the database check stands alone; the registration worker re-checks the chain before sending.
+// Returns a Map of ticket id -> token id.
+export async function assignTokenIds(supabase, ticketIds) {
+  const assigned = new Map();
+  let pending = ticketIds.map(ticketId => ({ ticketId, attempt: 0 }));
+
+  while (pending.length > 0) {
+    const candidates = [];
+    for (const entry of pending) {
+      if (entry.attempt >= MAX_TOKEN_ID_ATTEMPTS) {
+        throw new Error(`Could not derive a unique token id for ticket ${entry.ticketId}`);
+      }
+      const tokenId = await generateTokenId(entry.ticketId, entry.attempt);
+      candidates.push({ ...entry, tokenId, legacyRange: await isLegacyTokenId(tokenId) });
+    }
+
+    const { data: existing, error } = await supabase
+      .from('tickets')
+      .select('nft_token_id')
+      .in('nft_token_id', candidates.map(c => c.tokenId));
+
+    if (error) {
+      throw new Error('Failed to check token ids: ' + error.message);
+    }
+
+    const taken = new Set(existing.map(ticket => String(ticket.nft_token_id)));
+    const statuses = await readTicketStatuses(candidates.map(c => c.tokenId));
+    const seen = new Set(assigned.values());
+
+    pending = [];
+    candidates.forEach(candidate => {
+      const chain = statuses.get(candidate.tokenId);
+      const collides = candidate.legacyRange
+        || taken.has(candidate.tokenId)
+        || seen.has(candidate.tokenId)
+        || (chain?.contract_verified && chain.contract_status !== 0);
+
+      if (collides) {
+        console.warn(`⚠️ Token id collision for ticket ${candidate.ticketId} (attempt ${candidate.attempt}), re-deriving`);
+        pending.push({ ticketId: candidate.ticketId, attempt: candidate.attempt + 1 });
+        return;
+      }
+      if (!chain?.contract_verified) {
+        console.warn(`⚠️ Token ${candidate.tokenId} not checked on-chain: ${chain?.error || 'status unavailable'}`);
+      }
+      assigned.set(candidate.ticketId, candidate.tokenId);
+      seen.add(candidate.tokenId);
+    });
+  }
+
+  return assigned;
+}
@@ -0,0 +1,23 @@
+// /scripts/index-chain.js
+// Run the contract log indexer from a terminal, e.g. against a local Anvil or Hardhat node:
+//   ETHEREUM_RPC_URL=http://127.0.0.1:8545 REVOCATION_CONTRACT_ADDRESS=0x... \
+//   INDEXER_START_BLOCK=0 INDEXER_CONFIRMATIONS=0 npm run index:chain -- --passes 5
+// The rest of the environment (Supabase, QR keys, ...) is the same as for the API.
+
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../lib/config.js';
+import { runChainIndexer } from '../lib/chain-indexer.js';
+
+const passesFlag = process.argv.indexOf('--passes');
+const passes = passesFlag > 0 ? Number(process.argv[passesFlag + 1]) : 1;
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+for (let pass = 1; pass <= passes; pass++) {
+  const summary = await runChainIndexer(supabase);
+  console.log(`Pass ${pass}/${passes}:`, summary);
+  if (summary.to_block >= summary.head - config.blockchain.indexer.confirmations) break;
+}
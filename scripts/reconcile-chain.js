@@ -0,0 +1,57 @@
+// /scripts/reconcile-chain.js
+// Reconcile an event's tickets with the contract from a terminal:
+//   npm run reconcile:chain -- <event_id> [--format json|csv] [--out report.csv]
+//   npm run reconcile:chain -- <event_id> --repair [--actions register,revoke_on_chain]
+// Without --repair nothing is changed. Large repairs belong here rather than on the endpoint,
+// since each registration waits for its transaction to confirm.
+
+import fs from 'fs';
+import { createClient } from '@supabase/supabase-js';
+import { config } from '../lib/config.js';
+import { reconcileEvent, repairDrift, driftToCsv, REPAIR_ACTIONS } from '../lib/chain-reconciliation.js';
+
+const args = process.argv.slice(2);
+const flag = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const eventId = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.match(/^--(format|out|actions)$/));
+const format = flag('--format') || 'json';
+const out = flag('--out');
+const repair = args.includes('--repair');
+const actions = flag('--actions') ? flag('--actions').split(',') : REPAIR_ACTIONS;
+
+if (!eventId || !['json', 'csv'].includes(format) || actions.some(action => !REPAIR_ACTIONS.includes(action))) {
+  console.error('Usage: reconcile-chain.js <event_id> [--format json|csv] [--out file] [--repair] [--actions a,b]');
+  console.error(`Repair actions: ${REPAIR_ACTIONS.join(', ')}`);
+  process.exit(1);
+}
+
+const supabase = createClient(
+  config.supabase.url,
+  config.supabase.serviceKey
+);
+
+const report = await reconcileEvent(supabase, eventId);
+if (!report) {
+  console.error(`Event ${eventId} not found`);
+  process.exit(1);
+}
+
+const repairs = repair ? await repairDrift(supabase, report, { actions }) : null;
+
+const output = format === 'csv'
+  ? driftToCsv(report)
+  : JSON.stringify(repairs ? { report, repairs } : report, null, 2) + '\n';
+
+if (out) {
+  fs.writeFileSync(out, output);
+  console.log(`Report written to ${out}`);
+} else {
+  process.stdout.write(output);
+}
+
+if (repairs?.some(result => !result.success)) {
+  process.exitCode = 2;
+}
@@ -0,0 +1,130 @@
+-- Ticket reservations: seats are held against events.available_tickets with a single
+-- conditional UPDATE, so concurrent buyers can never oversell or overwrite each other.
+
+-- Events the old read-then-write checkout already oversold would fail the constraint outright.
+-- It is added unvalidated, those events are reported and clamped to zero, then it is validated.
+do $$
+declare
+  v_event record;
+begin
+  if not exists (
+    select 1 from pg_constraint
+     where conname = 'events_available_tickets_non_negative'
+       and conrelid = 'events'::regclass
+  ) then
+    alter table events
+      add constraint events_available_tickets_non_negative check (available_tickets >= 0) not valid;
+  end if;
+
+  for v_event in
+    select event_id, available_tickets from events where available_tickets < 0
+  loop
+    raise warning 'Event % is oversold by % tickets; available_tickets clamped to 0', v_event.event_id, -v_event.available_tickets;
+  end loop;
+
+  update events set available_tickets = 0 where available_tickets < 0;
+
+  alter table events validate constraint events_available_tickets_non_negative;
+end;
+$$;
+
+create table if not exists ticket_reservations (
+  reservation_id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references events (event_id),
+  payment_id uuid not null references payments (payment_id) on delete cascade,
+  user_id uuid not null,
+  quantity integer not null check (quantity > 0),
+  status text not null default 'held' check (status in ('held', 'converted', 'released')),
+  release_reason text,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  released_at timestamptz,
+  converted_at timestamptz
+);
+
+create unique index if not exists ticket_reservations_payment_id_key on ticket_reservations (payment_id);
+create index if not exists ticket_reservations_held_expiry_idx on ticket_reservations (expires_at) where status = 'held';
+
+-- Decrement inventory and record the hold atomically. Returns no row when the event
+-- does not have enough seats left.
+create or replace function reserve_event_tickets(
+  p_event_id uuid,
+  p_payment_id uuid,
+  p_user_id uuid,
+  p_quantity integer,
+  p_expires_at timestamptz
+) returns setof ticket_reservations
+language plpgsql
+as $$
+begin
+  if p_quantity is null or p_quantity < 1 then
+    raise exception 'Reservation quantity must be positive';
+  end if;
+
+  update events
+     set available_tickets = available_tickets - p_quantity
+   where event_id = p_event_id
+     and available_tickets >= p_quantity;
+
+  if not found then
+    return;
+  end if;
+
+  return query
+    insert into ticket_reservations (event_id, payment_id, user_id, quantity, expires_at)
+    values (p_event_id, p_payment_id, p_user_id, p_quantity, p_expires_at)
+    returning *;
+end;
+$$;
+
+-- Return a held reservation's seats to the event. Only the first caller flips the row
+-- out of 'held', so repeated or overlapping calls release nothing further.
+create or replace function release_ticket_reservation(
+  p_payment_id uuid,
+  p_reason text
+) returns integer
+language plpgsql
+as $$
+declare
+  v_event_id uuid;
+  v_quantity integer;
+begin
+  update ticket_reservations
+     set status = 'released',
+         release_reason = p_reason,
+         released_at = now()
+   where payment_id = p_payment_id
+     and status = 'held'
+  returning event_id, quantity into v_event_id, v_quantity;
+
+  if not found then
+    return 0;
+  end if;
+
+  update events
+     set available_tickets = available_tickets + v_quantity
+   where event_id = v_event_id;
+
+  return v_quantity;
+end;
+$$;
+
+-- Mark a hold as sold once its payment is confirmed so it is never released afterwards.
+create or replace function convert_ticket_reservation(
+  p_payment_id uuid
+) returns integer
+language plpgsql
+as $$
+declare
+  v_quantity integer;
+begin
+  update ticket_reservations
+     set status = 'converted',
+         converted_at = now()
+   where payment_id = p_payment_id
+     and status = 'held'
+  returning quantity into v_quantity;
+
+  return coalesce(v_quantity, 0);
+end;
+$$;
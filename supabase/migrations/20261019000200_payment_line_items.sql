@@ -0,0 +1,20 @@
+-- Explicit purchase line items (event, tier, quantity, unit price, fees) recorded at purchase
+-- time, so restores, refunds and ticket generation never infer quantity from amount / price.
+
+alter table payments
+  add column if not exists line_items jsonb not null default '[]'::jsonb;
+
+-- Backfill from the quantity and unit price buy.js already kept in metadata
+update payments
+   set line_items = jsonb_build_array(jsonb_build_object(
+         'type', 'ticket',
+         'event_id', event_id,
+         'tier', 'general_admission',
+         'quantity', (metadata -> 'purchase_details' ->> 'quantity')::integer,
+         'unit_price', (metadata -> 'purchase_details' ->> 'unit_price')::numeric,
+         'fees', 0,
+         'line_total', amount
+       ))
+ where line_items = '[]'::jsonb
+   and event_id is not null
+   and metadata -> 'purchase_details' ->> 'quantity' is not null;
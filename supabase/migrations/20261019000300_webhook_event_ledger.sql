@@ -0,0 +1,28 @@
+-- Webhook event ledger and per-payment processing lock, so retried or racing webhook
+-- events (e.g. CHECKOUT.ORDER.APPROVED and PAYMENT.CAPTURE.COMPLETED) issue tickets once.
+
+create table if not exists webhook_events (
+  provider text not null,
+  event_id text not null,
+  event_type text,
+  resource_id text,
+  payment_id uuid references payments (payment_id) on delete set null,
+  status text not null check (status in ('processing', 'processed', 'failed')),
+  attempts integer not null default 1,
+  response_status integer,
+  response_body jsonb,
+  received_at timestamptz not null default now(),
+  processing_started_at timestamptz not null default now(),
+  completed_at timestamptz,
+  primary key (provider, event_id)
+);
+
+create index if not exists webhook_events_payment_id_idx on webhook_events (payment_id);
+
+alter table payments
+  add column if not exists processing_lock_id uuid,
+  add column if not exists processing_locked_at timestamptz;
+
+-- Backstop: a payment can never get two tickets with the same number
+create unique index if not exists tickets_payment_ticket_number_key
+  on tickets (payment_id, ticket_number);
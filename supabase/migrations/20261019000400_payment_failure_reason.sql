@@ -0,0 +1,4 @@
+-- Why a payment ended up failed (e.g. the order capture was declined)
+
+alter table payments
+  add column if not exists failure_reason text;
@@ -0,0 +1,35 @@
+-- Refunds, chargebacks, denials and voids reported by PayPal: tickets are revoked with a
+-- recorded reason and their seats can be returned to the event.
+
+alter table payments
+  add column if not exists status_reason text;
+
+alter table tickets
+  add column if not exists revoked_at timestamptz,
+  add column if not exists revocation_reason text,
+  add column if not exists revocation_chain_status text
+    check (revocation_chain_status in ('revoked', 'failed')),
+  add column if not exists revocation_tx_hash text;
+
+-- Return seats to an event without a read-modify-write from the API
+create or replace function restock_event_tickets(
+  p_event_id uuid,
+  p_quantity integer
+) returns integer
+language plpgsql
+as $$
+declare
+  v_available integer;
+begin
+  if p_quantity is null or p_quantity < 1 then
+    raise exception 'Restock quantity must be positive';
+  end if;
+
+  update events
+     set available_tickets = available_tickets + p_quantity
+   where event_id = p_event_id
+  returning available_tickets into v_available;
+
+  return v_available;
+end;
+$$;
@@ -0,0 +1,30 @@
+-- Customer refunds: per-event refund policy and an auditable record of every refund
+
+alter table events
+  add column if not exists refunds_enabled boolean not null default true,
+  add column if not exists refund_window_days integer not null default 7
+    check (refund_window_days >= 0),
+  add column if not exists refund_fee_per_ticket numeric(10, 2) not null default 0
+    check (refund_fee_per_ticket >= 0);
+
+create table if not exists refunds (
+  refund_id uuid primary key,
+  payment_id uuid not null references payments (payment_id),
+  event_id uuid not null references events (event_id),
+  ticket_ids uuid[] not null,
+  gross_amount numeric(10, 2) not null,
+  fee_amount numeric(10, 2) not null default 0,
+  amount numeric(10, 2) not null,
+  currency text not null default 'USD',
+  reason text,
+  requested_by uuid,
+  status text not null check (status in ('pending', 'completed', 'failed')),
+  provider_refund_id text,
+  error text,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists refunds_payment_id_idx on refunds (payment_id);
+create unique index if not exists refunds_provider_refund_id_key
+  on refunds (provider_refund_id) where provider_refund_id is not null;
@@ -0,0 +1,24 @@
+-- Provider-neutral payment references, so PayPal and Stripe payments share one set of columns.
+-- payments.payment_method names the provider that handled the payment.
+
+alter table payments
+  add column if not exists provider_order_id text,
+  add column if not exists provider_capture_id text;
+
+-- Every existing payment went through PayPal
+update payments
+   set payment_method = coalesce(payment_method, 'paypal'),
+       provider_order_id = coalesce(provider_order_id, paypal_order_id),
+       provider_capture_id = coalesce(provider_capture_id, paypal_transaction_id)
+ where paypal_order_id is not null
+    or paypal_transaction_id is not null;
+
+create unique index if not exists payments_provider_order_id_key
+  on payments (payment_method, provider_order_id) where provider_order_id is not null;
+create index if not exists payments_provider_capture_id_idx
+  on payments (payment_method, provider_capture_id) where provider_capture_id is not null;
+
+-- Per-event provider choice; null falls back to the PAYMENT_PROVIDER deployment setting
+alter table events
+  add column if not exists payment_provider text
+    check (payment_provider in ('paypal', 'stripe'));
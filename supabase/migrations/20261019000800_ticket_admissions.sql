@@ -0,0 +1,109 @@
+-- Entry scans: a successful scan moves a ticket from 'valid' to 'used' under a row lock, so
+-- one QR code admits one person. Events can opt into re-entry (scan out, then scan back in).
+
+alter table events
+  add column if not exists reentry_allowed boolean not null default false;
+
+alter table tickets
+  add column if not exists used_at timestamptz,
+  add column if not exists used_gate text,
+  add column if not exists used_device_id text,
+  add column if not exists used_by text,
+  add column if not exists is_inside boolean not null default false,
+  add column if not exists admission_count integer not null default 0,
+  add column if not exists last_scan_at timestamptz;
+
+alter table ticket_validation_log
+  add column if not exists gate text,
+  add column if not exists direction text;
+
+-- Apply one scan to a ticket. Outcomes:
+--   admitted      first entry; ticket is now 'used'
+--   readmitted    re-entry after a scan out (re-entry events only)
+--   already_used  ticket was already admitted; first admission details are returned
+--   already_inside  re-entry event, but the holder never scanned out
+--   exited        scan out recorded (re-entry events only)
+--   exit_not_allowed  scan out on an event without re-entry, or a holder who is not inside
+--   not_admissible    ticket is neither valid nor used (revoked, cancelled, ...)
+create or replace function scan_ticket(
+  p_ticket_id uuid,
+  p_direction text,
+  p_gate text,
+  p_device_id text,
+  p_scanned_by text
+) returns table (
+  outcome text,
+  ticket_status text,
+  used_at timestamptz,
+  used_gate text,
+  used_device_id text,
+  is_inside boolean,
+  admission_count integer,
+  reentry_allowed boolean
+)
+language plpgsql
+as $$
+declare
+  v_ticket tickets%rowtype;
+  v_reentry boolean;
+  v_outcome text;
+begin
+  select t.* into v_ticket
+    from tickets t
+   where t.ticket_id = p_ticket_id
+     for update;
+
+  if not found then
+    raise exception 'Ticket % not found', p_ticket_id;
+  end if;
+
+  select coalesce(e.reentry_allowed, false) into v_reentry
+    from events e
+   where e.event_id = v_ticket.event_id;
+
+  if p_direction = 'out' then
+    if v_ticket.ticket_status = 'used' and v_reentry and v_ticket.is_inside then
+      update tickets t
+         set is_inside = false,
+             last_scan_at = now()
+       where t.ticket_id = p_ticket_id;
+      v_outcome := 'exited';
+    else
+      v_outcome := 'exit_not_allowed';
+    end if;
+
+  elsif v_ticket.ticket_status = 'valid' then
+    update tickets t
+       set ticket_status = 'used',
+           used_at = now(),
+           used_gate = p_gate,
+           used_device_id = p_device_id,
+           used_by = p_scanned_by,
+           is_inside = true,
+           admission_count = 1,
+           last_scan_at = now()
+     where t.ticket_id = p_ticket_id;
+    v_outcome := 'admitted';
+
+  elsif v_ticket.ticket_status = 'used' and v_reentry and not v_ticket.is_inside then
+    update tickets t
+       set is_inside = true,
+           admission_count = t.admission_count + 1,
+           last_scan_at = now()
+     where t.ticket_id = p_ticket_id;
+    v_outcome := 'readmitted';
+
+  elsif v_ticket.ticket_status = 'used' then
+    v_outcome := case when v_reentry then 'already_inside' else 'already_used' end;
+
+  else
+    v_outcome := 'not_admissible';
+  end if;
+
+  return query
+    select v_outcome, t.ticket_status, t.used_at, t.used_gate, t.used_device_id,
+           t.is_inside, t.admission_count, v_reentry
+      from tickets t
+     where t.ticket_id = p_ticket_id;
+end;
+$$;
@@ -0,0 +1,17 @@
+-- Dynamic QR: events can opt into codes that rotate every few seconds (TOTP-style), so a
+-- screenshot of a ticket stops working almost immediately. Each ticket gets its own seed,
+-- handed to the holder's app by the wallet endpoint; static codes are refused for these events.
+
+alter table events
+  add column if not exists dynamic_qr boolean not null default false,
+  add column if not exists dynamic_qr_period_seconds integer not null default 30;
+
+alter table events
+  drop constraint if exists events_dynamic_qr_period_check;
+alter table events
+  add constraint events_dynamic_qr_period_check
+  check (dynamic_qr_period_seconds between 10 and 300);
+
+-- Base32 seed, created the first time the wallet hands out a dynamic code for the ticket
+alter table tickets
+  add column if not exists dynamic_qr_seed text;
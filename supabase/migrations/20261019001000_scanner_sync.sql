@@ -0,0 +1,186 @@
+-- Offline scanning: gates download a signed bundle of an event's tickets, admit people without a
+-- connection, and upload their scans later. Uploaded scans are deduplicated by a client-generated
+-- scan id; a ticket admitted at two places while offline is recorded as a conflict for staff.
+
+-- Change cursor for bundle deltas
+alter table tickets
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists tickets_event_updated_at_idx on tickets (event_id, updated_at);
+
+create or replace function touch_ticket_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_touch_updated_at on tickets;
+create trigger tickets_touch_updated_at
+  before update on tickets
+  for each row execute function touch_ticket_updated_at();
+
+create table if not exists offline_scans (
+  scan_id uuid primary key,
+  ticket_id uuid not null references tickets (ticket_id),
+  event_id uuid not null,
+  device_id text not null,
+  gate text,
+  direction text not null check (direction in ('in', 'out')),
+  scanned_at timestamptz not null,
+  scanned_by text,
+  offline_result text not null,
+  outcome text,
+  synced_at timestamptz not null default now()
+);
+
+create index if not exists offline_scans_ticket_idx on offline_scans (ticket_id, scanned_at);
+
+create table if not exists scan_conflicts (
+  conflict_id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references tickets (ticket_id),
+  event_id uuid not null,
+  kind text not null check (kind in ('double_admission', 'admitted_not_admissible')),
+  scan_id uuid not null references offline_scans (scan_id),
+  device_id text,
+  gate text,
+  scanned_at timestamptz,
+  other_device_id text,
+  other_gate text,
+  other_scanned_at timestamptz,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  resolved_by text,
+  resolution_note text,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists scan_conflicts_open_idx on scan_conflicts (event_id) where status = 'open';
+
+-- Apply one uploaded offline scan. Outcomes:
+--   duplicate        scan id already synced; nothing changes
+--   admitted         first admission of the ticket (used_at is the offline scan time)
+--   readmitted       re-entry event, admission counted
+--   already_used     ticket was already admitted elsewhere
+--   exited / exit_not_allowed   scan out, as for scan_ticket
+--   not_admissible   ticket is neither valid nor used
+-- A gate that let someone in (offline_result admitted/readmitted) on an already_used or
+-- not_admissible ticket opens a scan_conflicts row. For double admissions the earliest scan is
+-- kept as the ticket's first admission, whichever device synced first.
+create or replace function apply_offline_scan(
+  p_scan_id uuid,
+  p_ticket_id uuid,
+  p_direction text,
+  p_gate text,
+  p_device_id text,
+  p_scanned_by text,
+  p_scanned_at timestamptz,
+  p_offline_result text
+) returns table (
+  outcome text,
+  conflict_id uuid
+)
+language plpgsql
+as $$
+declare
+  v_ticket tickets%rowtype;
+  v_reentry boolean;
+  v_outcome text;
+  v_conflict_id uuid;
+  v_gate_admitted boolean := p_offline_result in ('admitted', 'readmitted');
+begin
+  select t.* into v_ticket
+    from tickets t
+   where t.ticket_id = p_ticket_id
+     for update;
+
+  if not found then
+    raise exception 'Ticket % not found', p_ticket_id;
+  end if;
+
+  insert into offline_scans (scan_id, ticket_id, event_id, device_id, gate, direction,
+                             scanned_at, scanned_by, offline_result)
+  values (p_scan_id, p_ticket_id, v_ticket.event_id, p_device_id, p_gate, p_direction,
+          p_scanned_at, p_scanned_by, p_offline_result)
+  on conflict (scan_id) do nothing;
+
+  if not found then
+    return query select 'duplicate'::text, null::uuid;
+    return;
+  end if;
+
+  select coalesce(e.reentry_allowed, false) into v_reentry
+    from events e
+   where e.event_id = v_ticket.event_id;
+
+  if p_direction = 'out' then
+    if v_ticket.ticket_status = 'used' and v_reentry and v_ticket.is_inside then
+      update tickets t
+         set is_inside = false,
+             last_scan_at = greatest(t.last_scan_at, p_scanned_at)
+       where t.ticket_id = p_ticket_id;
+      v_outcome := 'exited';
+    else
+      v_outcome := 'exit_not_allowed';
+    end if;
+
+  elsif v_ticket.ticket_status = 'valid' then
+    update tickets t
+       set ticket_status = 'used',
+           used_at = p_scanned_at,
+           used_gate = p_gate,
+           used_device_id = p_device_id,
+           used_by = p_scanned_by,
+           is_inside = true,
+           admission_count = 1,
+           last_scan_at = p_scanned_at
+     where t.ticket_id = p_ticket_id;
+    v_outcome := 'admitted';
+
+  elsif v_ticket.ticket_status = 'used' and v_reentry then
+    update tickets t
+       set is_inside = true,
+           admission_count = t.admission_count + 1,
+           last_scan_at = greatest(t.last_scan_at, p_scanned_at)
+     where t.ticket_id = p_ticket_id;
+    v_outcome := 'readmitted';
+
+  elsif v_ticket.ticket_status = 'used' then
+    v_outcome := 'already_used';
+    if v_gate_admitted then
+      insert into scan_conflicts (ticket_id, event_id, kind, scan_id, device_id, gate, scanned_at,
+                                  other_device_id, other_gate, other_scanned_at)
+      values (p_ticket_id, v_ticket.event_id, 'double_admission', p_scan_id, p_device_id, p_gate,
+              p_scanned_at, v_ticket.used_device_id, v_ticket.used_gate, v_ticket.used_at)
+      returning scan_conflicts.conflict_id into v_conflict_id;
+
+      if p_scanned_at < v_ticket.used_at then
+        update tickets t
+           set used_at = p_scanned_at,
+               used_gate = p_gate,
+               used_device_id = p_device_id,
+               used_by = p_scanned_by
+         where t.ticket_id = p_ticket_id;
+      end if;
+    end if;
+
+  else
+    v_outcome := 'not_admissible';
+    if v_gate_admitted then
+      insert into scan_conflicts (ticket_id, event_id, kind, scan_id, device_id, gate, scanned_at)
+      values (p_ticket_id, v_ticket.event_id, 'admitted_not_admissible', p_scan_id, p_device_id,
+              p_gate, p_scanned_at)
+      returning scan_conflicts.conflict_id into v_conflict_id;
+    end if;
+  end if;
+
+  update offline_scans s
+     set outcome = v_outcome
+   where s.scan_id = p_scan_id;
+
+  return query select v_outcome, v_conflict_id;
+end;
+$$;
@@ -0,0 +1,26 @@
+-- Scanner devices: enrolled by an admin, assigned to events (optionally to specific gates) and
+-- holding their own revocable credential. Only a sha256 of the credential secret is stored.
+
+create table if not exists scanner_devices (
+  device_id uuid primary key default gen_random_uuid(),
+  name text not null,
+  credential_hash text not null,
+  enrolled_by text not null,
+  enrolled_at timestamptz not null default now(),
+  revoked_at timestamptz,
+  revoked_by text,
+  last_seen_at timestamptz
+);
+
+-- gates is null for every gate of the event
+create table if not exists scanner_device_events (
+  device_id uuid not null references scanner_devices (device_id) on delete cascade,
+  event_id uuid not null references events (event_id) on delete cascade,
+  gates text[],
+  primary key (device_id, event_id)
+);
+
+create index if not exists scanner_device_events_event_idx on scanner_device_events (event_id);
+
+alter table ticket_validation_log
+  add column if not exists scanner_device_id uuid references scanner_devices (device_id);
@@ -0,0 +1,50 @@
+-- Batch admissions for validate-batch: one round trip applies many scans, each through
+-- scan_ticket with its own row lock. Every scan runs in its own subtransaction, so one failing
+-- ticket is reported as 'error' without undoing the admissions before it.
+-- p_scans: [{ "ticket_id": uuid, "direction": "in"|"out", "gate", "device_id", "scanned_by" }]
+-- Results come back in input order; a ticket listed twice sees its own earlier admission.
+
+create or replace function scan_tickets(p_scans jsonb)
+returns table (
+  "position" integer,
+  ticket_id uuid,
+  outcome text,
+  ticket_status text,
+  used_at timestamptz,
+  used_gate text,
+  used_device_id text,
+  is_inside boolean,
+  admission_count integer,
+  reentry_allowed boolean,
+  error text
+)
+language plpgsql
+as $$
+declare
+  v_scan jsonb;
+  v_position integer := 0;
+  v_ticket_id uuid;
+begin
+  for v_scan in select value from jsonb_array_elements(p_scans)
+  loop
+    v_ticket_id := (v_scan->>'ticket_id')::uuid;
+    begin
+      return query
+        select v_position, v_ticket_id, s.outcome, s.ticket_status, s.used_at, s.used_gate,
+               s.used_device_id, s.is_inside, s.admission_count, s.reentry_allowed, null::text
+          from scan_ticket(
+            v_ticket_id,
+            coalesce(v_scan->>'direction', 'in'),
+            v_scan->>'gate',
+            v_scan->>'device_id',
+            v_scan->>'scanned_by'
+          ) s;
+    exception when others then
+      return query
+        select v_position, v_ticket_id, 'error'::text, null::text, null::timestamptz, null::text,
+               null::text, null::boolean, null::integer, null::boolean, sqlerrm;
+    end;
+    v_position := v_position + 1;
+  end loop;
+end;
+$$;
@@ -0,0 +1,15 @@
+-- Cache of each token's status on the revocation contract, so scans read a row instead of
+-- making RPC calls. Fed by live reads during validation, the refresh-chain-status cron and our
+-- own registration and revocation transactions; validate only goes to the chain when a row is
+-- older than CHAIN_STATUS_TTL_SECONDS.
+
+create table if not exists ticket_chain_status (
+  token_id text primary key,
+  contract_status smallint not null,
+  bound_name text,
+  source text not null check (source in ('live', 'poll', 'registration', 'revocation', 'event')),
+  block_number bigint,
+  checked_at timestamptz not null default now()
+);
+
+create index if not exists ticket_chain_status_checked_at_idx on ticket_chain_status (checked_at);
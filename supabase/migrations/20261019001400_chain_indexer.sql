@@ -0,0 +1,25 @@
+-- Contract log indexer: follows TicketRegistered / TicketRevoked logs of the revocation contract
+-- from a stored block cursor. Logs are kept with their block hash so a reorg can be undone by
+-- deleting everything above the rewind point and indexing it again.
+
+create table if not exists chain_indexer_cursors (
+  contract_address text primary key,
+  last_block bigint not null,
+  last_block_hash text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists ticket_chain_events (
+  transaction_hash text not null,
+  log_index integer not null,
+  block_number bigint not null,
+  block_hash text not null,
+  event_name text not null check (event_name in ('TicketRegistered', 'TicketRevoked')),
+  token_id text not null,
+  bound_name text,
+  indexed_at timestamptz not null default now(),
+  primary key (transaction_hash, log_index)
+);
+
+create index if not exists ticket_chain_events_block_idx on ticket_chain_events (block_number);
+create index if not exists ticket_chain_events_token_idx on ticket_chain_events (token_id, block_number);
@@ -0,0 +1,54 @@
+-- Retry queue for on-chain ticket registration. A ticket whose registration failed (or never
+-- confirmed) gets a job; the register-tickets cron claims due jobs, skips tokens already on-chain,
+-- registers the rest in one transaction and backs off exponentially on failure. After
+-- REGISTRATION_MAX_ATTEMPTS a job is 'dead' and waits for an admin to requeue it.
+
+create table if not exists nft_registration_jobs (
+  ticket_id uuid primary key references tickets (ticket_id) on delete cascade,
+  token_id text not null,
+  bound_name text,
+  status text not null default 'queued' check (status in ('queued', 'processing', 'done', 'dead', 'cancelled')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  locked_until timestamptz,
+  last_error text,
+  last_tx_hash text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists nft_registration_jobs_due_idx on nft_registration_jobs (status, next_attempt_at);
+
+-- Claim up to p_limit due jobs, counting the attempt. A job left 'processing' by a worker that
+-- died is claimable again once its lock expires. Concurrent workers never claim the same job.
+create or replace function claim_nft_registration_jobs(p_limit integer, p_lock_seconds integer)
+returns setof nft_registration_jobs
+language sql
+as $$
+  update nft_registration_jobs j
+     set status = 'processing',
+         attempts = j.attempts + 1,
+         locked_until = now() + make_interval(secs => p_lock_seconds),
+         updated_at = now()
+   where j.ticket_id in (
+     select ticket_id
+       from nft_registration_jobs
+      where (status = 'queued' and next_attempt_at <= now())
+         or (status = 'processing' and locked_until < now())
+      order by next_attempt_at
+      limit p_limit
+      for update skip locked
+   )
+  returning j.*;
+$$;
+
+-- Registrations that failed before this queue existed, or are still marked pending
+insert into nft_registration_jobs (ticket_id, token_id, bound_name, last_error)
+select ticket_id, nft_token_id::text, bound_name, blockchain_error
+  from tickets
+ where nft_token_id is not null
+   and coalesce(blockchain_registered, false) = false
+   and nft_mint_status in ('failed', 'pending')
+   and ticket_status in ('valid', 'used')
+on conflict (ticket_id) do nothing;
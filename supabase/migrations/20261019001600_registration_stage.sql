@@ -0,0 +1,23 @@
+-- Ticket issuance and on-chain registration are separate stages. Every ticket inserted without a
+-- registration gets a registration job in the same transaction, so the payment webhook never
+-- waits on the chain and a ticket cannot exist without its job. The register-tickets cron
+-- (lib/registration-queue.js) does the rest.
+
+create or replace function enqueue_ticket_registration()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.nft_token_id is not null and coalesce(new.blockchain_registered, false) = false then
+    insert into nft_registration_jobs (ticket_id, token_id, bound_name)
+    values (new.ticket_id, new.nft_token_id::text, new.bound_name)
+    on conflict (ticket_id) do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_enqueue_registration on tickets;
+create trigger tickets_enqueue_registration
+  after insert on tickets
+  for each row execute function enqueue_ticket_registration();
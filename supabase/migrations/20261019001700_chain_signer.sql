@@ -0,0 +1,82 @@
+-- Nonce and transaction tracking for the admin wallet. Every contract write takes its nonce from
+-- allocate_signer_nonce, which serializes concurrent senders on the signer's row, and is recorded
+-- in chain_transactions with every hash it was broadcast under (gas bumps re-sign the same nonce).
+-- The chain-transactions cron settles mined transactions, bumps stuck ones and fills nonce gaps.
+
+create table if not exists chain_signer_nonces (
+  address text primary key,
+  next_nonce bigint not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists chain_transactions (
+  tx_id uuid primary key default gen_random_uuid(),
+  address text not null,
+  nonce bigint not null,
+  purpose text not null check (purpose in ('registration', 'revocation', 'gap_fill')),
+  to_address text not null,
+  data text not null,
+  value text not null default '0',
+  gas_limit text not null,
+  max_fee_per_gas text,
+  max_priority_fee_per_gas text,
+  gas_price text,
+  tx_hash text not null,
+  tx_hashes text[] not null,
+  -- Latest signed transaction, re-broadcast as-is if a node drops it
+  raw_transaction text not null,
+  status text not null default 'pending' check (status in ('pending', 'mined', 'reverted', 'replaced', 'failed')),
+  bump_count integer not null default 0,
+  last_sent_at timestamptz not null default now(),
+  block_number bigint,
+  mined_hash text,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists chain_transactions_pending_idx on chain_transactions (address, nonce) where status = 'pending';
+
+-- Next nonce for p_address: the stored counter, or the chain's pending count when that is ahead
+-- (transactions sent from elsewhere). The row lock makes concurrent callers take turns.
+create or replace function allocate_signer_nonce(p_address text, p_chain_nonce bigint)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_nonce bigint;
+begin
+  insert into chain_signer_nonces (address, next_nonce)
+  values (lower(p_address), p_chain_nonce)
+  on conflict (address) do nothing;
+
+  select greatest(next_nonce, p_chain_nonce)
+    into v_nonce
+    from chain_signer_nonces
+   where address = lower(p_address)
+   for update;
+
+  update chain_signer_nonces
+     set next_nonce = v_nonce + 1,
+         updated_at = now()
+   where address = lower(p_address);
+
+  return v_nonce;
+end;
+$$;
+
+-- Give back a nonce whose transaction was never broadcast, if nothing has taken a later one.
+-- Otherwise the gap is filled by the chain-transactions cron.
+create or replace function release_signer_nonce(p_address text, p_nonce bigint)
+returns boolean
+language plpgsql
+as $$
+begin
+  update chain_signer_nonces
+     set next_nonce = p_nonce,
+         updated_at = now()
+   where address = lower(p_address)
+     and next_nonce = p_nonce + 1;
+  return found;
+end;
+$$;
@@ -0,0 +1,34 @@
+-- Staff revocation from POST /api/tickets/revoke: who revoked a ticket and whether its seat went
+-- back on sale, so POST /api/tickets/unrevoke can take the seat back when restoring it.
+
+alter table tickets
+  add column if not exists revoked_by uuid,
+  add column if not exists revocation_restocked boolean not null default false;
+
+create index if not exists tickets_revocation_chain_failed_idx on tickets (revoked_at)
+  where revocation_chain_status = 'failed';
+
+-- Take seats back from an event for restored tickets. Returns null, changing nothing, when the
+-- event no longer has that many seats available.
+create or replace function withdraw_event_tickets(
+  p_event_id uuid,
+  p_quantity integer
+) returns integer
+language plpgsql
+as $$
+declare
+  v_available integer;
+begin
+  if p_quantity is null or p_quantity < 1 then
+    raise exception 'Withdraw quantity must be positive';
+  end if;
+
+  update events
+     set available_tickets = available_tickets - p_quantity
+   where event_id = p_event_id
+     and available_tickets >= p_quantity
+  returning available_tickets into v_available;
+
+  return v_available;
+end;
+$$;
@@ -0,0 +1,51 @@
+-- Full-width token ids (lib/token-ids.js): uint256 values as decimal text, which no integer column
+-- can hold. Existing 40-bit ids keep their value. Duplicate ids already issued (mostly from the old
+-- timestamp fallback) are listed by the ticket_token_id_duplicates view and reported when this
+-- migration runs; the unique index is only created once there are none left.
+
+alter table tickets
+  alter column nft_token_id type text using nft_token_id::text;
+
+create or replace view ticket_token_id_duplicates as
+select t.nft_token_id,
+       t.ticket_id,
+       t.event_id,
+       t.payment_id,
+       t.bound_name,
+       t.ticket_status,
+       t.blockchain_registered,
+       t.purchase_date,
+       t.nft_token_id::numeric < 1099511627776 as legacy_id,
+       count(*) over (partition by t.nft_token_id) as tickets_sharing_id
+  from tickets t
+ where t.nft_token_id in (
+   select nft_token_id
+     from tickets
+    where nft_token_id is not null
+    group by nft_token_id
+   having count(*) > 1
+ );
+
+do $$
+declare
+  v_duplicate record;
+  v_count integer := 0;
+begin
+  for v_duplicate in
+    select nft_token_id, array_agg(ticket_id::text order by purchase_date) as ticket_ids
+      from ticket_token_id_duplicates
+     group by nft_token_id
+     order by nft_token_id
+  loop
+    v_count := v_count + 1;
+    raise notice 'Duplicate token id %: tickets %', v_duplicate.nft_token_id, array_to_string(v_duplicate.ticket_ids, ', ');
+  end loop;
+
+  if v_count = 0 then
+    create unique index if not exists tickets_nft_token_id_key on tickets (nft_token_id);
+    raise notice 'No duplicate token ids; unique index tickets_nft_token_id_key created';
+  else
+    raise warning '% token ids are shared by more than one ticket; resolve them (see ticket_token_id_duplicates) and run: create unique index tickets_nft_token_id_key on tickets (nft_token_id)', v_count;
+  end if;
+end;
+$$;
@@ -0,0 +1,71 @@
+-- Ticket issuance in one transaction (lib/ticket-issuance.js): a payment's tickets are inserted, its
+-- held seats converted and the payment confirmed together, or none of it happens. A failed insert
+-- can no longer leave a confirmed payment without tickets.
+-- p_tickets: the ticket rows as JSON objects, all with the same keys.
+-- Returns 'issued', or, changing nothing, 'already_fulfilled' (confirmed, or tickets already exist),
+-- 'not_pending' (expired, failed or refunded in the meantime) or 'reservation_released' (its seats
+-- went back on sale). Payments from before reservations have none and are issued as before.
+
+create or replace function fulfill_payment(
+  p_payment_id uuid,
+  p_capture_id text,
+  p_tickets jsonb
+) returns text
+language plpgsql
+as $$
+declare
+  v_status text;
+  v_reservation_status text;
+  v_columns text;
+begin
+  if p_tickets is null or jsonb_typeof(p_tickets) <> 'array' or jsonb_array_length(p_tickets) = 0 then
+    raise exception 'At least one ticket is required';
+  end if;
+
+  -- Waits for, then sees the result of, any concurrent confirm, expiry or failure of this payment
+  select payment_status into v_status
+    from payments
+   where payment_id = p_payment_id
+   for update;
+
+  if not found then
+    raise exception 'Payment % not found', p_payment_id;
+  end if;
+
+  if v_status = 'confirmed' or exists (select 1 from tickets where payment_id = p_payment_id) then
+    return 'already_fulfilled';
+  end if;
+
+  if v_status <> 'pending' then
+    return 'not_pending';
+  end if;
+
+  -- Locked too, so the seats cannot be released between this check and their conversion
+  select status into v_reservation_status
+    from ticket_reservations
+   where payment_id = p_payment_id
+   for update;
+
+  if v_reservation_status = 'released' then
+    return 'reservation_released';
+  end if;
+
+  select string_agg(quote_ident(key), ', ')
+    into v_columns
+    from jsonb_object_keys(p_tickets->0) as key;
+
+  execute format(
+    'insert into tickets (%1$s) select %1$s from jsonb_populate_recordset(null::tickets, $1)',
+    v_columns
+  ) using p_tickets;
+
+  perform convert_ticket_reservation(p_payment_id);
+
+  update payments
+     set payment_status = 'confirmed',
+         provider_capture_id = p_capture_id
+   where payment_id = p_payment_id;
+
+  return 'issued';
+end;
+$$;
@@ -0,0 +1,39 @@
+-- On-chain revocations leave the request that revoked the tickets. Refunds, payment reversals and
+-- staff revocations only mark tickets revoked in the database, with revocation_chain_status
+-- 'pending'; the chain-revocations cron claims them ('sending'), sends the contract revocation and
+-- records 'revoked' or 'failed'. A staff retry puts failed ones back to 'pending'.
+
+alter table tickets
+  drop constraint if exists tickets_revocation_chain_status_check;
+
+alter table tickets
+  add constraint tickets_revocation_chain_status_check
+    check (revocation_chain_status in ('pending', 'sending', 'revoked', 'failed'));
+
+alter table tickets
+  add column if not exists revocation_locked_until timestamptz;
+
+create index if not exists tickets_revocation_chain_pending_idx on tickets (revoked_at)
+  where revocation_chain_status in ('pending', 'sending');
+
+-- Claim up to p_limit queued revocations. A claim left 'sending' by a worker that died is
+-- claimable again once its lock expires. Concurrent workers never claim the same ticket.
+create or replace function claim_chain_revocations(p_limit integer, p_lock_seconds integer)
+returns setof tickets
+language sql
+as $$
+  update tickets t
+     set revocation_chain_status = 'sending',
+         revocation_locked_until = now() + make_interval(secs => p_lock_seconds)
+   where t.ticket_id in (
+     select ticket_id
+       from tickets
+      where ticket_status = 'revoked'
+        and (revocation_chain_status = 'pending'
+             or (revocation_chain_status = 'sending' and revocation_locked_until < now()))
+      order by revoked_at
+      limit p_limit
+      for update skip locked
+   )
+  returning t.*;
+$$;
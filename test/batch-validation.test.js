@@ -0,0 +1,181 @@
+// /test/batch-validation.test.js
+// /api/tickets/validate-batch: one result per item in request order, and a ticket admitted once
+// even when it appears several times in a batch
+
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createTestDatabase } from './helpers/database.js';
+import { config } from '../lib/config.js';
+import { createBatchValidationHandler } from '../lib/batch-validation.js';
+import { createRecordedResponse } from '../lib/webhook-ledger.js';
+import { createScannerCredential, SCANNER_KEY_HEADER } from '../lib/scanner-devices.js';
+import { computeValidationHash, signTicketToken } from '../lib/ticket-qr.js';
+
+const STAFF_TOKEN = 'staff-session-token';
+const STAFF_AUTH_ID = crypto.randomUUID();
+
+let supabase;
+let handler;
+let event;
+let otherEvent;
+let tickets;
+let scannerKey;
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+
+  // Supabase Auth stand-in: the staff token belongs to STAFF_AUTH_ID, anything else is refused
+  const auth = {
+    getUser: async token => token === STAFF_TOKEN
+      ? { data: { user: { id: STAFF_AUTH_ID } }, error: null }
+      : { data: { user: null }, error: { message: 'invalid JWT' } }
+  };
+  handler = createBatchValidationHandler({ supabase: { ...supabase, auth } });
+
+  await supabase.from('users').insert({ auth_id: STAFF_AUTH_ID, id_name: 'Door staff', role: 'admin' });
+
+  const { data: events } = await supabase
+    .from('events')
+    .insert([
+      { event_name: 'Batch night', event_date: new Date(Date.now() + 60 * 60 * 1000).toISOString() },
+      { event_name: 'Elsewhere', event_date: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+    ])
+    .select();
+  [event, otherEvent] = events;
+
+  const { data, error } = await supabase
+    .from('tickets')
+    .insert([
+      { event_id: event.event_id, bound_name: 'Ada', nft_token_id: '2001', ticket_status: 'valid', blockchain_registered: true },
+      { event_id: event.event_id, bound_name: 'Grace', nft_token_id: '2002', ticket_status: 'valid', blockchain_registered: true },
+      { event_id: event.event_id, bound_name: 'Linus', nft_token_id: '2003', ticket_status: 'revoked', blockchain_registered: true },
+      { event_id: otherEvent.event_id, bound_name: 'Barbara', nft_token_id: '2004', ticket_status: 'valid', blockchain_registered: true }
+    ])
+    .select();
+  assert.equal(error, null);
+  tickets = Object.fromEntries(data.map(ticket => [ticket.bound_name, ticket]));
+
+  // Fresh contract statuses, so the batch is decided from the cache without a chain read
+  await supabase.from('ticket_chain_status').insert(data.map(ticket => ({
+    token_id: ticket.nft_token_id,
+    contract_status: 1,
+    bound_name: ticket.bound_name,
+    source: 'live',
+    checked_at: new Date().toISOString()
+  })));
+
+  // A scanner for this event only
+  const deviceId = crypto.randomUUID();
+  const credential = createScannerCredential(deviceId);
+  await supabase
+    .from('scanner_devices')
+    .insert({ device_id: deviceId, name: 'Lane 1', credential_hash: credential.credentialHash, enrolled_by: 'admin-1' });
+  await supabase.from('scanner_device_events').insert({ device_id: deviceId, event_id: event.event_id });
+  scannerKey = credential.key;
+});
+
+const tokenFor = ticket => signTicketToken({
+  ticketId: ticket.ticket_id,
+  tokenId: ticket.nft_token_id,
+  boundName: ticket.bound_name,
+  eventId: ticket.event_id,
+  eventDate: event.event_date
+});
+
+const legacyCodeFor = ticket => JSON.stringify({
+  ticket_id: ticket.ticket_id,
+  validation_hash: computeValidationHash(ticket.ticket_id, ticket.nft_token_id, ticket.bound_name, config.qr.secret)
+});
+
+async function validateBatch(body, headers = { authorization: `Bearer ${STAFF_TOKEN}`, [SCANNER_KEY_HEADER]: scannerKey }) {
+  const res = createRecordedResponse();
+  await handler({ method: 'POST', headers, body }, res);
+  return res;
+}
+
+test('every item gets its own result, in request order', async () => {
+  const res = await validateBatch({
+    scanner_info: { gate: 'north', location: 'Main entrance' },
+    items: [
+      { qr_data: tokenFor(tickets.Ada), ref: 'ada' },
+      legacyCodeFor(tickets.Grace),
+      tokenFor(tickets.Linus),
+      tokenFor(tickets.Barbara),
+      signTicketToken({ ticketId: tickets.Grace.ticket_id, tokenId: '2002', boundName: 'Mallory', eventId: event.event_id, eventDate: event.event_date }),
+      JSON.stringify({ ticket_id: crypto.randomUUID(), validation_hash: 'a'.repeat(64) }),
+      'not a ticket',
+      { qr_data: tokenFor(tickets.Grace), direction: 'sideways' }
+    ]
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res.body.results.map(({ index, ref, validation_result }) => ({ index, ref, validation_result })),
+    [
+      { index: 0, ref: 'ada', validation_result: 'valid' },
+      { index: 1, ref: null, validation_result: 'valid' },
+      { index: 2, ref: null, validation_result: 'revoked' },
+      { index: 3, ref: null, validation_result: 'unassigned_device' },
+      { index: 4, ref: null, validation_result: 'forged' },
+      { index: 5, ref: null, validation_result: 'invalid' },
+      { index: 6, ref: null, validation_result: 'invalid' },
+      { index: 7, ref: null, validation_result: 'error' }
+    ]
+  );
+  assert.deepEqual(res.body.summary, { total: 8, admitted: 2, rejected: 6 });
+
+  const [ada] = res.body.results;
+  assert.equal(ada.ticket_info.bound_name, 'Ada');
+  assert.equal(ada.admission.gate, 'north');
+  assert.equal(ada.blockchain_status.source, 'cache');
+  assert.equal(ada.bound_name_verification.verification_status, 'verified');
+  assert.equal(res.body.results[5].message, 'Ticket not found in database');
+
+  // Everything but the unreadable payloads is logged against this device
+  const { data: log } = await supabase.from('ticket_validation_log').select('*');
+  assert.equal(log.length, 6);
+  assert.ok(log.every(entry => entry.gate === 'north' && entry.device_info === 'Lane 1'));
+
+  const { data: stored } = await supabase.from('tickets').select('*').in('ticket_id', [tickets.Ada.ticket_id, tickets.Grace.ticket_id]);
+  assert.ok(stored.every(ticket => ticket.ticket_status === 'used'));
+});
+
+test('a ticket appearing twice in one batch is admitted once', async () => {
+  const code = tokenFor(tickets.Ada);
+  const res = await validateBatch({
+    scanner_info: { gate: 'north' },
+    items: [{ qr_data: code, ref: 'first' }, { qr_data: legacyCodeFor(tickets.Ada), ref: 'copy' }, { qr_data: code, ref: 'again' }]
+  });
+
+  assert.equal(res.statusCode, 200);
+  const [first, copy, again] = res.body.results;
+  assert.equal(first.validation_result, 'valid');
+  assert.equal(copy.validation_result, 'already_used');
+  assert.equal(again.validation_result, 'already_used');
+  assert.deepEqual(res.body.summary, { total: 3, admitted: 1, rejected: 2 });
+
+  // The later items report the first admission
+  assert.equal(copy.admission.first_admitted_at, first.admission.first_admitted_at);
+  assert.equal(again.admission.admission_count, 1);
+
+  // And so does the next batch
+  const next = await validateBatch({ items: [code] });
+  assert.equal(next.body.results[0].validation_result, 'already_used');
+});
+
+test('a batch needs a staff session and an enrolled scanner', async () => {
+  const items = [tokenFor(tickets.Ada)];
+
+  assert.equal((await validateBatch({ items }, { [SCANNER_KEY_HEADER]: scannerKey })).statusCode, 401);
+  assert.equal((await validateBatch({ items }, { authorization: 'Bearer stolen', [SCANNER_KEY_HEADER]: scannerKey })).statusCode, 401);
+  assert.equal((await validateBatch({ items }, { authorization: `Bearer ${STAFF_TOKEN}` })).statusCode, 401);
+
+  await supabase.from('users').update({ role: 'user' }).eq('auth_id', STAFF_AUTH_ID);
+  assert.equal((await validateBatch({ items })).statusCode, 403);
+
+  // Nothing was admitted
+  const { data: ada } = await supabase.from('tickets').select('ticket_status').eq('ticket_id', tickets.Ada.ticket_id).single();
+  assert.equal(ada.ticket_status, 'valid');
+});
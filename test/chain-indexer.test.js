@@ -0,0 +1,132 @@
+// /test/chain-indexer.test.js
+// The contract log indexer against a local ganache node: cursor progress, on-chain revocations and
+// the rewind after a reorg
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startLocalChain } from './helpers/local-chain.js';
+import { createTestDatabase } from './helpers/database.js';
+
+const TOKEN_A = '91343852333181432387730302044767688728495783936';
+const TOKEN_B = '91343852333181432387730302044767688728495783937';
+
+let chain;
+let supabase;
+let runChainIndexer;
+
+before(async () => {
+  chain = await startLocalChain();
+
+  // lib/config.js reads these once, on first import
+  process.env.ETHEREUM_RPC_URL = chain.url;
+  process.env.REVOCATION_CONTRACT_ADDRESS = chain.addresses.revocation;
+  process.env.MULTICALL_ADDRESS = chain.addresses.multicall;
+  process.env.INDEXER_START_BLOCK = '0';
+  process.env.INDEXER_CONFIRMATIONS = '0';
+  await import('./helpers/env.js');
+  ({ runChainIndexer } = await import('../lib/chain-indexer.js'));
+
+  await chain.deploy();
+  ({ supabase } = await createTestDatabase());
+
+  const { error } = await supabase.from('tickets').insert([
+    { nft_token_id: TOKEN_A, bound_name: 'Alice', ticket_status: 'valid' },
+    { nft_token_id: TOKEN_B, bound_name: 'Bob', ticket_status: 'valid' }
+  ]);
+  assert.equal(error, null);
+});
+
+after(async () => {
+  await chain?.close();
+});
+
+const index = () => runChainIndexer(supabase, { provider: chain.provider });
+
+async function loadTicket(tokenId) {
+  const { data } = await supabase.from('tickets').select('*').eq('nft_token_id', tokenId).single();
+  return data;
+}
+
+async function loadCursor() {
+  const { data } = await supabase
+    .from('chain_indexer_cursors')
+    .select('*')
+    .eq('contract_address', chain.addresses.revocation.toLowerCase())
+    .single();
+  return data;
+}
+
+async function loadChainStatus(tokenId) {
+  const { data } = await supabase.from('ticket_chain_status').select('*').eq('token_id', tokenId).single();
+  return data;
+}
+
+test('indexes registrations and revocations and advances the cursor', async () => {
+  await chain.send('batchRegisterTickets', [TOKEN_A, TOKEN_B], ['Alice', 'Bob']);
+
+  const first = await index();
+  assert.equal(first.from_block, 0);
+  assert.equal(first.to_block, await chain.blockNumber());
+  assert.equal(first.logs, 2);
+  assert.equal((await loadTicket(TOKEN_A)).blockchain_registered, true);
+  assert.equal((await loadChainStatus(TOKEN_B)).bound_name, 'Bob');
+
+  const cursor = await loadCursor();
+  assert.equal(Number(cursor.last_block), first.to_block);
+  assert.equal(cursor.last_block_hash, (await chain.provider.getBlock(first.to_block)).hash);
+
+  await chain.send('revokeTicket', TOKEN_A);
+
+  const second = await index();
+  assert.equal(second.from_block, first.to_block + 1);
+  assert.equal(second.to_block, await chain.blockNumber());
+  assert.equal(second.logs, 1);
+  assert.equal(second.tickets_revoked, 1);
+
+  const revoked = await loadTicket(TOKEN_A);
+  assert.equal(revoked.ticket_status, 'revoked');
+  assert.equal(revoked.revocation_reason, 'on_chain_revocation');
+  assert.equal((await loadChainStatus(TOKEN_A)).contract_status, 2);
+  // Revocation keeps the bound name registered before it
+  assert.equal((await loadChainStatus(TOKEN_A)).bound_name, 'Alice');
+
+  // Nothing new: the cursor stays at the head
+  const idle = await index();
+  assert.equal(idle.logs, 0);
+  assert.equal(idle.to_block, second.to_block);
+  assert.equal(Number((await loadCursor()).last_block), second.to_block);
+});
+
+test('rewinds after a reorg and restores tickets whose revocation was dropped', async () => {
+  const beforeRevocation = await chain.snapshot();
+  await chain.send('revokeTicket', TOKEN_B);
+
+  const indexed = await index();
+  assert.equal(indexed.tickets_revoked, 1);
+  assert.equal((await loadTicket(TOKEN_B)).ticket_status, 'revoked');
+
+  // The block holding the revocation is replaced by empty ones
+  await chain.revert(beforeRevocation);
+  await chain.mine(3);
+
+  const rewound = await index();
+  assert.deepEqual(rewound.reorg, { detected_at: indexed.to_block, rewound_to: -1 });
+  assert.equal(rewound.to_block, await chain.blockNumber());
+
+  const restored = await loadTicket(TOKEN_B);
+  assert.equal(restored.ticket_status, 'valid');
+  assert.equal(restored.revocation_reason, null);
+  assert.equal((await loadChainStatus(TOKEN_B)).contract_status, 1);
+
+  // The revocation that survived the reorg stays
+  assert.equal((await loadTicket(TOKEN_A)).ticket_status, 'revoked');
+
+  const { data: events } = await supabase
+    .from('ticket_chain_events')
+    .select('event_name, token_id')
+    .eq('event_name', 'TicketRevoked');
+  assert.deepEqual(events, [{ event_name: 'TicketRevoked', token_id: TOKEN_A }]);
+
+  const cursor = await loadCursor();
+  assert.equal(cursor.last_block_hash, (await chain.provider.getBlock(rewound.to_block)).hash);
+});
@@ -0,0 +1,204 @@
+// /test/chain-reconciliation.test.js
+// The database against the contract on a local ganache node: every drift kind reported, the
+// repairs applied, and a second pass that finds only what is left for a person to look at
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startLocalChain } from './helpers/local-chain.js';
+import { createTestDatabase } from './helpers/database.js';
+
+// Private key of the deterministic ganache account that deploys and owns the contract
+const OWNER_PRIVATE_KEY = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+
+let chain;
+let contract;
+let supabase;
+let event;
+let nextTokenId = 91343852333181432387730302044767688728495600000n;
+let reconcileEvent;
+let repairDrift;
+let ON_CHAIN_REVOCATION_REASON;
+
+before(async () => {
+  chain = await startLocalChain();
+
+  // lib/config.js reads these once, on first import
+  process.env.ETHEREUM_RPC_URL = chain.url;
+  process.env.REVOCATION_CONTRACT_ADDRESS = chain.addresses.revocation;
+  process.env.MULTICALL_ADDRESS = chain.addresses.multicall;
+  process.env.ADMIN_PRIVATE_KEY = OWNER_PRIVATE_KEY;
+  await import('./helpers/env.js');
+  ({ reconcileEvent, repairDrift } = await import('../lib/chain-reconciliation.js'));
+  ({ ON_CHAIN_REVOCATION_REASON } = await import('../lib/chain-indexer.js'));
+
+  contract = await chain.deploy();
+});
+
+after(async () => {
+  await chain?.close();
+});
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+
+  const { data } = await supabase
+    .from('events')
+    .insert({ event_name: 'Drift night', event_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+    .select()
+    .single();
+  event = data;
+});
+
+const MINTED = { blockchain_registered: true, nft_mint_status: 'minted' };
+
+// One ticket per case: its database row, and what the contract holds for its token
+// (`chain`: null for nothing, else the bound name registered and whether it was revoked)
+const CASES = {
+  inSync: { row: { bound_name: 'Ada', ...MINTED }, chain: { name: 'Ada' } },
+  missing: { row: { bound_name: 'Grace', blockchain_registered: false, nft_mint_status: 'failed' }, chain: null },
+  inFlight: { row: { bound_name: 'Hedy', blockchain_registered: false, nft_mint_status: 'pending' }, chain: null },
+  revokedInDbOnly: { row: { bound_name: 'Linus', ticket_status: 'revoked', revocation_chain_status: 'failed', ...MINTED }, chain: { name: 'Linus' } },
+  revokedOnChainOnly: { row: { bound_name: 'Barbara', ...MINTED }, chain: { name: 'Barbara', revoked: true } },
+  registrationUnrecorded: { row: { bound_name: 'Alan', blockchain_registered: false, nft_mint_status: 'failed' }, chain: { name: 'Alan' } },
+  registrationFlagStale: { row: { bound_name: 'Edsger', ticket_status: 'cancelled', ...MINTED }, chain: null },
+  revocationUnrecorded: { row: { bound_name: 'Frances', ticket_status: 'revoked', ...MINTED }, chain: { name: 'Frances', revoked: true } },
+  nameMismatch: { row: { bound_name: 'Katherine J.', ...MINTED }, chain: { name: 'Katherine' } }
+};
+
+async function seed() {
+  const rows = Object.values(CASES).map(({ row }) => ({
+    event_id: event.event_id,
+    ticket_status: 'valid',
+    nft_token_id: String(nextTokenId++),
+    ...row
+  }));
+
+  const onChain = Object.values(CASES).map(({ chain: held }, index) => ({ held, tokenId: rows[index].nft_token_id }))
+    .filter(({ held }) => held);
+  await chain.send('batchRegisterTickets', onChain.map(({ tokenId }) => tokenId), onChain.map(({ held }) => held.name));
+  for (const { held, tokenId } of onChain) {
+    if (held.revoked) await chain.send('revokeTicket', tokenId);
+  }
+
+  const { data, error } = await supabase.from('tickets').insert(rows).select();
+  assert.equal(error, null);
+  return Object.fromEntries(Object.keys(CASES).map((name, index) => [name, data[index]]));
+}
+
+async function loadTicket(ticketId) {
+  const { data } = await supabase.from('tickets').select('*').eq('ticket_id', ticketId).single();
+  return data;
+}
+
+// Registrations wait for two confirmations, which ganache's instamine only gives when another
+// block comes along; mine one every so often until `work` is done
+async function mining(work) {
+  let done = false;
+  const running = work.finally(() => {
+    done = true;
+  });
+  while (!done) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    if (!done) await chain.mine();
+  }
+  return running;
+}
+
+test('every kind of drift is reported against its ticket, with the repair it gets', async () => {
+  const tickets = await seed();
+  const report = await reconcileEvent(supabase, event.event_id);
+
+  const kindsByTicket = {};
+  report.drift.forEach(item => {
+    const name = Object.keys(tickets).find(key => tickets[key].ticket_id === item.ticket_id);
+    kindsByTicket[name] = [...(kindsByTicket[name] || []), `${item.kind}:${item.repair}`];
+  });
+  assert.deepEqual(kindsByTicket, {
+    missing: ['missing_on_chain:register'],
+    revokedInDbOnly: ['revoked_in_db_only:revoke_on_chain'],
+    revokedOnChainOnly: ['revoked_on_chain_only:revoke_in_db'],
+    registrationUnrecorded: ['registration_unrecorded:correct_record'],
+    registrationFlagStale: ['registration_flag_stale:correct_record'],
+    revocationUnrecorded: ['revocation_unrecorded:correct_record'],
+    nameMismatch: ['bound_name_mismatch:null']
+  });
+
+  assert.deepEqual(report.summary, {
+    tickets: 9,
+    without_token: 0,
+    checked: 8,
+    in_flight: 1,
+    unverified: 0,
+    drifted_tickets: 7,
+    by_kind: {
+      missing_on_chain: 1,
+      revoked_in_db_only: 1,
+      revoked_on_chain_only: 1,
+      registration_unrecorded: 1,
+      registration_flag_stale: 1,
+      revocation_unrecorded: 1,
+      bound_name_mismatch: 1
+    }
+  });
+
+  assert.equal(await reconcileEvent(supabase, '00000000-0000-4000-8000-000000000000'), null);
+});
+
+test('repairs bring both sides together, leaving only what a person has to decide', async () => {
+  const tickets = await seed();
+  const report = await reconcileEvent(supabase, event.event_id);
+
+  const results = await mining(repairDrift(supabase, report));
+  assert.ok(results.every(result => result.success), JSON.stringify(results));
+  assert.deepEqual(results.map(result => result.action).sort(), [
+    'correct_record', 'correct_record', 'correct_record', 'register', 'revoke_in_db', 'revoke_on_chain'
+  ]);
+
+  // Registered and revoked on the contract
+  const grace = await loadTicket(tickets.missing.ticket_id);
+  assert.equal(await contract.getTicketStatus(grace.nft_token_id), 1);
+  assert.equal(await contract.getBoundName(grace.nft_token_id), 'Grace');
+  assert.deepEqual([grace.blockchain_registered, grace.nft_mint_status], [true, 'minted']);
+  assert.equal(grace.blockchain_tx_hash, results.find(result => result.action === 'register').transaction_hash);
+
+  const linus = await loadTicket(tickets.revokedInDbOnly.ticket_id);
+  assert.equal(await contract.getTicketStatus(linus.nft_token_id), 2);
+  assert.equal(linus.revocation_chain_status, 'revoked');
+
+  // Recorded in the database
+  const barbara = await loadTicket(tickets.revokedOnChainOnly.ticket_id);
+  assert.equal(barbara.ticket_status, 'revoked');
+  assert.equal(barbara.revocation_reason, ON_CHAIN_REVOCATION_REASON);
+  const alan = await loadTicket(tickets.registrationUnrecorded.ticket_id);
+  assert.deepEqual([alan.blockchain_registered, alan.nft_mint_status], [true, 'minted']);
+  const edsger = await loadTicket(tickets.registrationFlagStale.ticket_id);
+  assert.deepEqual([edsger.blockchain_registered, edsger.nft_mint_status], [false, 'failed']);
+  assert.equal((await loadTicket(tickets.revocationUnrecorded.ticket_id)).revocation_chain_status, 'revoked');
+
+  // The chain status cache saw the writes
+  const { data: cached } = await supabase.from('ticket_chain_status').select('*').eq('token_id', linus.nft_token_id).single();
+  assert.equal(cached.contract_status, 2);
+
+  const second = await reconcileEvent(supabase, event.event_id);
+  assert.deepEqual(second.drift.map(item => [item.ticket_id, item.kind]), [[tickets.nameMismatch.ticket_id, 'bound_name_mismatch']]);
+  assert.equal((await loadTicket(tickets.nameMismatch.ticket_id)).bound_name, 'Katherine J.');
+});
+
+test('a repair limited to some actions leaves the rest alone', async () => {
+  const tickets = await seed();
+  const report = await reconcileEvent(supabase, event.event_id);
+
+  const results = await repairDrift(supabase, report, { actions: ['correct_record', 'revoke_in_db'] });
+  assert.deepEqual(results.map(result => result.action).sort(), ['correct_record', 'correct_record', 'correct_record', 'revoke_in_db']);
+
+  const grace = await loadTicket(tickets.missing.ticket_id);
+  assert.equal(await contract.getTicketStatus(grace.nft_token_id), 0);
+  assert.equal(grace.nft_mint_status, 'failed');
+  assert.equal(await contract.getTicketStatus(tickets.revokedInDbOnly.nft_token_id), 1);
+
+  const left = await reconcileEvent(supabase, event.event_id);
+  assert.deepEqual(
+    left.drift.map(item => item.kind).sort(),
+    ['bound_name_mismatch', 'missing_on_chain', 'revoked_in_db_only']
+  );
+});
@@ -0,0 +1,144 @@
+// /test/chain-status-cache.test.js
+// Cached contract statuses against a local ganache node: fresh entries served with their age,
+// stale and missing ones read live in one multicall and written back
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startLocalChain } from './helpers/local-chain.js';
+import { createTestDatabase } from './helpers/database.js';
+
+// Private key of the deterministic ganache account that deploys and owns the contract
+const OWNER_PRIVATE_KEY = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+
+let chain;
+let supabase;
+let nextTokenId = 91343852333181432387730302044767688728495700000n;
+let getTicketChainStatuses;
+let recordChainStatuses;
+let ttlSeconds;
+
+before(async () => {
+  chain = await startLocalChain();
+
+  // lib/config.js reads these once, on first import
+  process.env.ETHEREUM_RPC_URL = chain.url;
+  process.env.REVOCATION_CONTRACT_ADDRESS = chain.addresses.revocation;
+  process.env.MULTICALL_ADDRESS = chain.addresses.multicall;
+  process.env.ADMIN_PRIVATE_KEY = OWNER_PRIVATE_KEY;
+  await import('./helpers/env.js');
+  ({ getTicketChainStatuses, recordChainStatuses } = await import('../lib/chain-status-cache.js'));
+  ttlSeconds = (await import('../lib/config.js')).config.blockchain.statusTtlSeconds;
+
+  await chain.deploy();
+});
+
+after(async () => {
+  await chain?.close();
+});
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+});
+
+// Register tokens on the contract, revoking the ones named in `revoked`
+async function registerTokens(names, { revoked = [] } = {}) {
+  const tokenIds = names.map(() => String(nextTokenId++));
+  await chain.send('batchRegisterTickets', tokenIds, names);
+  for (const name of revoked) {
+    await chain.send('revokeTicket', tokenIds[names.indexOf(name)]);
+  }
+  return Object.fromEntries(names.map((name, index) => [name, tokenIds[index]]));
+}
+
+// A cache entry as recorded `ageSeconds` ago
+async function cacheEntry(tokenId, contractStatus, boundName, ageSeconds) {
+  const { error } = await supabase.from('ticket_chain_status').insert({
+    token_id: tokenId,
+    contract_status: contractStatus,
+    bound_name: boundName,
+    source: 'event',
+    checked_at: new Date(Date.now() - ageSeconds * 1000).toISOString()
+  });
+  assert.equal(error, null);
+}
+
+async function loadEntry(tokenId) {
+  const { data } = await supabase.from('ticket_chain_status').select('*').eq('token_id', tokenId).single();
+  return data;
+}
+
+test('a fresh entry is served from the cache with its age, without reading the chain', async () => {
+  // The contract has since revoked the token; the cache has not heard yet
+  const { Ada } = await registerTokens(['Ada'], { revoked: ['Ada'] });
+  await cacheEntry(Ada, 1, 'Ada', 90);
+
+  const statuses = await getTicketChainStatuses(supabase, [Ada, Ada]);
+  assert.equal(statuses.size, 1);
+
+  const status = statuses.get(Ada);
+  assert.equal(status.source, 'cache');
+  assert.ok(status.cache_age_seconds >= 90 && status.cache_age_seconds <= 92, `age ${status.cache_age_seconds}`);
+  assert.equal(status.contract_status, 1);
+  assert.equal(status.is_valid, true);
+  assert.equal(status.is_revoked, false);
+  assert.equal(status.bound_name, 'Ada');
+  assert.equal(status.contract_verified, true);
+  assert.equal((await loadEntry(Ada)).source, 'event');
+});
+
+test('stale and missing entries are read live and written back', async () => {
+  const { Grace, Linus } = await registerTokens(['Grace', 'Linus'], { revoked: ['Linus'] });
+  await cacheEntry(Grace, 2, 'Someone else', ttlSeconds + 60);
+
+  const statuses = await getTicketChainStatuses(supabase, [Grace, Linus]);
+
+  assert.deepEqual(
+    [statuses.get(Grace), statuses.get(Linus)].map(({ source, cache_age_seconds, contract_status, bound_name, is_revoked }) =>
+      ({ source, cache_age_seconds, contract_status, bound_name, is_revoked })),
+    [
+      { source: 'live', cache_age_seconds: 0, contract_status: 1, bound_name: 'Grace', is_revoked: false },
+      { source: 'live', cache_age_seconds: 0, contract_status: 2, bound_name: 'Linus', is_revoked: true }
+    ]
+  );
+
+  for (const [tokenId, contractStatus, boundName] of [[Grace, 1, 'Grace'], [Linus, 2, 'Linus']]) {
+    const entry = await loadEntry(tokenId);
+    assert.equal(entry.contract_status, contractStatus);
+    assert.equal(entry.bound_name, boundName);
+    assert.equal(entry.source, 'live');
+    assert.ok(Date.now() - new Date(entry.checked_at).getTime() < 10 * 1000);
+  }
+
+  // The written-back entries now answer from the cache
+  const again = await getTicketChainStatuses(supabase, [Grace, Linus]);
+  assert.ok([...again.values()].every(status => status.source === 'cache' && status.cache_age_seconds <= 1));
+});
+
+test('the freshness limit can be set per call', async () => {
+  const { Barbara } = await registerTokens(['Barbara'], { revoked: ['Barbara'] });
+  await cacheEntry(Barbara, 1, 'Barbara', 90);
+
+  assert.equal((await getTicketChainStatuses(supabase, [Barbara], { maxAgeSeconds: 120 })).get(Barbara).source, 'cache');
+
+  const live = (await getTicketChainStatuses(supabase, [Barbara], { maxAgeSeconds: 60 })).get(Barbara);
+  assert.equal(live.source, 'live');
+  assert.equal(live.is_revoked, true);
+  assert.equal((await loadEntry(Barbara)).contract_status, 2);
+});
+
+test('an update that leaves the bound name out keeps the cached one', async () => {
+  const { Linus } = await registerTokens(['Linus']);
+  await cacheEntry(Linus, 1, 'Linus', 30);
+
+  await recordChainStatuses(supabase, [{ tokenId: Linus, contractStatus: 2, blockNumber: 42 }], 'event');
+
+  const entry = await loadEntry(Linus);
+  assert.equal(entry.contract_status, 2);
+  assert.equal(entry.bound_name, 'Linus');
+  assert.equal(Number(entry.block_number), 42);
+
+  const status = (await getTicketChainStatuses(supabase, [Linus])).get(Linus);
+  assert.equal(status.source, 'cache');
+  assert.equal(status.is_revoked, true);
+  assert.ok(status.cache_age_seconds <= 1);
+});
@@ -0,0 +1,236 @@
+// /test/chain-transactions.test.js
+// The admin wallet's transactions against a local ganache node: nonces handed out to concurrent
+// senders, gas-bump replacement of a stuck transaction, nonce-gap filling, and the checks on what a
+// remote signer returns
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ethers } from 'ethers';
+import { startLocalChain } from './helpers/local-chain.js';
+import { createTestDatabase } from './helpers/database.js';
+
+// Private key of the deterministic ganache account that deploys and owns the contract
+const OWNER_PRIVATE_KEY = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+const OWNER = new ethers.Wallet(OWNER_PRIVATE_KEY).address;
+const REGISTER_ABI = ['function registerTicket(uint256 tokenId, string boundName)'];
+
+let chain;
+let supabase;
+let nextTokenId = 91343852333181432387730302044767688728495900000n;
+let sendContractTransaction;
+let waitForChainTransaction;
+let maintainChainTransactions;
+let createRemoteSigner;
+let setSigner;
+let createLocalSigner;
+
+before(async () => {
+  chain = await startLocalChain();
+
+  // lib/config.js reads these once, on first import
+  process.env.ETHEREUM_RPC_URL = chain.url;
+  process.env.REVOCATION_CONTRACT_ADDRESS = chain.addresses.revocation;
+  process.env.MULTICALL_ADDRESS = chain.addresses.multicall;
+  process.env.ADMIN_PRIVATE_KEY = OWNER_PRIVATE_KEY;
+  await import('./helpers/env.js');
+  ({ sendContractTransaction, waitForChainTransaction, maintainChainTransactions } = await import('../lib/chain-transactions.js'));
+  ({ createRemoteSigner } = await import('../lib/signers/remote.js'));
+  ({ createLocalSigner } = await import('../lib/signers/local.js'));
+  ({ setSigner } = await import('../lib/signers/index.js'));
+
+  await chain.deploy();
+});
+
+after(async () => {
+  await chain?.close();
+});
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+  setSigner(createLocalSigner());
+});
+
+const register = (name = 'Guest') => sendContractTransaction(supabase, {
+  abi: REGISTER_ABI,
+  method: 'registerTicket',
+  args: [String(nextTokenId++), name],
+  purpose: 'registration'
+});
+
+async function loadTransaction(txId) {
+  const { data } = await supabase.from('chain_transactions').select('*').eq('tx_id', txId).single();
+  return data;
+}
+
+// Move a stored timestamp `ms` into the past, as if that much time had gone by
+async function age(table, column, [keyColumn, key], ms) {
+  const { error } = await supabase
+    .from(table)
+    .update({ [column]: new Date(Date.now() - ms).toISOString() })
+    .eq(keyColumn, key);
+  assert.equal(error, null);
+}
+
+test('concurrent senders get consecutive nonces from the database counter', async () => {
+  const start = await chain.provider.getTransactionCount(OWNER, 'pending');
+
+  const sent = await Promise.all(['Ada', 'Grace', 'Linus', 'Barbara'].map(name => register(name)));
+  assert.deepEqual(sent.map(tx => tx.nonce).sort((a, b) => a - b), [start, start + 1, start + 2, start + 3]);
+
+  const receipts = await Promise.all(sent.map(tx => tx.wait(1, 20 * 1000)));
+  assert.ok(receipts.every(receipt => receipt.status === 1));
+  assert.equal(await chain.provider.getTransactionCount(OWNER, 'latest'), start + 4);
+
+  // The counter alone, with every caller reporting the same chain count
+  const allocated = await Promise.all(Array.from({ length: 8 }, () => supabase.rpc('allocate_signer_nonce', {
+    p_address: OWNER,
+    p_chain_nonce: start + 4
+  })));
+  assert.ok(allocated.every(({ error }) => error === null));
+  assert.deepEqual(
+    allocated.map(({ data }) => Number(data)).sort((a, b) => a - b),
+    Array.from({ length: 8 }, (_, i) => start + 4 + i)
+  );
+});
+
+test('a transaction stuck in the pool is replaced with higher fees and settled under the new hash', async () => {
+  await chain.provider.send('miner_stop', []);
+  let sent;
+  let stuck;
+  try {
+    sent = await register('Stuck');
+    stuck = await loadTransaction(sent.txId);
+    await age('chain_transactions', 'last_sent_at', ['tx_id', sent.txId], 4 * 60 * 1000);
+
+    const summary = await maintainChainTransactions(supabase);
+    assert.equal(summary.bumped, 1);
+    assert.equal(summary.pending, 1);
+  } finally {
+    await chain.provider.send('miner_start', []);
+  }
+  await chain.mine();
+
+  const bumped = await loadTransaction(sent.txId);
+  assert.equal(bumped.bump_count, 1);
+  assert.equal(bumped.tx_hashes.length, 2);
+  assert.equal(bumped.tx_hashes[0], sent.hash);
+  assert.equal(Number(bumped.nonce), sent.nonce);
+  assert.ok(ethers.BigNumber.from(bumped.max_fee_per_gas).gte(ethers.BigNumber.from(stuck.max_fee_per_gas).mul(125).div(100)));
+
+  const receipt = await waitForChainTransaction(supabase, sent.txId, { timeoutMs: 20 * 1000 });
+  assert.equal(receipt.transactionHash, bumped.tx_hash);
+  assert.equal(await chain.provider.getTransactionReceipt(sent.hash), null);
+
+  const settled = await loadTransaction(sent.txId);
+  assert.equal(settled.status, 'mined');
+  assert.equal(settled.mined_hash, bumped.tx_hash);
+});
+
+test('a nonce taken by a sender that never broadcast is filled so later transactions are mined', async () => {
+  const chainNonce = await chain.provider.getTransactionCount(OWNER, 'pending');
+
+  // A sender that allocated a nonce and died before sending anything
+  const { data: lost } = await supabase.rpc('allocate_signer_nonce', { p_address: OWNER, p_chain_nonce: chainNonce });
+  assert.equal(Number(lost), chainNonce);
+
+  // Ganache holds a transaction with a future nonce back from the send call until it is mined,
+  // so mining stops while the later one is sent and the gap filled
+  await chain.provider.send('miner_stop', []);
+  let blocked;
+  try {
+    blocked = await register('Blocked');
+    assert.equal(blocked.nonce, chainNonce + 1);
+
+    // Within the grace period the gap may still be a sender about to record its transaction
+    assert.equal((await maintainChainTransactions(supabase)).gaps_filled, 0);
+
+    await age('chain_signer_nonces', 'updated_at', ['address', OWNER.toLowerCase()], 2 * 60 * 1000);
+    assert.equal((await maintainChainTransactions(supabase)).gaps_filled, 1);
+  } finally {
+    await chain.provider.send('miner_start', []);
+  }
+  await chain.mine();
+
+  const receipt = await blocked.wait(1, 20 * 1000);
+  assert.equal(receipt.status, 1);
+  assert.equal(await chain.provider.getTransactionCount(OWNER, 'latest'), chainNonce + 2);
+
+  const { data: fills } = await supabase.from('chain_transactions').select('*').eq('purpose', 'gap_fill');
+  assert.equal(fills.length, 1);
+  assert.equal(Number(fills[0].nonce), chainNonce);
+  assert.equal(fills[0].to_address, OWNER);
+
+  await maintainChainTransactions(supabase);
+  assert.equal((await loadTransaction(fills[0].tx_id)).status, 'mined');
+});
+
+// A signing service holding the owner key. `tamper` edits the request before it is signed.
+async function startRemoteSigner(tamper = tx => tx) {
+  const wallet = new ethers.Wallet(OWNER_PRIVATE_KEY);
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const { transaction } = JSON.parse(body);
+    const signed = await wallet.signTransaction(tamper({ ...transaction }));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ signed_transaction: signed }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    signer: createRemoteSigner({ url: `http://127.0.0.1:${server.address().port}/sign`, token: 'test-token', address: OWNER }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('a remote signature is used when it matches the request', async t => {
+  const remote = await startRemoteSigner();
+  t.after(() => remote.close());
+  setSigner(remote.signer);
+
+  const sent = await register('Remote');
+  assert.equal((await sent.wait(1, 20 * 1000)).status, 1);
+});
+
+test('a remote signature that differs from the request is never broadcast', async t => {
+  const attacker = ethers.Wallet.createRandom().address;
+  const tampering = {
+    to: tx => ({ ...tx, to: attacker }),
+    data: tx => ({ ...tx, data: tx.data + '00' }),
+    value: tx => ({ ...tx, value: '0x1' }),
+    chainId: tx => ({ ...tx, chainId: tx.chainId + 1 }),
+    nonce: tx => ({ ...tx, nonce: ethers.BigNumber.from(tx.nonce).add(1).toHexString() }),
+    gasLimit: tx => ({ ...tx, gasLimit: ethers.BigNumber.from(tx.gasLimit).mul(10).toHexString() })
+  };
+
+  for (const [field, tamper] of Object.entries(tampering)) {
+    const remote = await startRemoteSigner(tamper);
+    t.after(() => remote.close());
+    setSigner(remote.signer);
+
+    const before = await chain.provider.getTransactionCount(OWNER, 'pending');
+    await assert.rejects(register('Tampered'), new RegExp(`does not match the request \\(${field}\\)`));
+    assert.equal(await chain.provider.getTransactionCount(OWNER, 'pending'), before);
+  }
+
+  // Nothing was recorded, and the nonces went back to the counter
+  const { count } = await supabase.from('chain_transactions').select('tx_id', { count: 'exact', head: true });
+  assert.equal(count, 0);
+  const { data: counter } = await supabase.from('chain_signer_nonces').select('next_nonce').single();
+  assert.equal(Number(counter.next_nonce), await chain.provider.getTransactionCount(OWNER, 'pending'));
+});
+
+test('a remote signature by another key is refused', async t => {
+  const stranger = ethers.Wallet.createRandom();
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    res.end(JSON.stringify({ signed_transaction: await stranger.signTransaction(JSON.parse(body).transaction) }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  setSigner(createRemoteSigner({ url: `http://127.0.0.1:${server.address().port}/sign`, address: OWNER }));
+  await assert.rejects(register('Stranger'), /signed by another key/);
+});
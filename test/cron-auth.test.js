@@ -0,0 +1,35 @@
+// /test/cron-auth.test.js
+// The CRON_SECRET bearer check in front of every api/cron function
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+const CRON_SECRET = 'test-cron-secret';
+
+let authorizeCronRequest;
+
+before(async () => {
+  // lib/config.js reads this once, on first import
+  process.env.CRON_SECRET = CRON_SECRET;
+  await import('./helpers/env.js');
+  ({ authorizeCronRequest } = await import('../lib/cron-auth.js'));
+});
+
+const request = (method, authorization) => ({ method, headers: authorization === undefined ? {} : { authorization } });
+
+test('a GET or POST with the cron secret is let through', () => {
+  assert.equal(authorizeCronRequest(request('GET', `Bearer ${CRON_SECRET}`)), null);
+  assert.equal(authorizeCronRequest(request('POST', `Bearer ${CRON_SECRET}`)), null);
+});
+
+test('other methods are refused before the secret is looked at', () => {
+  assert.deepEqual(authorizeCronRequest(request('DELETE', `Bearer ${CRON_SECRET}`)), { status: 405, message: 'Method not allowed' });
+});
+
+test('a missing or wrong secret is refused', () => {
+  const unauthorized = { status: 401, message: 'Unauthorized' };
+  assert.deepEqual(authorizeCronRequest(request('GET')), unauthorized);
+  assert.deepEqual(authorizeCronRequest(request('GET', 'Bearer ')), unauthorized);
+  assert.deepEqual(authorizeCronRequest(request('GET', `Bearer ${CRON_SECRET}x`)), unauthorized);
+  assert.deepEqual(authorizeCronRequest(request('GET', CRON_SECRET.slice(1))), unauthorized);
+});
@@ -0,0 +1,88 @@
+-- Stand-in for the tables that existed before supabase/migrations (created in the Supabase
+-- dashboard). Only the columns the API and the migrations rely on; migrations add the rest.
+
+create table users (
+  user_id uuid primary key default gen_random_uuid(),
+  auth_id uuid,
+  id_name text,
+  email text,
+  role text not null default 'user',
+  verification_status text,
+  push_token text,
+  created_at timestamptz not null default now()
+);
+
+create table events (
+  event_id uuid primary key default gen_random_uuid(),
+  event_name text not null,
+  event_date timestamptz not null,
+  venue text,
+  ticket_price numeric(10, 2) not null default 0,
+  total_tickets integer not null default 0,
+  available_tickets integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table payments (
+  payment_id uuid primary key default gen_random_uuid(),
+  user_id uuid references users (user_id),
+  event_id uuid references events (event_id),
+  amount numeric(10, 2) not null,
+  payment_status text not null default 'pending',
+  payment_method text,
+  paypal_order_id text,
+  paypal_transaction_id text,
+  metadata jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table tickets (
+  ticket_id uuid primary key default gen_random_uuid(),
+  user_id uuid references users (user_id),
+  event_id uuid references events (event_id),
+  payment_id uuid references payments (payment_id),
+  purchase_date timestamptz not null default now(),
+  ticket_status text not null default 'valid',
+  blockchain_ticket_id text,
+  bound_name text,
+  qr_code_data text,
+  qr_code_base64 text,
+  qr_code_hash text,
+  ticket_number integer,
+  total_tickets_in_group integer,
+  is_parent_ticket boolean,
+  parent_ticket_id uuid,
+  nft_contract_address text,
+  nft_token_id bigint,
+  nft_mint_status text,
+  nft_metadata jsonb,
+  blockchain_registered boolean not null default false,
+  blockchain_tx_hash text,
+  blockchain_error text
+);
+
+create table ticket_validation_log (
+  log_id uuid primary key default gen_random_uuid(),
+  ticket_id uuid,
+  validated_by uuid,
+  validation_result text,
+  validation_details jsonb,
+  admin_id uuid,
+  validation_status text,
+  validation_method text,
+  location text,
+  device_info text,
+  notes text,
+  validated_at timestamptz not null default now()
+);
+
+create table purchase_history (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid,
+  event_id uuid,
+  payment_id uuid,
+  purchase_timestamp timestamptz,
+  quantity integer,
+  status text,
+  flag text
+);
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+// Test double of the ticket revocation contract: the methods and events in lib/blockchain.js ABIs.
+// Status per token: 0 unknown, 1 registered, 2 revoked.
+pragma solidity ^0.8.0;
+
+contract TicketRevocation {
+    event TicketRegistered(uint256 indexed tokenId, string boundName);
+    event TicketRevoked(uint256 indexed tokenId);
+
+    address public owner;
+    mapping(uint256 => uint8) private statuses;
+    mapping(uint256 => string) private boundNames;
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    function registerTicket(uint256 tokenId, string calldata boundName) public onlyOwner {
+        require(statuses[tokenId] == 0, "already registered");
+        statuses[tokenId] = 1;
+        boundNames[tokenId] = boundName;
+        emit TicketRegistered(tokenId, boundName);
+    }
+
+    function batchRegisterTickets(uint256[] calldata tokenIds, string[] calldata names) external onlyOwner {
+        require(tokenIds.length == names.length, "length mismatch");
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            registerTicket(tokenIds[i], names[i]);
+        }
+    }
+
+    function revokeTicket(uint256 tokenId) public onlyOwner {
+        require(statuses[tokenId] == 1, "not valid");
+        statuses[tokenId] = 2;
+        emit TicketRevoked(tokenId);
+    }
+
+    function batchRevokeTickets(uint256[] calldata tokenIds) external onlyOwner {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            revokeTicket(tokenIds[i]);
+        }
+    }
+
+    function getTicketStatus(uint256 tokenId) external view returns (uint8) {
+        return statuses[tokenId];
+    }
+
+    function getBoundName(uint256 tokenId) external view returns (string memory) {
+        return boundNames[tokenId];
+    }
+
+    function isRevoked(uint256 tokenId) external view returns (bool) {
+        return statuses[tokenId] == 2;
+    }
+}
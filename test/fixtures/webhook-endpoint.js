@@ -0,0 +1,23 @@
+// /test/fixtures/webhook-endpoint.js
+// A payment webhook endpoint as the runtime loads it (see test/helpers/vercel-runtime.js), backed by
+// a fresh test database. WEBHOOK_PROVIDER picks the provider; PayPal's signing certificate comes
+// from TEST_PAYPAL_CERT_PEM instead of being downloaded.
+
+import '../helpers/env.js';
+import { createTestDatabase } from '../helpers/database.js';
+import { setPaymentProvider } from '../../lib/payments/providers/index.js';
+import { createPayPalProvider } from '../../lib/payments/providers/paypal.js';
+import { createPaymentWebhookHandler } from '../../lib/payments/webhook-handler.js';
+
+const { supabase } = await createTestDatabase();
+
+if (process.env.WEBHOOK_PROVIDER === 'paypal') {
+  setPaymentProvider('paypal', createPayPalProvider({
+    webhookVerification: {
+      pinnedFingerprints: [],
+      fetchCertificate: async () => process.env.TEST_PAYPAL_CERT_PEM
+    }
+  }));
+}
+
+export default createPaymentWebhookHandler(process.env.WEBHOOK_PROVIDER, { supabase });
@@ -0,0 +1,419 @@
+// /test/helpers/database.js
+// In-process Postgres (PGlite) with the base tables and every migration applied, and a client that
+// speaks the subset of the supabase-js query builder the lib/ modules use. Statements run one at a
+// time on a single connection, so "concurrent" callers interleave between statements, which is
+// exactly where read-then-write races live.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PGlite } from '@electric-sql/pglite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const MIGRATIONS_DIR = path.join(ROOT, 'supabase/migrations');
+const BASE_SCHEMA = path.join(ROOT, 'test/fixtures/base-schema.sql');
+
+// Fresh database per call. `seed` runs between the base tables and the migrations, for data the
+// migrations must cope with.
+export async function createTestDatabase({ seed } = {}) {
+  const db = new PGlite();
+  await db.exec(fs.readFileSync(BASE_SCHEMA, 'utf8'));
+  if (seed) {
+    await db.exec(seed);
+  }
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort();
+  for (const name of migrations) {
+    try {
+      await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8'));
+    } catch (error) {
+      throw new Error(`Migration ${name} failed: ${error.message}`);
+    }
+  }
+
+  return { db, supabase: createClient(db) };
+}
+
+function createClient(db) {
+  return {
+    from: table => new QueryBuilder(db, table),
+    rpc: (name, args = {}) => callFunction(db, name, args)
+  };
+}
+
+const ident = name => '"' + String(name).replace(/"/g, '""') + '"';
+
+function literal(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  if (value instanceof Date) return literal(value.toISOString());
+  if (typeof value === 'object') return literal(JSON.stringify(value));
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+// PostgREST filter values may be double-quoted to protect commas and dots
+const unquote = value => (/^".*"$/.test(value) ? value.slice(1, -1) : value);
+
+function filterSql(column, operator, value) {
+  const col = ident(column);
+  switch (operator) {
+    case 'eq': return `${col} = ${literal(value)}`;
+    case 'neq': return `${col} <> ${literal(value)}`;
+    case 'lt': return `${col} < ${literal(value)}`;
+    case 'lte': return `${col} <= ${literal(value)}`;
+    case 'gt': return `${col} > ${literal(value)}`;
+    case 'gte': return `${col} >= ${literal(value)}`;
+    case 'in':
+      return value.length === 0 ? 'false' : `${col} in (${value.map(literal).join(', ')})`;
+    case 'is': return `${col} is ${value === null || value === 'null' ? 'null' : String(value)}`;
+    case 'ov': return `${col} && ${literal(toArrayLiteral(value))}`;
+    case 'cs': return `${col} @> ${literal(Array.isArray(value) ? toArrayLiteral(value) : value)}`;
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+function toArrayLiteral(values) {
+  return '{' + values.map(v => '"' + String(v).replace(/["\\]/g, '\\$&') + '"').join(',') + '}';
+}
+
+// Split on commas outside quotes and parentheses
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// `or()`/`and()` strings: "col.op.value,and(col.op.value,...)"
+function logicalSql(text, joiner) {
+  return '(' + splitTopLevel(text).map(condition => {
+    const nested = condition.match(/^(and|or)\((.*)\)$/);
+    if (nested) {
+      return logicalSql(nested[2], nested[1] === 'and' ? ' and ' : ' or ');
+    }
+    const [column, ...rest] = condition.split('.');
+    let operator = rest.shift();
+    let negate = false;
+    if (operator === 'not') {
+      negate = true;
+      operator = rest.shift();
+    }
+    const raw = rest.join('.');
+    const value = operator === 'in'
+      ? splitTopLevel(raw.replace(/^\((.*)\)$/, '$1')).map(unquote)
+      : unquote(raw);
+    const sql = filterSql(column, operator, value);
+    return negate ? `not (${sql})` : sql;
+  }).join(joiner) + ')';
+}
+
+function columnList(columns) {
+  const text = (columns || '*').trim();
+  if (text === '*' || text === '') return '*';
+  return splitTopLevel(text).map(column => {
+    if (column.includes('(')) {
+      throw new Error(`Embedded selects are not supported by the test client: ${column}`);
+    }
+    return ident(column);
+  }).join(', ');
+}
+
+// Select list with PostgREST-style embeds, `relation (columns)`, resolved through the single-column
+// foreign key between the two tables: rows of a table referencing this one come back as an array,
+// the row this one references as an object. Inner joins (`!inner`) are not supported.
+async function selectList(db, table, columns) {
+  const text = (columns || '*').trim();
+  if (!text.includes('(')) return columnList(text);
+
+  const parts = [];
+  for (const column of splitTopLevel(text)) {
+    const embed = column.match(/^([a-z_][a-z0-9_]*)\s*\(([\s\S]*)\)$/i);
+    if (!embed) {
+      parts.push(column === '*' ? `${ident(table)}.*` : ident(column));
+      continue;
+    }
+    const [, relation, embedded] = embed;
+    const { rows: [key] } = await db.query(
+      `select c.conrelid::regclass::text as child, a.attname as child_column, fa.attname as parent_column
+         from pg_constraint c
+         join pg_attribute a on a.attrelid = c.conrelid and a.attnum = c.conkey[1]
+         join pg_attribute fa on fa.attrelid = c.confrelid and fa.attnum = c.confkey[1]
+        where c.contype = 'f'
+          and ((c.conrelid = $1::regclass and c.confrelid = $2::regclass)
+            or (c.conrelid = $2::regclass and c.confrelid = $1::regclass))`,
+      [relation, table]
+    );
+    if (!key) {
+      throw new Error(`No foreign key between ${table} and ${relation} for the embedded select`);
+    }
+    const rows = `select ${columnList(embedded)} from ${ident(relation)} e`;
+    parts.push(key.child === relation
+      ? `coalesce((select json_agg(to_jsonb(x)) from (${rows} where e.${ident(key.child_column)} = ${ident(table)}.${ident(key.parent_column)}) x), '[]'::json) as ${ident(relation)}`
+      : `(select to_jsonb(x) from (${rows} where e.${ident(key.parent_column)} = ${ident(table)}.${ident(key.child_column)}) x) as ${ident(relation)}`);
+  }
+  return parts.join(', ');
+}
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.mode = 'many';
+    this.countOnly = false;
+    this.withCount = false;
+  }
+
+  select(columns = '*', { count, head } = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.withCount = count === 'exact';
+      this.countOnly = Boolean(head);
+    } else {
+      this.returning = columns;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.operation = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict, ignoreDuplicates = false } = {}) {
+    this.operation = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.onConflict = onConflict;
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = [values];
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.where(filterSql(column, 'eq', value)); }
+  neq(column, value) { return this.where(filterSql(column, 'neq', value)); }
+  lt(column, value) { return this.where(filterSql(column, 'lt', value)); }
+  lte(column, value) { return this.where(filterSql(column, 'lte', value)); }
+  gt(column, value) { return this.where(filterSql(column, 'gt', value)); }
+  gte(column, value) { return this.where(filterSql(column, 'gte', value)); }
+  in(column, values) { return this.where(filterSql(column, 'in', values)); }
+  is(column, value) { return this.where(filterSql(column, 'is', value)); }
+  overlaps(column, values) { return this.where(filterSql(column, 'ov', values)); }
+  contains(column, value) { return this.where(filterSql(column, 'cs', value)); }
+  or(text) { return this.where(logicalSql(text, ' or ')); }
+
+  not(column, operator, value) {
+    const parsed = operator === 'in' && typeof value === 'string'
+      ? splitTopLevel(value.replace(/^\((.*)\)$/, '$1')).map(unquote)
+      : value;
+    return this.where(`not (${filterSql(column, operator, parsed)})`);
+  }
+
+  where(sql) {
+    this.filters.push(sql);
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    const nulls = nullsFirst === undefined ? '' : nullsFirst ? ' nulls first' : ' nulls last';
+    this.orders.push(`${ident(column)} ${ascending ? 'asc' : 'desc'}${nulls}`);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  whereSql() {
+    return this.filters.length > 0 ? ` where ${this.filters.join(' and ')}` : '';
+  }
+
+  async statement() {
+    const table = ident(this.table);
+    const returning = this.returning === null ? null : columnList(this.returning);
+
+    if (this.operation === 'select') {
+      if (this.countOnly) {
+        return { sql: `select count(*)::int as count from ${table}${this.whereSql()}`, counting: true };
+      }
+      let sql = `select ${await selectList(this.db, this.table, this.columns)} from ${table}${this.whereSql()}`;
+      if (this.orders.length > 0) sql += ` order by ${this.orders.join(', ')}`;
+      if (this.limitCount !== null) sql += ` limit ${Number(this.limitCount)}`;
+      if (this.offsetCount !== null) sql += ` offset ${Number(this.offsetCount)}`;
+      return { sql };
+    }
+
+    let sql;
+    const params = [];
+    if (this.operation === 'insert' || this.operation === 'upsert') {
+      const columns = [...new Set(this.values.flatMap(row => Object.keys(row)))];
+      const list = columns.map(ident).join(', ');
+      params.push(JSON.stringify(this.values));
+      sql = `insert into ${table} (${list}) select ${list} from jsonb_populate_recordset(null::${table}, $1::jsonb)`;
+      if (this.operation === 'upsert') {
+        const target = this.onConflict
+          ? this.onConflict.split(',').map(column => ident(column.trim()))
+          : await primaryKey(this.db, this.table);
+        const updates = columns.filter(column => !target.includes(ident(column)));
+        sql += ` on conflict (${target.join(', ')}) ` + (this.ignoreDuplicates || updates.length === 0
+          ? 'do nothing'
+          : `do update set ${updates.map(column => `${ident(column)} = excluded.${ident(column)}`).join(', ')}`);
+      }
+    } else if (this.operation === 'update') {
+      const columns = Object.keys(this.values[0]);
+      const list = columns.map(ident).join(', ');
+      params.push(JSON.stringify(this.values[0]));
+      sql = `update ${table} set (${list}) = (select ${list} from jsonb_populate_record(null::${table}, $1::jsonb))${this.whereSql()}`;
+    } else {
+      sql = `delete from ${table}${this.whereSql()}`;
+    }
+
+    if (returning === null) {
+      return { sql, params, quiet: true };
+    }
+    return { sql: `${sql} returning ${returning}`, params };
+  }
+
+  async execute() {
+    let statement;
+    try {
+      statement = await this.statement();
+      if (statement.counting) {
+        const { rows } = await this.db.query(statement.sql);
+        return { data: null, error: null, count: rows[0].count };
+      }
+      if (statement.quiet) {
+        await this.db.query(statement.sql, statement.params);
+        return { data: null, error: null };
+      }
+
+      const { rows } = await this.db.query(
+        `with r as (${statement.sql}) select coalesce(json_agg(to_jsonb(r)), '[]'::json) as rows from r`,
+        statement.params
+      );
+      const data = rows[0].rows;
+      const count = this.withCount ? data.length : null;
+
+      if (this.mode === 'single' && data.length !== 1) {
+        return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` }, count };
+      }
+      if (this.mode === 'maybeSingle') {
+        if (data.length > 1) {
+          return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` }, count };
+        }
+        return { data: data[0] || null, error: null, count };
+      }
+      return { data: this.mode === 'single' ? data[0] : data, error: null, count };
+    } catch (error) {
+      return { data: null, error: { code: error.code, message: error.message }, count: null };
+    }
+  }
+}
+
+async function primaryKey(db, table) {
+  const { rows } = await db.query(
+    `select a.attname from pg_index i
+       join pg_attribute a on a.attrelid = i.indrelid and a.attnum = any(i.indkey)
+      where i.indrelid = $1::regclass and i.indisprimary`,
+    [table]
+  );
+  return rows.map(row => ident(row.attname));
+}
+
+// Calls with named arguments, shaped like PostgREST: sets and composites as rows, scalars as values
+async function callFunction(db, name, args) {
+  try {
+    const { rows: [fn] } = await db.query(
+      `select p.proretset, t.typtype, t.typname, p.proargnames,
+              array(select format_type(oid, null) from unnest(p.proargtypes) as oid) as argtypes
+         from pg_proc p
+         join pg_type t on t.oid = p.prorettype
+        where p.proname = $1`,
+      [name]
+    );
+    if (!fn) {
+      return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+    }
+
+    const params = [];
+    const namedArgs = Object.entries(args).map(([arg, value]) => {
+      const type = fn.argtypes[(fn.proargnames || []).indexOf(arg)] || 'text';
+      params.push(value === null || value === undefined ? null
+        : typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value)
+          : Array.isArray(value) && type.startsWith('json') ? JSON.stringify(value)
+            : value);
+      return `${ident(arg)} => $${params.length}::${type}`;
+    });
+    const call = `${ident(name)}(${namedArgs.join(', ')})`;
+
+    const rowType = fn.typtype === 'c' || fn.typname === 'record';
+    let sql;
+    if (rowType) {
+      sql = `select coalesce(json_agg(to_jsonb(r)), '[]'::json) as data from ${call} r`;
+    } else if (fn.proretset) {
+      sql = `select coalesce(json_agg(r.v), '[]'::json) as data from ${call} as r(v)`;
+    } else {
+      sql = `select to_json(${call}) as data`;
+    }
+
+    const { rows } = await db.query(sql, params);
+    let data = rows[0].data;
+    if (rowType && !fn.proretset) {
+      data = data[0] || null;
+    }
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error: { code: error.code, message: error.message } };
+  }
+}
@@ -0,0 +1,27 @@
+// /test/helpers/env.js
+// Throwaway values for every variable lib/config.js requires. Import this before anything that
+// loads the configuration; variables already set in the environment win.
+
+import crypto from 'crypto';
+
+const { privateKey: qrSigningKey } = crypto.generateKeyPairSync('ed25519');
+
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  SUPABASE_URL: 'http://127.0.0.1:1',
+  SUPABASE_ANON_KEY: 'test-anon-key',
+  SUPABASE_SERVICE_KEY: 'test-service-key',
+  // Nothing listens here, so chain reads fail fast unless a test points this at a local node
+  ETHEREUM_RPC_URL: 'http://127.0.0.1:1',
+  ADMIN_PRIVATE_KEY: '0x' + crypto.randomBytes(32).toString('hex'),
+  QR_SECRET: 'test-qr-secret',
+  QR_SIGNING_KEY: qrSigningKey.export({ type: 'pkcs8', format: 'pem' }),
+  PAYPAL_CLIENT_ID: 'test-client-id',
+  PAYPAL_CLIENT_SECRET: 'test-client-secret'
+};
+
+for (const [name, value] of Object.entries(TEST_ENV)) {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+}
@@ -0,0 +1,112 @@
+// /test/helpers/local-chain.js
+// In-process ganache node with the test double of the revocation contract (and Multicall3, which
+// readTicketStatuses needs) compiled by solc. Contract addresses are known before deployment, so
+// they can go into the environment before lib/config.js is first imported.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ganache from 'ganache';
+import solc from 'solc';
+import { ethers } from 'ethers';
+
+const CONTRACTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/contracts');
+
+// Deterministic ganache wallet: the first account deploys and owns both contracts
+const DEPLOYER = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+
+function compileContracts() {
+  const sources = {};
+  for (const name of ['TicketRevocation.sol', 'Multicall3.sol']) {
+    sources[name] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, name), 'utf8') };
+  }
+
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources,
+    settings: {
+      evmVersion: 'london',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  })));
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error('Contract compilation failed: ' + errors.map(error => error.formattedMessage).join('\n'));
+  }
+
+  return {
+    revocation: output.contracts['TicketRevocation.sol'].TicketRevocation,
+    multicall: output.contracts['Multicall3.sol'].Multicall3
+  };
+}
+
+export async function startLocalChain() {
+  const server = ganache.server({
+    logging: { quiet: true },
+    wallet: { deterministic: true },
+    chain: { hardfork: 'london' }
+  });
+  await server.listen(0);
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const provider = new ethers.providers.JsonRpcProvider(url);
+  const signer = provider.getSigner(DEPLOYER);
+
+  const addresses = {
+    revocation: ethers.utils.getContractAddress({ from: DEPLOYER, nonce: 0 }),
+    multicall: ethers.utils.getContractAddress({ from: DEPLOYER, nonce: 1 })
+  };
+
+  let contract = null;
+
+  return {
+    url,
+    provider,
+    addresses,
+
+    // Deploy both contracts at the precomputed addresses; returns the revocation contract
+    async deploy() {
+      const compiled = compileContracts();
+      const revocation = await new ethers.ContractFactory(compiled.revocation.abi, compiled.revocation.evm.bytecode.object, signer).deploy();
+      const multicall = await new ethers.ContractFactory(compiled.multicall.abi, compiled.multicall.evm.bytecode.object, signer).deploy();
+      await Promise.all([revocation.deployed(), multicall.deployed()]);
+
+      if (revocation.address !== addresses.revocation || multicall.address !== addresses.multicall) {
+        throw new Error('Contracts were not deployed at their precomputed addresses');
+      }
+      contract = revocation;
+      return contract;
+    },
+
+    // Send a contract call and wait for it to be mined
+    async send(method, ...args) {
+      const tx = await contract[method](...args);
+      return tx.wait();
+    },
+
+    async blockNumber() {
+      return provider.getBlockNumber();
+    },
+
+    async snapshot() {
+      return provider.send('evm_snapshot', []);
+    },
+
+    async revert(snapshotId) {
+      return provider.send('evm_revert', [snapshotId]);
+    },
+
+    // Mine empty blocks, later than anything before, so their hashes differ from reverted ones
+    async mine(blocks = 1) {
+      const latest = await provider.getBlock('latest');
+      for (let i = 1; i <= blocks; i++) {
+        await provider.send('evm_mine', [{ timestamp: latest.timestamp + 60 * i }]);
+      }
+    },
+
+    async close() {
+      await server.close();
+    }
+  };
+}
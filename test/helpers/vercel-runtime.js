@@ -0,0 +1,45 @@
+// /test/helpers/vercel-runtime.js
+// Run a function entrypoint the way `vercel dev` does: in a child process under @vercel/node's dev
+// server, which (unless told otherwise) wraps the request with the runtime's helpers, including the
+// lazy req.body parser. Requests are then plain HTTP against the returned url.
+
+import path from 'path';
+import { fork } from 'child_process';
+import { once } from 'events';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const DEV_SERVER = createRequire(import.meta.url).resolve('@vercel/node/dist/dev-server.mjs');
+
+// entrypoint: path relative to the repo root. helpers: false is the builder's `helpers` option.
+export async function startFunction(entrypoint, { helpers = true, env = {} } = {}) {
+  const child = fork(DEV_SERVER, [], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      ...env,
+      VERCEL_DEV_ENTRYPOINT: entrypoint,
+      VERCEL_DEV_CONFIG: JSON.stringify(helpers ? {} : { helpers: false }),
+      VERCEL_DEV_BUILD_ENV: '{}'
+    },
+    stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+  });
+
+  // The dev server reports its address over IPC once the entrypoint has loaded
+  const address = await new Promise((resolve, reject) => {
+    child.once('message', resolve);
+    child.once('exit', code => reject(new Error(`${entrypoint} exited before listening (code ${code})`)));
+  });
+
+  return {
+    url: `http://127.0.0.1:${address.port}`,
+
+    async close() {
+      if (child.exitCode === null) {
+        child.kill();
+        await once(child, 'exit');
+      }
+    }
+  };
+}
@@ -0,0 +1,311 @@
+// /test/payment-webhooks.test.js
+// Payment webhooks end to end against the migrated schema and the fake payment provider
+
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createTestDatabase } from './helpers/database.js';
+import { createFakeProvider } from '../lib/payments/providers/fake.js';
+import { setPaymentProvider, EVENT_TYPES } from '../lib/payments/providers/index.js';
+import { createPaymentWebhookHandler } from '../lib/payments/webhook-handler.js';
+import { createRecordedResponse } from '../lib/webhook-ledger.js';
+import { buildTicketLineItem } from '../lib/line-items.js';
+import { reserveTickets, releaseReservation } from '../lib/reservations.js';
+import { describeRegistrationProgress } from '../lib/registration-queue.js';
+
+let supabase;
+let provider;
+let handler;
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+  provider = createFakeProvider();
+  setPaymentProvider('fake', provider);
+  handler = createPaymentWebhookHandler('fake', { supabase });
+});
+
+// What api/tickets/buy.js leaves behind: a pending payment holding seats, with an approved order
+async function checkout({ quantity = 2, capacity = 10 } = {}) {
+  const { data: user } = await supabase.from('users').insert({ email: 'buyer@example.com' }).select().single();
+  const { data: event } = await supabase
+    .from('events')
+    .insert({
+      event_name: 'Webhook test night',
+      event_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+      venue: 'Test hall',
+      ticket_price: 25,
+      total_tickets: capacity,
+      available_tickets: capacity
+    })
+    .select()
+    .single();
+
+  const lineItem = buildTicketLineItem(event, quantity);
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .insert({
+      user_id: user.user_id,
+      event_id: event.event_id,
+      amount: lineItem.line_total,
+      payment_status: 'pending',
+      payment_method: 'fake',
+      line_items: [lineItem],
+      metadata: { bound_names: Array.from({ length: quantity }, (_, i) => `Guest ${i + 1}`) }
+    })
+    .select()
+    .single();
+  assert.equal(error, null);
+
+  await reserveTickets(supabase, { eventId: event.event_id, paymentId: payment.payment_id, userId: user.user_id, quantity });
+
+  const { orderId } = await provider.createOrder({ paymentId: payment.payment_id, amount: lineItem.line_total, currency: 'USD' });
+  await supabase.from('payments').update({ provider_order_id: orderId }).eq('payment_id', payment.payment_id);
+  provider.approveOrder(orderId);
+
+  return { event, payment, orderId, quantity };
+}
+
+async function deliver(body) {
+  const res = createRecordedResponse();
+  await handler({ method: 'POST', headers: {}, body }, res);
+  return res;
+}
+
+async function loadPayment(paymentId) {
+  const { data } = await supabase.from('payments').select('*').eq('payment_id', paymentId).single();
+  return data;
+}
+
+async function loadTickets(paymentId) {
+  const { data } = await supabase.from('tickets').select('*').eq('payment_id', paymentId);
+  return data;
+}
+
+// Run `during` while the provider is capturing, as a slow capture round trip would allow
+function interruptCapture(during) {
+  const captureOrder = provider.captureOrder;
+  provider.captureOrder = async orderId => {
+    const capture = await captureOrder(orderId);
+    await during();
+    return capture;
+  };
+}
+
+async function assertRefundedWithoutTickets(payment, orderId, reason) {
+  assert.equal((await loadTickets(payment.payment_id)).length, 0);
+
+  const stored = await loadPayment(payment.payment_id);
+  assert.equal(stored.payment_status, 'refunded');
+  assert.equal(stored.status_reason, reason);
+
+  const order = provider.orders.get(orderId);
+  assert.equal(order.refunded, order.amount);
+
+  const { data: refunds } = await supabase.from('refunds').select('*').eq('payment_id', payment.payment_id);
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].status, 'completed');
+  assert.equal(refunds[0].reason, reason);
+  return refunds[0];
+}
+
+test('the same event delivered concurrently issues one set of tickets', async () => {
+  const { payment, orderId, quantity } = await checkout();
+  const body = provider.buildWebhookEvent(EVENT_TYPES.ORDER_APPROVED, orderId);
+
+  const responses = await Promise.all(Array.from({ length: 5 }, () => deliver(body)));
+
+  const processed = responses.filter(res => res.statusCode === 200 && res.body.message === 'Payment processed successfully');
+  assert.equal(processed.length, 1);
+  assert.ok(responses.every(res => res.statusCode === 200 || res.statusCode === 409));
+
+  const tickets = await loadTickets(payment.payment_id);
+  assert.equal(tickets.length, quantity);
+  assert.deepEqual(tickets.map(t => t.bound_name).sort(), ['Guest 1', 'Guest 2']);
+  assert.equal(new Set(tickets.map(t => t.nft_token_id)).size, quantity);
+
+  const stored = await loadPayment(payment.payment_id);
+  assert.equal(stored.payment_status, 'confirmed');
+  assert.equal(stored.provider_capture_id, provider.orders.get(orderId).captureId);
+
+  // A later replay gets the recorded outcome and changes nothing
+  const replay = await deliver(body);
+  assert.equal(replay.statusCode, 200);
+  assert.equal((await loadTickets(payment.payment_id)).length, quantity);
+});
+
+test('issued tickets are queued for on-chain registration instead of registered in the request', async () => {
+  const { payment, orderId } = await checkout();
+
+  // Nothing listens on the test RPC URL, so a registration sent from here would fail the delivery
+  const res = await deliver(provider.buildWebhookEvent(EVENT_TYPES.ORDER_APPROVED, orderId));
+  assert.equal(res.statusCode, 200);
+
+  const tickets = await loadTickets(payment.payment_id);
+  assert.equal(tickets.length, 2);
+  assert.ok(tickets.every(t => t.ticket_status === 'valid' && t.blockchain_registered === false));
+
+  const { data: jobs } = await supabase
+    .from('nft_registration_jobs')
+    .select('*')
+    .in('ticket_id', tickets.map(t => t.ticket_id));
+  assert.deepEqual(
+    jobs.map(job => [job.status, job.attempts, job.bound_name, job.token_id]).sort(),
+    tickets.map(t => ['queued', 0, t.bound_name, t.nft_token_id]).sort()
+  );
+
+  const { count } = await supabase.from('chain_transactions').select('tx_id', { count: 'exact', head: true });
+  assert.equal(count, 0);
+
+  // What /api/payments/verify shows the buyer meanwhile
+  const progress = describeRegistrationProgress(tickets, jobs);
+  assert.equal(progress.stage, 'registering');
+  assert.deepEqual(Object.values(progress.tickets), ['queued', 'queued']);
+});
+
+test('approval and capture events racing each other issue one set of tickets', async () => {
+  const { event, payment, orderId, quantity } = await checkout({ quantity: 3, capacity: 5 });
+  await provider.captureOrder(orderId);
+
+  const approved = provider.buildWebhookEvent(EVENT_TYPES.ORDER_APPROVED, orderId);
+  const captured = provider.buildWebhookEvent(EVENT_TYPES.PAYMENT_CAPTURED, orderId);
+
+  await Promise.all([deliver(approved), deliver(captured), deliver(captured), deliver(approved)]);
+  // Whatever was turned away as in progress is retried by the provider
+  await Promise.all([deliver(approved), deliver(captured)]);
+
+  assert.equal((await loadTickets(payment.payment_id)).length, quantity);
+  assert.equal((await loadPayment(payment.payment_id)).payment_status, 'confirmed');
+
+  const { data: reservation } = await supabase
+    .from('ticket_reservations')
+    .select('status')
+    .eq('payment_id', payment.payment_id)
+    .single();
+  assert.equal(reservation.status, 'converted');
+
+  const { data: stored } = await supabase.from('events').select('available_tickets').eq('event_id', event.event_id).single();
+  assert.equal(stored.available_tickets, 5 - quantity);
+});
+
+test('a failed ticket insert leaves the payment pending for the next delivery', async () => {
+  const { payment, orderId, quantity } = await checkout();
+
+  const { error } = await supabase.rpc('fulfill_payment', {
+    p_payment_id: payment.payment_id,
+    p_capture_id: 'FAKE-CAPTURE',
+    p_tickets: [{ ticket_id: 'not-a-uuid', payment_id: payment.payment_id }]
+  });
+  assert.ok(error);
+
+  const stored = await loadPayment(payment.payment_id);
+  assert.equal(stored.payment_status, 'pending');
+  assert.equal(stored.provider_capture_id, null);
+  assert.equal((await loadTickets(payment.payment_id)).length, 0);
+
+  const res = await deliver(provider.buildWebhookEvent(EVENT_TYPES.ORDER_APPROVED, orderId));
+  assert.equal(res.statusCode, 200);
+  assert.equal((await loadTickets(payment.payment_id)).length, quantity);
+  assert.equal((await loadPayment(payment.payment_id)).payment_status, 'confirmed');
+});
+
+test('seats released while the order is captured are refunded instead of issued', async () => {
+  const { event, payment, orderId } = await checkout({ quantity: 2, capacity: 2 });
+  interruptCapture(() => releaseReservation(supabase, payment.payment_id, 'test_release'));
+
+  const res = await deliver(provider.buildWebhookEvent(EVENT_TYPES.ORDER_APPROVED, orderId));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.message, 'Reservation was released, captured amount refunded');
+
+  const refund = await assertRefundedWithoutTickets(payment, orderId, 'reservation_released');
+
+  const { data: stored } = await supabase.from('events').select('available_tickets').eq('event_id', event.event_id).single();
+  assert.equal(stored.available_tickets, 2);
+
+  // The provider's own refund notification is recognised as the refund just made
+  const refunded = await deliver(provider.buildWebhookEvent(EVENT_TYPES.PAYMENT_REFUNDED, orderId, {
+    refundReference: refund.refund_id,
+    refundId: refund.provider_refund_id
+  }));
+  assert.equal(refunded.body.message, 'Refund already applied');
+});
+
+test('a payment expired while its order is captured is refunded instead of issued', async () => {
+  const { payment, orderId } = await checkout();
+  interruptCapture(async () => {
+    await supabase.from('payments').update({ payment_status: 'expired' }).eq('payment_id', payment.payment_id);
+    await releaseReservation(supabase, payment.payment_id, 'reservation_expired');
+  });
+
+  const res = await deliver(provider.buildWebhookEvent(EVENT_TYPES.ORDER_APPROVED, orderId));
+  assert.equal(res.body.message, 'Payment is expired, captured amount refunded');
+
+  await assertRefundedWithoutTickets(payment, orderId, 'capture_after_expired');
+});
+
+test('a capture arriving after the payment expired is refunded', async () => {
+  const { payment, orderId } = await checkout();
+  await supabase.from('payments').update({ payment_status: 'expired' }).eq('payment_id', payment.payment_id);
+  await releaseReservation(supabase, payment.payment_id, 'reservation_expired');
+  await provider.captureOrder(orderId);
+
+  const captured = provider.buildWebhookEvent(EVENT_TYPES.PAYMENT_CAPTURED, orderId);
+  const responses = await Promise.all([deliver(captured), deliver(captured)]);
+  assert.ok(responses.some(res => res.body.message === 'Payment is expired, captured amount refunded'));
+
+  await assertRefundedWithoutTickets(payment, orderId, 'capture_after_expired');
+});
+
+test('an approval whose seats were already released is not captured', async () => {
+  const { payment, orderId } = await checkout();
+  await releaseReservation(supabase, payment.payment_id, 'test_release');
+
+  const res = await deliver(provider.buildWebhookEvent(EVENT_TYPES.ORDER_APPROVED, orderId));
+  assert.equal(res.body.message, 'Reservation was released, payment marked as failed');
+
+  assert.equal(provider.orders.get(orderId).status, 'approved');
+  assert.equal((await loadPayment(payment.payment_id)).payment_status, 'failed');
+  assert.equal((await loadTickets(payment.payment_id)).length, 0);
+});
+
+test('fulfill_payment refuses a pending payment whose seats were released', async () => {
+  const { payment } = await checkout();
+  await releaseReservation(supabase, payment.payment_id, 'test_release');
+
+  const { data: outcome, error } = await supabase.rpc('fulfill_payment', {
+    p_payment_id: payment.payment_id,
+    p_capture_id: 'FAKE-CAPTURE',
+    p_tickets: [{ ticket_id: crypto.randomUUID(), payment_id: payment.payment_id, event_id: payment.event_id }]
+  });
+
+  assert.equal(error, null);
+  assert.equal(outcome, 'reservation_released');
+  assert.equal((await loadTickets(payment.payment_id)).length, 0);
+  assert.equal((await loadPayment(payment.payment_id)).payment_status, 'pending');
+});
+
+test('a payment reversal revokes its tickets and queues the contract side instead of sending it', async () => {
+  const { payment, orderId } = await checkout();
+  await deliver(provider.buildWebhookEvent(EVENT_TYPES.ORDER_APPROVED, orderId));
+
+  const [registered, unregistered] = await loadTickets(payment.payment_id);
+  await supabase.from('tickets').update({ blockchain_registered: true }).eq('ticket_id', registered.ticket_id);
+
+  // Nothing listens on the test RPC URL, so waiting on the chain here would fail the reversal
+  const res = await deliver(provider.buildWebhookEvent(EVENT_TYPES.PAYMENT_REVERSED, orderId));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.tickets_revoked, 2);
+  assert.equal(res.body.data.blockchain_revocation, 'pending');
+
+  const tickets = Object.fromEntries((await loadTickets(payment.payment_id)).map(t => [t.ticket_id, t]));
+  assert.equal(tickets[registered.ticket_id].ticket_status, 'revoked');
+  assert.equal(tickets[registered.ticket_id].revocation_chain_status, 'pending');
+  assert.equal(tickets[unregistered.ticket_id].ticket_status, 'revoked');
+  assert.equal(tickets[unregistered.ticket_id].revocation_chain_status, null);
+
+  // The chain-revocations cron claims it once
+  const { data: claimed } = await supabase.rpc('claim_chain_revocations', { p_limit: 10, p_lock_seconds: 60 });
+  assert.deepEqual(claimed.map(t => [t.ticket_id, t.revocation_chain_status]), [[registered.ticket_id, 'sending']]);
+  const { data: again } = await supabase.rpc('claim_chain_revocations', { p_limit: 10, p_lock_seconds: 60 });
+  assert.equal(again.length, 0);
+});
@@ -0,0 +1,142 @@
+// /test/paypal-webhook-signature.test.js
+// PayPal webhook verification against a locally generated certificate standing in for PayPal's
+
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import forge from 'node-forge';
+import {
+  verifyPayPalWebhookSignature,
+  clearCertificateCache,
+  crc32
+} from '../lib/payments/paypal-webhook-signature.js';
+import { startFunction } from './helpers/vercel-runtime.js';
+
+const WEBHOOK_ID = 'WH-TEST-0001';
+const CERT_URL = 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-test';
+
+// Spacing and key order a re-serialization would not reproduce
+const RAW_BODY = '{"id":"WH-EVT-1",  "event_type":"PAYMENT.CAPTURE.COMPLETED","resource":{"amount":{"value":"10.00"}}}';
+
+const { certificatePem, privateKey } = createSelfSignedCertificate('messageverificationcerts.paypal.com');
+
+// Self-signed certificate for the given common name, valid from yesterday to tomorrow
+function createSelfSignedCertificate(commonName) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const forgePrivateKey = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const subject = [{ name: 'commonName', value: commonName }];
+  cert.setSubject(subject);
+  cert.setIssuer(subject);
+  cert.sign(forgePrivateKey, forge.md.sha256.create());
+
+  return { certificatePem: forge.pki.certificateToPem(cert), privateKey };
+}
+
+// A webhook request signed the way PayPal signs it
+function signedRequest({ body = RAW_BODY, signedBody = body, webhookId = WEBHOOK_ID, certUrl = CERT_URL } = {}) {
+  const transmissionId = crypto.randomUUID();
+  const transmissionTime = new Date().toISOString();
+  const message = `${transmissionId}|${transmissionTime}|${webhookId}|${crc32(signedBody)}`;
+  const signature = crypto.sign('sha256', Buffer.from(message), privateKey).toString('base64');
+
+  return {
+    method: 'POST',
+    headers: {
+      'paypal-transmission-id': transmissionId,
+      'paypal-transmission-time': transmissionTime,
+      'paypal-transmission-sig': signature,
+      'paypal-cert-url': certUrl,
+      'paypal-auth-algo': 'SHA256withRSA'
+    },
+    rawBody: Buffer.from(body)
+  };
+}
+
+function verify(req, options = {}) {
+  return verifyPayPalWebhookSignature(req, {
+    webhookId: WEBHOOK_ID,
+    allowUnsigned: false,
+    pinnedFingerprints: [],
+    fetchCertificate: async () => certificatePem,
+    ...options
+  });
+}
+
+beforeEach(() => {
+  clearCertificateCache();
+});
+
+test('accepts a correctly signed webhook', async () => {
+  const result = await verify(signedRequest());
+  assert.deepEqual(result, { valid: true, reason: 'signature_verified' });
+});
+
+test('rejects a tampered body', async () => {
+  const req = signedRequest({ body: RAW_BODY.replace('10.00', '0.01'), signedBody: RAW_BODY });
+  const result = await verify(req);
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Signature mismatch');
+});
+
+test('rejects a signature made for another webhook id', async () => {
+  const result = await verify(signedRequest({ webhookId: 'WH-SOMEONE-ELSE' }));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Signature mismatch');
+});
+
+test('rejects a certificate URL outside the PayPal allowlist without fetching it', async () => {
+  let fetched = false;
+  const req = signedRequest({ certUrl: 'https://certs.example.com/v1/notifications/certs/CERT-test' });
+  const result = await verify(req, {
+    fetchCertificate: async () => {
+      fetched = true;
+      return certificatePem;
+    }
+  });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Certificate URL is not a PayPal host');
+  assert.equal(fetched, false);
+});
+
+test('checks the bytes PayPal sent, not a re-serialization of the parsed body', async () => {
+  const req = signedRequest();
+  delete req.rawBody;
+  req.body = JSON.parse(RAW_BODY);
+
+  const result = await verify(req);
+  assert.equal(result.valid, false);
+});
+
+// An event type the handler skips, so the outcome depends only on verification and parsing
+const UNHANDLED_BODY = '{\n  "id": "WH-EVT-2",\n  "event_type": "CUSTOMER.DISPUTE.RESOLVED"\n}';
+
+test('a signed webhook is accepted through the runtime, with or without its body helpers', async t => {
+  for (const helpers of [true, false]) {
+    const endpoint = await startFunction('test/fixtures/webhook-endpoint.js', {
+      helpers,
+      env: { WEBHOOK_PROVIDER: 'paypal', PAYPAL_WEBHOOK_ID: WEBHOOK_ID, TEST_PAYPAL_CERT_PEM: certificatePem }
+    });
+    t.after(() => endpoint.close());
+
+    const post = req => fetch(endpoint.url, {
+      method: 'POST',
+      headers: { ...req.headers, 'content-type': 'application/json' },
+      body: req.rawBody
+    });
+
+    const accepted = await post(signedRequest({ body: UNHANDLED_BODY }));
+    assert.equal(accepted.status, 200, `helpers ${helpers ? 'on' : 'off'}`);
+    assert.equal((await accepted.json()).message, 'Event type not handled');
+
+    const tampered = await post(signedRequest({ body: UNHANDLED_BODY.replace('WH-EVT-2', 'WH-EVT-3'), signedBody: UNHANDLED_BODY }));
+    assert.equal(tampered.status, 401);
+  }
+});
@@ -0,0 +1,247 @@
+// /test/registration-queue.test.js
+// The on-chain registration queue against a local ganache node: claiming due jobs, registering
+// them, settling tokens already on-chain, backing off failures until they are dead-lettered, and the
+// registration progress a buyer sees
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { startLocalChain } from './helpers/local-chain.js';
+import { createTestDatabase } from './helpers/database.js';
+
+// Private key of the deterministic ganache account that deploys and owns the contract
+const OWNER_PRIVATE_KEY = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+const OWNER = new ethers.Wallet(OWNER_PRIVATE_KEY).address;
+const MINUTE = 60 * 1000;
+
+let chain;
+let contract;
+let supabase;
+let event;
+let nextTokenId = 91343852333181432387730302044767688728495500000n;
+let processRegistrationQueue;
+let requeueDeadRegistrations;
+let describeRegistrationProgress;
+
+before(async () => {
+  chain = await startLocalChain();
+
+  // lib/config.js reads these once, on first import
+  process.env.ETHEREUM_RPC_URL = chain.url;
+  process.env.REVOCATION_CONTRACT_ADDRESS = chain.addresses.revocation;
+  process.env.MULTICALL_ADDRESS = chain.addresses.multicall;
+  process.env.ADMIN_PRIVATE_KEY = OWNER_PRIVATE_KEY;
+  await import('./helpers/env.js');
+  ({ processRegistrationQueue, requeueDeadRegistrations, describeRegistrationProgress } = await import('../lib/registration-queue.js'));
+
+  contract = await chain.deploy();
+});
+
+after(async () => {
+  await chain?.close();
+});
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+
+  const { data } = await supabase
+    .from('events')
+    .insert({ event_name: 'Queue night', event_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+    .select()
+    .single();
+  event = data;
+});
+
+// Unregistered tickets; the tickets insert trigger queues a registration job for each
+async function issue(names) {
+  const { data, error } = await supabase
+    .from('tickets')
+    .insert(names.map(name => ({
+      event_id: event.event_id,
+      bound_name: name,
+      nft_token_id: String(nextTokenId++),
+      ticket_status: 'valid',
+      nft_mint_status: 'pending'
+    })))
+    .select();
+  assert.equal(error, null);
+  return data;
+}
+
+async function loadJob(ticketId) {
+  const { data } = await supabase.from('nft_registration_jobs').select('*').eq('ticket_id', ticketId).single();
+  return data;
+}
+
+async function loadTicket(ticketId) {
+  const { data } = await supabase.from('tickets').select('*').eq('ticket_id', ticketId).single();
+  return data;
+}
+
+// Move a job's retry time or claim lock into the past
+async function makeDue(ticketId, column = 'next_attempt_at') {
+  const { error } = await supabase
+    .from('nft_registration_jobs')
+    .update({ [column]: new Date(Date.now() - 1000).toISOString() })
+    .eq('ticket_id', ticketId);
+  assert.equal(error, null);
+}
+
+const claim = (limit = 10) => supabase.rpc('claim_nft_registration_jobs', { p_limit: limit, p_lock_seconds: 300 });
+
+// How far ahead of now a job's next attempt is
+const backoffOf = job => new Date(job.next_attempt_at).getTime() - Date.now();
+
+test('due jobs are claimed once, counting the attempt; future and locked jobs wait', async () => {
+  const [ada, grace, linus] = await issue(['Ada', 'Grace', 'Linus']);
+  await supabase
+    .from('nft_registration_jobs')
+    .update({ next_attempt_at: new Date(Date.now() + 10 * MINUTE).toISOString() })
+    .eq('ticket_id', linus.ticket_id);
+
+  const [first, second] = await Promise.all([claim(1), claim(10)]);
+  assert.equal(first.error, null);
+  assert.equal(second.error, null);
+  const claimed = [...first.data, ...second.data].map(job => job.ticket_id);
+  assert.deepEqual(claimed.sort(), [ada.ticket_id, grace.ticket_id].sort());
+
+  const job = await loadJob(ada.ticket_id);
+  assert.equal(job.status, 'processing');
+  assert.equal(job.attempts, 1);
+  assert.ok(new Date(job.locked_until).getTime() > Date.now() + 4 * MINUTE);
+
+  // Nothing is due: one job is locked by a live worker, the other scheduled later
+  assert.deepEqual((await claim()).data, []);
+
+  // A worker that died leaves its lock to expire, and the job is claimed again
+  await makeDue(ada.ticket_id, 'locked_until');
+  const { data: reclaimed } = await claim();
+  assert.deepEqual(reclaimed.map(job => [job.ticket_id, job.attempts]), [[ada.ticket_id, 2]]);
+});
+
+test('the worker registers due jobs in one transaction and settles the rest without sending', async () => {
+  const [ada, grace, linus, barbara, alan] = await issue(['Ada', 'Grace', 'Linus', 'Barbara', 'Alan']);
+
+  // Linus's earlier transaction was mined after all; Barbara's token belongs to someone else on-chain
+  await chain.send('batchRegisterTickets', [linus.nft_token_id, barbara.nft_token_id], ['Linus', 'Mallory']);
+  // Alan's ticket was refunded while queued
+  await supabase.from('tickets').update({ ticket_status: 'cancelled' }).eq('ticket_id', alan.ticket_id);
+
+  const run = await processRegistrationQueue(supabase);
+  assert.deepEqual(
+    { ...run, transaction_hash: Boolean(run.transaction_hash) },
+    { claimed: 5, registered: 2, already_registered: 1, cancelled: 1, retried: 0, dead: 1, transaction_hash: true }
+  );
+
+  for (const ticket of [ada, grace]) {
+    assert.equal(await contract.getTicketStatus(ticket.nft_token_id), 1);
+    assert.equal(await contract.getBoundName(ticket.nft_token_id), ticket.bound_name);
+    const stored = await loadTicket(ticket.ticket_id);
+    assert.deepEqual([stored.blockchain_registered, stored.nft_mint_status, stored.blockchain_tx_hash], [true, 'minted', run.transaction_hash]);
+    assert.equal((await loadJob(ticket.ticket_id)).status, 'done');
+  }
+
+  assert.equal((await loadTicket(linus.ticket_id)).blockchain_registered, true);
+  assert.equal((await loadJob(linus.ticket_id)).status, 'done');
+
+  // A token id held on-chain under another name cannot be fixed by retrying
+  const collided = await loadJob(barbara.ticket_id);
+  assert.equal(collided.status, 'dead');
+  assert.match(collided.last_error, /another bound name/);
+  assert.equal((await loadTicket(barbara.ticket_id)).blockchain_registered, false);
+
+  assert.equal((await loadJob(alan.ticket_id)).status, 'cancelled');
+  assert.equal(await contract.getTicketStatus(alan.nft_token_id), 0);
+
+  assert.equal((await processRegistrationQueue(supabase)).claimed, 0);
+});
+
+test('a failed registration backs off exponentially and is dead-lettered after its last attempt', async t => {
+  const [ada] = await issue(['Ada']);
+
+  // An empty admin wallet: every attempt fails before anything is sent
+  const balance = await chain.provider.getBalance(OWNER);
+  await chain.provider.send('evm_setAccountBalance', [OWNER, '0x0']);
+  t.after(() => chain.provider.send('evm_setAccountBalance', [OWNER, balance.toHexString()]));
+
+  const backoffs = [];
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const run = await processRegistrationQueue(supabase, { maxAttempts: 3 });
+    assert.equal(run.claimed, 1);
+
+    const job = await loadJob(ada.ticket_id);
+    assert.equal(job.attempts, attempt);
+    assert.match(job.last_error, /Insufficient gas/);
+    const ticket = await loadTicket(ada.ticket_id);
+    assert.deepEqual([ticket.blockchain_registered, ticket.nft_mint_status], [false, 'failed']);
+
+    if (attempt < 3) {
+      assert.deepEqual([run.retried, run.dead, job.status], [1, 0, 'queued']);
+      backoffs.push(backoffOf(job));
+
+      // Not due again until the backoff has passed
+      assert.equal((await processRegistrationQueue(supabase, { maxAttempts: 3 })).claimed, 0);
+      await makeDue(ada.ticket_id);
+    } else {
+      assert.deepEqual([run.retried, run.dead, job.status], [0, 1, 'dead']);
+    }
+  }
+
+  // 2 minutes, then 4
+  assert.ok(Math.abs(backoffs[0] - 2 * MINUTE) < 10 * 1000, `first backoff ${backoffs[0]}ms`);
+  assert.ok(Math.abs(backoffs[1] - 4 * MINUTE) < 10 * 1000, `second backoff ${backoffs[1]}ms`);
+
+  // Dead-lettered jobs stay put until staff requeue them with a fresh set of attempts
+  await makeDue(ada.ticket_id);
+  assert.equal((await processRegistrationQueue(supabase, { maxAttempts: 3 })).claimed, 0);
+
+  await chain.provider.send('evm_setAccountBalance', [OWNER, balance.toHexString()]);
+  assert.deepEqual(await requeueDeadRegistrations(supabase, [ada.ticket_id]), [ada.ticket_id]);
+  const requeued = await loadJob(ada.ticket_id);
+  assert.deepEqual([requeued.status, requeued.attempts], ['queued', 0]);
+
+  const run = await processRegistrationQueue(supabase, { maxAttempts: 3 });
+  assert.equal(run.registered, 1);
+  assert.equal(await contract.getTicketStatus(ada.nft_token_id), 1);
+  assert.equal((await loadJob(ada.ticket_id)).status, 'done');
+});
+
+test('the buyer sees a purchase move from registering to registered, or to failed', async t => {
+  const tickets = await issue(['Ada', 'Grace']);
+  const progress = async () => {
+    const { data: jobs } = await supabase
+      .from('nft_registration_jobs')
+      .select('ticket_id, status, attempts, next_attempt_at')
+      .in('ticket_id', tickets.map(ticket => ticket.ticket_id));
+    const { data: stored } = await supabase.from('tickets').select('*').in('ticket_id', tickets.map(ticket => ticket.ticket_id));
+    return describeRegistrationProgress(stored, jobs);
+  };
+
+  let seen = await progress();
+  assert.equal(seen.stage, 'registering');
+  assert.deepEqual(Object.values(seen.tickets), ['queued', 'queued']);
+
+  const balance = await chain.provider.getBalance(OWNER);
+  await chain.provider.send('evm_setAccountBalance', [OWNER, '0x0']);
+  t.after(() => chain.provider.send('evm_setAccountBalance', [OWNER, balance.toHexString()]));
+
+  await processRegistrationQueue(supabase, { maxAttempts: 2 });
+  seen = await progress();
+  assert.equal(seen.stage, 'registering');
+  assert.deepEqual(Object.values(seen.tickets), ['retrying', 'retrying']);
+  assert.ok(new Date(seen.next_attempt_at).getTime() > Date.now());
+
+  await makeDue(tickets[0].ticket_id);
+  await makeDue(tickets[1].ticket_id);
+  await processRegistrationQueue(supabase, { maxAttempts: 2 });
+  seen = await progress();
+  assert.equal(seen.stage, 'failed');
+  assert.equal(seen.next_attempt_at, null);
+
+  await chain.provider.send('evm_setAccountBalance', [OWNER, balance.toHexString()]);
+  await requeueDeadRegistrations(supabase, tickets.map(ticket => ticket.ticket_id));
+  await processRegistrationQueue(supabase);
+  seen = await progress();
+  assert.equal(seen.stage, 'registered');
+  assert.deepEqual(Object.values(seen.tickets), ['registered', 'registered']);
+});
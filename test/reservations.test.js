@@ -0,0 +1,120 @@
+// /test/reservations.test.js
+// Seat reservations under many simultaneous purchases, against the real migrations
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase } from './helpers/database.js';
+import { reserveTickets, releaseReservation } from '../lib/reservations.js';
+
+async function createEvent(supabase, capacity) {
+  const { data, error } = await supabase
+    .from('events')
+    .insert({
+      event_name: 'Small venue',
+      event_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+      ticket_price: 10,
+      total_tickets: capacity,
+      available_tickets: capacity
+    })
+    .select()
+    .single();
+  assert.equal(error, null);
+  return data;
+}
+
+// What api/tickets/buy.js does per request: a pending payment, then a reservation against it
+async function purchase(supabase, event, quantity) {
+  const { data: user } = await supabase.from('users').insert({ email: 'buyer@example.com' }).select().single();
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .insert({ user_id: user.user_id, event_id: event.event_id, amount: quantity * 10, payment_status: 'pending' })
+    .select()
+    .single();
+  assert.equal(error, null);
+
+  const reservation = await reserveTickets(supabase, {
+    eventId: event.event_id,
+    paymentId: payment.payment_id,
+    userId: user.user_id,
+    quantity
+  });
+  return { payment, reservation };
+}
+
+async function availableTickets(supabase, eventId) {
+  const { data } = await supabase.from('events').select('available_tickets').eq('event_id', eventId).single();
+  return data.available_tickets;
+}
+
+test('parallel purchases never oversell a small event', async () => {
+  const { supabase } = await createTestDatabase();
+  const capacity = 10;
+  const event = await createEvent(supabase, capacity);
+
+  const results = await Promise.all(Array.from({ length: 40 }, () => purchase(supabase, event, 1)));
+
+  const held = results.filter(result => result.reservation);
+  assert.equal(held.length, capacity);
+  assert.equal(await availableTickets(supabase, event.event_id), 0);
+
+  const { count } = await supabase
+    .from('ticket_reservations')
+    .select('reservation_id', { count: 'exact', head: true })
+    .eq('event_id', event.event_id);
+  assert.equal(count, capacity);
+});
+
+test('parallel multi-seat purchases hold exactly the seats taken off the event', async () => {
+  const { supabase } = await createTestDatabase();
+  const capacity = 7;
+  const event = await createEvent(supabase, capacity);
+
+  const results = await Promise.all(Array.from({ length: 20 }, (_, i) => purchase(supabase, event, (i % 3) + 1)));
+
+  const heldSeats = results
+    .filter(result => result.reservation)
+    .reduce((sum, result) => sum + result.reservation.quantity, 0);
+  const available = await availableTickets(supabase, event.event_id);
+
+  assert.ok(available >= 0);
+  assert.equal(heldSeats + available, capacity);
+});
+
+test('releasing a reservation twice in parallel returns its seats once', async () => {
+  const { supabase } = await createTestDatabase();
+  const event = await createEvent(supabase, 3);
+  const { payment } = await purchase(supabase, event, 3);
+  assert.equal(await availableTickets(supabase, event.event_id), 0);
+
+  const released = await Promise.all([
+    releaseReservation(supabase, payment.payment_id, 'test'),
+    releaseReservation(supabase, payment.payment_id, 'test')
+  ]);
+
+  assert.deepEqual(released.sort(), [0, 3]);
+  assert.equal(await availableTickets(supabase, event.event_id), 3);
+});
+
+test('the reservations migration applies to an already oversold database', async () => {
+  const { supabase, db } = await createTestDatabase({
+    seed: `
+      insert into events (event_id, event_name, event_date, total_tickets, available_tickets)
+      values ('00000000-0000-4000-8000-000000000001', 'Oversold', now(), 100, -4),
+             ('00000000-0000-4000-8000-000000000002', 'Fine', now(), 100, 12);
+    `
+  });
+
+  assert.equal(await availableTickets(supabase, '00000000-0000-4000-8000-000000000001'), 0);
+  assert.equal(await availableTickets(supabase, '00000000-0000-4000-8000-000000000002'), 12);
+
+  const { rows } = await db.query(
+    `select convalidated from pg_constraint where conname = 'events_available_tickets_non_negative'`
+  );
+  assert.deepEqual(rows, [{ convalidated: true }]);
+
+  const { error } = await supabase
+    .from('events')
+    .update({ available_tickets: -1 })
+    .eq('event_id', '00000000-0000-4000-8000-000000000002');
+  assert.equal(error.code, '23514');
+});
@@ -0,0 +1,133 @@
+// /test/scanner-devices.test.js
+// Enrolled scanner devices: the credential issued at enrolment, authentication with it, revocation,
+// and the event/gate scoping of scans
+
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createTestDatabase } from './helpers/database.js';
+import {
+  createScannerCredential,
+  authenticateScannerDevice,
+  checkDeviceAssignment,
+  SCANNER_KEY_HEADER
+} from '../lib/scanner-devices.js';
+import { checkScanAgainstTicket } from '../lib/ticket-validation.js';
+
+let supabase;
+let mainEvent;
+let otherEvent;
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+
+  const { data, error } = await supabase
+    .from('events')
+    .insert([
+      { event_name: 'Main stage', event_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() },
+      { event_name: 'Side stage', event_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() }
+    ])
+    .select();
+  assert.equal(error, null);
+  [mainEvent, otherEvent] = data;
+});
+
+// Enrol a device the way /api/scanner/devices does and return its key
+async function enrol(name, assignments) {
+  const deviceId = crypto.randomUUID();
+  const credential = createScannerCredential(deviceId);
+
+  const { error } = await supabase
+    .from('scanner_devices')
+    .insert({ device_id: deviceId, name, credential_hash: credential.credentialHash, enrolled_by: 'admin-1' });
+  assert.equal(error, null);
+
+  const { error: assignError } = await supabase
+    .from('scanner_device_events')
+    .insert(assignments.map(assignment => ({ device_id: deviceId, event_id: assignment.event_id, gates: assignment.gates || null })));
+  assert.equal(assignError, null);
+
+  return { deviceId, key: credential.key };
+}
+
+const authenticate = key => authenticateScannerDevice(supabase, { headers: key === undefined ? {} : { [SCANNER_KEY_HEADER]: key } });
+
+test('an enrolled device authenticates with its key and carries its assignments', async () => {
+  const { deviceId, key } = await enrol('North door', [
+    { event_id: mainEvent.event_id, gates: ['north'] },
+    { event_id: otherEvent.event_id }
+  ]);
+
+  // Only a hash of the secret is stored
+  const { data: stored } = await supabase.from('scanner_devices').select('*').eq('device_id', deviceId).single();
+  const secret = key.slice(deviceId.length + 1);
+  assert.equal(stored.credential_hash, crypto.createHash('sha256').update(secret).digest('hex'));
+  assert.equal(stored.last_seen_at, null);
+
+  const { device, status } = await authenticate(key);
+  assert.equal(status, undefined);
+  assert.equal(device.device_id, deviceId);
+  assert.equal(device.name, 'North door');
+  assert.deepEqual(
+    device.assignments.map(({ event_id, gates }) => ({ event_id, gates })).sort((a, b) => a.event_id.localeCompare(b.event_id)),
+    [
+      { event_id: mainEvent.event_id, gates: ['north'] },
+      { event_id: otherEvent.event_id, gates: null }
+    ].sort((a, b) => a.event_id.localeCompare(b.event_id))
+  );
+
+  const { data: seen } = await supabase.from('scanner_devices').select('last_seen_at').eq('device_id', deviceId).single();
+  assert.ok(seen.last_seen_at);
+});
+
+test('missing, malformed, unknown and wrong keys are refused', async () => {
+  const { deviceId, key } = await enrol('Box office', [{ event_id: mainEvent.event_id }]);
+  const other = createScannerCredential(deviceId);
+
+  assert.deepEqual(await authenticate(undefined), { status: 401, message: 'Scanner device key required' });
+  for (const malformed of ['no-separator', `.${key.split('.')[1]}`, `${deviceId}.`, `not-a-uuid.${key.split('.')[1]}`]) {
+    assert.deepEqual(await authenticate(malformed), { status: 401, message: 'Malformed scanner device key' });
+  }
+  assert.deepEqual(await authenticate(other.key), { status: 401, message: 'Invalid scanner device key' });
+  assert.deepEqual(
+    await authenticate(createScannerCredential(crypto.randomUUID()).key),
+    { status: 401, message: 'Invalid scanner device key' }
+  );
+});
+
+test('a revoked device is refused even with its own key', async () => {
+  const { deviceId, key } = await enrol('Lost phone', [{ event_id: mainEvent.event_id }]);
+  assert.ok((await authenticate(key)).device);
+
+  await supabase
+    .from('scanner_devices')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: 'admin-1' })
+    .eq('device_id', deviceId);
+
+  assert.deepEqual(await authenticate(key), { status: 403, message: 'Scanner device has been revoked' });
+});
+
+test('a device only scans for its events, and only at its gates when the assignment names any', async () => {
+  const { key } = await enrol('Gate scanner', [
+    { event_id: mainEvent.event_id, gates: ['north', 'east'] },
+    { event_id: otherEvent.event_id }
+  ]);
+  const { device } = await authenticate(key);
+
+  assert.equal(checkDeviceAssignment(device, mainEvent.event_id, 'north'), null);
+  assert.equal(checkDeviceAssignment(device, mainEvent.event_id, 'south'), 'Scanner device is not assigned to gate south for this event');
+  assert.equal(checkDeviceAssignment(device, mainEvent.event_id, undefined), 'Scanner device is not assigned to gate (none) for this event');
+  // No gates listed means every gate
+  assert.equal(checkDeviceAssignment(device, otherEvent.event_id, 'anywhere'), null);
+  assert.equal(checkDeviceAssignment(device, crypto.randomUUID(), 'north'), 'Scanner device is not assigned to this event');
+
+  // A scan is refused on the assignment before its code is looked at
+  const { key: sideKey } = await enrol('Side stage only', [{ event_id: otherEvent.event_id }]);
+  const { device: sideDevice } = await authenticate(sideKey);
+  const ticket = { ticket_id: crypto.randomUUID(), event_id: mainEvent.event_id, events: {} };
+  const refusal = checkScanAgainstTicket(ticket, { ticketData: {}, tokenCheck: null, dynamicQr: null }, { device: sideDevice, gate: 'north' });
+  assert.equal(refusal.httpStatus, 403);
+  assert.equal(refusal.validation_result, 'unassigned_device');
+  assert.equal(refusal.ticket_id, ticket.ticket_id);
+});
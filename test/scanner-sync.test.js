@@ -0,0 +1,196 @@
+// /test/scanner-sync.test.js
+// Offline scanning: what a signed bundle and its deltas carry, and how uploaded scans are applied
+
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createTestDatabase } from './helpers/database.js';
+import { config } from '../lib/config.js';
+import { computeValidationHash, createDynamicQrSeed, getQrPublicKeys } from '../lib/ticket-qr.js';
+import {
+  buildScannerBundle,
+  loadScannerEvent,
+  applyOfflineScans,
+  validateOfflineScan,
+  digestValidationHash
+} from '../lib/scanner-sync.js';
+
+let db;
+let supabase;
+let event;
+let tickets;
+
+beforeEach(async () => {
+  ({ db, supabase } = await createTestDatabase());
+
+  const { data: created } = await supabase
+    .from('events')
+    .insert({
+      event_name: 'Offline gate night',
+      event_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      dynamic_qr: true,
+      dynamic_qr_period_seconds: 30
+    })
+    .select()
+    .single();
+  event = await loadScannerEvent(supabase, created.event_id);
+
+  const { data, error } = await supabase
+    .from('tickets')
+    .insert([
+      { event_id: event.event_id, bound_name: 'Ada', nft_token_id: '1001', ticket_status: 'valid', dynamic_qr_seed: createDynamicQrSeed() },
+      { event_id: event.event_id, bound_name: 'Grace', nft_token_id: '1002', ticket_status: 'used', used_at: new Date().toISOString() },
+      { event_id: event.event_id, bound_name: 'Linus', nft_token_id: '1003', ticket_status: 'revoked' }
+    ])
+    .select();
+  assert.equal(error, null);
+  tickets = Object.fromEntries(data.map(ticket => [ticket.bound_name, ticket]));
+});
+
+// Check the bundle the way a scanner does, against the published keys, and return its payload
+function verifyBundle(token) {
+  const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+  const header = JSON.parse(Buffer.from(headerSegment, 'base64url'));
+  assert.equal(header.typ, 'scanner-bundle+jwt');
+
+  const jwk = getQrPublicKeys().keys.find(key => key.kid === header.kid);
+  assert.ok(crypto.verify(
+    null,
+    Buffer.from(`${headerSegment}.${payloadSegment}`),
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    Buffer.from(signatureSegment, 'base64url')
+  ));
+  return JSON.parse(Buffer.from(payloadSegment, 'base64url'));
+}
+
+const legacyHash = ticket => computeValidationHash(ticket.ticket_id, ticket.nft_token_id, ticket.bound_name, config.qr.secret);
+
+const scanAt = (minutesAgo, fields) => ({
+  scan_id: crypto.randomUUID(),
+  direction: 'in',
+  offline_result: 'admitted',
+  scanned_at: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+  ...fields
+});
+
+test('a full bundle lists admissible tickets with a digest of their validation hash, never the hash', async () => {
+  const { token, manifest } = await buildScannerBundle(supabase, event);
+  assert.deepEqual(verifyBundle(token), manifest);
+
+  assert.equal(manifest.full, true);
+  assert.equal(manifest.evt, event.event_id);
+  assert.deepEqual(
+    manifest.tickets.map(entry => entry.id).sort(),
+    [tickets.Ada.ticket_id, tickets.Grace.ticket_id].sort()
+  );
+
+  for (const entry of manifest.tickets) {
+    const ticket = entry.id === tickets.Ada.ticket_id ? tickets.Ada : tickets.Grace;
+    assert.equal(entry.s, ticket.ticket_status);
+    assert.equal(entry.n, ticket.bound_name);
+    // What a scanner computes from the code in front of it
+    assert.equal(entry.hd, digestValidationHash(legacyHash(ticket)));
+    assert.equal(entry.h, undefined);
+    assert.ok(!token.includes(legacyHash(ticket)) && !JSON.stringify(manifest).includes(legacyHash(ticket)));
+  }
+
+  // Seeds stay out unless the exposure has been accepted
+  assert.equal(manifest.event.dynamic_qr_seeds, false);
+  assert.ok(manifest.tickets.every(entry => entry.seed === undefined));
+});
+
+test('dynamic QR seeds are bundled only when explicitly included', async () => {
+  const { manifest } = await buildScannerBundle(supabase, event, { includeSeeds: true });
+
+  assert.equal(manifest.event.dynamic_qr_seeds, true);
+  const ada = manifest.tickets.find(entry => entry.id === tickets.Ada.ticket_id);
+  assert.equal(ada.seed, tickets.Ada.dynamic_qr_seed);
+});
+
+test('a delta carries only tickets changed since the cursor, whatever their status', async () => {
+  // Everything as it stood well before the previous bundle
+  await db.exec(`
+    alter table tickets disable trigger tickets_touch_updated_at;
+    update tickets set updated_at = now() - interval '1 hour';
+    alter table tickets enable trigger tickets_touch_updated_at;
+  `);
+  const since = new Date(Date.now() - 30 * 60 * 1000);
+
+  await supabase.from('tickets').update({ ticket_status: 'revoked' }).eq('ticket_id', tickets.Ada.ticket_id);
+
+  const { token, manifest } = await buildScannerBundle(supabase, event, { since });
+  assert.deepEqual(verifyBundle(token), manifest);
+
+  assert.equal(manifest.full, false);
+  assert.equal(manifest.since, since.toISOString());
+  assert.deepEqual(manifest.tickets.map(entry => [entry.id, entry.s]), [[tickets.Ada.ticket_id, 'revoked']]);
+  assert.ok(Date.parse(manifest.cursor) >= since.getTime());
+});
+
+test('re-uploaded scans are ignored and the earliest of two offline admissions wins', async () => {
+  const first = scanAt(5, { ticket_id: tickets.Ada.ticket_id });
+  const firstSync = await applyOfflineScans(supabase, { deviceId: 'device-north', gate: 'north', scans: [first] });
+  assert.equal(firstSync[0].outcome, 'admitted');
+
+  // Another gate admitted the same ticket a minute earlier and syncs later, along with a repeat
+  const earlier = scanAt(6, { ticket_id: tickets.Ada.ticket_id });
+  const secondSync = await applyOfflineScans(supabase, { deviceId: 'device-south', gate: 'south', scans: [first, earlier] });
+
+  const byScan = Object.fromEntries(secondSync.map(result => [result.scan_id, result]));
+  assert.equal(byScan[first.scan_id].outcome, 'duplicate');
+  assert.equal(byScan[earlier.scan_id].outcome, 'already_used');
+  assert.ok(byScan[earlier.scan_id].conflict_id);
+
+  const { data: ticket } = await supabase.from('tickets').select('*').eq('ticket_id', tickets.Ada.ticket_id).single();
+  assert.equal(ticket.used_gate, 'south');
+  assert.equal(ticket.used_device_id, 'device-south');
+  assert.equal(Date.parse(ticket.used_at), Date.parse(earlier.scanned_at));
+  assert.equal(ticket.admission_count, 1);
+
+  const { data: conflicts } = await supabase.from('scan_conflicts').select('*').eq('ticket_id', tickets.Ada.ticket_id);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].kind, 'double_admission');
+  assert.equal(conflicts[0].status, 'open');
+  assert.equal(conflicts[0].other_device_id, 'device-north');
+
+  const { count } = await supabase
+    .from('offline_scans')
+    .select('scan_id', { count: 'exact', head: true })
+    .eq('ticket_id', tickets.Ada.ticket_id);
+  assert.equal(count, 2);
+});
+
+test('scans in one upload are applied oldest first', async () => {
+  const later = scanAt(1, { ticket_id: tickets.Ada.ticket_id });
+  const earlier = scanAt(2, { ticket_id: tickets.Ada.ticket_id, offline_result: 'unverified' });
+
+  const results = await applyOfflineScans(supabase, { deviceId: 'device-north', gate: 'north', scans: [later, earlier] });
+
+  assert.deepEqual(results.map(result => [result.scan_id, result.outcome]), [
+    [earlier.scan_id, 'admitted'],
+    [later.scan_id, 'already_used']
+  ]);
+  // Only a scan the gate itself admitted on counts as a double admission
+  assert.ok(results[1].conflict_id);
+});
+
+test('admitting a ticket that is no longer admissible is flagged', async () => {
+  const scan = scanAt(3, { ticket_id: tickets.Linus.ticket_id });
+  const [result] = await applyOfflineScans(supabase, { deviceId: 'device-north', gate: 'north', scans: [scan] });
+
+  assert.equal(result.outcome, 'not_admissible');
+  const { data: conflict } = await supabase.from('scan_conflicts').select('*').eq('conflict_id', result.conflict_id).single();
+  assert.equal(conflict.kind, 'admitted_not_admissible');
+
+  const { data: ticket } = await supabase.from('tickets').select('ticket_status').eq('ticket_id', tickets.Linus.ticket_id).single();
+  assert.equal(ticket.ticket_status, 'revoked');
+});
+
+test('uploaded scans are checked before they are applied', () => {
+  const ticketId = crypto.randomUUID();
+  assert.equal(validateOfflineScan(scanAt(1, { ticket_id: ticketId })), null);
+  assert.match(validateOfflineScan(scanAt(1, { ticket_id: ticketId, scan_id: 'scan-1' })), /scan_id/);
+  assert.match(validateOfflineScan(scanAt(-60, { ticket_id: ticketId })), /future/);
+  assert.match(validateOfflineScan(scanAt(1, { ticket_id: ticketId, direction: 'sideways' })), /direction/);
+});
@@ -0,0 +1,51 @@
+// /test/stripe-webhook.test.js
+// The Stripe webhook endpoint through the Vercel runtime, with Stripe-Signature headers made locally
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startFunction } from './helpers/vercel-runtime.js';
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+// Stripe sends events pretty-printed; a re-serialization of the parsed body would not match
+const BODY = JSON.stringify({
+  id: 'evt_test_1',
+  object: 'event',
+  type: 'customer.created',
+  data: { object: { id: 'cus_test_1', object: 'customer' } }
+}, null, 2);
+
+// The header Stripe sends: a timestamp and an HMAC-SHA256 of "<timestamp>.<body>"
+function stripeSignature(body, secret = WEBHOOK_SECRET) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+test('a signed Stripe event is accepted through the runtime, with or without its body helpers', async t => {
+  for (const helpers of [true, false]) {
+    const endpoint = await startFunction('test/fixtures/webhook-endpoint.js', {
+      helpers,
+      env: { WEBHOOK_PROVIDER: 'stripe', STRIPE_SECRET_KEY: 'sk_test_key', STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET }
+    });
+    t.after(() => endpoint.close());
+
+    const post = (body, signature) => fetch(endpoint.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'stripe-signature': signature },
+      body
+    });
+
+    const accepted = await post(BODY, stripeSignature(BODY));
+    assert.equal(accepted.status, 200, `helpers ${helpers ? 'on' : 'off'}`);
+    assert.equal((await accepted.json()).message, 'Event type not handled');
+
+    const edited = await post(BODY.replace('cus_test_1', 'cus_test_2'), stripeSignature(BODY));
+    assert.equal(edited.status, 401);
+
+    const otherSecret = await post(BODY, stripeSignature(BODY, 'whsec_someone_else'));
+    assert.equal(otherSecret.status, 401);
+  }
+});
@@ -0,0 +1,239 @@
+// /test/ticket-qr.test.js
+// What a scanner accepts from a ticket QR: Ed25519-signed tokens, the legacy validation_hash
+// checked against the QR_SECRET keyring, and rotating dynamic codes
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { config } from '../lib/config.js';
+import {
+  computeValidationHash,
+  verifyValidationHash,
+  signTicketToken,
+  signJws,
+  verifyTicketToken,
+  findTicketTokenMismatch,
+  getQrPublicKeys,
+  createDynamicQrSeed,
+  computeDynamicQrCode,
+  verifyDynamicQrCode,
+  parseDynamicQr,
+  TICKET_TOKEN_GRACE_SECONDS
+} from '../lib/ticket-qr.js';
+
+const TICKET = {
+  ticket_id: crypto.randomUUID(),
+  event_id: crypto.randomUUID(),
+  nft_token_id: '91343852333181432387730302044767688728495783936',
+  bound_name: 'Ada Lovelace'
+};
+const EVENT_DATE = new Date('2026-11-20T19:00:00Z');
+const ISSUED_AT = new Date('2026-10-19T12:00:00Z');
+
+const sign = () => signTicketToken({
+  ticketId: TICKET.ticket_id,
+  tokenId: TICKET.nft_token_id,
+  boundName: TICKET.bound_name,
+  eventId: TICKET.event_id,
+  eventDate: EVENT_DATE,
+  issuedAt: ISSUED_AT
+});
+
+const DOORS_OPEN = new Date('2026-11-20T18:30:00Z');
+
+// Re-encode one segment of a compact JWS, keeping the others as they were
+function editSegment(token, index, edit) {
+  const segments = token.split('.');
+  const value = JSON.parse(Buffer.from(segments[index], 'base64url'));
+  segments[index] = Buffer.from(JSON.stringify(edit(value))).toString('base64url');
+  return segments.join('.');
+}
+
+// A published key set after rotating to a new signing key, optionally still listing the old one
+function rotatedKeys({ keepOldKey }) {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const { x: oldX } = crypto.createPublicKey(config.qr.signingKey).export({ format: 'jwk' });
+  return getQrPublicKeys({
+    signingKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    signingKeyId: 'qr-next',
+    verificationKeys: keepOldKey ? { [config.qr.signingKeyId]: oldX } : {}
+  });
+}
+
+test('a signed ticket token verifies and carries the ticket as issued', () => {
+  const result = verifyTicketToken(sign(), { now: DOORS_OPEN });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.reason, 'signature_verified');
+  assert.equal(result.kid, config.qr.signingKeyId);
+  assert.equal(result.claims.sub, TICKET.ticket_id);
+  assert.equal(result.claims.nbf, ISSUED_AT.getTime() / 1000);
+  assert.equal(result.claims.exp, EVENT_DATE.getTime() / 1000 + TICKET_TOKEN_GRACE_SECONDS);
+  assert.equal(findTicketTokenMismatch(TICKET, result.claims), null);
+});
+
+test('a token is only valid inside its window', () => {
+  const token = sign();
+  const exp = EVENT_DATE.getTime() + TICKET_TOKEN_GRACE_SECONDS * 1000;
+
+  assert.equal(verifyTicketToken(token, { now: new Date(ISSUED_AT.getTime() - 1000) }).reason, 'not_yet_valid');
+  assert.equal(verifyTicketToken(token, { now: ISSUED_AT }).valid, true);
+  assert.equal(verifyTicketToken(token, { now: new Date(exp - 1000) }).valid, true);
+
+  const expired = verifyTicketToken(token, { now: new Date(exp) });
+  assert.equal(expired.valid, false);
+  assert.equal(expired.reason, 'expired');
+});
+
+test('an edited claim breaks the signature', () => {
+  const token = editSegment(sign(), 1, claims => ({ ...claims, name: 'Mallory' }));
+  const result = verifyTicketToken(token, { now: DOORS_OPEN });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'bad_signature');
+  assert.equal(result.claims, null);
+
+  // Moving the window is an edited claim like any other
+  const extended = editSegment(sign(), 1, claims => ({ ...claims, exp: claims.exp + 365 * 24 * 60 * 60 }));
+  assert.equal(verifyTicketToken(extended, { now: DOORS_OPEN }).reason, 'bad_signature');
+});
+
+test('a token forged with another key under our key id is refused', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const [headerSegment, payloadSegment] = sign().split('.');
+  const signature = crypto.sign(null, Buffer.from(`${headerSegment}.${payloadSegment}`), privateKey);
+  const forged = `${headerSegment}.${payloadSegment}.${signature.toString('base64url')}`;
+
+  assert.equal(verifyTicketToken(forged, { now: DOORS_OPEN }).reason, 'bad_signature');
+});
+
+test('a header other than an EdDSA ticket JWT is refused before the signature is checked', () => {
+  const bundle = signJws({ sub: TICKET.ticket_id }, 'scanner-bundle+jwt');
+  assert.equal(verifyTicketToken(bundle, { now: DOORS_OPEN }).reason, 'malformed_token');
+
+  const relabelled = editSegment(sign(), 0, header => ({ ...header, alg: 'none' }));
+  assert.equal(verifyTicketToken(relabelled, { now: DOORS_OPEN }).reason, 'malformed_token');
+
+  assert.equal(verifyTicketToken('not a token', { now: DOORS_OPEN }).reason, 'malformed_token');
+});
+
+test('tokens from a rotated-out key verify only while its public key is still published', () => {
+  const token = sign();
+
+  const kept = verifyTicketToken(token, { publicKeys: rotatedKeys({ keepOldKey: true }), now: DOORS_OPEN });
+  assert.equal(kept.valid, true);
+  assert.equal(kept.kid, config.qr.signingKeyId);
+
+  const dropped = verifyTicketToken(token, { publicKeys: rotatedKeys({ keepOldKey: false }), now: DOORS_OPEN });
+  assert.equal(dropped.valid, false);
+  assert.equal(dropped.reason, 'unknown_key_id');
+
+  // Claiming the new key's id does not help a token signed with the old key
+  const renamed = editSegment(token, 0, header => ({ ...header, kid: 'qr-next' }));
+  assert.equal(verifyTicketToken(renamed, { publicKeys: rotatedKeys({ keepOldKey: true }), now: DOORS_OPEN }).reason, 'bad_signature');
+});
+
+test('a verified token for a ticket that has since changed is reported', () => {
+  const { claims } = verifyTicketToken(sign(), { now: DOORS_OPEN });
+
+  assert.equal(findTicketTokenMismatch({ ...TICKET, bound_name: 'Grace Hopper' }, claims), 'bound_name');
+  assert.equal(findTicketTokenMismatch({ ...TICKET, nft_token_id: '1' }, claims), 'nft_token_id');
+  assert.equal(findTicketTokenMismatch({ ...TICKET, event_id: crypto.randomUUID() }, claims), 'event_id');
+});
+
+// The keyring after rotating from v1 to v2; v1 codes keep working until v1 is removed
+const KEYRING = { v1: 'retired-qr-secret', v2: 'current-qr-secret' };
+const hashWith = secret => computeValidationHash(TICKET.ticket_id, TICKET.nft_token_id, TICKET.bound_name, secret);
+
+test('a validation hash verifies with the key its code names', () => {
+  const result = verifyValidationHash(TICKET, { kid: 'v2', validation_hash: hashWith(KEYRING.v2) }, KEYRING);
+  assert.deepEqual(result, { valid: true, reason: 'hash_verified', kid: 'v2' });
+
+  // Only that key: a v1 hash relabelled as v2 is not tried against v1
+  const relabelled = verifyValidationHash(TICKET, { kid: 'v2', validation_hash: hashWith(KEYRING.v1) }, KEYRING);
+  assert.equal(relabelled.reason, 'hash_mismatch');
+
+  const unknown = verifyValidationHash(TICKET, { kid: 'v0', validation_hash: hashWith(KEYRING.v1) }, KEYRING);
+  assert.deepEqual(unknown, { valid: false, reason: 'unknown_key_id', kid: 'v0' });
+});
+
+test('codes issued before key ids are tried against every key still in the keyring', () => {
+  const legacy = { validation_hash: hashWith(KEYRING.v1).toUpperCase() };
+  assert.deepEqual(verifyValidationHash(TICKET, legacy, KEYRING), { valid: true, reason: 'hash_verified', kid: 'v1' });
+
+  // Once the retired key is removed, its codes stop verifying
+  const { v1, ...withoutV1 } = KEYRING;
+  assert.equal(verifyValidationHash(TICKET, legacy, withoutV1).reason, 'hash_mismatch');
+  assert.equal(verifyValidationHash(TICKET, { kid: 'v1', validation_hash: hashWith(v1) }, withoutV1).reason, 'unknown_key_id');
+});
+
+test('a validation hash only matches the ticket as stored', () => {
+  const qrData = { kid: 'v2', validation_hash: hashWith(KEYRING.v2) };
+
+  assert.equal(verifyValidationHash({ ...TICKET, bound_name: 'Mallory' }, qrData, KEYRING).reason, 'hash_mismatch');
+  assert.equal(verifyValidationHash({ ...TICKET, nft_token_id: '1' }, qrData, KEYRING).reason, 'hash_mismatch');
+
+  // A hash made up without the secret
+  const forged = { kid: 'v2', validation_hash: crypto.createHash('sha256').update(`${TICKET.ticket_id}-${TICKET.nft_token_id}-${TICKET.bound_name}-`).digest('hex') };
+  assert.equal(verifyValidationHash(TICKET, forged, KEYRING).reason, 'hash_mismatch');
+
+  for (const validation_hash of [undefined, 'abc', hashWith(KEYRING.v2).slice(0, 63) + 'z']) {
+    assert.equal(verifyValidationHash(TICKET, { kid: 'v2', validation_hash }, KEYRING).reason, 'missing_or_malformed_hash');
+  }
+});
+
+// RFC 6238 appendix B, SHA-256 column: the 32-byte ASCII seed "1234567890..." in base32, 30s steps
+const RFC_SEED = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA';
+const RFC_VECTORS = [
+  [59, '46119246'],
+  [1111111109, '68084774'],
+  [1111111111, '67062674'],
+  [1234567890, '91819424'],
+  [2000000000, '90698825'],
+  [20000000000, '77737706']
+];
+
+test('dynamic codes are RFC 6238 TOTP with SHA-256 and 8 digits', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(computeDynamicQrCode(RFC_SEED, Math.floor(seconds / 30)), code);
+    assert.deepEqual(
+      verifyDynamicQrCode(RFC_SEED, code, { period: 30, now: new Date(seconds * 1000), skewSteps: 0 }),
+      { valid: true, reason: 'dynamic_code_verified', drift: 0 }
+    );
+  }
+});
+
+test('a dynamic code from a phone whose clock is off by up to the skew is accepted', () => {
+  const seed = createDynamicQrSeed();
+  const period = 30;
+  const now = new Date('2026-11-20T18:30:10Z');
+  const step = Math.floor(now.getTime() / 1000 / period);
+  const codeAt = offset => computeDynamicQrCode(seed, step + offset);
+
+  // The configured default: one period either side
+  assert.equal(verifyDynamicQrCode(seed, codeAt(-1), { period, now }).drift, -1);
+  assert.equal(verifyDynamicQrCode(seed, codeAt(1), { period, now }).drift, 1);
+  assert.equal(verifyDynamicQrCode(seed, codeAt(2), { period, now }).reason, 'dynamic_code_mismatch');
+  assert.equal(verifyDynamicQrCode(seed, codeAt(-2), { period, now }).reason, 'dynamic_code_mismatch');
+
+  assert.equal(verifyDynamicQrCode(seed, codeAt(-2), { period, now, skewSteps: 2 }).drift, -2);
+  assert.equal(verifyDynamicQrCode(seed, codeAt(1), { period, now, skewSteps: 0 }).valid, false);
+
+  // A screenshot stops working once its period is out of the window
+  const later = new Date(now.getTime() + 2 * period * 1000);
+  assert.equal(verifyDynamicQrCode(seed, codeAt(0), { period, now: later }).valid, false);
+});
+
+test('a dynamic code only verifies against its own ticket seed', () => {
+  const period = 30;
+  const now = new Date('2026-11-20T18:30:10Z');
+  const code = computeDynamicQrCode(createDynamicQrSeed(), Math.floor(now.getTime() / 1000 / period));
+
+  assert.equal(verifyDynamicQrCode(createDynamicQrSeed(), code, { period, now }).reason, 'dynamic_code_mismatch');
+  assert.equal(verifyDynamicQrCode(null, code, { period, now }).reason, 'no_dynamic_seed');
+  assert.equal(verifyDynamicQrCode(createDynamicQrSeed(), '1234567', { period, now }).valid, false);
+
+  assert.deepEqual(parseDynamicQr(`DQR:${TICKET.ticket_id.toUpperCase()}:${code}`), { ticket_id: TICKET.ticket_id, dynamic_code: code });
+  assert.equal(parseDynamicQr(`DQR:${TICKET.ticket_id}:${code.slice(1)}`), null);
+});
@@ -0,0 +1,209 @@
+// /test/ticket-revocation.test.js
+// Staff revocation and its undo against a local ganache node: queued contract revocations, the
+// chain-revocations cron run, restocked seats taken back, and the refusals of the undo
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startLocalChain } from './helpers/local-chain.js';
+import { createTestDatabase } from './helpers/database.js';
+
+// Private key of the deterministic ganache account that deploys and owns the contract
+const OWNER_PRIVATE_KEY = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+const STAFF_ID = crypto.randomUUID();
+
+let chain;
+let contract;
+let supabase;
+let event;
+let nextTokenId = 91343852333181432387730302044767688728495800000n;
+let revokeTickets;
+let queueChainRevocations;
+let processChainRevocations;
+let restoreTickets;
+let listFailedChainRevocations;
+
+before(async () => {
+  chain = await startLocalChain();
+
+  // lib/config.js reads these once, on first import
+  process.env.ETHEREUM_RPC_URL = chain.url;
+  process.env.REVOCATION_CONTRACT_ADDRESS = chain.addresses.revocation;
+  process.env.MULTICALL_ADDRESS = chain.addresses.multicall;
+  process.env.ADMIN_PRIVATE_KEY = OWNER_PRIVATE_KEY;
+  await import('./helpers/env.js');
+  ({
+    revokeTickets,
+    queueChainRevocations,
+    processChainRevocations,
+    restoreTickets,
+    listFailedChainRevocations
+  } = await import('../lib/ticket-revocation.js'));
+
+  contract = await chain.deploy();
+});
+
+after(async () => {
+  await chain?.close();
+});
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+
+  const { data } = await supabase
+    .from('events')
+    .insert({
+      event_name: 'Revocation night',
+      event_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+      total_tickets: 10,
+      available_tickets: 6
+    })
+    .select()
+    .single();
+  event = data;
+});
+
+// Sold tickets, registered on the contract unless told otherwise
+async function issue(names, { registered = true } = {}) {
+  const rows = names.map(name => ({
+    event_id: event.event_id,
+    bound_name: name,
+    nft_token_id: String(nextTokenId++),
+    ticket_status: 'valid',
+    blockchain_registered: registered
+  }));
+  if (registered) {
+    await chain.send('batchRegisterTickets', rows.map(row => row.nft_token_id), names);
+  }
+
+  const { data, error } = await supabase.from('tickets').insert(rows).select();
+  assert.equal(error, null);
+  return data;
+}
+
+async function loadTicket(ticketId) {
+  const { data } = await supabase.from('tickets').select('*').eq('ticket_id', ticketId).single();
+  return data;
+}
+
+async function availableSeats() {
+  const { data } = await supabase.from('events').select('available_tickets').eq('event_id', event.event_id).single();
+  return data.available_tickets;
+}
+
+const staffRevoke = ticketIds => revokeTickets(supabase, { ticketIds, reason: 'fraud', revokedBy: STAFF_ID });
+
+test('a staff revocation restocks the seats and queues the contract side for the cron', async () => {
+  const [alice, bob] = await issue(['Alice', 'Bob']);
+  const [carol] = await issue(['Carol'], { registered: false });
+
+  const revocation = await staffRevoke([alice.ticket_id, bob.ticket_id, carol.ticket_id]);
+  assert.equal(revocation.revoked.length, 3);
+  assert.equal(revocation.restocked, 3);
+  assert.deepEqual(revocation.queued.sort(), [alice.ticket_id, bob.ticket_id].sort());
+  assert.equal(await availableSeats(), 9);
+
+  // Nothing was sent yet
+  assert.equal((await loadTicket(alice.ticket_id)).revocation_chain_status, 'pending');
+  assert.equal((await loadTicket(carol.ticket_id)).revocation_chain_status, null);
+  assert.equal(await contract.getTicketStatus(alice.nft_token_id), 1);
+
+  const run = await processChainRevocations(supabase);
+  assert.equal(run.claimed, 2);
+  assert.equal(run.revoked, 2);
+  assert.ok(run.transaction_hash);
+
+  for (const ticket of [alice, bob]) {
+    const stored = await loadTicket(ticket.ticket_id);
+    assert.equal(stored.revocation_chain_status, 'revoked');
+    assert.equal(stored.revocation_tx_hash, run.transaction_hash);
+    assert.equal(await contract.getTicketStatus(ticket.nft_token_id), 2);
+  }
+
+  // Revoking again changes nothing and the queue is empty
+  const repeat = await staffRevoke([alice.ticket_id]);
+  assert.equal(repeat.revoked.length, 0);
+  assert.equal((await processChainRevocations(supabase)).claimed, 0);
+  assert.equal(await availableSeats(), 9);
+});
+
+test('undoing a revocation before the cron runs cancels it and takes the seat back', async () => {
+  const [alice] = await issue(['Alice']);
+  await staffRevoke([alice.ticket_id]);
+  assert.equal(await availableSeats(), 7);
+
+  const { restored, refused } = await restoreTickets(supabase, { ticketIds: [alice.ticket_id] });
+  assert.deepEqual(restored, [alice.ticket_id]);
+  assert.deepEqual(refused, []);
+  assert.equal(await availableSeats(), 6);
+
+  const stored = await loadTicket(alice.ticket_id);
+  assert.equal(stored.ticket_status, 'valid');
+  assert.equal(stored.revocation_chain_status, null);
+  assert.equal(stored.revocation_restocked, false);
+
+  assert.equal((await processChainRevocations(supabase)).claimed, 0);
+  assert.equal(await contract.getTicketStatus(alice.nft_token_id), 1);
+});
+
+test('a revoked seat that has been sold again cannot be taken back', async () => {
+  const [alice] = await issue(['Alice']);
+  await staffRevoke([alice.ticket_id]);
+  await supabase.from('events').update({ available_tickets: 0 }).eq('event_id', event.event_id);
+
+  const { restored, refused } = await restoreTickets(supabase, { ticketIds: [alice.ticket_id] });
+  assert.deepEqual(restored, []);
+  assert.deepEqual(refused, [{ ticket_id: alice.ticket_id, reason: 'sold_out' }]);
+  assert.equal((await loadTicket(alice.ticket_id)).ticket_status, 'revoked');
+  assert.equal(await availableSeats(), 0);
+});
+
+test('tickets revoked on the contract are not restored', async () => {
+  const [alice, bob, carol] = await issue(['Alice', 'Bob', 'Carol']);
+  await staffRevoke([alice.ticket_id, bob.ticket_id, carol.ticket_id]);
+
+  // Alice's revocation went out; Bob's token was revoked on-chain by someone else while queued
+  await supabase.from('tickets').update({ revocation_chain_status: 'revoked' }).eq('ticket_id', alice.ticket_id);
+  await chain.send('revokeTicket', bob.nft_token_id);
+  // Carol's was claimed by a cron run that has not finished
+  await supabase.from('tickets').update({ revocation_chain_status: 'sending' }).eq('ticket_id', carol.ticket_id);
+
+  const { restored, refused } = await restoreTickets(supabase, {
+    ticketIds: [alice.ticket_id, bob.ticket_id, carol.ticket_id]
+  });
+  assert.deepEqual(restored, []);
+  assert.deepEqual(
+    Object.fromEntries(refused.map(item => [item.ticket_id, item.reason])),
+    {
+      [alice.ticket_id]: 'revoked_on_chain',
+      [bob.ticket_id]: 'revoked_on_chain',
+      [carol.ticket_id]: 'revocation_pending'
+    }
+  );
+  assert.equal(await availableSeats(), 9);
+
+  // The cron records Bob's revocation without sending one of its own
+  const run = await processChainRevocations(supabase);
+  assert.equal(run.claimed, 1);
+  assert.equal(run.already_revoked, 1);
+  assert.equal(run.transaction_hash, null);
+  assert.equal((await loadTicket(bob.ticket_id)).revocation_chain_status, 'revoked');
+});
+
+test('a failed contract revocation is listed for staff and queued again on request', async () => {
+  // Flagged registered, but the contract never saw it, so revoking it reverts
+  const [alice] = await issue(['Alice'], { registered: false });
+  await supabase.from('tickets').update({ blockchain_registered: true }).eq('ticket_id', alice.ticket_id);
+  await staffRevoke([alice.ticket_id]);
+
+  const run = await processChainRevocations(supabase);
+  assert.equal(run.failed, 1);
+  assert.equal((await loadTicket(alice.ticket_id)).revocation_chain_status, 'failed');
+
+  const failed = await listFailedChainRevocations(supabase, { eventId: event.event_id });
+  assert.deepEqual(failed.map(ticket => ticket.ticket_id), [alice.ticket_id]);
+
+  assert.deepEqual(await queueChainRevocations(supabase, [alice.ticket_id]), [alice.ticket_id]);
+  assert.equal((await loadTicket(alice.ticket_id)).revocation_chain_status, 'pending');
+  assert.equal((await listFailedChainRevocations(supabase, { eventId: event.event_id })).length, 0);
+});
@@ -0,0 +1,125 @@
+// /test/token-ids.test.js
+// Token ids for new tickets against a local ganache node: full-width ids above the legacy 40-bit
+// range, re-derived when the database or the contract already holds them
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { startLocalChain } from './helpers/local-chain.js';
+import { createTestDatabase } from './helpers/database.js';
+
+// Private key of the deterministic ganache account that deploys and owns the contract
+const OWNER_PRIVATE_KEY = '0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d';
+
+let chain;
+let supabase;
+let event;
+let generateTokenId;
+let assignTokenIds;
+let isLegacyTokenId;
+let LEGACY_TOKEN_ID_LIMIT;
+
+before(async () => {
+  chain = await startLocalChain();
+
+  // lib/config.js reads these once, on first import
+  process.env.ETHEREUM_RPC_URL = chain.url;
+  process.env.REVOCATION_CONTRACT_ADDRESS = chain.addresses.revocation;
+  process.env.MULTICALL_ADDRESS = chain.addresses.multicall;
+  process.env.ADMIN_PRIVATE_KEY = OWNER_PRIVATE_KEY;
+  await import('./helpers/env.js');
+  ({ generateTokenId, assignTokenIds, isLegacyTokenId, LEGACY_TOKEN_ID_LIMIT } = await import('../lib/token-ids.js'));
+
+  await chain.deploy();
+});
+
+after(async () => {
+  await chain?.close();
+});
+
+beforeEach(async () => {
+  ({ supabase } = await createTestDatabase());
+
+  const { data } = await supabase
+    .from('events')
+    .insert({ event_name: 'Token night', event_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() })
+    .select()
+    .single();
+  event = data;
+});
+
+// A ticket already holding a token id, as registered earlier
+async function holdTokenId(tokenId) {
+  const { error } = await supabase.from('tickets').insert({
+    event_id: event.event_id,
+    bound_name: 'Earlier buyer',
+    nft_token_id: tokenId,
+    ticket_status: 'valid',
+    blockchain_registered: true
+  });
+  return error;
+}
+
+test('ids are the full SHA-256 of the ticket id, derived again per attempt', async () => {
+  const ticketId = crypto.randomUUID();
+  const tokenId = await generateTokenId(ticketId);
+
+  assert.equal(tokenId, BigInt('0x' + crypto.createHash('sha256').update(ticketId).digest('hex')).toString());
+  assert.equal(await generateTokenId(ticketId), tokenId);
+  assert.equal(await generateTokenId(ticketId, 1), BigInt('0x' + crypto.createHash('sha256').update(`${ticketId}:1`).digest('hex')).toString());
+  assert.notEqual(await generateTokenId(ticketId, 1), tokenId);
+
+  // Encodable as the contract's uint256
+  assert.doesNotThrow(() => ethers.utils.defaultAbiCoder.encode(['uint256'], [tokenId]));
+});
+
+test('the legacy range ends at 2^40', async () => {
+  assert.equal(LEGACY_TOKEN_ID_LIMIT, String(2n ** 40n));
+  assert.equal(await isLegacyTokenId(String(2n ** 40n - 1n)), true);
+  assert.equal(await isLegacyTokenId(LEGACY_TOKEN_ID_LIMIT), false);
+
+  // The old scheme: the first 10 hex digits of the same hash
+  const legacy = BigInt('0x' + crypto.createHash('sha256').update(crypto.randomUUID()).digest('hex').slice(0, 10)).toString();
+  assert.equal(await isLegacyTokenId(legacy), true);
+});
+
+test('fresh tickets get their first derivation, above the legacy range', async () => {
+  const ticketIds = Array.from({ length: 5 }, () => crypto.randomUUID());
+  const assigned = await assignTokenIds(supabase, ticketIds);
+
+  assert.equal(assigned.size, 5);
+  for (const ticketId of ticketIds) {
+    assert.equal(assigned.get(ticketId), await generateTokenId(ticketId));
+    assert.equal(await isLegacyTokenId(assigned.get(ticketId)), false);
+  }
+});
+
+test('an id held by another ticket or already on the contract is derived again', async () => {
+  const [inDatabase, onChain, clear] = Array.from({ length: 3 }, () => crypto.randomUUID());
+
+  assert.equal(await holdTokenId(await generateTokenId(inDatabase)), null);
+  await chain.send('registerTicket', await generateTokenId(onChain), 'Someone else');
+
+  const assigned = await assignTokenIds(supabase, [inDatabase, onChain, clear]);
+  assert.equal(assigned.get(inDatabase), await generateTokenId(inDatabase, 1));
+  assert.equal(assigned.get(onChain), await generateTokenId(onChain, 1));
+  assert.equal(assigned.get(clear), await generateTokenId(clear));
+});
+
+test('issuance gives up on a ticket whose every derivation is taken', async () => {
+  const ticketId = crypto.randomUUID();
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal(await holdTokenId(await generateTokenId(ticketId, attempt)), null);
+  }
+
+  await assert.rejects(assignTokenIds(supabase, [ticketId]), new RegExp(`Could not derive a unique token id for ticket ${ticketId}`));
+});
+
+test('the database refuses a second ticket with the same id', async () => {
+  const tokenId = await generateTokenId(crypto.randomUUID());
+  assert.equal(await holdTokenId(tokenId), null);
+
+  const duplicate = await holdTokenId(tokenId);
+  assert.equal(duplicate.code, '23505');
+});